@@ -0,0 +1,31 @@
+// Stop electron-builder packaging a release that could never activate a licence. Runs as the
+// beforePack hook (see package.json) and on its own: node check-licence-key.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function checkLicenceKey() {
+  const keyPath = path.join(__dirname, 'licence-public.pem');
+  const pem = fs.existsSync(keyPath) ? fs.readFileSync(keyPath, 'utf8').trim() : '';
+  if (!pem) {
+    throw new Error(`${keyPath} is missing or empty. Run \`node issue-licence.js keygen <dir>\` first.`);
+  }
+  if (crypto.createPublicKey(pem).asymmetricKeyType !== 'ed25519') {
+    throw new Error(`${keyPath} is not an Ed25519 public key`);
+  }
+}
+
+module.exports = async function beforePack() {
+  checkLicenceKey();
+};
+
+if (require.main === module) {
+  try {
+    checkLicenceKey();
+    console.log('Licence public key is set');
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
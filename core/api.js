@@ -121,7 +121,19 @@ const sales = {
     getTodaySales: async () => {
         const today = new Date().toISOString().split('T')[0];
         return await ipcCall('get-sales-by-date-range', { startDate: today, endDate: today });
-    }
+    },
+    getItems: async (saleId) => await ipcCall('get-sale-items', { saleId }),
+    // Returns and voids reverse stock and issue a credit note against the invoice
+    returnItems: async (saleId, items, { reason, refundMethod } = {}) =>
+        await ipcCall('return-sale-items', { saleId, items, reason, refundMethod }),
+    void: async (saleId, { reason, refundMethod, disposition } = {}) =>
+        await ipcCall('void-sale', { saleId, reason, refundMethod, disposition }),
+    getCreditNotes: async (saleId) => await ipcCall('get-credit-notes', { saleId }),
+    // Held carts are parked without touching stock until they are completed
+    getHeld: async () => await ipcCall('get-held-sales'),
+    getHeldById: async (id) => await ipcCall('get-held-sale', { id }),
+    hold: async (cart) => await ipcCall('hold-sale', cart),
+    deleteHeld: async (id) => await ipcCall('delete-held-sale', { id })
 };
 
 const reports = {
@@ -190,6 +202,23 @@ const reports = {
         });
     },
     getLowStockItems: async (threshold = 10) => await ipcCall('get-low-stock-items', { threshold }),
+    getExpiringItems: async (days = 30) => {
+        const response = await ipcCall('get-expiring-items', { days });
+        return response?.success ? response.data : [];
+    },
+    // Money received and refunded per payment method (cash, card, mobile_money, other)
+    getPaymentsByMethod: async ({ startDate, endDate } = {}) => {
+        const response = await ipcCall('get-payments-by-method', { startDate, endDate });
+        return response?.success ? response.data : [];
+    },
+    // Cost of goods customers kept in a period, at the unit cost recorded on each sale line
+    getCostOfGoodsSold: async ({ startDate, endDate } = {}) => {
+        const response = await ipcCall('get-cost-of-goods-sold', { startDate, endDate });
+        if (!response?.success) {
+            throw new Error(response?.error || 'Failed to calculate cost of goods sold');
+        }
+        return response.data.total;
+    },
     exportSalesToExcel: async (params) => await ipcCall('export-sales-excel', params)
 };
 
@@ -224,10 +253,9 @@ const settings = {
 
     backup: async () => await ipcCall('create-backup'),
     restore: async (backupPath) => await ipcCall('restore-backup', { backupPath }),
-    testEmail: async () => {
-        // Placeholder for test email functionality
-        return { success: false, error: 'Test email functionality not yet implemented' };
-    },
+    // The SMTP password stays in the main process; these only pass the message
+    testEmail: async (to) => await ipcCall('test-email', { to }),
+    sendEmail: async ({ to, subject, body, attachmentPath }) => await ipcCall('send-email', { to, subject, body, attachmentPath }),
     
     // Developer mode helpers
     isDeveloperMode: async () => {
@@ -244,7 +272,8 @@ const settings = {
 const system = {
     checkForUpdates: async () => await ipcCall('check-for-updates'),
     installUpdate: async () => await ipcCall('install-update'),
-    getAppVersion: async () => await ipcCall('get-app-version')
+    getAppVersion: async () => await ipcCall('get-app-version'),
+    showOpenDialog: async (options) => await ipcCall('show-open-dialog', options)
 };
 
 const categories = {
@@ -362,6 +391,1206 @@ const suppliers = {
             console.error('Error deleting supplier:', error);
             return { success: false, error: error.message };
         }
+    },
+
+    /**
+     * Get supplier invoices raised by goods received, earliest due first
+     * @param {Object} [filters] - supplierId, openOnly
+     * @returns {Promise<Array>} Invoices with the balance still owed
+     */
+    getInvoices: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-supplier-invoices', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching supplier invoices:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Correct a supplier invoice (invoice_number, invoice_date, due_date, amount, notes)
+     * @param {string} id - Supplier invoice ID
+     * @param {Object} updates - Fields to change
+     * @returns {Promise<Object>} Update result
+     */
+    updateInvoice: async (id, updates) => {
+        try {
+            return await ipcCall('update-supplier-invoice', { id, ...updates });
+        } catch (error) {
+            console.error('Error updating supplier invoice:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Pay a supplier against their invoices
+     * @param {Object} payment - supplierId, amount, method, reference, notes, paymentDate and an
+     *   optional invoiceId; without invoiceId the invoices falling due first are settled first
+     * @returns {Promise<Object>} Result with the payment number, allocations and new balance
+     */
+    recordPayment: async (payment) => {
+        try {
+            return await ipcCall('record-supplier-payment', payment);
+        } catch (error) {
+            console.error('Error recording supplier payment:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get payments made to suppliers
+     * @param {Object} [filters] - supplierId, startDate, endDate (YYYY-MM-DD, by payment date)
+     * @returns {Promise<Array>} Payments, oldest first
+     */
+    getPayments: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-supplier-payments', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching supplier payments:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get a supplier statement with a running balance of what we owe
+     * @param {string} supplierId - Supplier ID
+     * @param {Object} [period] - startDate and endDate (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Statement or null
+     */
+    getStatement: async (supplierId, { startDate, endDate } = {}) => {
+        try {
+            const result = await ipcCall('get-supplier-statement', { supplierId, startDate, endDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching supplier statement:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Get accounts payable by supplier, bucketed by days past the due date
+     * @param {string} [asOfDate] - Age invoices as of this date (YYYY-MM-DD); today when omitted
+     * @returns {Promise<Object|null>} Aging with per-supplier rows and totals
+     */
+    getPayablesAging: async (asOfDate) => {
+        try {
+            const result = await ipcCall('get-payables-aging', { asOfDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching payables aging:', error);
+            return null;
+        }
+    }
+};
+
+const batches = {
+    /**
+     * Get the batches (lots) held for a product, earliest expiry first.
+     * Quarantined batches are included; they do not count as sellable stock.
+     * @param {string} productId - Product ID
+     * @param {boolean} [includeRetired=false] - Also return retired batches
+     * @returns {Promise<Array>} List of batches
+     */
+    getByProduct: async (productId, includeRetired = false) => {
+        try {
+            const result = await ipcCall('get-product-batches', { productId, includeRetired });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching product batches:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Receive a new batch for a product
+     * @param {Object} batch - Batch data (product_id, lot_number, expiry_date, quantity, cost_price, ...)
+     * @returns {Promise<Object>} Created batch ID or error
+     */
+    create: async (batch) => {
+        try {
+            return await ipcCall('create-product-batch', batch);
+        } catch (error) {
+            console.error('Error creating product batch:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Adjust a batch quantity
+     * @param {string} id - Batch ID
+     * @param {Object} adjustment - Either { delta } or { quantity }, plus optional notes
+     * @returns {Promise<Object>} Adjustment result
+     */
+    adjust: async (id, adjustment) => {
+        try {
+            return await ipcCall('adjust-product-batch', { id, ...adjustment });
+        } catch (error) {
+            console.error('Error adjusting product batch:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Retire a batch so its stock no longer counts
+     * @param {string} id - Batch ID
+     * @param {string} [reason] - Why the batch was retired
+     * @returns {Promise<Object>} Retire result
+     */
+    retire: async (id, reason) => {
+        try {
+            return await ipcCall('retire-product-batch', { id, reason });
+        } catch (error) {
+            console.error('Error retiring product batch:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the sales that were filled from a batch, for recall tracing
+     * @param {string} batchId - Batch ID
+     * @returns {Promise<Array>} Sales (invoice, date, customer, quantity) that used the batch
+     */
+    getSales: async (batchId) => {
+        try {
+            const result = await ipcCall('get-batch-sales', { batchId });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching batch sales:', error);
+            return [];
+        }
+    }
+};
+
+const stockMovements = {
+    /**
+     * Get stock movement ledger entries, newest first
+     * @param {Object} [filters] - productId, batchId, reason, startDate, endDate, limit
+     * @returns {Promise<Array>} List of movements
+     */
+    getAll: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-stock-movements', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching stock movements:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get the movement history of a single product
+     * @param {string} productId - Product ID
+     * @returns {Promise<Array>} List of movements
+     */
+    getByProduct: async (productId) => {
+        return await stockMovements.getAll({ productId });
+    }
+};
+
+const purchaseOrders = {
+    /**
+     * Get purchase orders, newest first
+     * @param {Object} [filters] - status, supplierId
+     * @returns {Promise<Array>} List of purchase orders with item/quantity totals
+     */
+    getAll: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-purchase-orders', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching purchase orders:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get a purchase order with its items and goods received notes
+     * @param {string} id - Purchase order ID
+     * @returns {Promise<Object|null>} Purchase order or null
+     */
+    getById: async (id) => {
+        try {
+            const result = await ipcCall('get-purchase-order', { id });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching purchase order:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Create a purchase order, or update a draft when order.id is set
+     * @param {Object} order - supplier_id, order_date, expected_date, notes, items [{ product_id, quantity_ordered, unit_cost }]
+     * @returns {Promise<Object>} Saved purchase order ID or error
+     */
+    save: async (order) => {
+        try {
+            return await ipcCall('save-purchase-order', order);
+        } catch (error) {
+            console.error('Error saving purchase order:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Change a purchase order status (sent, cancelled, back to draft)
+     * @param {string} id - Purchase order ID
+     * @param {string} status - New status
+     * @returns {Promise<Object>} Update result
+     */
+    setStatus: async (id, status) => {
+        try {
+            return await ipcCall('set-purchase-order-status', { id, status });
+        } catch (error) {
+            console.error('Error updating purchase order status:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Record a goods received note against a purchase order
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @param {Object} receipt - items [{ purchase_order_item_id, quantity, unit_cost, lot_number, expiry_date }], receivedDate, notes,
+     *   supplierInvoiceNumber
+     * @returns {Promise<Object>} GRN ID and number, and the supplier invoice raised for it, or error
+     */
+    receive: async (purchaseOrderId, receipt) => {
+        try {
+            return await ipcCall('receive-purchase-order', { purchaseOrderId, ...receipt });
+        } catch (error) {
+            console.error('Error receiving purchase order:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const customers = {
+    /**
+     * Search customers by name, phone or insurance number
+     * @param {string} [search] - Search text; all active customers when empty
+     * @param {number} [limit=50] - Maximum number of results
+     * @returns {Promise<Array>} Matching customers
+     */
+    search: async (search = '', limit = 50) => {
+        try {
+            const result = await ipcCall('get-customers', { search, limit });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error searching customers:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get a customer by ID
+     * @param {string} id - Customer ID
+     * @returns {Promise<Object|null>} Customer or null
+     */
+    getById: async (id) => {
+        try {
+            const result = await ipcCall('get-customer', { id });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching customer:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Register a new customer / patient
+     * @param {Object} customer - Customer data (name, phone, date_of_birth, allergies, insurance_number, notes)
+     * @returns {Promise<Object>} Result with the new customer's id
+     */
+    create: async (customer) => {
+        try {
+            return await ipcCall('create-customer', customer);
+        } catch (error) {
+            console.error('Error creating customer:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Update a customer
+     * @param {string} id - Customer ID
+     * @param {Object} updates - Customer updates
+     * @returns {Promise<Object>} Update result
+     */
+    update: async (id, updates) => {
+        try {
+            return await ipcCall('update-customer', { id, ...updates });
+        } catch (error) {
+            console.error('Error updating customer:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Delete a customer (their past sales are kept)
+     * @param {string} id - Customer ID
+     * @returns {Promise<Object>} Delete result
+     */
+    delete: async (id) => {
+        try {
+            return await ipcCall('delete-customer', { id });
+        } catch (error) {
+            console.error('Error deleting customer:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get a customer's purchase history, newest first
+     * @param {string} customerId - Customer ID
+     * @returns {Promise<Array>} Sales with their items
+     */
+    getSales: async (customerId) => {
+        try {
+            const result = await ipcCall('get-customer-sales', { customerId });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching customer sales:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Receive a payment against a customer's credit sales
+     * @param {Object} payment - customerId, amount, method, reference, notes and an optional saleId;
+     *   without saleId the oldest invoices are settled first
+     * @returns {Promise<Object>} Result with the receipt number, allocations and new balance
+     */
+    recordPayment: async (payment) => {
+        try {
+            return await ipcCall('record-customer-payment', payment);
+        } catch (error) {
+            console.error('Error recording customer payment:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get a customer statement with a running balance
+     * @param {string} customerId - Customer ID
+     * @param {Object} [period] - startDate and endDate (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Statement or null
+     */
+    getStatement: async (customerId, { startDate, endDate } = {}) => {
+        try {
+            const result = await ipcCall('get-customer-statement', { customerId, startDate, endDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching customer statement:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Get accounts receivable by customer, bucketed by days past the due date (the sale date)
+     * @param {string} [asOfDate] - Age invoices as of this date (YYYY-MM-DD); today when omitted
+     * @returns {Promise<Object|null>} Aging with per-customer rows and totals
+     */
+    getReceivablesAging: async (asOfDate) => {
+        try {
+            const result = await ipcCall('get-receivables-aging', { asOfDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching receivables aging:', error);
+            return null;
+        }
+    }
+};
+
+const prescriptions = {
+    /**
+     * Get prescriptions (dispensing records), newest first
+     * @param {Object} [filters] - customerId, saleId, startDate, endDate, search
+     * @returns {Promise<Array>} Prescriptions with their dispensed items
+     */
+    getAll: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-prescriptions', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching prescriptions:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Open a prescription's scanned image in the system image viewer
+     * @param {string} id - Prescription ID
+     * @returns {Promise<Object>} Result
+     */
+    openImage: async (id) => {
+        try {
+            return await ipcCall('open-prescription-image', { id });
+        } catch (error) {
+            console.error('Error opening prescription image:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const controlledDrugs = {
+    /**
+     * Get the controlled-drug register for a period
+     * @param {Object} [filters] - productId, startDate, endDate
+     * @returns {Promise<Array>} One entry per controlled product with opening_balance, entries and closing_balance
+     */
+    getRegister: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-controlled-drug-register', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching controlled drug register:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Export the controlled-drug register to Excel and open the file
+     * @param {Object} [filters] - productId, startDate, endDate
+     * @returns {Promise<Object>} Result with filePath
+     */
+    exportRegister: async (filters = {}) => {
+        try {
+            return await ipcCall('export-controlled-drug-register', filters);
+        } catch (error) {
+            console.error('Error exporting controlled drug register:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const expenses = {
+    /**
+     * Get expense categories
+     * @returns {Promise<Array>} Categories, alphabetically
+     */
+    getCategories: async () => {
+        try {
+            const result = await ipcCall('get-expense-categories');
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching expense categories:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Add an expense category
+     * @param {string} name - Category name
+     * @returns {Promise<Object>} Result with the new category's id
+     */
+    createCategory: async (name) => {
+        try {
+            return await ipcCall('create-expense-category', { name });
+        } catch (error) {
+            console.error('Error creating expense category:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get expenses, newest first
+     * @param {Object} [filters] - startDate, endDate, category, search
+     * @returns {Promise<Array>} Expenses
+     */
+    getAll: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-expenses', filters);
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching expenses:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Record an expense
+     * @param {Object} expense - expense_date, category, amount, payee, payment_method, reference, description
+     *   and receipt_file (path of a receipt to attach)
+     * @returns {Promise<Object>} Result with the new expense's id
+     */
+    create: async (expense) => {
+        try {
+            return await ipcCall('create-expense', expense);
+        } catch (error) {
+            console.error('Error creating expense:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Update an expense
+     * @param {string} id - Expense ID
+     * @param {Object} updates - Expense fields; receipt_file replaces the receipt, remove_receipt drops it
+     * @returns {Promise<Object>} Update result
+     */
+    update: async (id, updates) => {
+        try {
+            return await ipcCall('update-expense', { id, ...updates });
+        } catch (error) {
+            console.error('Error updating expense:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Delete an expense and its attached receipt
+     * @param {string} id - Expense ID
+     * @returns {Promise<Object>} Delete result
+     */
+    delete: async (id) => {
+        try {
+            return await ipcCall('delete-expense', { id });
+        } catch (error) {
+            console.error('Error deleting expense:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Open an expense's attached receipt in the system viewer
+     * @param {string} id - Expense ID
+     * @returns {Promise<Object>} Result
+     */
+    openReceipt: async (id) => {
+        try {
+            return await ipcCall('open-expense-receipt', { id });
+        } catch (error) {
+            console.error('Error opening expense receipt:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get expense totals for a period
+     * @param {Object} [period] - startDate and endDate (YYYY-MM-DD)
+     * @returns {Promise<Object>} total, by_category and by_method
+     */
+    getSummary: async ({ startDate, endDate } = {}) => {
+        try {
+            const result = await ipcCall('get-expense-summary', { startDate, endDate });
+            return result.success ? result.data : { total: 0, by_category: [], by_method: [] };
+        } catch (error) {
+            console.error('Error fetching expense summary:', error);
+            return { total: 0, by_category: [], by_method: [] };
+        }
+    }
+};
+
+const pricing = {
+    /**
+     * Get promotions
+     * @param {Object} [filters] - activeOnly: only those running today
+     * @returns {Promise<Array>} Promotions with product_name
+     */
+    getPromotions: async ({ activeOnly = false } = {}) => {
+        try {
+            const result = await ipcCall('get-promotions', { activeOnly });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching promotions:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Create (no id) or update a promotion
+     * @param {Object} promotion - name, type (percent | fixed | buy_x_get_y), value, buy_quantity, get_quantity,
+     *   min_quantity, product_id or category, start_date, end_date, is_active
+     * @returns {Promise<Object>} Result with the promotion's id
+     */
+    savePromotion: async (promotion) => {
+        try {
+            return await ipcCall('save-promotion', promotion);
+        } catch (error) {
+            console.error('Error saving promotion:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Delete a promotion
+     * @param {string} id - Promotion ID
+     * @returns {Promise<Object>} Delete result
+     */
+    deletePromotion: async (id) => {
+        try {
+            return await ipcCall('delete-promotion', { id });
+        } catch (error) {
+            console.error('Error deleting promotion:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get customer groups
+     * @returns {Promise<Array>} Groups with customer_count, alphabetically
+     */
+    getCustomerGroups: async () => {
+        try {
+            const result = await ipcCall('get-customer-groups');
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching customer groups:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Create (no id) or update a customer group
+     * @param {Object} group - name, price_basis (retail | wholesale), discount_percent
+     * @returns {Promise<Object>} Result with the group's id
+     */
+    saveCustomerGroup: async (group) => {
+        try {
+            return await ipcCall('save-customer-group', group);
+        } catch (error) {
+            console.error('Error saving customer group:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Delete a customer group; its customers go back to retail prices
+     * @param {string} id - Group ID
+     * @returns {Promise<Object>} Delete result
+     */
+    deleteCustomerGroup: async (id) => {
+        try {
+            return await ipcCall('delete-customer-group', { id });
+        } catch (error) {
+            console.error('Error deleting customer group:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the discount approval threshold and whether a supervisor PIN is set
+     * @returns {Promise<Object>} discount_approval_percent and has_supervisor_pin
+     */
+    getSettings: async () => {
+        try {
+            const result = await ipcCall('get-pricing-settings');
+            return result.success ? result.data : { discount_approval_percent: 10, has_supervisor_pin: false };
+        } catch (error) {
+            console.error('Error fetching pricing settings:', error);
+            return { discount_approval_percent: 10, has_supervisor_pin: false };
+        }
+    },
+
+    /**
+     * Save the discount approval threshold and optionally a new supervisor PIN
+     * @param {Object} settings - discountApprovalPercent, supervisorPin
+     * @returns {Promise<Object>} Result
+     */
+    saveSettings: async (settings) => {
+        try {
+            return await ipcCall('save-pricing-settings', settings);
+        } catch (error) {
+            console.error('Error saving pricing settings:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Price a cart with promotions, group prices and discounts, without selling it
+     * @param {Object} cart - items ({ productId, quantity, unitId, unitPrice, discount }), customerId, cartDiscount
+     * @returns {Promise<Object>} Result with lines and totals
+     */
+    priceSale: async (cart) => {
+        try {
+            return await ipcCall('price-sale', cart);
+        } catch (error) {
+            console.error('Error pricing sale:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get discounts given in a period
+     * @param {Object} [period] - startDate and endDate (YYYY-MM-DD)
+     * @returns {Promise<Object>} Totals, by_source, by_product and supervisor approvals
+     */
+    getDiscountSummary: async ({ startDate, endDate } = {}) => {
+        try {
+            const result = await ipcCall('get-discount-summary', { startDate, endDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching discount summary:', error);
+            return null;
+        }
+    }
+};
+
+const tax = {
+    /**
+     * Get the tax mode, the shop's TIN and every levy
+     * @returns {Promise<Object>} mode ('off' | 'inclusive' | 'exclusive'), tin and levies
+     */
+    getSettings: async () => {
+        try {
+            const result = await ipcCall('get-tax-settings');
+            return result.success ? result.data : { mode: 'off', tin: '', levies: [] };
+        } catch (error) {
+            console.error('Error fetching tax settings:', error);
+            return { mode: 'off', tin: '', levies: [] };
+        }
+    },
+
+    /**
+     * Save the tax mode, TIN and the full list of levies
+     * @param {Object} settings - mode, tin and levies [{ id, name, rate, compound, is_active }]
+     * @returns {Promise<Object>} Result
+     */
+    saveSettings: async (settings) => {
+        try {
+            return await ipcCall('save-tax-settings', settings);
+        } catch (error) {
+            console.error('Error saving tax settings:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the tax collected in a period, per levy and per day, net of returns
+     * @param {Object} [period] - startDate and endDate (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} Report data, or null on failure
+     */
+    getReport: async ({ startDate, endDate } = {}) => {
+        try {
+            const result = await ipcCall('get-tax-report', { startDate, endDate });
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching tax report:', error);
+            return null;
+        }
+    }
+};
+
+const printing = {
+    /**
+     * List the OS printers plus the file test printer
+     * @returns {Promise<Array>} Printers [{ type, name, displayName, isDefault }]
+     */
+    getPrinters: async () => {
+        try {
+            const result = await ipcCall('get-printers');
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error listing printers:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get the receipt printer and whether it opens the cash drawer
+     * @returns {Promise<Object|null>} printer and open_drawer
+     */
+    getSettings: async () => {
+        try {
+            const result = await ipcCall('get-printer-settings');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching printer settings:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save the receipt printer and whether it opens the cash drawer
+     * @param {Object} settings - printer { type, name, host, port, path } and open_drawer
+     * @returns {Promise<Object>} Result with the saved settings
+     */
+    saveSettings: async (settings) => {
+        try {
+            return await ipcCall('save-printer-settings', settings);
+        } catch (error) {
+            console.error('Error saving printer settings:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the receipt template with the fields it can hide and the placeholders it can use
+     * @returns {Promise<Object|null>} template, fields and placeholders
+     */
+    getTemplate: async () => {
+        try {
+            const result = await ipcCall('get-receipt-template');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching receipt template:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save the receipt template
+     * @param {Object} template - paper_width, logo_path, header, footer and fields
+     * @returns {Promise<Object>} Result with the saved template
+     */
+    saveTemplate: async (template) => {
+        try {
+            return await ipcCall('save-receipt-template', template);
+        } catch (error) {
+            console.error('Error saving receipt template:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Lay out a receipt as HTML and text: a sale (saleId, copy for a reprint), a shift report
+     * (shiftId), a cart not yet rung up (cart), or a template preview (template, on the latest
+     * sale or a sample)
+     * @param {Object} options - saleId, copy, shiftId, cart { items, customerId, cartDiscount, customerName, notes } or template
+     * @returns {Promise<Object>} Result with title, paper_width, html and text
+     */
+    renderReceipt: async (options) => {
+        try {
+            return await ipcCall('render-receipt', options);
+        } catch (error) {
+            console.error('Error rendering receipt:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Print a sale's receipt on the receipt printer
+     * @param {string} saleId - Sale ID
+     * @param {Object} [options] - copy to mark a reprint
+     * @returns {Promise<Object>} Result; code NO_PRINTER when no printer is set up
+     */
+    printReceipt: async (saleId, { copy = false } = {}) => {
+        try {
+            return await ipcCall('print-receipt', { saleId, copy });
+        } catch (error) {
+            console.error('Error printing receipt:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Print a shift's Z-report (X-report while the shift is open) on the receipt printer
+     * @param {string} shiftId - Shift ID
+     * @returns {Promise<Object>} Result; code NO_PRINTER when no printer is set up
+     */
+    printShiftReport: async (shiftId) => {
+        try {
+            return await ipcCall('print-receipt', { shiftId });
+        } catch (error) {
+            console.error('Error printing shift report:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Print a test receipt on the receipt printer
+     * @returns {Promise<Object>} Result; data.filePath for the file printer
+     */
+    printTest: async () => {
+        try {
+            return await ipcCall('print-receipt', { test: true });
+        } catch (error) {
+            console.error('Error printing test receipt:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const shifts = {
+    /**
+     * Get the open shift with its running totals
+     * @returns {Promise<Object|null>} Shift report, or null when no shift is open
+     */
+    getCurrent: async () => {
+        try {
+            const result = await ipcCall('get-current-shift');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching current shift:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Open a cashier shift
+     * @param {Object} shift - openingFloat, cashierName, notes
+     * @returns {Promise<Object>} Result with the new shift's report
+     */
+    open: async (shift) => {
+        try {
+            return await ipcCall('open-shift', shift);
+        } catch (error) {
+            console.error('Error opening shift:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Close a shift with the cash counted in the drawer
+     * @param {string} shiftId - Shift ID
+     * @param {number} countedCash - Cash counted at close
+     * @param {string} [notes] - Notes, e.g. why the drawer is over or short
+     * @returns {Promise<Object>} Result with the Z-report
+     */
+    close: async (shiftId, countedCash, notes) => {
+        try {
+            return await ipcCall('close-shift', { shiftId, countedCash, notes });
+        } catch (error) {
+            console.error('Error closing shift:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the Z-report for a shift
+     * @param {string} shiftId - Shift ID
+     * @returns {Promise<Object>} Result with the report
+     */
+    getReport: async (shiftId) => {
+        try {
+            return await ipcCall('get-shift-report', { shiftId });
+        } catch (error) {
+            console.error('Error fetching shift report:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get recent shifts, newest first
+     * @param {number} [limit=30] - Number of shifts
+     * @returns {Promise<Array>} Shifts
+     */
+    getAll: async (limit = 30) => {
+        try {
+            const result = await ipcCall('get-shifts', { limit });
+            return result.success ? result.data : [];
+        } catch (error) {
+            console.error('Error fetching shifts:', error);
+            return [];
+        }
+    }
+};
+
+const auth = {
+    /**
+     * Get the active users to choose from on the login screen
+     * @returns {Promise<Object>} needs_owner (no accounts yet) and users [{ id, name, username, role, role_name }]
+     */
+    getLoginUsers: async () => {
+        try {
+            const result = await ipcCall('get-login-users');
+            return result.success ? result.data : { needs_owner: false, users: [] };
+        } catch (error) {
+            console.error('Error fetching login users:', error);
+            return { needs_owner: false, users: [] };
+        }
+    },
+
+    /**
+     * Create the first owner account on a new install and sign in as it
+     * @param {Object} account - name, username and credential (PIN or password)
+     * @returns {Promise<Object>} Result with the signed-in user as data
+     */
+    createOwner: async (account) => {
+        try {
+            return await ipcCall('create-owner-account', account);
+        } catch (error) {
+            console.error('Error creating owner account:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Sign in with a PIN or password
+     * @param {Object} login - userId or username, and credential
+     * @returns {Promise<Object>} Result with the signed-in user as data
+     */
+    login: async (login) => {
+        try {
+            return await ipcCall('login', login);
+        } catch (error) {
+            console.error('Error signing in:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Sign the current user out
+     * @returns {Promise<Object>} Result
+     */
+    logout: async () => {
+        try {
+            return await ipcCall('logout');
+        } catch (error) {
+            console.error('Error signing out:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Lock the session; every other request is refused until it is unlocked
+     * @returns {Promise<Object>} Result
+     */
+    lock: async () => {
+        try {
+            return await ipcCall('lock-session');
+        } catch (error) {
+            console.error('Error locking session:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Unlock the session with the signed-in user's PIN or password
+     * @param {string} credential - PIN or password
+     * @returns {Promise<Object>} Result with the signed-in user as data
+     */
+    unlock: async (credential) => {
+        try {
+            return await ipcCall('unlock-session', { credential });
+        } catch (error) {
+            console.error('Error unlocking session:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Get the signed-in user
+     * @returns {Promise<Object|null>} id, name, username, role, role_name, permissions and locked, or null
+     */
+    getCurrentUser: async () => {
+        try {
+            const result = await ipcCall('get-current-user');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error fetching current user:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Get every user account and the roles they can be given
+     * @returns {Promise<Object>} users and roles [{ id, name, permissions }]
+     */
+    getUsers: async () => {
+        try {
+            const result = await ipcCall('get-users');
+            return result.success ? result.data : { users: [], roles: [] };
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            return { users: [], roles: [] };
+        }
+    },
+
+    /**
+     * Create or update a user; credential is required for new users
+     * @param {Object} user - id, name, username, role, credential, is_active
+     * @returns {Promise<Object>} Result with the user's id
+     */
+    saveUser: async (user) => {
+        try {
+            return await ipcCall('save-user', user);
+        } catch (error) {
+            console.error('Error saving user:', error);
+            return { success: false, error: error.message };
+        }
+    },
+
+    /**
+     * Change the signed-in user's own PIN or password
+     * @param {string} current - Current PIN or password
+     * @param {string} credential - New PIN or password
+     * @returns {Promise<Object>} Result
+     */
+    changeCredential: async (current, credential) => {
+        try {
+            return await ipcCall('change-own-credential', { current, credential });
+        } catch (error) {
+            console.error('Error changing PIN or password:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const audit = {
+    /**
+     * Get audit log entries, newest first, with the users, actions and entity types to filter by
+     * @param {Object} [filters] - startDate, endDate (YYYY-MM-DD), userName, action, entityType, search
+     * @returns {Promise<Object>} entries and options { users, actions, entity_types }
+     */
+    getLog: async (filters = {}) => {
+        try {
+            const result = await ipcCall('get-audit-log', filters);
+            return result.success ? result.data : { entries: [], options: { users: [], actions: [], entity_types: [] } };
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            return { entries: [], options: { users: [], actions: [], entity_types: [] } };
+        }
+    },
+
+    /**
+     * Check the audit log's hash chain for tampering
+     * @returns {Promise<Object|null>} valid, checked, broken_at and reason, or null on failure
+     */
+    verify: async () => {
+        try {
+            const result = await ipcCall('verify-audit-log');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error verifying audit log:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Export the filtered audit log to Excel and open it
+     * @param {Object} [filters] - Same filters as getLog
+     * @returns {Promise<Object>} Result with filePath
+     */
+    exportLog: async (filters = {}) => {
+        try {
+            return await ipcCall('export-audit-log', filters);
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            return { success: false, error: error.message };
+        }
+    }
+};
+
+const licence = {
+    /**
+     * Get the installed licence and whether the app is read-only
+     * @returns {Promise<Object|null>} status, read_only, licence, days_remaining and message, or null on failure
+     */
+    getStatus: async () => {
+        try {
+            const result = await ipcCall('get-licence-status');
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error checking licence:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Activate a licence from a pasted key or a licence file
+     * @param {Object} source - key (licence key text) or filePath (licence file)
+     * @returns {Promise<Object>} Result with the new licence status as data
+     */
+    activate: async ({ key, filePath } = {}) => {
+        try {
+            return await ipcCall('activate-app', { key, filePath });
+        } catch (error) {
+            console.error('Error activating licence:', error);
+            return { success: false, error: error.message };
+        }
     }
 };
 
@@ -373,5 +1602,19 @@ export {
     system,
     categories,
     suppliers,
+    batches,
+    stockMovements,
+    purchaseOrders,
+    customers,
+    prescriptions,
+    controlledDrugs,
+    expenses,
+    pricing,
+    tax,
+    printing,
+    shifts,
+    auth,
+    audit,
+    licence,
     isElectronAvailable
 };
@@ -1,9 +1,13 @@
 // Event management system
 
 const events = new Map();
+let eventsInitialized = false;
 
 // Initialize event system
 function initEvents() {
+    if (eventsInitialized) return;
+    eventsInitialized = true;
+
     // Set up global event listeners with sound effects
     document.addEventListener('click', (e) => {
         handleGlobalClick(e);
@@ -34,6 +38,11 @@ function initEvents() {
         }
     });
     
+    // Any input counts as activity for the auto-lock timer
+    ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.addEventListener(type, () => emit(EVENTS.USER_ACTIVITY), { passive: true });
+    });
+    
     // Listen for IPC messages
     if (window.electron && window.electron.ipcRenderer) {
         window.electron.ipcRenderer.on('app-event', (event, data) => {
@@ -112,6 +121,11 @@ function handleGlobalKeyDown(event) {
                     }
                 }
                 break;
+            case 'l':
+                // Lock now; renderer.js shows the lock screen
+                event.preventDefault();
+                emit('shortcut:lock');
+                break;
             case 'z':
                 if (event.shiftKey) {
                     event.preventDefault();
@@ -136,6 +150,7 @@ const EVENTS = {
     DATA_LOADED: 'data:loaded',
     DATA_SAVED: 'data:saved',
     DATA_DELETED: 'data:deleted',
+    USER_ACTIVITY: 'user:activity',
     ERROR: 'error'
 };
 
@@ -84,6 +84,13 @@ async function navigateTo(pageName, data = {}) {
         }
 
         console.log(`Navigating to: ${pageName}`);
+
+        // Pages the signed-in user's role cannot use fall back to the dashboard
+        const requiredPermission = document.querySelector(`.nav-item[data-page="${pageName}"]`)?.dataset.permission;
+        if (requiredPermission && window.currentUser && !window.currentUser.permissions.includes(requiredPermission)) {
+            showToast('Your role does not have access to that page', 'warning');
+            pageName = 'dashboard';
+        }
         
         // Handle page name variations (e.g., 'dashboard' vs 'dashboard-page')
         const pageVariations = [pageName, `${pageName}`, `#${pageName}`];
@@ -201,6 +208,36 @@ async function navigateTo(pageName, data = {}) {
                             }
                         }
                         break;
+                    case 'customers':
+                        if (typeof window.loadCustomers === 'function') {
+                            await window.loadCustomers();
+                        }
+                        break;
+                    case 'purchase-orders':
+                        if (typeof window.loadPurchaseOrders === 'function') {
+                            await window.loadPurchaseOrders();
+                        }
+                        break;
+                    case 'suppliers':
+                        if (typeof window.loadSuppliers === 'function') {
+                            await window.loadSuppliers();
+                        }
+                        break;
+                    case 'controlled-drugs':
+                        if (typeof window.loadControlledDrugRegister === 'function') {
+                            await window.loadControlledDrugRegister();
+                        }
+                        break;
+                    case 'expenses':
+                        if (typeof window.loadExpenses === 'function') {
+                            await window.loadExpenses();
+                        }
+                        break;
+                    case 'promotions':
+                        if (typeof window.loadPromotions === 'function') {
+                            await window.loadPromotions();
+                        }
+                        break;
                     case 'reports':
                         // Reports page will auto-initialize on load
                         break;
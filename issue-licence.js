@@ -0,0 +1,77 @@
+// Issue Wolo licence keys. Run from the project root; never ship the private key with the app.
+//
+//   node issue-licence.js keygen <dir>
+//     Writes <dir>/licence-private.pem and the public key to licence-public.pem next to main.js,
+//     which the app and the build need. Every licence issued with the old key stops working.
+//
+//   node issue-licence.js issue --key <private.pem> --shop "<shop name>" [--expires YYYY-MM-DD] [--out <file.lic>]
+//     Prints the licence key and, with --out, writes it to a licence file the shop can load.
+//     Without --expires the licence never lapses.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+function keygen(dir) {
+  if (!dir) {
+    throw new Error('Usage: node issue-licence.js keygen <dir>');
+  }
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const privatePath = path.join(dir, 'licence-private.pem');
+  fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  const publicPath = path.join(__dirname, 'licence-public.pem');
+  fs.writeFileSync(publicPath, publicKey.export({ type: 'spki', format: 'pem' }));
+  console.log(`Private key written to ${privatePath}. Keep it safe and out of the repository.`);
+  console.log(`Public key written to ${publicPath}. Commit it so builds can check licences.`);
+}
+
+function issue(options) {
+  if (!options.key || !options.shop) {
+    throw new Error('Usage: node issue-licence.js issue --key <private.pem> --shop "<shop name>" [--expires YYYY-MM-DD] [--out <file.lic>]');
+  }
+  if (options.expires && !/^\d{4}-\d{2}-\d{2}$/.test(options.expires)) {
+    throw new Error('--expires must be a date like 2027-12-31');
+  }
+  const payload = {
+    licence_id: crypto.randomUUID(),
+    shop_name: options.shop.trim(),
+    issued_at: new Date().toISOString().slice(0, 10),
+    expires_at: options.expires || null
+  };
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(options.key));
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString('base64url');
+  const licenceKey = `${body}.${signature}`;
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${licenceKey}\n`);
+    console.log(`Licence file written to ${options.out}`);
+  }
+  console.log(`Licence ${payload.licence_id} for ${payload.shop_name}, ${payload.expires_at ? `expires ${payload.expires_at}` : 'no expiry'}:\n`);
+  console.log(licenceKey);
+}
+
+try {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'keygen') {
+    keygen(args[0]);
+  } else if (command === 'issue') {
+    issue(parseArgs(args));
+  } else {
+    throw new Error('Commands: keygen <dir>, issue --key <private.pem> --shop "<shop name>" [--expires YYYY-MM-DD] [--out <file.lic>]');
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -5,9 +5,11 @@ if (!process.env.NODE_ENV) {
 
 // Import Electron and other modules
 const electron = require('electron');
-const { app, BrowserWindow, ipcMain, dialog, session, Menu } = electron;
+const { app, BrowserWindow, ipcMain, dialog, session, Menu, shell, safeStorage } = electron;
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const net = require('net');
 const Database = require('better-sqlite3');
 const ExcelJS = require('exceljs');
 const nodemailer = require('nodemailer');
@@ -16,7 +18,13 @@ const { v4: uuidv4 } = require('uuid');
 // Global variables
 let mainWindow = null;
 let db = null;
+// Signed-in user for this session ({ id, name, username, role }); see checkChannelAccess
+let currentUser = null;
+// Set while the renderer shows the lock screen; only unlock-session and the public channels are answered
+let sessionLocked = false;
 let cachePath = null;
+// Files this session exported with saveWorkbookToTemp; the only files send-email will attach
+const exportedFiles = new Set();
 
 // Production optimizations
 const isDev = process.env.NODE_ENV === 'development' || process.env.DEBUG_PROD === 'true';
@@ -70,7 +78,7 @@ function registerIpcHandlers() {
   });
   
   // Add save dialog handler
-  ipcMain.handle('show-save-dialog', async (event, options) => {
+  handleIpc('show-save-dialog', async (event, options) => {
     try {
       const result = await dialog.showSaveDialog(mainWindow, options);
       return result;
@@ -83,7 +91,7 @@ function registerIpcHandlers() {
   console.log('Registering IPC handlers...');
   
   // Supplier Related Handlers
-  ipcMain.handle('get-suppliers', async () => {
+  handleIpc('get-suppliers', async () => {
     const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
     const db = new Database(dbPath);
     try {
@@ -117,7 +125,8 @@ function registerIpcHandlers() {
                tax_id, payment_terms, notes, 
                strftime('%Y-%m-%dT%H:%M:%S.%fZ', created_at) as created_at,
                strftime('%Y-%m-%dT%H:%M:%S.%fZ', updated_at) as updated_at,
-               is_active
+               is_active,
+               (SELECT COALESCE(SUM(${SUPPLIER_INVOICE_BALANCE_SQL}), 0) FROM supplier_invoices inv WHERE inv.supplier_id = suppliers.id) as balance
         FROM suppliers
         WHERE is_active = 1
         ORDER BY name ASC
@@ -137,7 +146,7 @@ function registerIpcHandlers() {
   });
 
   // Create supplier handler
-  ipcMain.handle('create-supplier', async (event, supplierData) => {
+  handleIpc('create-supplier', async (event, supplierData) => {
     try {
       const supplierId = supplierData.id || uuidv4();
       const now = new Date().toISOString();
@@ -169,7 +178,7 @@ function registerIpcHandlers() {
   });
 
   // Update supplier handler
-  ipcMain.handle('update-supplier', async (event, { id, ...updates }) => {
+  handleIpc('update-supplier', async (event, { id, ...updates }) => {
     try {
       const now = new Date().toISOString();
       const fields = [];
@@ -204,7 +213,7 @@ function registerIpcHandlers() {
   });
 
   // Delete supplier handler (soft delete by setting is_active = 0)
-  ipcMain.handle('delete-supplier', async (event, { id }) => {
+  handleIpc('delete-supplier', async (event, { id }) => {
     try {
       const now = new Date().toISOString();
       db.prepare(`
@@ -220,8 +229,659 @@ function registerIpcHandlers() {
     }
   });
 
+  // Supplier invoices, earliest due first. Each is raised by a goods received note.
+  handleIpc('get-supplier-invoices', async (event, { supplierId, openOnly = false } = {}) => {
+    try {
+      const invoices = db.prepare(`
+        SELECT * FROM (
+          SELECT inv.*, g.grn_number, po.po_number, ${SUPPLIER_INVOICE_BALANCE_SQL} as balance
+          FROM supplier_invoices inv
+          LEFT JOIN goods_received_notes g ON g.id = inv.grn_id
+          LEFT JOIN purchase_orders po ON po.id = inv.purchase_order_id
+          ${supplierId ? 'WHERE inv.supplier_id = ?' : ''}
+        ) ${openOnly ? 'WHERE balance > 0' : ''}
+        ORDER BY due_date ASC, invoice_date ASC
+      `).all(...(supplierId ? [supplierId] : []));
+
+      return { success: true, data: invoices };
+    } catch (error) {
+      console.error('Error fetching supplier invoices:', error);
+      return { success: false, error: error.message || 'Failed to fetch supplier invoices' };
+    }
+  });
+
+  // Correct a supplier invoice to match the paper one. Moving the invoice date without
+  // a due date works the due date out again from the supplier's terms.
+  handleIpc('update-supplier-invoice', async (event, { id, ...updates } = {}) => {
+    try {
+      const invoice = db.prepare(`SELECT inv.*, ${SUPPLIER_INVOICE_BALANCE_SQL} as balance FROM supplier_invoices inv WHERE inv.id = ?`).get(id);
+      if (!invoice) {
+        return { success: false, error: 'Supplier invoice not found' };
+      }
+
+      const amount = updates.amount !== undefined ? Math.round((parseFloat(updates.amount) || 0) * 100) / 100 : invoice.amount;
+      const paid = Math.round((invoice.amount - invoice.balance) * 100) / 100;
+      if (amount <= 0) {
+        return { success: false, error: 'Invoice amount must be greater than zero' };
+      }
+      if (amount < paid) {
+        return { success: false, error: `GH₵${paid.toFixed(2)} has already been paid on this invoice` };
+      }
+
+      const invoiceDate = updates.invoice_date || invoice.invoice_date;
+      let dueDate = updates.due_date || invoice.due_date;
+      if (updates.invoice_date && !updates.due_date) {
+        const supplier = invoice.supplier_id ? db.prepare('SELECT payment_terms FROM suppliers WHERE id = ?').get(invoice.supplier_id) : null;
+        dueDate = addDays(invoiceDate, getPaymentTermsDays(supplier && supplier.payment_terms));
+      }
+      if (dueDate < invoiceDate) {
+        return { success: false, error: 'Due date cannot be before the invoice date' };
+      }
+
+      db.prepare(`
+        UPDATE supplier_invoices
+        SET invoice_number = ?, invoice_date = ?, due_date = ?, amount = ?, notes = ?, updated_at = ?
+        WHERE id = ?
+      `).run(
+        updates.invoice_number !== undefined ? (String(updates.invoice_number).trim() || null) : invoice.invoice_number,
+        invoiceDate,
+        dueDate,
+        amount,
+        updates.notes !== undefined ? (updates.notes || null) : invoice.notes,
+        new Date().toISOString(),
+        id
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating supplier invoice:', error);
+      return { success: false, error: error.message || 'Failed to update supplier invoice' };
+    }
+  });
+
+  // Pay a supplier. With invoiceId the payment is for that invoice only; otherwise it
+  // settles the invoices falling due first.
+  handleIpc('record-supplier-payment', async (event, { supplierId, amount, method = 'cash', reference, notes, paymentDate, invoiceId } = {}) => {
+    try {
+      const supplier = supplierId ? db.prepare('SELECT id, name FROM suppliers WHERE id = ?').get(supplierId) : null;
+      if (!supplier) {
+        return { success: false, error: 'Supplier not found' };
+      }
+      const cents = Math.round((parseFloat(amount) || 0) * 100);
+      if (cents <= 0) {
+        return { success: false, error: 'Payment amount must be greater than zero' };
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        return { success: false, error: `Unknown payment method: ${method}` };
+      }
+
+      const invoices = getOpenSupplierInvoices(db, supplierId).filter(invoice => !invoiceId || invoice.id === invoiceId);
+      if (invoiceId && invoices.length === 0) {
+        return { success: false, error: 'Nothing is owed on this invoice' };
+      }
+      const owedCents = invoices.reduce((sum, invoice) => sum + Math.round(invoice.balance * 100), 0);
+      if (cents > owedCents) {
+        return { success: false, error: `Payment is more than the GH₵${(owedCents / 100).toFixed(2)} owed` };
+      }
+
+      const paymentId = uuidv4();
+      const paymentNumber = `PV-${Date.now()}`;
+      const now = new Date().toISOString();
+      const allocations = [];
+
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO supplier_payments (id, payment_number, supplier_id, payment_date, amount, method, reference, notes, user_name, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(paymentId, paymentNumber, supplierId, paymentDate || now.split('T')[0], cents / 100, method,
+          reference || null, notes || null, getCurrentUserName(db), now);
+
+        const insertAllocation = db.prepare(`
+          INSERT INTO supplier_payment_allocations (id, supplier_payment_id, supplier_invoice_id, amount)
+          VALUES (?, ?, ?, ?)
+        `);
+        let remaining = cents;
+        for (const invoice of invoices) {
+          if (remaining <= 0) break;
+          const applied = Math.min(remaining, Math.round(invoice.balance * 100));
+          insertAllocation.run(uuidv4(), paymentId, invoice.id, applied / 100);
+          allocations.push({ supplier_invoice_id: invoice.id, invoice_number: invoice.invoice_number, grn_number: invoice.grn_number, amount: applied / 100 });
+          remaining -= applied;
+        }
+      })();
+
+      return {
+        success: true,
+        data: {
+          id: paymentId,
+          payment_number: paymentNumber,
+          amount: cents / 100,
+          allocations,
+          balance: getSupplierBalance(db, supplierId)
+        }
+      };
+    } catch (error) {
+      console.error('Error recording supplier payment:', error);
+      return { success: false, error: error.message || 'Failed to record supplier payment' };
+    }
+  });
+
+  // Payments made to suppliers by payment date
+  handleIpc('get-supplier-payments', async (event, { supplierId, startDate, endDate } = {}) => {
+    try {
+      const conditions = [];
+      const params = [];
+      if (supplierId) {
+        conditions.push('sp.supplier_id = ?');
+        params.push(supplierId);
+      }
+      if (startDate) {
+        conditions.push('sp.payment_date >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('sp.payment_date <= ?');
+        params.push(endDate);
+      }
+
+      const payments = db.prepare(`
+        SELECT sp.*, su.name as supplier_name
+        FROM supplier_payments sp LEFT JOIN suppliers su ON su.id = sp.supplier_id
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY sp.payment_date ASC, sp.created_at ASC
+      `).all(...params);
+
+      return { success: true, data: payments };
+    } catch (error) {
+      console.error('Error fetching supplier payments:', error);
+      return { success: false, error: error.message || 'Failed to fetch supplier payments' };
+    }
+  });
+
+  // Supplier statement: every invoice and payment for the period with a running balance
+  // of what we owe, plus the invoices still open
+  handleIpc('get-supplier-statement', async (event, { supplierId, startDate, endDate } = {}) => {
+    try {
+      const supplier = supplierId ? db.prepare('SELECT * FROM suppliers WHERE id = ?').get(supplierId) : null;
+      if (!supplier) {
+        return { success: false, error: 'Supplier not found' };
+      }
+
+      // Invoices add to what we owe, payments take it off
+      const transactions = db.prepare(`
+        SELECT inv.invoice_date as date, inv.created_at, 0 as sort_order, 'invoice' as type,
+               COALESCE(inv.invoice_number, g.grn_number) as reference,
+               'Goods received' || COALESCE(' (' || g.grn_number || ')', '') as description,
+               inv.amount as invoiced, 0 as paid
+        FROM supplier_invoices inv LEFT JOIN goods_received_notes g ON g.id = inv.grn_id
+        WHERE inv.supplier_id = ?
+        UNION ALL
+        SELECT sp.payment_date, sp.created_at, 1, 'payment', sp.payment_number,
+               'Payment (' || sp.method || ')' || COALESCE(' ' || sp.reference, ''), 0, sp.amount
+        FROM supplier_payments sp WHERE sp.supplier_id = ?
+        ORDER BY date ASC, sort_order ASC, created_at ASC
+      `).all(supplierId, supplierId);
+
+      let balance = 0;
+      let openingBalance = 0;
+      const entries = [];
+      transactions.forEach(transaction => {
+        balance = Math.round((balance + transaction.invoiced - transaction.paid) * 100) / 100;
+        if (startDate && transaction.date < startDate) {
+          openingBalance = balance;
+        } else if (!endDate || transaction.date <= endDate) {
+          entries.push({ ...transaction, balance });
+        }
+      });
+
+      const today = new Date().toISOString().split('T')[0];
+      const openInvoices = getOpenSupplierInvoices(db, supplierId).map(invoice => ({
+        ...invoice,
+        days_overdue: Math.max(0, Math.floor((new Date(today) - new Date(invoice.due_date)) / 86400000))
+      }));
+
+      return {
+        success: true,
+        data: {
+          supplier: { ...supplier, balance: getSupplierBalance(db, supplierId) },
+          start_date: startDate || null,
+          end_date: endDate || null,
+          opening_balance: openingBalance,
+          closing_balance: entries.length > 0 ? entries[entries.length - 1].balance : openingBalance,
+          entries,
+          open_invoices: openInvoices
+        }
+      };
+    } catch (error) {
+      console.error('Error building supplier statement:', error);
+      return { success: false, error: error.message || 'Failed to build supplier statement' };
+    }
+  });
+
+  // Accounts payable by supplier as of a date, split by how far past due each invoice is.
+  // Only payments made by that date count against the invoices.
+  handleIpc('get-payables-aging', async (event, { asOfDate } = {}) => {
+    try {
+      const asOf = asOfDate || new Date().toISOString().split('T')[0];
+      const invoices = db.prepare(`
+        SELECT * FROM (
+          SELECT inv.id, inv.invoice_number, inv.invoice_date, inv.due_date, inv.amount, inv.supplier_id,
+                 COALESCE(su.name, inv.supplier_name) as supplier_name, su.phone, su.payment_terms, g.grn_number,
+                 ROUND(inv.amount - (
+                   SELECT COALESCE(SUM(a.amount), 0)
+                   FROM supplier_payment_allocations a JOIN supplier_payments sp ON sp.id = a.supplier_payment_id
+                   WHERE a.supplier_invoice_id = inv.id AND sp.payment_date <= ?
+                 ), 2) as balance
+          FROM supplier_invoices inv
+          LEFT JOIN suppliers su ON su.id = inv.supplier_id
+          LEFT JOIN goods_received_notes g ON g.id = inv.grn_id
+          WHERE inv.invoice_date <= ?
+        ) WHERE balance > 0
+        ORDER BY supplier_name ASC, due_date ASC
+      `).all(asOf, asOf);
+      const paid = db.prepare('SELECT COALESCE(SUM(amount), 0) as total FROM supplier_payments WHERE payment_date <= ?').get(asOf);
+
+      const round = (amount) => Math.round(amount * 100) / 100;
+      const bySupplier = new Map();
+      const totals = emptyAgingTotals();
+
+      invoices.forEach(invoice => {
+        const daysOverdue = Math.floor((new Date(asOf) - new Date(invoice.due_date)) / 86400000);
+        const bucket = getAgingBucket(daysOverdue);
+        const key = invoice.supplier_id || invoice.supplier_name || '';
+        if (!bySupplier.has(key)) {
+          bySupplier.set(key, {
+            supplier_id: invoice.supplier_id,
+            supplier_name: invoice.supplier_name || 'No supplier',
+            phone: invoice.phone || null,
+            payment_terms: invoice.payment_terms || null,
+            ...emptyAgingTotals(),
+            invoices: []
+          });
+        }
+        const row = bySupplier.get(key);
+        row[bucket] = round(row[bucket] + invoice.balance);
+        row.total = round(row.total + invoice.balance);
+        totals[bucket] = round(totals[bucket] + invoice.balance);
+        totals.total = round(totals.total + invoice.balance);
+        row.invoices.push({ ...invoice, days_overdue: Math.max(0, daysOverdue), bucket });
+      });
+
+      return {
+        success: true,
+        data: { as_of_date: asOf, buckets: AGING_BUCKETS, suppliers: [...bySupplier.values()], totals, total_paid: round(paid.total) }
+      };
+    } catch (error) {
+      console.error('Error building payables aging:', error);
+      return { success: false, error: error.message || 'Failed to build payables aging' };
+    }
+  });
+
+  // Customer / patient registry
+  const CUSTOMER_FIELDS = ['name', 'phone', 'date_of_birth', 'allergies', 'insurance_number', 'notes', 'credit_limit', 'customer_group_id'];
+
+  // Search customers by name, phone or insurance number (all active customers when no search)
+  handleIpc('get-customers', async (event, { search, limit = 50 } = {}) => {
+    try {
+      const params = [];
+      let where = 'c.is_active = 1';
+      if (search && search.trim()) {
+        const term = `%${search.trim()}%`;
+        const digits = search.replace(/\D/g, '');
+        where += ` AND (c.name LIKE ? OR c.insurance_number LIKE ?${digits ? " OR REPLACE(c.phone, ' ', '') LIKE ?" : ''})`;
+        params.push(term, term);
+        if (digits) params.push(`%${digits}%`);
+      }
+
+      const customers = db.prepare(`
+        SELECT c.*,
+               (SELECT COUNT(*) FROM sales s WHERE s.customer_id = c.id) as sale_count,
+               (SELECT MAX(s.sale_date) FROM sales s WHERE s.customer_id = c.id) as last_purchase_date,
+               (SELECT COALESCE(SUM(${SALE_BALANCE_SQL}), 0) FROM sales s WHERE s.customer_id = c.id) as balance,
+               (SELECT g.name FROM customer_groups g WHERE g.id = c.customer_group_id) as customer_group_name
+        FROM customers c
+        WHERE ${where}
+        ORDER BY c.name ASC
+        LIMIT ?
+      `).all(...params, limit);
+
+      return { success: true, data: customers };
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+      return { success: false, error: error.message || 'Failed to fetch customers' };
+    }
+  });
+
+  handleIpc('get-customer', async (event, { id } = {}) => {
+    try {
+      const customer = db.prepare(`
+        SELECT c.*, g.name as customer_group_name
+        FROM customers c LEFT JOIN customer_groups g ON g.id = c.customer_group_id
+        WHERE c.id = ?
+      `).get(id);
+      if (!customer) {
+        return { success: false, error: 'Customer not found' };
+      }
+      return { success: true, data: { ...customer, balance: getCustomerBalance(db, id) } };
+    } catch (error) {
+      console.error('Error fetching customer:', error);
+      return { success: false, error: error.message || 'Failed to fetch customer' };
+    }
+  });
+
+  handleIpc('create-customer', async (event, customerData = {}) => {
+    try {
+      const name = (customerData.name || '').trim();
+      if (!name) {
+        return { success: false, error: 'Customer name is required' };
+      }
+
+      const creditLimit = parseFloat(customerData.credit_limit) || 0;
+      if (creditLimit < 0) {
+        return { success: false, error: 'Credit limit cannot be negative' };
+      }
+
+      const phone = (customerData.phone || '').trim();
+      if (phone) {
+        const existing = db.prepare('SELECT name FROM customers WHERE phone = ? AND is_active = 1').get(phone);
+        if (existing) {
+          return { success: false, error: `Phone number already belongs to ${existing.name}` };
+        }
+      }
+
+      const customerId = uuidv4();
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT INTO customers (id, name, phone, date_of_birth, allergies, insurance_number, notes, credit_limit, customer_group_id,
+                               is_active, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+      `).run(
+        customerId,
+        name,
+        phone || null,
+        customerData.date_of_birth || null,
+        customerData.allergies || null,
+        customerData.insurance_number || null,
+        customerData.notes || null,
+        creditLimit,
+        customerData.customer_group_id || null,
+        now,
+        now
+      );
+
+      return { success: true, id: customerId };
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      return { success: false, error: error.message || 'Failed to create customer' };
+    }
+  });
+
+  handleIpc('update-customer', async (event, { id, ...updates } = {}) => {
+    try {
+      const fields = [];
+      const values = [];
+      CUSTOMER_FIELDS.forEach(key => {
+        if (updates[key] !== undefined) {
+          fields.push(`${key} = ?`);
+          values.push(typeof updates[key] === 'string' ? (updates[key].trim() || null) : updates[key]);
+        }
+      });
+
+      if (fields.length === 0) {
+        return { success: false, error: 'No fields to update' };
+      }
+      if (updates.name !== undefined && !String(updates.name).trim()) {
+        return { success: false, error: 'Customer name is required' };
+      }
+      if (updates.credit_limit !== undefined && !(parseFloat(updates.credit_limit) >= 0)) {
+        return { success: false, error: 'Credit limit cannot be negative' };
+      }
+      if (updates.phone && updates.phone.trim()) {
+        const existing = db.prepare('SELECT name FROM customers WHERE phone = ? AND id != ? AND is_active = 1').get(updates.phone.trim(), id);
+        if (existing) {
+          return { success: false, error: `Phone number already belongs to ${existing.name}` };
+        }
+      }
+
+      fields.push('updated_at = ?');
+      values.push(new Date().toISOString(), id);
+      // Past sales keep the name printed on them; lists needing the current name join to customers
+      db.prepare(`UPDATE customers SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating customer:', error);
+      return { success: false, error: error.message || 'Failed to update customer' };
+    }
+  });
+
+  // Delete customer handler (soft delete, their sales keep the link)
+  handleIpc('delete-customer', async (event, { id } = {}) => {
+    try {
+      db.prepare('UPDATE customers SET is_active = 0, updated_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting customer:', error);
+      return { success: false, error: error.message || 'Failed to delete customer' };
+    }
+  });
+
+  // A customer's purchase history, newest first, each sale with its items
+  handleIpc('get-customer-sales', async (event, { customerId } = {}) => {
+    try {
+      if (!customerId) {
+        return { success: false, error: 'Customer ID is required' };
+      }
+
+      const customerSales = db.prepare(`
+        SELECT s.*, (SELECT rx.rx_number FROM prescriptions rx WHERE rx.sale_id = s.id) as rx_number
+        FROM sales s WHERE s.customer_id = ? ORDER BY s.sale_date DESC, s.created_at DESC
+      `).all(customerId);
+      const getItems = db.prepare('SELECT * FROM sale_items WHERE sale_id = ?');
+
+      return {
+        success: true,
+        data: customerSales.map(sale => ({
+          ...sale,
+          total_amount: parseFloat(sale.total_amount || 0),
+          items: getItems.all(sale.id)
+        }))
+      };
+    } catch (error) {
+      console.error('Error fetching customer sales:', error);
+      return { success: false, error: error.message || 'Failed to fetch customer sales' };
+    }
+  });
+
+  // Receive money from a customer against their credit sales. With saleId the payment is
+  // for that invoice only; otherwise it settles the oldest invoices first.
+  handleIpc('record-customer-payment', async (event, { customerId, amount, method = 'cash', reference, notes, saleId } = {}) => {
+    try {
+      const customer = customerId ? db.prepare('SELECT id, name FROM customers WHERE id = ?').get(customerId) : null;
+      if (!customer) {
+        return { success: false, error: 'Customer not found' };
+      }
+      const cents = Math.round((parseFloat(amount) || 0) * 100);
+      if (cents <= 0) {
+        return { success: false, error: 'Payment amount must be greater than zero' };
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        return { success: false, error: `Unknown payment method: ${method}` };
+      }
+
+      const invoices = getOpenInvoices(db, customerId).filter(invoice => !saleId || invoice.id === saleId);
+      if (saleId && invoices.length === 0) {
+        return { success: false, error: 'Nothing is owed on this invoice' };
+      }
+      const owedCents = invoices.reduce((sum, invoice) => sum + Math.round(invoice.balance * 100), 0);
+      if (cents > owedCents) {
+        return { success: false, error: `Payment is more than the GH₵${(owedCents / 100).toFixed(2)} owed` };
+      }
+
+      const paymentId = uuidv4();
+      const receiptNumber = `RCT-${Date.now()}`;
+      const now = new Date().toISOString();
+      const allocations = [];
+
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO customer_payments (id, receipt_number, customer_id, amount, method, reference, notes, user_name, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(paymentId, receiptNumber, customerId, cents / 100, method, reference || null, notes || null, getCurrentUserName(db), now);
+
+        const shift = getOpenShift(db);
+        const insertPayment = db.prepare(`
+          INSERT INTO sale_payments (id, sale_id, method, amount, reference, customer_payment_id, shift_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        let remaining = cents;
+        for (const invoice of invoices) {
+          if (remaining <= 0) break;
+          const applied = Math.min(remaining, Math.round(invoice.balance * 100));
+          insertPayment.run(uuidv4(), invoice.id, method, applied / 100, reference || receiptNumber, paymentId, shift ? shift.id : null, now);
+          allocations.push({ sale_id: invoice.id, invoice_number: invoice.invoice_number, amount: applied / 100 });
+          remaining -= applied;
+        }
+      })();
+
+      return {
+        success: true,
+        data: {
+          id: paymentId,
+          receipt_number: receiptNumber,
+          amount: cents / 100,
+          allocations,
+          balance: getCustomerBalance(db, customerId)
+        }
+      };
+    } catch (error) {
+      console.error('Error recording customer payment:', error);
+      return { success: false, error: error.message || 'Failed to record payment' };
+    }
+  });
+
+  // Customer statement: every invoice, payment and credit for the period with a running
+  // balance, plus the invoices still open
+  handleIpc('get-customer-statement', async (event, { customerId, startDate, endDate } = {}) => {
+    try {
+      const customer = customerId ? db.prepare('SELECT * FROM customers WHERE id = ?').get(customerId) : null;
+      if (!customer) {
+        return { success: false, error: 'Customer not found' };
+      }
+
+      // Amounts are what each transaction adds to (debit) or takes off (credit) the balance
+      const transactions = db.prepare(`
+        SELECT s.created_at as date, 0 as sort_order, 'invoice' as type, s.invoice_number as reference,
+               'Invoice' as description, s.total_amount as debit, 0 as credit
+        FROM sales s WHERE s.customer_id = ?
+        UNION ALL
+        SELECT sp.created_at, 1, 'payment', s.invoice_number, 'Paid at sale (' || sp.method || ')', 0, sp.amount
+        FROM sale_payments sp JOIN sales s ON s.id = sp.sale_id
+        WHERE s.customer_id = ? AND sp.customer_payment_id IS NULL
+        UNION ALL
+        SELECT cp.created_at, 1, 'payment', cp.receipt_number, 'Payment received (' || cp.method || ')', 0, cp.amount
+        FROM customer_payments cp WHERE cp.customer_id = ?
+        UNION ALL
+        SELECT cn.created_at, 2, 'credit_note', cn.credit_note_number,
+               CASE cn.type WHEN 'void' THEN 'Sale voided' ELSE 'Goods returned' END || ' (' || COALESCE(cn.invoice_number, '') || ')',
+               0, cn.total_amount
+        FROM credit_notes cn JOIN sales s ON s.id = cn.sale_id WHERE s.customer_id = ?
+        UNION ALL
+        SELECT cn.created_at, 3, 'refund', cn.credit_note_number, 'Refund paid (' || COALESCE(cn.refund_method, 'cash') || ')',
+               cn.total_amount - cn.applied_to_balance, 0
+        FROM credit_notes cn JOIN sales s ON s.id = cn.sale_id
+        WHERE s.customer_id = ? AND cn.total_amount - cn.applied_to_balance > 0.005
+        ORDER BY date ASC, sort_order ASC
+      `).all(customerId, customerId, customerId, customerId, customerId);
+
+      const day = (date) => String(date || '').slice(0, 10);
+      let balance = 0;
+      let openingBalance = 0;
+      const entries = [];
+      transactions.forEach(transaction => {
+        balance = Math.round((balance + transaction.debit - transaction.credit) * 100) / 100;
+        if (startDate && day(transaction.date) < startDate) {
+          openingBalance = balance;
+        } else if (!endDate || day(transaction.date) <= endDate) {
+          entries.push({ ...transaction, balance });
+        }
+      });
+
+      const today = new Date();
+      const openInvoices = getOpenInvoices(db, customerId).map(invoice => ({
+        ...invoice,
+        days_outstanding: Math.max(0, Math.floor((today - new Date(invoice.sale_date)) / 86400000))
+      }));
+
+      return {
+        success: true,
+        data: {
+          customer: { ...customer, balance: getCustomerBalance(db, customerId) },
+          start_date: startDate || null,
+          end_date: endDate || null,
+          opening_balance: openingBalance,
+          closing_balance: entries.length > 0 ? entries[entries.length - 1].balance : openingBalance,
+          entries,
+          open_invoices: openInvoices
+        }
+      };
+    } catch (error) {
+      console.error('Error building customer statement:', error);
+      return { success: false, error: error.message || 'Failed to build customer statement' };
+    }
+  });
+
+  // Accounts receivable by customer, split by how far past due each invoice is. Customers
+  // have no credit terms, so a credit sale falls due on the day it is made.
+  handleIpc('get-receivables-aging', async (event, { asOfDate } = {}) => {
+    try {
+      const asOf = asOfDate || new Date().toISOString().split('T')[0];
+      const invoices = db.prepare(`
+        SELECT * FROM (
+          SELECT s.id, s.invoice_number, s.sale_date, s.customer_id,
+                 COALESCE(c.name, s.customer_name) as customer_name, c.phone, c.credit_limit,
+                 ${SALE_BALANCE_SQL} as balance
+          FROM sales s LEFT JOIN customers c ON c.id = s.customer_id
+          WHERE s.sale_date <= ?
+        ) WHERE balance > 0
+        ORDER BY customer_name ASC, sale_date ASC
+      `).all(asOf);
+
+      const round = (amount) => Math.round(amount * 100) / 100;
+      const byCustomer = new Map();
+      const totals = emptyAgingTotals();
+
+      invoices.forEach(invoice => {
+        const days = Math.max(0, Math.floor((new Date(asOf) - new Date(invoice.sale_date)) / 86400000));
+        const bucket = getAgingBucket(days);
+        const key = invoice.customer_id || invoice.customer_name || '';
+        if (!byCustomer.has(key)) {
+          byCustomer.set(key, {
+            customer_id: invoice.customer_id,
+            customer_name: invoice.customer_name || 'Walk-in customer',
+            phone: invoice.phone || null,
+            credit_limit: invoice.credit_limit || 0,
+            ...emptyAgingTotals(),
+            invoices: []
+          });
+        }
+        const row = byCustomer.get(key);
+        row[bucket] = round(row[bucket] + invoice.balance);
+        row.total = round(row.total + invoice.balance);
+        totals[bucket] = round(totals[bucket] + invoice.balance);
+        totals.total = round(totals.total + invoice.balance);
+        row.invoices.push({ ...invoice, days_outstanding: days, bucket });
+      });
+
+      return { success: true, data: { as_of_date: asOf, buckets: AGING_BUCKETS, customers: [...byCustomer.values()], totals } };
+    } catch (error) {
+      console.error('Error building receivables aging:', error);
+      return { success: false, error: error.message || 'Failed to build receivables aging' };
+    }
+  });
+
   // Product Related Handlers
-  ipcMain.handle('get-products', async () => {
+  handleIpc('get-products', async () => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     try {
       // Check if products table exists
@@ -291,7 +951,7 @@ function registerIpcHandlers() {
   });
   
   // Add new product
-  ipcMain.handle('add-product', async (event, productData) => {
+  handleIpc('add-product', async (event, productData) => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     const now = new Date().toISOString();
     
@@ -311,26 +971,49 @@ function registerIpcHandlers() {
       productData.quantity_on_shelf = productData.quantity_on_shelf || 0;
       productData.cost_price = productData.cost_price || 0;
       productData.selling_price = productData.selling_price || 0;
-      
+
+      // Lot number belongs to the opening batch and pack units to product_units, not the product row
+      const lotNumber = productData.lot_number || null;
+      delete productData.lot_number;
+      const units = productData.units;
+      delete productData.units;
+
       // Handle JSON fields
       if (productData.images && Array.isArray(productData.images)) {
         productData.images = JSON.stringify(productData.images);
       }
-      
+
       if (productData.variants && Array.isArray(productData.variants)) {
         productData.variants = JSON.stringify(productData.variants);
       }
-      
+
       // Prepare SQL and parameters
       const columns = Object.keys(productData).join(', ');
       const placeholders = Object.keys(productData).map(() => '?').join(', ');
       const values = Object.values(productData);
-      
+
       const sql = `INSERT INTO products (${columns}) VALUES (${placeholders})`;
-      
-      // Execute the query
-      const result = db.prepare(sql).run(...values);
-      
+
+      // Insert the product and its opening batch together
+      db.transaction(() => {
+        db.prepare(sql).run(...values);
+        if (Array.isArray(units)) {
+          saveProductUnits(db, productData.id, units);
+        }
+
+        if (productData.quantity_in_stock > 0) {
+          createProductBatch(db, productData.id, {
+            lot_number: lotNumber,
+            expiry_date: productData.expiry_date,
+            quantity: productData.quantity_in_stock,
+            cost_price: productData.cost_price,
+            supplier_id: productData.supplier_id,
+            supplier_name: productData.supplier_name
+          }, { reason: 'receipt', reference_id: productData.id, notes: 'Initial stock' });
+          syncProductStockFromBatches(db, productData.id);
+        }
+      })();
+
       return {
         success: true,
         id: productData.id,
@@ -349,7 +1032,7 @@ function registerIpcHandlers() {
   });
   
   // Import products (bulk)
-  ipcMain.handle('import-products', async (event, productsArray) => {
+  handleIpc('import-products', async (event, productsArray) => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     const now = new Date().toISOString();
     
@@ -442,6 +1125,17 @@ function registerIpcHandlers() {
             
             const sql = `INSERT INTO products (${columns}) VALUES (${placeholders})`;
             db.prepare(sql).run(...values);
+
+            if (mappedData.quantity_in_stock > 0) {
+              createProductBatch(db, mappedData.id, {
+                lot_number: productData.lot_number || productData.lotNumber || productData.batch_number || null,
+                expiry_date: mappedData.expiry_date,
+                quantity: mappedData.quantity_in_stock,
+                cost_price: mappedData.cost_price,
+                supplier_name: mappedData.supplier_name
+              }, { reason: 'receipt', reference_id: mappedData.id, notes: 'Product import' });
+              syncProductStockFromBatches(db, mappedData.id);
+            }
             insertedCount++;
             
           } catch (error) {
@@ -481,38 +1175,83 @@ function registerIpcHandlers() {
   });
   
   // Update product
-  ipcMain.handle('update-product', async (event, { id, updates }) => {
+  handleIpc('update-product', async (event, { id, updates }) => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     
     try {
       if (!id) {
         throw new Error('Product ID is required for update');
       }
+
+      if (!hasPermission(currentUser, 'products.price') && changesProductPrices(db, id, updates)) {
+        return { success: false, code: 'FORBIDDEN', error: 'Your role cannot change selling prices' };
+      }
       
       // Add updated_at timestamp
       updates.updated_at = new Date().toISOString();
-      
+
+      // Stock is held in batches: a changed quantity_in_stock becomes a batch adjustment
+      const lotNumber = updates.lot_number || null;
+      delete updates.lot_number;
+      const units = updates.units;
+      delete updates.units;
+      let stockDelta = 0;
+      if (updates.quantity_in_stock !== undefined) {
+        const current = db.prepare(`
+          SELECT COALESCE(SUM(quantity), 0) as total
+          FROM product_batches
+          WHERE product_id = ? AND status = 'active'
+        `).get(id);
+        stockDelta = parseInt(updates.quantity_in_stock || 0) - current.total;
+        delete updates.quantity_in_stock;
+      }
+
       // Handle JSON fields
       if (updates.images && Array.isArray(updates.images)) {
         updates.images = JSON.stringify(updates.images);
       }
-      
+
       if (updates.variants && Array.isArray(updates.variants)) {
         updates.variants = JSON.stringify(updates.variants);
       }
-      
+
       // Prepare SET clause
       const setClause = Object.keys(updates)
         .map(key => `${key} = ?`)
         .join(', ');
-      
+
       const values = [...Object.values(updates), id];
-      
+
       const sql = `UPDATE products SET ${setClause} WHERE id = ?`;
-      
-      // Execute the query
-      const result = db.prepare(sql).run(...values);
-      
+
+      // Execute the update and any batch adjustment together
+      const result = db.transaction(() => {
+        const updateResult = db.prepare(sql).run(...values);
+        if (updateResult.changes > 0 && Array.isArray(units)) {
+          saveProductUnits(db, id, units);
+        }
+        if (updateResult.changes > 0 && updates.controlled_drug) {
+          openControlledDrugRegister(db, id);
+        }
+        if (updateResult.changes > 0 && stockDelta !== 0) {
+          adjustProductBatches(db, id, stockDelta, {
+            lot_number: lotNumber,
+            expiry_date: lotNumber ? updates.expiry_date : null,
+            cost_price: updates.cost_price,
+            supplier_id: updates.supplier_id,
+            supplier_name: updates.supplier_name
+          }, {
+            reason: stockDelta > 0 && lotNumber ? 'receipt' : 'adjustment',
+            reference_id: id,
+            notes: 'Stock edited on product form'
+          });
+        }
+        if (updateResult.changes > 0) {
+          syncProductStockFromBatches(db, id);
+        }
+        return updateResult;
+      })();
+
       if (result.changes === 0) {
         throw new Error('Product not found or no changes made');
       }
@@ -534,7 +1273,7 @@ function registerIpcHandlers() {
   });
   
   // Delete product (soft delete)
-  ipcMain.handle('delete-product', async (event, id) => {
+  handleIpc('delete-product', async (event, id) => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     
     try {
@@ -567,7 +1306,7 @@ function registerIpcHandlers() {
   });
   
   // Get single product by ID
-  ipcMain.handle('get-product', async (event, id) => {
+  handleIpc('get-product', async (event, id) => {
     const db = new Database(path.join(app.getPath('userData'), 'wolo-inventory.db'));
     
     try {
@@ -580,6 +1319,7 @@ function registerIpcHandlers() {
       // Parse JSON fields
       if (product.images) product.images = JSON.parse(product.images);
       if (product.variants) product.variants = JSON.parse(product.variants);
+      product.units = getProductUnits(db, id);
       
       return { 
         success: true, 
@@ -597,9 +1337,543 @@ function registerIpcHandlers() {
     }
   });
 
+  // Product Batch (Lot) Handlers
+  handleIpc('get-product-batches', async (event, { productId, includeRetired = false } = {}) => {
+    try {
+      if (!productId) {
+        return { success: false, error: 'Product ID is required' };
+      }
+
+      const batches = db.prepare(`
+        SELECT * FROM product_batches
+        WHERE product_id = ? ${includeRetired ? '' : "AND status != 'retired'"}
+        ORDER BY expiry_date IS NULL, expiry_date ASC, received_date ASC
+      `).all(productId);
+
+      return { success: true, data: batches };
+    } catch (error) {
+      console.error('Error fetching product batches:', error);
+      return { success: false, error: error.message || 'Failed to fetch product batches' };
+    }
+  });
+
+  handleIpc('create-product-batch', async (event, batchData = {}) => {
+    try {
+      if (!batchData.product_id) {
+        return { success: false, error: 'Product ID is required' };
+      }
+      if (!(parseInt(batchData.quantity) > 0)) {
+        return { success: false, error: 'Batch quantity must be greater than zero' };
+      }
+
+      const product = db.prepare('SELECT id FROM products WHERE id = ? AND is_active = 1').get(batchData.product_id);
+      if (!product) {
+        return { success: false, error: 'Product not found' };
+      }
+
+      let batchId;
+      db.transaction(() => {
+        batchId = createProductBatch(db, batchData.product_id, batchData, {
+          reason: 'receipt',
+          reference_id: batchData.reference_id,
+          notes: batchData.notes
+        });
+        syncProductStockFromBatches(db, batchData.product_id);
+      })();
+
+      return { success: true, id: batchId };
+    } catch (error) {
+      console.error('Error creating product batch:', error);
+      return { success: false, error: error.message || 'Failed to create product batch' };
+    }
+  });
+
+  // Adjust a batch by a signed delta, or set its counted quantity outright
+  handleIpc('adjust-product-batch', async (event, { id, delta, quantity, notes, reason = 'adjustment', referenceId } = {}) => {
+    try {
+      const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(id);
+      if (!batch) {
+        return { success: false, error: 'Batch not found' };
+      }
+      if (batch.status !== 'active') {
+        return { success: false, error: `${batch.status === 'quarantined' ? 'Quarantined' : 'Retired'} batches cannot be adjusted` };
+      }
+
+      const newQuantity = quantity !== undefined && quantity !== null
+        ? parseInt(quantity)
+        : batch.quantity + parseInt(delta || 0);
+
+      if (isNaN(newQuantity) || newQuantity < 0) {
+        return { success: false, error: 'Batch quantity cannot be negative' };
+      }
+
+      db.transaction(() => {
+        db.prepare(`
+          UPDATE product_batches
+          SET quantity = ?, notes = COALESCE(?, notes), updated_at = ?
+          WHERE id = ?
+        `).run(newQuantity, notes || null, new Date().toISOString(), id);
+        recordStockMovement(db, {
+          product_id: batch.product_id,
+          batch_id: id,
+          delta: newQuantity - batch.quantity,
+          reason,
+          reference_id: referenceId,
+          notes
+        });
+        syncProductStockFromBatches(db, batch.product_id);
+      })();
+
+      return { success: true, quantity: newQuantity };
+    } catch (error) {
+      console.error('Error adjusting product batch:', error);
+      return { success: false, error: error.message || 'Failed to adjust product batch' };
+    }
+  });
+
+  // Retire a batch (expired, recalled, destroyed) - its stock no longer counts
+  handleIpc('retire-product-batch', async (event, { id, reason } = {}) => {
+    try {
+      const batch = db.prepare('SELECT * FROM product_batches WHERE id = ?').get(id);
+      if (!batch) {
+        return { success: false, error: 'Batch not found' };
+      }
+
+      db.transaction(() => {
+        db.prepare(`
+          UPDATE product_batches
+          SET status = 'retired', notes = COALESCE(?, notes), updated_at = ?
+          WHERE id = ?
+        `).run(reason || null, new Date().toISOString(), id);
+        if (batch.status !== 'retired') {
+          recordStockMovement(db, {
+            product_id: batch.product_id,
+            batch_id: id,
+            delta: -batch.quantity,
+            reason: 'write-off',
+            notes: reason || 'Batch retired'
+          });
+        }
+        syncProductStockFromBatches(db, batch.product_id);
+      })();
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error retiring product batch:', error);
+      return { success: false, error: error.message || 'Failed to retire product batch' };
+    }
+  });
+
+  // Stock movement ledger, newest first
+  handleIpc('get-stock-movements', async (event, { productId, batchId, reason, startDate, endDate, limit = 500 } = {}) => {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (productId) {
+        conditions.push('m.product_id = ?');
+        params.push(productId);
+      }
+      if (batchId) {
+        conditions.push('m.batch_id = ?');
+        params.push(batchId);
+      }
+      if (reason) {
+        conditions.push('m.reason = ?');
+        params.push(reason);
+      }
+      if (startDate) {
+        conditions.push('date(m.created_at) >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('date(m.created_at) <= ?');
+        params.push(endDate);
+      }
+
+      const movements = db.prepare(`
+        SELECT m.*, b.lot_number, b.expiry_date
+        FROM stock_movements m
+        LEFT JOIN product_batches b ON b.id = m.batch_id
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY m.created_at DESC
+        LIMIT ?
+      `).all(...params, limit);
+
+      return { success: true, data: movements };
+    } catch (error) {
+      console.error('Error fetching stock movements:', error);
+      return { success: false, error: error.message || 'Failed to fetch stock movements' };
+    }
+  });
+
+  // Sales that drew stock from a batch - who received a recalled lot
+  handleIpc('get-batch-sales', async (event, { batchId } = {}) => {
+    try {
+      if (!batchId) {
+        return { success: false, error: 'Batch ID is required' };
+      }
+
+      const rows = db.prepare(`
+        SELECT sib.sale_id, sib.quantity, sib.was_expired,
+               s.invoice_number, s.sale_date, s.customer_name,
+               si.product_name, si.unit_price
+        FROM sale_item_batches sib
+        JOIN sales s ON s.id = sib.sale_id
+        JOIN sale_items si ON si.id = sib.sale_item_id
+        WHERE sib.batch_id = ?
+        ORDER BY s.sale_date DESC, s.created_at DESC
+      `).all(batchId);
+
+      return { success: true, data: rows };
+    } catch (error) {
+      console.error('Error fetching batch sales:', error);
+      return { success: false, error: error.message || 'Failed to fetch batch sales' };
+    }
+  });
+
+  // Batches with stock that expire within the given number of days (already expired included)
+  handleIpc('get-expiring-items', async (event, { days = 30 } = {}) => {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() + days);
+
+      const items = db.prepare(`
+        SELECT b.id as batch_id, b.lot_number, b.expiry_date, b.quantity,
+               p.id, p.name, p.category, p.barcode
+        FROM product_batches b
+        JOIN products p ON p.id = b.product_id
+        WHERE b.status = 'active' AND b.quantity > 0 AND p.is_active = 1
+          AND b.expiry_date IS NOT NULL AND b.expiry_date <= ?
+        ORDER BY b.expiry_date ASC
+      `).all(cutoff.toISOString().split('T')[0]);
+
+      return { success: true, data: items };
+    } catch (error) {
+      console.error('Error fetching expiring items:', error);
+      return { success: false, data: [], error: error.message };
+    }
+  });
+
+  // Purchase Order Handlers
+  // Status flow: draft -> sent -> partially_received -> received; draft/sent can be cancelled, and a
+  // partly received order can be cancelled to drop the backorder (what was received stays)
+  handleIpc('get-purchase-orders', async (event, { status, supplierId } = {}) => {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        conditions.push('po.status = ?');
+        params.push(status);
+      }
+      if (supplierId) {
+        conditions.push('po.supplier_id = ?');
+        params.push(supplierId);
+      }
+
+      const orders = db.prepare(`
+        SELECT po.*,
+               (SELECT COUNT(*) FROM purchase_order_items i WHERE i.purchase_order_id = po.id) as item_count,
+               (SELECT COALESCE(SUM(quantity_ordered), 0) FROM purchase_order_items i WHERE i.purchase_order_id = po.id) as quantity_ordered,
+               (SELECT COALESCE(SUM(quantity_received), 0) FROM purchase_order_items i WHERE i.purchase_order_id = po.id) as quantity_received
+        FROM purchase_orders po
+        ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY po.order_date DESC, po.created_at DESC
+      `).all(...params);
+
+      return { success: true, data: orders };
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      return { success: false, error: error.message || 'Failed to fetch purchase orders' };
+    }
+  });
+
+  handleIpc('get-purchase-order', async (event, { id } = {}) => {
+    try {
+      const order = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(id);
+      if (!order) {
+        return { success: false, error: 'Purchase order not found' };
+      }
+
+      order.items = db.prepare(`
+        SELECT i.*, p.cost_price as current_cost_price
+        FROM purchase_order_items i
+        LEFT JOIN products p ON p.id = i.product_id
+        WHERE i.purchase_order_id = ?
+        ORDER BY i.product_name ASC
+      `).all(id);
+
+      order.receipts = db.prepare(`
+        SELECT g.*, inv.id as supplier_invoice_id, inv.invoice_number as supplier_invoice_number, inv.due_date,
+               ${SUPPLIER_INVOICE_BALANCE_SQL} as amount_owed
+        FROM goods_received_notes g LEFT JOIN supplier_invoices inv ON inv.grn_id = g.id
+        WHERE g.purchase_order_id = ? ORDER BY g.created_at ASC
+      `).all(id);
+
+      const getReceiptItems = db.prepare(`
+        SELECT gi.*, i.product_name
+        FROM goods_received_items gi
+        JOIN purchase_order_items i ON i.id = gi.purchase_order_item_id
+        WHERE gi.grn_id = ?
+      `);
+      order.receipts.forEach(receipt => {
+        receipt.items = getReceiptItems.all(receipt.id);
+      });
+
+      return { success: true, data: order };
+    } catch (error) {
+      console.error('Error fetching purchase order:', error);
+      return { success: false, error: error.message || 'Failed to fetch purchase order' };
+    }
+  });
+
+  // Create a purchase order, or replace the header and lines of a draft one
+  handleIpc('save-purchase-order', async (event, orderData = {}) => {
+    try {
+      const items = Array.isArray(orderData.items) ? orderData.items : [];
+      if (items.length === 0) {
+        return { success: false, error: 'A purchase order needs at least one item' };
+      }
+      if (items.some(item => !item.product_id || !(parseInt(item.quantity_ordered) > 0))) {
+        return { success: false, error: 'Every item needs a product and a quantity greater than zero' };
+      }
+
+      const supplier = orderData.supplier_id
+        ? db.prepare('SELECT id, name FROM suppliers WHERE id = ?').get(orderData.supplier_id)
+        : null;
+      if (orderData.supplier_id && !supplier) {
+        return { success: false, error: 'Supplier not found' };
+      }
+
+      const now = new Date().toISOString();
+      let orderId = orderData.id;
+
+      db.transaction(() => {
+        if (orderId) {
+          const existing = db.prepare('SELECT status FROM purchase_orders WHERE id = ?').get(orderId);
+          if (!existing) {
+            throw new Error('Purchase order not found');
+          }
+          if (existing.status !== 'draft') {
+            throw new Error('Only draft purchase orders can be edited');
+          }
+          db.prepare('DELETE FROM purchase_order_items WHERE purchase_order_id = ?').run(orderId);
+        } else {
+          orderId = uuidv4();
+          db.prepare(`
+            INSERT INTO purchase_orders (id, po_number, status, order_date, created_at, updated_at)
+            VALUES (?, ?, 'draft', ?, ?, ?)
+          `).run(orderId, `PO-${Date.now()}`, orderData.order_date || now.split('T')[0], now, now);
+        }
+
+        const insertItem = db.prepare(`
+          INSERT INTO purchase_order_items (id, purchase_order_id, product_id, product_name, quantity_ordered, unit_cost, line_total)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        let totalAmount = 0;
+        items.forEach(item => {
+          const product = db.prepare('SELECT name FROM products WHERE id = ?').get(item.product_id);
+          if (!product) {
+            throw new Error(`Product with ID ${item.product_id} not found`);
+          }
+          const quantity = parseInt(item.quantity_ordered);
+          const unitCost = parseFloat(item.unit_cost || 0);
+          totalAmount += quantity * unitCost;
+          insertItem.run(uuidv4(), orderId, item.product_id, product.name, quantity, unitCost, quantity * unitCost);
+        });
+
+        db.prepare(`
+          UPDATE purchase_orders
+          SET supplier_id = ?, supplier_name = ?, order_date = COALESCE(?, order_date),
+              expected_date = ?, notes = ?, total_amount = ?, updated_at = ?
+          WHERE id = ?
+        `).run(
+          supplier ? supplier.id : null,
+          supplier ? supplier.name : (orderData.supplier_name || null),
+          orderData.order_date || null,
+          orderData.expected_date || null,
+          orderData.notes || null,
+          totalAmount,
+          now,
+          orderId
+        );
+      })();
+
+      return { success: true, id: orderId };
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      return { success: false, error: error.message || 'Failed to save purchase order' };
+    }
+  });
+
+  handleIpc('set-purchase-order-status', async (event, { id, status } = {}) => {
+    try {
+      const order = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(id);
+      if (!order) {
+        return { success: false, error: 'Purchase order not found' };
+      }
+
+      // Received states are only reached through receive-purchase-order
+      const allowed = {
+        draft: ['sent', 'cancelled'],
+        sent: ['draft', 'cancelled'],
+        partially_received: ['cancelled']
+      };
+      if (!(allowed[order.status] || []).includes(status)) {
+        return { success: false, error: `Cannot change a ${order.status.replace('_', ' ')} purchase order to ${status}` };
+      }
+
+      const now = new Date().toISOString();
+      db.prepare(`
+        UPDATE purchase_orders
+        SET status = ?,
+            sent_at = CASE WHEN ? = 'sent' THEN ? ELSE sent_at END,
+            closed_at = CASE WHEN ? = 'cancelled' THEN ? ELSE closed_at END,
+            updated_at = ?
+        WHERE id = ?
+      `).run(status, status, now, status, now, now, id);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating purchase order status:', error);
+      return { success: false, error: error.message || 'Failed to update purchase order status' };
+    }
+  });
+
+  // Goods received note: adds stock as new batches at the received cost and
+  // refreshes the product's cost fields from the receipt
+  handleIpc('receive-purchase-order', async (event, { purchaseOrderId, items, receivedDate, notes, supplierInvoiceNumber } = {}) => {
+    try {
+      const order = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+      if (!order) {
+        return { success: false, error: 'Purchase order not found' };
+      }
+      if (!['sent', 'partially_received'].includes(order.status)) {
+        return { success: false, error: 'Only sent or partially received purchase orders can be received' };
+      }
+
+      const lines = (Array.isArray(items) ? items : []).filter(item => parseInt(item.quantity) > 0);
+      if (lines.length === 0) {
+        return { success: false, error: 'Enter a received quantity for at least one item' };
+      }
+
+      const now = new Date().toISOString();
+      const grnId = uuidv4();
+      const grnNumber = `GRN-${Date.now()}`;
+      const dateReceived = receivedDate || now.split('T')[0];
+      let supplierInvoiceId = null;
+
+      db.transaction(() => {
+        db.prepare(`
+          INSERT INTO goods_received_notes (id, grn_number, purchase_order_id, supplier_id, supplier_name, received_date, notes, user_name, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(grnId, grnNumber, order.id, order.supplier_id, order.supplier_name, dateReceived, notes || null, getCurrentUserName(db), now);
+
+        let totalCost = 0;
+        lines.forEach(line => {
+          const orderItem = db.prepare('SELECT * FROM purchase_order_items WHERE id = ? AND purchase_order_id = ?')
+            .get(line.purchase_order_item_id, order.id);
+          if (!orderItem) {
+            throw new Error('Purchase order item not found');
+          }
+
+          const quantity = parseInt(line.quantity);
+          const outstanding = orderItem.quantity_ordered - orderItem.quantity_received;
+          if (quantity > outstanding) {
+            throw new Error(`Cannot receive ${quantity} of ${orderItem.product_name}: only ${outstanding} outstanding`);
+          }
+
+          const unitCost = line.unit_cost !== undefined && line.unit_cost !== null && line.unit_cost !== ''
+            ? Number(line.unit_cost)
+            : orderItem.unit_cost;
+          if (!Number.isFinite(unitCost) || unitCost < 0) {
+            throw new Error(`Unit cost for ${orderItem.product_name} must be a number of zero or more`);
+          }
+          totalCost += quantity * unitCost;
+
+          const batchId = createProductBatch(db, orderItem.product_id, {
+            lot_number: line.lot_number,
+            expiry_date: line.expiry_date,
+            quantity,
+            cost_price: unitCost,
+            supplier_id: order.supplier_id,
+            supplier_name: order.supplier_name,
+            received_date: dateReceived
+          }, {
+            reason: 'receipt',
+            reference_id: grnId,
+            notes: `${grnNumber} for ${order.po_number}`,
+            register: { reference_number: grnNumber, supplier_name: order.supplier_name }
+          });
+
+          db.prepare(`
+            INSERT INTO goods_received_items (id, grn_id, purchase_order_item_id, product_id, batch_id, lot_number, expiry_date, quantity, unit_cost, line_total)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `).run(uuidv4(), grnId, orderItem.id, orderItem.product_id, batchId, line.lot_number || null, line.expiry_date || null, quantity, unitCost, quantity * unitCost);
+
+          db.prepare('UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?')
+            .run(quantity, orderItem.id);
+
+          // The latest receipt sets the product's purchase cost
+          db.prepare(`
+            UPDATE products
+            SET cost_price = ?, total_bulk_cost = ?, quantity_purchased = ?,
+                supplier_id = COALESCE(supplier_id, ?), supplier_name = COALESCE(supplier_name, ?),
+                updated_at = ?
+            WHERE id = ?
+          `).run(unitCost, quantity * unitCost, quantity, order.supplier_id, order.supplier_name, now, orderItem.product_id);
+
+          syncProductStockFromBatches(db, orderItem.product_id);
+        });
+
+        db.prepare('UPDATE goods_received_notes SET total_cost = ? WHERE id = ?').run(totalCost, grnId);
+
+        // The goods are owed for from the receipt, due after the supplier's payment terms
+        if (totalCost > 0) {
+          const supplier = order.supplier_id ? db.prepare('SELECT payment_terms FROM suppliers WHERE id = ?').get(order.supplier_id) : null;
+          supplierInvoiceId = uuidv4();
+          db.prepare(`
+            INSERT INTO supplier_invoices (id, invoice_number, supplier_id, supplier_name, grn_id, purchase_order_id,
+                                           invoice_date, due_date, amount, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `).run(
+            supplierInvoiceId,
+            (supplierInvoiceNumber || '').trim() || null,
+            order.supplier_id,
+            order.supplier_name,
+            grnId,
+            order.id,
+            dateReceived,
+            addDays(dateReceived, getPaymentTermsDays(supplier && supplier.payment_terms)),
+            Math.round(totalCost * 100) / 100,
+            now,
+            now
+          );
+        }
+
+        const remaining = db.prepare(`
+          SELECT COALESCE(SUM(quantity_ordered - quantity_received), 0) as outstanding
+          FROM purchase_order_items WHERE purchase_order_id = ?
+        `).get(order.id);
+        const status = remaining.outstanding > 0 ? 'partially_received' : 'received';
+        db.prepare(`
+          UPDATE purchase_orders
+          SET status = ?, closed_at = CASE WHEN ? = 'received' THEN ? ELSE closed_at END, updated_at = ?
+          WHERE id = ?
+        `).run(status, status, now, now, order.id);
+      })();
+
+      return { success: true, id: grnId, grn_number: grnNumber, supplier_invoice_id: supplierInvoiceId };
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      return { success: false, error: error.message || 'Failed to receive purchase order' };
+    }
+  });
+
   // Settings Handlers (get-setting and set-setting handlers are defined later in registerIpcHandlers)
   // Sales Handlers (get-sales-by-date-range handler is defined later in registerIpcHandlers)
-  ipcMain.handle('get-low-stock-items', async (event, { threshold = 10 } = {}) => {
+  handleIpc('get-low-stock-items', async (event, { threshold = 10 } = {}) => {
     try {
       const items = db.prepare('SELECT * FROM products WHERE quantity_in_stock <= ? AND is_active = 1 ORDER BY quantity_in_stock ASC').all(threshold);
       return items;
@@ -609,7 +1883,7 @@ function registerIpcHandlers() {
     }
   });
 
-  ipcMain.handle('get-categories', async () => {
+  handleIpc('get-categories', async () => {
     try {
       if (!db) {
         return { success: false, data: [], error: 'Database not initialized' };
@@ -625,7 +1899,7 @@ function registerIpcHandlers() {
   });
 
   // Create category handler (categories are stored in products, so this is a helper)
-  ipcMain.handle('create-category', async (event, categoryData) => {
+  handleIpc('create-category', async (event, categoryData) => {
     try {
       // Categories are stored in products table, so we just return success
       // The category will be created when a product uses it
@@ -637,7 +1911,7 @@ function registerIpcHandlers() {
   });
 
   // Update category handler (updates all products with old category name)
-  ipcMain.handle('update-category', async (event, { id, name }) => {
+  handleIpc('update-category', async (event, { id, name }) => {
     try {
       // Find old category name from products
       const oldCategory = db.prepare('SELECT DISTINCT category FROM products WHERE category IS NOT NULL LIMIT 1').get();
@@ -652,7 +1926,7 @@ function registerIpcHandlers() {
   });
 
   // Delete category handler (removes category from all products)
-  ipcMain.handle('delete-category', async (event, { id }) => {
+  handleIpc('delete-category', async (event, { id }) => {
     try {
       // Find category name and remove it from products
       const category = db.prepare('SELECT DISTINCT category FROM products WHERE category IS NOT NULL LIMIT 1').get();
@@ -667,7 +1941,7 @@ function registerIpcHandlers() {
   });
 
   // Reset all data handler - clears all tables
-  ipcMain.handle('reset-all-data', async (event) => {
+  handleIpc('reset-all-data', async (event) => {
     try {
       console.log('Resetting all data...');
       
@@ -677,75 +1951,194 @@ function registerIpcHandlers() {
       try {
         // Delete all data from all tables (in order to respect foreign keys)
         // Use try-catch for each delete in case table doesn't exist
+        // The stock movement ledger and controlled-drug register are append-only: write off remaining stock instead of deleting history
         try {
-          db.prepare('DELETE FROM sale_items').run();
+          const remainingBatches = db.prepare("SELECT id, product_id, quantity FROM product_batches WHERE status != 'retired' AND quantity > 0").all();
+          remainingBatches.forEach(batch => {
+            recordStockMovement(db, {
+              product_id: batch.product_id,
+              batch_id: batch.id,
+              delta: -batch.quantity,
+              reason: 'write-off',
+              notes: 'All data reset'
+            });
+          });
         } catch (e) {
-          console.warn('sale_items table may not exist:', e.message);
+          console.warn('Could not record stock write-off before reset:', e.message);
         }
-        
+
         try {
-          db.prepare('DELETE FROM sales').run();
+          db.prepare('DELETE FROM supplier_payment_allocations').run();
+          db.prepare('DELETE FROM supplier_payments').run();
+          db.prepare('DELETE FROM supplier_invoices').run();
         } catch (e) {
-          console.warn('sales table may not exist:', e.message);
+          console.warn('supplier payables tables may not exist:', e.message);
         }
-        
+
         try {
-          db.prepare('DELETE FROM products').run();
+          db.prepare('DELETE FROM held_sale_items').run();
+          db.prepare('DELETE FROM held_sales').run();
+          db.prepare('DELETE FROM shifts').run();
         } catch (e) {
-          console.warn('products table may not exist:', e.message);
+          console.warn('held sales and shifts tables may not exist:', e.message);
         }
-        
+
         try {
-          db.prepare('DELETE FROM suppliers').run();
+          db.prepare('DELETE FROM goods_received_items').run();
+          db.prepare('DELETE FROM goods_received_notes').run();
+          db.prepare('DELETE FROM purchase_order_items').run();
+          db.prepare('DELETE FROM purchase_orders').run();
         } catch (e) {
-          console.warn('suppliers table may not exist:', e.message);
+          console.warn('purchase order tables may not exist:', e.message);
         }
-        
-        // Delete all settings including user_name and setup_complete
-        // This will cause the installation wizard to show again on next launch
+
         try {
-          db.prepare('DELETE FROM settings').run();
+          db.prepare('DELETE FROM prescription_items').run();
+          db.prepare('DELETE FROM prescriptions').run();
         } catch (e) {
-          console.warn('settings table may not exist:', e.message);
+          console.warn('prescription tables may not exist:', e.message);
         }
-        
-        // Reset auto-increment sequences (SQLite uses sqlite_sequence table)
-        // Check if sqlite_sequence table exists first
+
         try {
-          const sequenceCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sqlite_sequence'").get();
-          if (sequenceCheck) {
-            db.prepare('DELETE FROM sqlite_sequence WHERE name IN ("products", "sales", "sale_items", "suppliers")').run();
-          }
+          db.prepare('DELETE FROM credit_note_items').run();
+          db.prepare('DELETE FROM credit_notes').run();
         } catch (e) {
-          // sqlite_sequence table doesn't exist or error - this is fine, just log it
-          console.log('sqlite_sequence table does not exist or error accessing it:', e.message);
+          console.warn('credit note tables may not exist:', e.message);
         }
-        
-        // Commit the transaction
-        db.exec('COMMIT');
-        
-        console.log('All data reset successfully');
-        return { success: true, message: 'All data has been reset successfully' };
-      } catch (error) {
-        // Rollback on error
+
         try {
-          db.exec('ROLLBACK');
-        } catch (rollbackError) {
-          console.error('Error during rollback:', rollbackError);
+          db.prepare('DELETE FROM sale_item_batches').run();
+        } catch (e) {
+          console.warn('sale_item_batches table may not exist:', e.message);
         }
-        throw error;
-      }
-    } catch (error) {
-      console.error('Error resetting all data:', error);
-      return { success: false, error: error.message || 'Failed to reset all data' };
-    }
-  });
 
-  ipcMain.handle('check-duplicate-product', async (event, { id, name, barcode }) => {
-    try {
-      if (name) {
-        const nameCheck = db.prepare(`
-          SELECT id, name, 'name' as field 
+        try {
+          db.prepare('DELETE FROM sale_item_taxes').run();
+        } catch (e) {
+          console.warn('sale_item_taxes table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM sale_payments').run();
+        } catch (e) {
+          console.warn('sale_payments table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM customer_payments').run();
+        } catch (e) {
+          console.warn('customer_payments table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM sale_items').run();
+        } catch (e) {
+          console.warn('sale_items table may not exist:', e.message);
+        }
+        
+        try {
+          db.prepare('DELETE FROM sales').run();
+        } catch (e) {
+          console.warn('sales table may not exist:', e.message);
+        }
+        
+        try {
+          db.prepare('DELETE FROM product_batches').run();
+        } catch (e) {
+          console.warn('product_batches table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM product_units').run();
+        } catch (e) {
+          console.warn('product_units table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM expenses').run();
+        } catch (e) {
+          console.warn('expenses table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM promotions').run();
+        } catch (e) {
+          console.warn('promotions table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM customers').run();
+        } catch (e) {
+          console.warn('customers table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM products').run();
+        } catch (e) {
+          console.warn('products table may not exist:', e.message);
+        }
+        
+        try {
+          db.prepare('DELETE FROM suppliers').run();
+        } catch (e) {
+          console.warn('suppliers table may not exist:', e.message);
+        }
+        
+        // Delete all settings including user_name and setup_complete
+        // This will cause the installation wizard to show again on next launch.
+        // The licence, trial start and latest date seen stay, so a reset neither drops the
+        // licence nor lets a rolled-back clock revive a lapsed one. The audit log is kept, and so is its head.
+        // Run-once migrations stay marked as done.
+        try {
+          db.prepare("DELETE FROM settings WHERE key NOT LIKE 'licence\\_%' ESCAPE '\\' AND key NOT LIKE 'migration\\_%' ESCAPE '\\' AND key != ?")
+            .run(AUDIT_HEAD_SETTING);
+        } catch (e) {
+          console.warn('settings table may not exist:', e.message);
+        }
+
+        try {
+          db.prepare('DELETE FROM secrets').run();
+        } catch (e) {
+          console.warn('secrets table may not exist:', e.message);
+        }
+        
+        // Reset auto-increment sequences (SQLite uses sqlite_sequence table)
+        // Check if sqlite_sequence table exists first
+        try {
+          const sequenceCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sqlite_sequence'").get();
+          if (sequenceCheck) {
+            db.prepare('DELETE FROM sqlite_sequence WHERE name IN ("products", "sales", "sale_items", "suppliers")').run();
+          }
+        } catch (e) {
+          // sqlite_sequence table doesn't exist or error - this is fine, just log it
+          console.log('sqlite_sequence table does not exist or error accessing it:', e.message);
+        }
+        
+        // Commit the transaction
+        db.exec('COMMIT');
+        
+        console.log('All data reset successfully');
+        return { success: true, message: 'All data has been reset successfully' };
+      } catch (error) {
+        // Rollback on error
+        try {
+          db.exec('ROLLBACK');
+        } catch (rollbackError) {
+          console.error('Error during rollback:', rollbackError);
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error resetting all data:', error);
+      return { success: false, error: error.message || 'Failed to reset all data' };
+    }
+  });
+
+  handleIpc('check-duplicate-product', async (event, { id, name, barcode }) => {
+    try {
+      if (name) {
+        const nameCheck = db.prepare(`
+          SELECT id, name, 'name' as field 
           FROM products 
           WHERE LOWER(name) = LOWER(?) AND id != ?
           LIMIT 1
@@ -770,7 +2163,7 @@ function registerIpcHandlers() {
 
   // Export sales to Excel - using the correct channel name that matches the renderer
   console.log('Registering export-sales-excel IPC handler');
-  ipcMain.handle('export-sales-excel', async (event, { startDate, endDate, category }) => {
+  handleIpc('export-sales-excel', async (event, { startDate, endDate, category }) => {
     console.log('Export sales to Excel called with:', { startDate, endDate, category });
     
     // Verify database is connected
@@ -968,25 +2361,9 @@ function registerIpcHandlers() {
         totalRow.getCell('I').numFmt = '#,##0.00';
       }
 
-      // Auto-fit columns
-      worksheet.columns.forEach(column => {
-        let maxLength = 0;
-        column.eachCell({ includeEmpty: true }, cell => {
-          const columnLength = cell.value ? cell.value.toString().length : 0;
-          if (columnLength > maxLength) {
-            maxLength = columnLength;
-          }
-        });
-        column.width = Math.min(Math.max(maxLength + 2, 10), 50);
-      });
-      
-      // Generate a temporary file path for the Excel file
-      const tempDir = app.getPath('temp');
-      const exportPath = path.join(tempDir, `sales_export_${Date.now()}.xlsx`);
-      
       try {
-        // Save the workbook to a file
-        await workbook.xlsx.writeFile(exportPath);
+        // Auto-fit the columns and save the workbook to a temporary file
+        const exportPath = await saveWorkbookToTemp(workbook, 'sales_export');
         console.log(`Export completed successfully. File saved to: ${exportPath}`);
         return { success: true, filePath: exportPath };
       } catch (error) {
@@ -1037,7 +2414,8 @@ function registerIpcHandlers() {
   });
 
   // Handle recording a new sale
-  ipcMain.handle('record-sale', async (event, { items, paymentMethod, customerInfo, notes }) => {
+  // payments: [{ method, amount, reference }] as tendered; without it the sale is paid in full by paymentMethod
+  handleIpc('record-sale', async (event, { items, paymentMethod, payments, customerInfo, notes, allowExpired = false, prescription = null, onCredit = false, heldSaleId = null, cartDiscount = null, discountApproval = null }) => {
     if (!db) {
       throw new Error('Database not initialized');
     }
@@ -1052,75 +2430,273 @@ function registerIpcHandlers() {
     const invoiceNumber = `INV-${Date.now()}`;
     
     try {
+      // Every sale belongs to the open shift, so it is counted on a Z-report and at cash-up
+      const shift = getOpenShift(db);
+      if (!shift) {
+        return { success: false, code: 'NO_OPEN_SHIFT', error: 'Open a shift before recording sales' };
+      }
+
+      // Link the sale to a registered customer when one was picked
+      const customer = customerInfo?.id
+        ? db.prepare('SELECT id, name, credit_limit FROM customers WHERE id = ?').get(customerInfo.id)
+        : null;
+      if (customerInfo?.id && !customer) {
+        throw new Error('Customer not found');
+      }
+
+      // Prescription-only products cannot be sold without the prescription details
+      const productIds = items.map(item => item.productId);
+      const rxProducts = db.prepare(`
+        SELECT id, name FROM products
+        WHERE requires_prescription = 1 AND id IN (${productIds.map(() => '?').join(', ')})
+      `).all(...productIds);
+      if (rxProducts.length > 0 && !prescription) {
+        return {
+          success: false,
+          code: 'PRESCRIPTION_REQUIRED',
+          error: `A prescription is required for: ${rxProducts.map(p => p.name).join(', ')}`
+        };
+      }
+      const missingFields = prescription ? getMissingPrescriptionFields(prescription) : [];
+      if (missingFields.length > 0) {
+        return { success: false, code: 'PRESCRIPTION_REQUIRED', error: `Prescription is missing: ${missingFields.join(', ')}` };
+      }
+      // Promotions, group prices and the cashier's discounts; big till discounts need a supervisor
+      const pricing = priceSaleItems(db, items, { customerId: customer ? customer.id : null, cartDiscount });
+      const approval = checkDiscountApproval(db, pricing, discountApproval);
+      if (approval.error) {
+        return { success: false, code: 'DISCOUNT_APPROVAL_REQUIRED', error: approval.error, pricing };
+      }
+      const totalAmount = pricing.total;
+      const settlement = settleSalePayments(
+        Array.isArray(payments) && (payments.length > 0 || onCredit)
+          ? payments
+          : [{ method: paymentMethod || 'cash', amount: totalAmount }],
+        totalAmount,
+        { allowCredit: onCredit }
+      );
+      const methods = [...new Set(settlement.payments.map(payment => payment.method))];
+
+      // Whatever is not paid now goes on a registered customer's account, within their credit limit
+      if (settlement.creditAmount > 0) {
+        if (!customer) {
+          return { success: false, code: 'CREDIT_REFUSED', error: 'Credit sales need a registered customer' };
+        }
+        const balance = getCustomerBalance(db, customer.id);
+        const available = Math.round(((customer.credit_limit || 0) - balance) * 100) / 100;
+        if (settlement.creditAmount > available) {
+          return {
+            success: false,
+            code: 'CREDIT_REFUSED',
+            error: `${customer.name} has GH₵${Math.max(available, 0).toFixed(2)} of credit available (limit GH₵${(customer.credit_limit || 0).toFixed(2)}, owing GH₵${balance.toFixed(2)})`
+          };
+        }
+      }
+
+      const prescriptionId = prescription ? uuidv4() : null;
+      const prescriptionImage = prescription?.image_path
+        ? storePrescriptionImage(prescription.image_path, prescriptionId)
+        : null;
+      const soldItems = [];
+
       // Start a transaction
       const transaction = db.transaction(() => {
-        const totalAmount = items.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
-        
         // Insert the sale record
         db.prepare(`
-          INSERT INTO sales (id, invoice_number, sale_date, total_amount, payment_method, payment_status, customer_name, notes, created_at)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT INTO sales (id, invoice_number, sale_date, total_amount, discount_total, discount_approved_by, tax_mode, tax_total,
+                             payment_method, payment_status, amount_tendered, change_due, customer_id, customer_name, notes, shift_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
           saleId,
           invoiceNumber,
           saleDate,
           totalAmount,
-          paymentMethod || 'cash',
+          pricing.discount_total,
+          approval.approvedBy,
+          pricing.tax_mode,
+          pricing.tax_total,
+          settlement.creditAmount > 0 ? 'credit' : (methods.length > 1 ? 'split' : (methods[0] || paymentMethod || 'cash')),
           'completed',
-          customerInfo?.name || null,
+          settlement.amountTendered,
+          settlement.changeDue,
+          customer ? customer.id : null,
+          customer ? customer.name : (customerInfo?.name || null),
           notes || null,
+          shift.id,
           now
         );
 
+        const insertPayment = db.prepare(`
+          INSERT INTO sale_payments (id, sale_id, method, amount, reference, shift_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        settlement.payments.forEach(payment => {
+          insertPayment.run(uuidv4(), saleId, payment.method, payment.amount, payment.reference, shift.id, now);
+        });
+
+        const insertTax = db.prepare(`
+          INSERT INTO sale_item_taxes (id, sale_id, sale_item_id, levy_id, levy_name, rate, compound, taxable_amount, tax_amount)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
         // Insert sale items and update inventory
-        items.forEach(item => {
+        items.forEach((item, index) => {
+          const price = pricing.lines[index];
           // Check if product exists and has enough stock
-          const product = db.prepare('SELECT id, name, quantity_in_stock FROM products WHERE id = ?').get(item.productId);
+          const product = db.prepare('SELECT * FROM products WHERE id = ?').get(item.productId);
           if (!product) {
             throw new Error(`Product with ID ${item.productId} not found`);
           }
-          if (product.quantity_in_stock < item.quantity) {
-            throw new Error(`Insufficient stock for product ${item.productId}. Available: ${product.quantity_in_stock}, Requested: ${item.quantity}`);
+          
+          // Products saved before batch tracking may not have a batch yet
+          const hasBatches = db.prepare('SELECT 1 FROM product_batches WHERE product_id = ? LIMIT 1').get(item.productId);
+          if (!hasBatches && product.quantity_in_stock > 0) {
+            createOpeningBatch(db, product);
+          }
+
+          // A pack unit (strip, box) is priced per pack but stock is drawn in base units
+          let unit = null;
+          if (item.unitId) {
+            unit = db.prepare('SELECT * FROM product_units WHERE id = ? AND product_id = ?').get(item.unitId, item.productId);
+            if (!unit) {
+              throw new Error(`Unit of measure not found for ${product.name}`);
+            }
+          }
+          const conversionFactor = unit ? unit.conversion_factor : 1;
+          const baseQuantity = item.quantity * conversionFactor;
+
+          if (product.quantity_in_stock < baseQuantity) {
+            throw new Error(`Insufficient stock for product ${item.productId}. Available: ${product.quantity_in_stock}, Requested: ${baseQuantity}`);
           }
           
-          // Calculate subtotal
-          const subtotal = item.quantity * item.unitPrice;
+          // What the customer pays for the line, after discounts and with any tax added
+          const subtotal = price.line_total;
           const itemId = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
           
-          // Insert sale item - use subtotal instead of total_price, and include all required fields
+          // Insert sale item - quantity, list_price and unit_price (what was paid) are per base unit;
+          // the unit sold is kept alongside. discount_amount is the whole line's discount: the
+          // promotion or group price named in discount_description plus the cashier's manual_discount.
+          // taxable_amount and tax_amount split the line for the tax return; levies go to sale_item_taxes.
           db.prepare(`
-            INSERT INTO sale_items (id, sale_id, product_id, product_name, quantity, unit_price, subtotal)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO sale_items (id, sale_id, product_id, product_name, quantity, unit_price, subtotal, unit_name, unit_quantity, conversion_factor,
+                                    list_price, discount_amount, manual_discount, discount_description, promotion_id,
+                                    tax_exempt, taxable_amount, tax_amount)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           `).run(
             itemId,
             saleId,
             item.productId,
             product.name || 'Unknown Product',
+            baseQuantity,
+            subtotal / baseQuantity,
+            subtotal,
+            unit ? unit.unit_name : (product.unit_of_measure || null),
             item.quantity,
-            item.unitPrice,
-            subtotal
+            conversionFactor,
+            price.gross_amount / baseQuantity,
+            price.discount_amount,
+            price.manual_discount + price.cart_discount,
+            price.offer_description,
+            price.promotion_id,
+            price.tax_exempt ? 1 : 0,
+            price.taxable_amount,
+            price.tax_amount
           );
+          price.taxes.forEach(tax => {
+            insertTax.run(uuidv4(), saleId, itemId, tax.levy_id, tax.name, tax.rate, tax.compound, price.taxable_amount, tax.amount);
+          });
+
+          // Take stock from lots first-expiry-first-out and record which lots were used
+          const allocations = allocateBatchesFEFO(db, item.productId, baseQuantity, {
+            allowExpired,
+            productName: product.name,
+            movement: {
+              reason: 'sale',
+              reference_id: saleId,
+              register: {
+                reference_number: invoiceNumber,
+                patient_name: customer ? customer.name : (customerInfo?.name || null),
+                prescriber_name: prescription ? prescription.prescriber_name : null
+              }
+            }
+          });
+          const insertAllocation = db.prepare(`
+            INSERT INTO sale_item_batches (id, sale_item_id, sale_id, product_id, batch_id, lot_number, expiry_date, quantity, unit_cost, was_expired)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `);
+          // Freeze the cost of what was sold: each lot's cost, or the product cost for lots without one
+          const productCost = getProductUnitCost(product);
+          let totalCost = 0;
+          allocations.forEach(allocation => {
+            const unitCost = allocation.unit_cost > 0 ? allocation.unit_cost : productCost;
+            totalCost += unitCost * allocation.quantity;
+            insertAllocation.run(
+              uuidv4(),
+              itemId,
+              saleId,
+              item.productId,
+              allocation.batch_id,
+              allocation.lot_number,
+              allocation.expiry_date,
+              allocation.quantity,
+              unitCost,
+              allocation.was_expired ? 1 : 0
+            );
+          });
+          db.prepare('UPDATE sale_items SET unit_cost = ? WHERE id = ?').run(totalCost / baseQuantity, itemId);
 
           // Update product inventory
-          db.prepare(`
-            UPDATE products 
-            SET quantity_in_stock = quantity_in_stock - ?,
-                updated_at = ?
-            WHERE id = ?
-          `).run(item.quantity, now, item.productId);
+          syncProductStockFromBatches(db, item.productId);
+          soldItems.push({ itemId, product, quantity: baseQuantity });
         });
+
+        if (prescription) {
+          recordPrescription(db, {
+            ...prescription,
+            id: prescriptionId,
+            image_path: prescriptionImage,
+            sale_id: saleId,
+            customer_id: customer ? customer.id : null
+          }, rxProducts.length > 0
+            ? soldItems.filter(sold => rxProducts.some(p => p.id === sold.product.id))
+            : soldItems);
+        }
+
+        // A resumed cart is done with once it has been sold
+        if (heldSaleId) {
+          db.prepare('DELETE FROM held_sale_items WHERE held_sale_id = ?').run(heldSaleId);
+          db.prepare('DELETE FROM held_sales WHERE id = ?').run(heldSaleId);
+        }
       });
 
       // Execute the transaction
-      transaction();
-      return { success: true, saleId, invoice_number: invoiceNumber };
+      try {
+        transaction();
+      } catch (error) {
+        if (prescriptionImage) fs.rmSync(prescriptionImage, { force: true });
+        throw error;
+      }
+      return {
+        success: true,
+        saleId,
+        invoice_number: invoiceNumber,
+        payments: settlement.payments,
+        amount_tendered: settlement.amountTendered,
+        change_due: settlement.changeDue,
+        credit_amount: settlement.creditAmount,
+        pricing
+      };
     } catch (error) {
+      // Expired stock and short or invalid payments are recoverable refusals the cashier can correct
+      if (error.code === 'EXPIRED_STOCK' || error.code === 'PAYMENT_INVALID' || error.code === 'DISCOUNT_INVALID') {
+        return { success: false, code: error.code, error: error.message };
+      }
       console.error('Error recording sale:', error);
       throw error;
     }
   });
 
-  ipcMain.handle('get-sales-history', async (event, { startDate, endDate, productId } = {}) => {
+  handleIpc('get-sales-history', async (event, { startDate, endDate, productId } = {}) => {
     try {
       let query = 'SELECT DISTINCT s.* FROM sales s';
       const params = [];
@@ -1173,7 +2749,7 @@ function registerIpcHandlers() {
   });
 
   // Add get-sales-by-date-range handler (alias of get-sales-history with product details)
-  ipcMain.handle('get-sales-by-date-range', async (event, { startDate, endDate, productId } = {}) => {
+  handleIpc('get-sales-by-date-range', async (event, { startDate, endDate, productId } = {}) => {
     try {
       let query = `
         SELECT DISTINCT s.*
@@ -1237,316 +2813,4773 @@ function registerIpcHandlers() {
     }
   });
 
-  // Get sale items for a specific sale
-  ipcMain.handle('get-sale-items', async (event, { saleId }) => {
+  // Payments recorded against a sale
+  handleIpc('get-sale-payments', async (event, { saleId } = {}) => {
     try {
-      if (!saleId) {
-        throw new Error('Sale ID is required');
-      }
-      
-      const items = db.prepare(`
-        SELECT si.*, 
-               p.total_bulk_cost, 
-               p.quantity_purchased,
-               p.cost_price,
-               p.selling_price
-        FROM sale_items si
-        LEFT JOIN products p ON si.product_id = p.id
-        WHERE si.sale_id = ?
-      `).all(saleId);
-      
-      return items.map(item => ({
-        ...item,
-        quantity: parseFloat(item.quantity || 0),
-        unit_price: parseFloat(item.unit_price || 0),
-        subtotal: parseFloat(item.subtotal || 0)
-      }));
+      const payments = db.prepare('SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY rowid').all(saleId);
+      return { success: true, data: payments };
     } catch (error) {
-      console.error('Error fetching sale items:', error);
-      throw error;
+      console.error('Error fetching sale payments:', error);
+      return { success: false, error: error.message || 'Failed to fetch sale payments' };
     }
   });
 
-  // Settings Handlers
-  ipcMain.handle('get-setting', async (event, { key }) => {
+  // Money received and refunded in a period, broken down by payment method. Payments count
+  // on the day they were taken, so later payments on credit sales land in their own period.
+  handleIpc('get-payments-by-method', async (event, { startDate, endDate } = {}) => {
     try {
-      console.log('get-setting called with key:', key);
-      
-      // Handle missing or invalid key
-      if (!key || typeof key !== 'string' || !key.trim()) {
-        console.warn('Invalid or missing setting key');
-        return {
-          success: false,
-          error: 'Valid setting key is required'
-        };
-      }
+      const received = db.prepare(`
+        SELECT sp.method, COALESCE(SUM(sp.amount), 0) as amount, COUNT(DISTINCT sp.sale_id) as sale_count
+        FROM sale_payments sp
+        WHERE (? IS NULL OR date(sp.created_at) >= date(?)) AND (? IS NULL OR date(sp.created_at) <= date(?))
+        GROUP BY sp.method
+      `).all(startDate || null, startDate || null, endDate || null, endDate || null);
+      const refunded = db.prepare(`
+        SELECT refund_method as method, COALESCE(SUM(total_amount - applied_to_balance), 0) as amount
+        FROM credit_notes
+        WHERE (? IS NULL OR date(created_at) >= date(?)) AND (? IS NULL OR date(created_at) <= date(?))
+        GROUP BY refund_method
+      `).all(startDate || null, startDate || null, endDate || null, endDate || null);
 
-      // Use a parameterized query
-      const stmt = db.prepare('SELECT value FROM settings WHERE key = @key');
-      const setting = stmt.get({ key: key.trim() });
-      
-      console.log('Setting query result:', setting);
-      
-      // Always return success with a value property, even if null
-      // This helps the renderer differentiate between errors and missing settings
-      return {
-        success: true,
-        exists: Boolean(setting),
-        value: setting ? setting.value : undefined
+      const byMethod = {};
+      const entryFor = (method) => {
+        byMethod[method] = byMethod[method] || { method, received: 0, refunded: 0, net: 0, sale_count: 0 };
+        return byMethod[method];
       };
+      received.forEach(row => {
+        const entry = entryFor(row.method);
+        entry.received = row.amount;
+        entry.sale_count = row.sale_count;
+      });
+      refunded.forEach(row => {
+        entryFor(row.method || 'cash').refunded += row.amount;
+      });
+      Object.values(byMethod).forEach(entry => {
+        entry.net = entry.received - entry.refunded;
+      });
+
+      return { success: true, data: Object.values(byMethod) };
     } catch (error) {
-      console.error('Error in get-setting:', error);
-      return {
-        success: false,
-        error: error.message || 'Unknown error occurred'
-      };
+      console.error('Error fetching payments by method:', error);
+      return { success: false, error: error.message || 'Failed to fetch payments by method' };
     }
   });
 
-  // Add set-setting handler
-  ipcMain.handle('set-setting', async (event, { key, value }) => {
+  // Cost of goods sold in a period: what customers kept (sold less returned) at the unit cost
+  // recorded on each sale line. Uses the same sale dates as get-sales-by-date-range.
+  handleIpc('get-cost-of-goods-sold', async (event, { startDate, endDate } = {}) => {
     try {
-      // Handle missing or invalid key/value
-      if (!key || typeof key !== 'string' || !key.trim()) {
-        return {
-          success: false,
-          error: 'Valid setting key is required'
-        };
-      }
-
-      // Convert value to string for storage
-      const stringValue = String(value);
+      const row = db.prepare(`
+        SELECT COALESCE(SUM((si.quantity - COALESCE(si.quantity_returned, 0)) * COALESCE(si.unit_cost, 0)), 0) as total
+        FROM sale_items si
+        JOIN sales s ON s.id = si.sale_id
+        WHERE (? IS NULL OR s.sale_date >= ?) AND (? IS NULL OR s.sale_date <= ?)
+      `).get(startDate || null, startDate || null, endDate || null, endDate || null);
+      return { success: true, data: { total: row.total } };
+    } catch (error) {
+      console.error('Error calculating cost of goods sold:', error);
+      return { success: false, error: error.message || 'Failed to calculate cost of goods sold' };
+    }
+  });
 
-      // Use UPSERT to either insert or update the setting
-      const stmt = db.prepare(`
-        INSERT INTO settings (key, value) 
-        VALUES (@key, @value)
-        ON CONFLICT(key) DO UPDATE SET value = @value
-      `);
-      
-      stmt.run({ key: key.trim(), value: stringValue });
+  // Cashier shifts: one shift is open at the till at a time, from the opening float
+  // to the cash count at close
+  handleIpc('get-current-shift', async () => {
+    try {
+      const shift = getOpenShift(db);
+      return { success: true, data: shift ? buildShiftReport(db, shift) : null };
+    } catch (error) {
+      console.error('Error fetching current shift:', error);
+      return { success: false, error: error.message || 'Failed to fetch current shift' };
+    }
+  });
 
-      // For developer mode changes, emit an event to update UI
-      if (key === 'developer_mode') {
-        mainWindow.webContents.send('developer-mode-changed', value === 'true');
+  handleIpc('open-shift', async (event, { openingFloat, cashierName, notes } = {}) => {
+    try {
+      const openShift = getOpenShift(db);
+      if (openShift) {
+        return { success: false, error: `Shift Z-${String(openShift.shift_number).padStart(4, '0')} is still open; close it first` };
+      }
+      const float = Math.round((parseFloat(openingFloat) || 0) * 100) / 100;
+      if (float < 0) {
+        return { success: false, error: 'Opening float cannot be negative' };
       }
 
-      return {
-        success: true,
-        value: stringValue
-      };
+      const shiftId = uuidv4();
+      const { next } = db.prepare('SELECT COALESCE(MAX(shift_number), 0) + 1 as next FROM shifts').get();
+      db.prepare(`
+        INSERT INTO shifts (id, shift_number, cashier_name, status, opened_at, opening_float, notes)
+        VALUES (?, ?, ?, 'open', ?, ?, ?)
+      `).run(shiftId, next, (cashierName || '').trim() || getCurrentUserName(db), new Date().toISOString(), float, notes || null);
+
+      return { success: true, data: buildShiftReport(db, db.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId)) };
     } catch (error) {
-      console.error('Error in set-setting:', error);
-      return {
-        success: false,
-        error: error.message || 'Unknown error occurred'
-      };
+      console.error('Error opening shift:', error);
+      return { success: false, error: error.message || 'Failed to open shift' };
     }
   });
 
-  // File Dialog Handler
-  ipcMain.handle('show-open-dialog', async (event, options) => {
+  // Close the open shift with the cash counted in the drawer; returns the Z-report
+  handleIpc('close-shift', async (event, { shiftId, countedCash, notes } = {}) => {
     try {
-      const result = await dialog.showOpenDialog(options);
-      return result;
+      const shift = db.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId);
+      if (!shift) {
+        return { success: false, error: 'Shift not found' };
+      }
+      if (shift.status !== 'open') {
+        return { success: false, error: 'This shift is already closed' };
+      }
+      if (countedCash === undefined || countedCash === null || countedCash === '' || !(parseFloat(countedCash) >= 0)) {
+        return { success: false, error: 'Enter the cash counted in the drawer' };
+      }
+
+      const counted = Math.round(parseFloat(countedCash) * 100) / 100;
+      const { expected_cash: expectedCash } = buildShiftReport(db, shift);
+      db.prepare(`
+        UPDATE shifts
+        SET status = 'closed', closed_at = ?, expected_cash = ?, counted_cash = ?, over_short = ?,
+            notes = COALESCE(?, notes)
+        WHERE id = ?
+      `).run(new Date().toISOString(), expectedCash, counted, Math.round((counted - expectedCash) * 100) / 100, notes || null, shiftId);
+
+      return { success: true, data: buildShiftReport(db, db.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId)) };
     } catch (error) {
-      console.error('Error showing open dialog:', error);
-      throw error;
+      console.error('Error closing shift:', error);
+      return { success: false, error: error.message || 'Failed to close shift' };
     }
   });
 
-  // Auto-complete Handler
-  ipcMain.handle('get-all-product-names', async () => {
+  // Z-report for any shift, e.g. to reprint it
+  handleIpc('get-shift-report', async (event, { shiftId } = {}) => {
     try {
-      const products = db.prepare(`
-        SELECT id, name, barcode 
-        FROM products 
-        GROUP BY name, barcode 
-        ORDER BY name ASC
+      const shift = db.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId);
+      if (!shift) {
+        return { success: false, error: 'Shift not found' };
+      }
+      return { success: true, data: buildShiftReport(db, shift) };
+    } catch (error) {
+      console.error('Error building shift report:', error);
+      return { success: false, error: error.message || 'Failed to build shift report' };
+    }
+  });
+
+  handleIpc('get-shifts', async (event, { limit = 30 } = {}) => {
+    try {
+      const shifts = db.prepare('SELECT * FROM shifts ORDER BY opened_at DESC LIMIT ?').all(limit);
+      return { success: true, data: shifts };
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      return { success: false, error: error.message || 'Failed to fetch shifts' };
+    }
+  });
+
+  // Parked carts, newest first
+  handleIpc('get-held-sales', async () => {
+    try {
+      const heldSales = db.prepare(`
+        SELECT h.*, (SELECT COUNT(*) FROM held_sale_items hi WHERE hi.held_sale_id = h.id) as item_count
+        FROM held_sales h
+        ORDER BY h.updated_at DESC
       `).all();
-      return products;
+      return { success: true, data: heldSales };
     } catch (error) {
-      console.error('Error fetching product names:', error);
-      throw error;
+      console.error('Error fetching held sales:', error);
+      return { success: false, error: error.message || 'Failed to fetch held sales' };
     }
   });
 
-  // Backup and Restore Handlers
-  ipcMain.handle('create-backup', async () => {
+  handleIpc('get-held-sale', async (event, { id } = {}) => {
     try {
-      const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
-      const backupDir = path.join(app.getPath('userData'), 'backups');
-      
-      // Create backups directory if it doesn't exist
-      if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
+      const heldSale = db.prepare('SELECT * FROM held_sales WHERE id = ?').get(id);
+      if (!heldSale) {
+        return { success: false, error: 'Held sale not found' };
       }
-      
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupPath = path.join(backupDir, `wolo-inventory-backup-${timestamp}.db`);
-      
-      // Copy database file
-      fs.copyFileSync(dbPath, backupPath);
-      
-      return { success: true, path: backupPath };
+      heldSale.prescription = heldSale.prescription ? JSON.parse(heldSale.prescription) : null;
+      heldSale.items = db.prepare('SELECT * FROM held_sale_items WHERE held_sale_id = ? ORDER BY rowid').all(id);
+      return { success: true, data: heldSale };
     } catch (error) {
-      console.error('Error creating backup:', error);
-      return { success: false, error: error.message || 'Failed to create backup' };
+      console.error('Error fetching held sale:', error);
+      return { success: false, error: error.message || 'Failed to fetch held sale' };
     }
   });
 
-  ipcMain.handle('restore-backup', async (event, { backupPath }) => {
+  // Park a cart under a label. Passing the id of a resumed cart replaces it.
+  // Stock is left untouched; it is checked and deducted when the cart is sold.
+  handleIpc('hold-sale', async (event, { id, label, items, customerInfo, notes, prescription, cartDiscount } = {}) => {
     try {
-      if (!backupPath || !fs.existsSync(backupPath)) {
-        return { success: false, error: 'Backup file not found' };
+      if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, error: 'There are no items to hold' };
       }
-      
-      const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
-      
-      // Close current database connection
-      if (db) {
-        db.close();
-        db = null;
+      if (items.some(item => !item.productId || !(parseInt(item.quantity) > 0))) {
+        return { success: false, error: 'Every held item needs a product and quantity' };
+      }
+
+      const now = new Date().toISOString();
+      const heldSaleId = id || uuidv4();
+      const existing = id ? db.prepare('SELECT * FROM held_sales WHERE id = ?').get(id) : null;
+      if (id && !existing) {
+        return { success: false, error: 'Held sale not found' };
+      }
+      const count = db.prepare('SELECT COUNT(*) as count FROM held_sales').get().count;
+      const heldLabel = (label || '').trim() || existing?.label || `Cart ${count + 1}`;
+      const totalAmount = priceSaleItems(db, items, { customerId: customerInfo?.id || null, cartDiscount }).total;
+
+      db.transaction(() => {
+        if (existing) {
+          db.prepare('DELETE FROM held_sale_items WHERE held_sale_id = ?').run(heldSaleId);
+          db.prepare(`
+            UPDATE held_sales
+            SET label = ?, customer_id = ?, customer_name = ?, customer_phone = ?, notes = ?, prescription = ?,
+                cart_discount_type = ?, cart_discount_value = ?, total_amount = ?, updated_at = ?
+            WHERE id = ?
+          `).run(heldLabel, customerInfo?.id || null, customerInfo?.name || null, customerInfo?.phone || null, notes || null,
+            prescription ? JSON.stringify(prescription) : null, cartDiscount?.type || null, cartDiscount ? parseFloat(cartDiscount.value) || null : null,
+            totalAmount, now, heldSaleId);
+        } else {
+          db.prepare(`
+            INSERT INTO held_sales (id, label, customer_id, customer_name, customer_phone, notes, prescription,
+                                    cart_discount_type, cart_discount_value, total_amount, user_name, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `).run(heldSaleId, heldLabel, customerInfo?.id || null, customerInfo?.name || null, customerInfo?.phone || null, notes || null,
+            prescription ? JSON.stringify(prescription) : null, cartDiscount?.type || null, cartDiscount ? parseFloat(cartDiscount.value) || null : null,
+            totalAmount, getCurrentUserName(db), now, now);
+        }
+
+        const insertItem = db.prepare(`
+          INSERT INTO held_sale_items (id, held_sale_id, product_id, product_name, unit_id, conversion_factor, quantity, unit_price, subtotal,
+                                       discount_type, discount_value)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        items.forEach(item => {
+          const quantity = parseInt(item.quantity);
+          const unitPrice = parseFloat(item.unitPrice) || 0;
+          insertItem.run(uuidv4(), heldSaleId, item.productId, item.name || 'Unknown Product', item.unitId || null,
+            parseInt(item.conversionFactor) || 1, quantity, unitPrice, quantity * unitPrice,
+            item.discount?.type || null, item.discount ? parseFloat(item.discount.value) || null : null);
+        });
+      })();
+
+      return { success: true, id: heldSaleId, label: heldLabel };
+    } catch (error) {
+      console.error('Error holding sale:', error);
+      return { success: false, error: error.message || 'Failed to hold sale' };
+    }
+  });
+
+  handleIpc('delete-held-sale', async (event, { id } = {}) => {
+    try {
+      db.transaction(() => {
+        db.prepare('DELETE FROM held_sale_items WHERE held_sale_id = ?').run(id);
+        db.prepare('DELETE FROM held_sales WHERE id = ?').run(id);
+      })();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting held sale:', error);
+      return { success: false, error: error.message || 'Failed to delete held sale' };
+    }
+  });
+
+  // Get sale items for a specific sale
+  handleIpc('get-sale-items', async (event, { saleId }) => {
+    try {
+      if (!saleId) {
+        throw new Error('Sale ID is required');
       }
       
-      // Copy backup to database location
-      fs.copyFileSync(backupPath, dbPath);
+      const items = db.prepare(`
+        SELECT si.*, 
+               p.total_bulk_cost, 
+               p.quantity_purchased,
+               p.cost_price,
+               p.selling_price
+        FROM sale_items si
+        LEFT JOIN products p ON si.product_id = p.id
+        WHERE si.sale_id = ?
+      `).all(saleId);
       
-      // Reopen database connection
-      db = new Database(dbPath);
-      db.pragma('foreign_keys = ON');
-      db.pragma('journal_mode = WAL');
+      const getItemBatches = db.prepare(`
+        SELECT batch_id, lot_number, expiry_date, quantity, unit_cost, was_expired
+        FROM sale_item_batches
+        WHERE sale_item_id = ?
+      `);
       
-      return { success: true };
+      return items.map(item => ({
+        ...item,
+        quantity: parseFloat(item.quantity || 0),
+        unit_price: parseFloat(item.unit_price || 0),
+        subtotal: parseFloat(item.subtotal || 0),
+        batches: getItemBatches.all(item.id)
+      }));
     } catch (error) {
-      console.error('Error restoring backup:', error);
-      return { success: false, error: error.message || 'Failed to restore backup' };
+      console.error('Error fetching sale items:', error);
+      throw error;
     }
   });
 
-  // System Handlers
-  ipcMain.handle('get-app-version', async () => {
+  // Take back some or all of a sale's items and issue a credit note.
+  // items: [{ saleItemId, quantity, disposition: 'stock' | 'quarantine' }]
+  handleIpc('return-sale-items', async (event, { saleId, items, reason, refundMethod } = {}) => {
     try {
-      const packageJson = require('./package.json');
-      return { success: true, version: packageJson.version || '1.0.0' };
+      const sale = db.prepare('SELECT * FROM sales WHERE id = ?').get(saleId);
+      if (!sale) {
+        return { success: false, error: 'Sale not found' };
+      }
+      if (sale.payment_status === 'voided') {
+        return { success: false, error: 'This sale has been voided' };
+      }
+      if (!Array.isArray(items) || items.length === 0) {
+        return { success: false, error: 'Select at least one item to return' };
+      }
+
+      let creditNote;
+      db.transaction(() => {
+        const lines = items.map(item => {
+          const saleItem = db.prepare('SELECT * FROM sale_items WHERE id = ? AND sale_id = ?').get(item.saleItemId, saleId);
+          if (!saleItem) {
+            throw new Error('Sale item not found on this invoice');
+          }
+          return {
+            saleItem,
+            quantity: parseInt(item.quantity),
+            disposition: item.disposition === 'quarantine' ? 'quarantine' : 'stock'
+          };
+        });
+        creditNote = createCreditNote(db, sale, lines, { type: 'return', reason, refundMethod });
+      })();
+
+      return { success: true, data: creditNote };
     } catch (error) {
-      console.error('Error getting app version:', error);
-      return { success: false, version: '1.0.0', error: error.message };
+      console.error('Error returning sale items:', error);
+      return { success: false, error: error.message || 'Failed to return sale items' };
     }
   });
 
-  ipcMain.handle('check-for-updates', async () => {
+  // Void an invoice: every item not already returned goes back and is refunded
+  handleIpc('void-sale', async (event, { saleId, reason, refundMethod, disposition = 'stock' } = {}) => {
     try {
-      // Placeholder for update checking - can be implemented with auto-updater
-      return { success: true, updateAvailable: false, message: 'No updates available' };
+      const sale = db.prepare('SELECT * FROM sales WHERE id = ?').get(saleId);
+      if (!sale) {
+        return { success: false, error: 'Sale not found' };
+      }
+      if (sale.payment_status === 'voided') {
+        return { success: false, error: 'This sale has already been voided' };
+      }
+      if (!reason || !reason.trim()) {
+        return { success: false, error: 'A reason is required to void a sale' };
+      }
+
+      const saleItems = db.prepare('SELECT * FROM sale_items WHERE sale_id = ? AND quantity > quantity_returned').all(saleId);
+      if (saleItems.length === 0) {
+        return { success: false, error: 'All items on this sale have already been returned' };
+      }
+
+      let creditNote;
+      db.transaction(() => {
+        const lines = saleItems.map(saleItem => ({
+          saleItem,
+          quantity: saleItem.quantity - saleItem.quantity_returned,
+          disposition: disposition === 'quarantine' ? 'quarantine' : 'stock'
+        }));
+        creditNote = createCreditNote(db, sale, lines, { type: 'void', reason, refundMethod });
+      })();
+
+      return { success: true, data: creditNote };
     } catch (error) {
-      console.error('Error checking for updates:', error);
-      return { success: false, error: error.message || 'Failed to check for updates' };
+      console.error('Error voiding sale:', error);
+      return { success: false, error: error.message || 'Failed to void sale' };
     }
   });
 
-  ipcMain.handle('install-update', async () => {
+  // Credit notes, newest first, each with its items
+  handleIpc('get-credit-notes', async (event, { saleId, startDate, endDate } = {}) => {
     try {
-      // Placeholder for update installation
-      return { success: false, error: 'Auto-update not implemented yet' };
+      const conditions = [];
+      const params = [];
+      if (saleId) {
+        conditions.push('sale_id = ?');
+        params.push(saleId);
+      }
+      if (startDate) {
+        conditions.push('DATE(created_at) >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('DATE(created_at) <= ?');
+        params.push(endDate);
+      }
+
+      const creditNotes = db.prepare(`
+        SELECT * FROM credit_notes
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY created_at DESC
+      `).all(...params);
+
+      const getItems = db.prepare('SELECT * FROM credit_note_items WHERE credit_note_id = ?');
+      return {
+        success: true,
+        data: creditNotes.map(note => ({ ...note, items: getItems.all(note.id) }))
+      };
     } catch (error) {
-      console.error('Error installing update:', error);
-      return { success: false, error: error.message || 'Failed to install update' };
+      console.error('Error fetching credit notes:', error);
+      return { success: false, error: error.message || 'Failed to fetch credit notes' };
     }
   });
-  
-  console.log('IPC handler registration completed successfully');
-}
 
-// Renderer-only UI helpers for reports (moved to renderer.js). main.js should
-// not contain DOM/window references.
+  // Prescriptions (dispensing records), newest first
+  handleIpc('get-prescriptions', async (event, { customerId, saleId, startDate, endDate, search } = {}) => {
+    try {
+      const conditions = [];
+      const params = [];
+      if (customerId) {
+        conditions.push('rx.customer_id = ?');
+        params.push(customerId);
+      }
+      if (saleId) {
+        conditions.push('rx.sale_id = ?');
+        params.push(saleId);
+      }
+      if (startDate) {
+        conditions.push('rx.prescription_date >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('rx.prescription_date <= ?');
+        params.push(endDate);
+      }
+      if (search && search.trim()) {
+        conditions.push('(rx.rx_number LIKE ? OR rx.prescriber_name LIKE ? OR rx.facility LIKE ? OR c.name LIKE ?)');
+        const term = `%${search.trim()}%`;
+        params.push(term, term, term, term);
+      }
 
-// Helper function to safely execute SQL with error handling
-function executeSql(sql, params = []) {
-  try {
-    return db.prepare(sql).run(...params);
-  } catch (error) {
-    console.error('SQL Error:', { sql, error });
-    throw error;
-  }
-}
+      const prescriptions = db.prepare(`
+        SELECT rx.*, s.invoice_number, s.sale_date, c.name as customer_name
+        FROM prescriptions rx
+        LEFT JOIN sales s ON s.id = rx.sale_id
+        LEFT JOIN customers c ON c.id = rx.customer_id
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY rx.created_at DESC
+      `).all(...params);
 
-// Function to ensure database schema is up to date
-function ensureDatabaseSchema() {
-  try {
-    console.log('Ensuring database schema is up to date...');
-    
-    // Check if sales table exists
-    const salesTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sales'").get();
-    if (!salesTable) {
-      console.log('Sales table does not exist, creating it...');
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS sales (
-          id TEXT PRIMARY KEY,
-          invoice_number TEXT,
-          customer_name TEXT,
-          total_amount REAL NOT NULL,
-          payment_method TEXT,
-          payment_status TEXT,
-          sale_date TEXT NOT NULL,
-          sale_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-          notes TEXT,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      console.log('Sales table created successfully');
-      return;
+      const getItems = db.prepare('SELECT * FROM prescription_items WHERE prescription_id = ?');
+      return {
+        success: true,
+        data: prescriptions.map(rx => ({ ...rx, items: getItems.all(rx.id) }))
+      };
+    } catch (error) {
+      console.error('Error fetching prescriptions:', error);
+      return { success: false, error: error.message || 'Failed to fetch prescriptions' };
     }
-    
-    // Check if invoice_number column exists in sales table using PRAGMA
+  });
+
+  // Open a prescription's scanned image in the system viewer
+  handleIpc('open-prescription-image', async (event, { id } = {}) => {
     try {
-      const columns = db.prepare("PRAGMA table_info(sales)").all();
-      console.log('Current sales table columns:', columns.map(c => c.name));
-      
-      const hasInvoiceNumber = columns.some(col => col.name === 'invoice_number');
-      
-      if (!hasInvoiceNumber) {
-        console.log('Adding invoice_number column to sales table...');
-        db.exec(`ALTER TABLE sales ADD COLUMN invoice_number TEXT`);
-        console.log('Successfully added invoice_number column to sales table');
-      } else {
-        console.log('invoice_number column already exists in sales table');
+      const prescription = db.prepare('SELECT image_path FROM prescriptions WHERE id = ?').get(id);
+      if (!prescription || !prescription.image_path || !fs.existsSync(prescription.image_path)) {
+        return { success: false, error: 'No scanned image for this prescription' };
       }
-      
-      // Also ensure other required columns exist
-      const requiredColumns = ['customer_name', 'total_amount', 'payment_method', 'payment_status', 'sale_date'];
-      for (const col of requiredColumns) {
-        if (!columns.some(c => c.name === col)) {
-          console.log(`Adding missing column ${col} to sales table...`);
-          const type = col === 'total_amount' ? 'REAL' : 'TEXT';
-          db.exec(`ALTER TABLE sales ADD COLUMN ${col} ${type}${col === 'total_amount' ? ' NOT NULL' : ''}`);
-          console.log(`Added column ${col} to sales table`);
-        }
+      if (!isAllowedAttachment(prescription.image_path)) {
+        return { success: false, error: 'Scanned image is not an image or PDF file' };
       }
-      
+      const error = await shell.openPath(prescription.image_path);
+      return error ? { success: false, error } : { success: true };
     } catch (error) {
-      console.error('Error checking/updating sales table schema:', error);
-      throw error;
+      console.error('Error opening prescription image:', error);
+      return { success: false, error: error.message || 'Failed to open prescription image' };
     }
-  } catch (error) {
-    console.error('Error ensuring database schema:', error);
-    throw error;
-  }
-}
+  });
 
-// Function to check and update sale_items table schema if needed
-function updateSaleItemsSchema() {
-  try {
-    console.log('Checking sale_items table schema...');
-    
-    // Check if invoice_number column exists
-    const columnCheck = db.prepare("PRAGMA table_info(sale_items)").all();
-    const hasInvoiceNumber = columnCheck.some(col => col.name === 'invoice_number');
-    
-    if (!hasInvoiceNumber) {
-      console.log('Adding invoice_number column to sale_items table...');
-      db.exec('ALTER TABLE sale_items ADD COLUMN invoice_number TEXT');
-      console.log('Successfully added invoice_number column to sale_items table');
+  // Controlled-drug register for a period, optionally for one product
+  handleIpc('get-controlled-drug-register', async (event, { productId, startDate, endDate } = {}) => {
+    try {
+      return { success: true, data: getControlledDrugRegister(db, { productId, startDate, endDate }) };
+    } catch (error) {
+      console.error('Error fetching controlled drug register:', error);
+      return { success: false, error: error.message || 'Failed to fetch controlled drug register' };
+    }
+  });
+
+  // Export the controlled-drug register to Excel, one worksheet per product
+  handleIpc('export-controlled-drug-register', async (event, { productId, startDate, endDate } = {}) => {
+    try {
+      const register = getControlledDrugRegister(db, { productId, startDate, endDate });
+      const period = `${startDate || 'start'} to ${endDate || 'today'}`;
+      const workbook = new ExcelJS.Workbook();
+      const usedNames = new Set();
+
+      register.forEach(page => {
+        // Worksheet names are limited to 31 characters without []:*?/\
+        let sheetName = (page.product_name || 'Product').replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 28);
+        for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+          sheetName = `${sheetName.slice(0, 26)} ${n}`;
+        }
+        usedNames.add(sheetName.toLowerCase());
+
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = [
+          { header: 'Date', key: 'date' },
+          { header: 'Type', key: 'entry_type' },
+          { header: 'Reference', key: 'reference_number' },
+          { header: 'Patient', key: 'patient_name' },
+          { header: 'Prescriber', key: 'prescriber_name' },
+          { header: 'Supplier', key: 'supplier_name' },
+          { header: 'Lot', key: 'lot_number' },
+          { header: 'Received', key: 'quantity_in' },
+          { header: 'Issued', key: 'quantity_out' },
+          { header: 'Balance', key: 'balance' },
+          { header: 'Recorded By', key: 'user_name' },
+          { header: 'Notes', key: 'notes' }
+        ];
+        worksheet.spliceRows(1, 0,
+          [page.product_name],
+          [`Period: ${period}`],
+          []
+        );
+        worksheet.getRow(1).font = { bold: true, size: 14 };
+        worksheet.getRow(4).font = { bold: true };
+
+        worksheet.addRow({ date: startDate || '', entry_type: 'Balance brought forward', balance: page.opening_balance });
+        page.entries.forEach(entry => {
+          worksheet.addRow({ ...entry, date: new Date(entry.created_at).toLocaleString() });
+        });
+        const totalRow = worksheet.addRow({
+          date: 'TOTAL',
+          quantity_in: page.total_in,
+          quantity_out: page.total_out,
+          balance: page.closing_balance
+        });
+        totalRow.font = { bold: true };
+      });
+
+      if (register.length === 0) {
+        workbook.addWorksheet('Register').addRow(['No controlled products found']);
+      }
+
+      const filePath = await saveWorkbookToTemp(workbook, 'controlled_drug_register');
+      await shell.openPath(filePath);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error exporting controlled drug register:', error);
+      return { success: false, error: error.message || 'Failed to export controlled drug register' };
+    }
+  });
+
+  // Customer groups with the number of active customers in each
+  handleIpc('get-customer-groups', async () => {
+    try {
+      const groups = db.prepare(`
+        SELECT g.*, (SELECT COUNT(*) FROM customers c WHERE c.customer_group_id = g.id AND c.is_active = 1) as customer_count
+        FROM customer_groups g ORDER BY g.name ASC
+      `).all();
+      return { success: true, data: groups };
+    } catch (error) {
+      console.error('Error fetching customer groups:', error);
+      return { success: false, error: error.message || 'Failed to fetch customer groups' };
+    }
+  });
+
+  // Create (no id) or update a customer group
+  handleIpc('save-customer-group', async (event, { id, name, price_basis = 'retail', discount_percent = 0 } = {}) => {
+    try {
+      const groupName = (name || '').trim();
+      if (!groupName) {
+        return { success: false, error: 'Group name is required' };
+      }
+      if (!['retail', 'wholesale'].includes(price_basis)) {
+        return { success: false, error: 'Price basis must be retail or wholesale' };
+      }
+      const percent = parseFloat(discount_percent) || 0;
+      if (percent < 0 || percent > 100) {
+        return { success: false, error: 'Group discount must be between 0 and 100%' };
+      }
+      const duplicate = db.prepare('SELECT 1 FROM customer_groups WHERE name = ? AND id != ?').get(groupName, id || '');
+      if (duplicate) {
+        return { success: false, error: `Customer group ${groupName} already exists` };
+      }
+
+      const groupId = id || uuidv4();
+      if (id) {
+        const result = db.prepare('UPDATE customer_groups SET name = ?, price_basis = ?, discount_percent = ? WHERE id = ?')
+          .run(groupName, price_basis, percent, id);
+        if (result.changes === 0) {
+          return { success: false, error: 'Customer group not found' };
+        }
+      } else {
+        db.prepare('INSERT INTO customer_groups (id, name, price_basis, discount_percent, created_at) VALUES (?, ?, ?, ?, ?)')
+          .run(groupId, groupName, price_basis, percent, new Date().toISOString());
+      }
+      return { success: true, id: groupId };
+    } catch (error) {
+      console.error('Error saving customer group:', error);
+      return { success: false, error: error.message || 'Failed to save customer group' };
+    }
+  });
+
+  // Delete a customer group; its customers go back to retail prices
+  handleIpc('delete-customer-group', async (event, { id } = {}) => {
+    try {
+      db.transaction(() => {
+        db.prepare('UPDATE customers SET customer_group_id = NULL WHERE customer_group_id = ?').run(id);
+        db.prepare('DELETE FROM customer_groups WHERE id = ?').run(id);
+      })();
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting customer group:', error);
+      return { success: false, error: error.message || 'Failed to delete customer group' };
+    }
+  });
+
+  // Promotions with the product they apply to; running ones only with activeOnly
+  handleIpc('get-promotions', async (event, { activeOnly = false } = {}) => {
+    try {
+      const today = new Date().toISOString().split('T')[0];
+      const promotions = db.prepare(`
+        SELECT pr.*, p.name as product_name
+        FROM promotions pr LEFT JOIN products p ON p.id = pr.product_id
+        ${activeOnly ? 'WHERE pr.is_active = 1 AND (pr.start_date IS NULL OR pr.start_date <= ?) AND (pr.end_date IS NULL OR pr.end_date >= ?)' : ''}
+        ORDER BY pr.is_active DESC, pr.start_date DESC, pr.name ASC
+      `).all(...(activeOnly ? [today, today] : []));
+      return { success: true, data: promotions };
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      return { success: false, error: error.message || 'Failed to fetch promotions' };
+    }
+  });
+
+  // Create (no id) or update a promotion. A promotion applies to one product, every product
+  // in a category, or everything when neither is given.
+  handleIpc('save-promotion', async (event, { id, ...promotion } = {}) => {
+    try {
+      const validationError = validatePromotion(promotion);
+      if (validationError) {
+        return { success: false, error: validationError };
+      }
+      if (promotion.product_id && !db.prepare('SELECT 1 FROM products WHERE id = ?').get(promotion.product_id)) {
+        return { success: false, error: 'Product not found' };
+      }
+
+      const now = new Date().toISOString();
+      const buyX = promotion.type === 'buy_x_get_y';
+      const values = [
+        promotion.name.trim(),
+        promotion.type,
+        buyX ? 0 : parseFloat(promotion.value),
+        buyX ? parseInt(promotion.buy_quantity) : null,
+        buyX ? parseInt(promotion.get_quantity) : null,
+        Math.max(parseInt(promotion.min_quantity) || 1, 1),
+        promotion.product_id || null,
+        promotion.product_id ? null : ((promotion.category || '').trim() || null),
+        promotion.start_date || null,
+        promotion.end_date || null,
+        promotion.is_active === false || promotion.is_active === 0 ? 0 : 1
+      ];
+
+      const promotionId = id || uuidv4();
+      if (id) {
+        const result = db.prepare(`
+          UPDATE promotions
+          SET name = ?, type = ?, value = ?, buy_quantity = ?, get_quantity = ?, min_quantity = ?, product_id = ?, category = ?,
+              start_date = ?, end_date = ?, is_active = ?, updated_at = ?
+          WHERE id = ?
+        `).run(...values, now, id);
+        if (result.changes === 0) {
+          return { success: false, error: 'Promotion not found' };
+        }
+      } else {
+        db.prepare(`
+          INSERT INTO promotions (id, name, type, value, buy_quantity, get_quantity, min_quantity, product_id, category,
+                                  start_date, end_date, is_active, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(promotionId, ...values, now, now);
+      }
+      return { success: true, id: promotionId };
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      return { success: false, error: error.message || 'Failed to save promotion' };
+    }
+  });
+
+  handleIpc('delete-promotion', async (event, { id } = {}) => {
+    try {
+      db.prepare('DELETE FROM promotions WHERE id = ?').run(id);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      return { success: false, error: error.message || 'Failed to delete promotion' };
+    }
+  });
+
+  // Discount approval threshold and whether a supervisor PIN has been set (the PIN itself is never returned)
+  handleIpc('get-pricing-settings', async () => {
+    try {
+      const setting = (key) => db.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+      const threshold = parseFloat(setting('discount_approval_percent'));
+      return {
+        success: true,
+        data: {
+          discount_approval_percent: isNaN(threshold) ? DEFAULT_DISCOUNT_APPROVAL_PERCENT : threshold,
+          has_supervisor_pin: hasSecret(db, 'supervisor_pin_hash')
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching pricing settings:', error);
+      return { success: false, error: error.message || 'Failed to fetch pricing settings' };
+    }
+  });
+
+  // Save the approval threshold and, when given, a new supervisor PIN (scrypt-hashed in the secrets store)
+  handleIpc('save-pricing-settings', async (event, { discountApprovalPercent, supervisorPin } = {}) => {
+    try {
+      const threshold = parseFloat(discountApprovalPercent);
+      if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+        return { success: false, error: 'Approval threshold must be between 0 and 100%' };
+      }
+      if (supervisorPin && !/^\d{4,8}$/.test(String(supervisorPin))) {
+        return { success: false, error: 'Supervisor PIN must be 4 to 8 digits' };
+      }
+
+      const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+      db.transaction(() => {
+        upsert.run('discount_approval_percent', String(threshold));
+        if (supervisorPin) {
+          setSecret(db, 'supervisor_pin_hash', hashCredential(supervisorPin));
+        }
+      })();
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving pricing settings:', error);
+      return { success: false, error: error.message || 'Failed to save pricing settings' };
+    }
+  });
+
+  // Price a cart without selling it, so the till can show discounts before checkout
+  handleIpc('price-sale', async (event, { items, customerId, cartDiscount } = {}) => {
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        return { success: true, data: priceSaleItems(db, [], {}) };
+      }
+      return { success: true, data: priceSaleItems(db, items, { customerId, cartDiscount }) };
+    } catch (error) {
+      console.error('Error pricing sale:', error);
+      return { success: false, error: error.message || 'Failed to price sale' };
+    }
+  });
+
+  // How much was given away in a period: list value, discounts and net sales, by discount
+  // source and by product, plus the sales a supervisor approved
+  handleIpc('get-discount-summary', async (event, { startDate, endDate } = {}) => {
+    try {
+      const conditions = ["s.payment_status != 'voided'"];
+      const params = [];
+      if (startDate) {
+        conditions.push('s.sale_date >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('s.sale_date <= ?');
+        params.push(endDate);
+      }
+      const where = conditions.join(' AND ');
+
+      const totals = db.prepare(`
+        SELECT COALESCE(SUM(si.list_price * si.quantity), 0) as list_total,
+               COALESCE(SUM(si.discount_amount), 0) as discount_total,
+               COALESCE(SUM(si.list_price * si.quantity - si.discount_amount), 0) as net_total
+        FROM sale_items si JOIN sales s ON s.id = si.sale_id
+        WHERE ${where}
+      `).get(...params);
+      // Promotions and group prices by name, and everything the cashiers gave at the till
+      const bySource = db.prepare(`
+        SELECT source, COUNT(*) as line_count, SUM(amount) as discount_total FROM (
+          SELECT COALESCE(si.discount_description, 'Other') as source, si.discount_amount - si.manual_discount as amount
+          FROM sale_items si JOIN sales s ON s.id = si.sale_id
+          WHERE ${where} AND si.discount_amount - si.manual_discount > 0
+          UNION ALL
+          SELECT 'Till discounts' as source, si.manual_discount as amount
+          FROM sale_items si JOIN sales s ON s.id = si.sale_id
+          WHERE ${where} AND si.manual_discount > 0
+        )
+        GROUP BY source
+        ORDER BY discount_total DESC
+      `).all(...params, ...params);
+      const byProduct = db.prepare(`
+        SELECT si.product_id, si.product_name, SUM(si.quantity) as quantity,
+               SUM(si.list_price * si.quantity) as list_total, SUM(si.discount_amount) as discount_total,
+               SUM(si.list_price * si.quantity - si.discount_amount) as net_total
+        FROM sale_items si JOIN sales s ON s.id = si.sale_id
+        WHERE ${where} AND si.discount_amount > 0
+        GROUP BY si.product_id, si.product_name
+        ORDER BY discount_total DESC
+      `).all(...params);
+      const approvals = db.prepare(`
+        SELECT s.id, s.invoice_number, s.sale_date, s.customer_name, s.total_amount, s.discount_total, s.discount_approved_by
+        FROM sales s
+        WHERE ${where} AND s.discount_approved_by IS NOT NULL
+        ORDER BY s.sale_date DESC, s.created_at DESC
+      `).all(...params);
+
+      const round = (amount) => Math.round((amount || 0) * 100) / 100;
+      return {
+        success: true,
+        data: {
+          list_total: round(totals.list_total),
+          discount_total: round(totals.discount_total),
+          net_total: round(totals.net_total),
+          by_source: bySource.map(row => ({ ...row, discount_total: round(row.discount_total) })),
+          by_product: byProduct.map(row => ({
+            ...row,
+            list_total: round(row.list_total),
+            discount_total: round(row.discount_total),
+            net_total: round(row.net_total)
+          })),
+          approvals
+        }
+      };
+    } catch (error) {
+      console.error('Error building discount summary:', error);
+      return { success: false, error: error.message || 'Failed to build discount summary' };
+    }
+  });
+
+  // Tax mode, the shop's TIN and every levy (inactive ones included) in charging order
+  handleIpc('get-tax-settings', async () => {
+    try {
+      const { mode } = getTaxSettings(db);
+      return {
+        success: true,
+        data: {
+          mode,
+          tin: db.prepare('SELECT value FROM settings WHERE key = ?').get('tax_tin')?.value || '',
+          levies: db.prepare('SELECT * FROM tax_levies ORDER BY compound ASC, sort_order ASC, name ASC').all()
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching tax settings:', error);
+      return { success: false, error: error.message || 'Failed to fetch tax settings' };
+    }
+  });
+
+  // Save the tax mode, TIN and the full list of levies; levies left out of the list are removed.
+  // Past sales keep the levies and rates they were charged.
+  handleIpc('save-tax-settings', async (event, { mode, tin, levies = [] } = {}) => {
+    try {
+      if (!TAX_MODES.includes(mode)) {
+        return { success: false, error: `Tax mode must be one of: ${TAX_MODES.join(', ')}` };
+      }
+      const names = new Set();
+      for (const levy of levies) {
+        const name = (levy.name || '').trim();
+        const rate = parseFloat(levy.rate);
+        if (!name) {
+          return { success: false, error: 'Every levy needs a name' };
+        }
+        if (isNaN(rate) || rate <= 0 || rate > 100) {
+          return { success: false, error: `${name} rate must be between 0 and 100%` };
+        }
+        if (names.has(name.toLowerCase())) {
+          return { success: false, error: `${name} is listed twice` };
+        }
+        names.add(name.toLowerCase());
+      }
+
+      const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+      db.transaction(() => {
+        upsert.run('tax_mode', mode);
+        upsert.run('tax_tin', (tin || '').trim());
+
+        const keepIds = levies.filter(levy => levy.id).map(levy => levy.id);
+        db.prepare(`DELETE FROM tax_levies ${keepIds.length ? `WHERE id NOT IN (${keepIds.map(() => '?').join(', ')})` : ''}`).run(...keepIds);
+        levies.forEach((levy, index) => {
+          const values = [
+            levy.name.trim(),
+            parseFloat(levy.rate),
+            levy.compound ? 1 : 0,
+            index,
+            levy.is_active === false || levy.is_active === 0 ? 0 : 1
+          ];
+          const updated = levy.id
+            ? db.prepare('UPDATE tax_levies SET name = ?, rate = ?, compound = ?, sort_order = ?, is_active = ? WHERE id = ?').run(...values, levy.id).changes
+            : 0;
+          if (!updated) {
+            db.prepare('INSERT INTO tax_levies (id, name, rate, compound, sort_order, is_active, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+              .run(uuidv4(), ...values, new Date().toISOString());
+          }
+        });
+      })();
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving tax settings:', error);
+      return { success: false, error: error.message || 'Failed to save tax settings' };
+    }
+  });
+
+  // Tax collected in a period for filing: each levy on sales, less the share given back on
+  // returns and voids (by credit note date), plus taxable, exempt and daily totals. A sale voided
+  // later stays in its own period and the void is a negative adjustment in the period it happened,
+  // so a period's figures do not change after it has been filed.
+  handleIpc('get-tax-report', async (event, { startDate, endDate } = {}) => {
+    try {
+      const saleConditions = ['1 = 1'];
+      const returnConditions = ['1 = 1'];
+      const saleParams = [];
+      const returnParams = [];
+      if (startDate) {
+        saleConditions.push('s.sale_date >= ?');
+        saleParams.push(startDate);
+        returnConditions.push('substr(cn.created_at, 1, 10) >= ?');
+        returnParams.push(startDate);
+      }
+      if (endDate) {
+        saleConditions.push('s.sale_date <= ?');
+        saleParams.push(endDate);
+        returnConditions.push('substr(cn.created_at, 1, 10) <= ?');
+        returnParams.push(endDate);
+      }
+      const saleWhere = saleConditions.join(' AND ');
+      const returnWhere = returnConditions.join(' AND ');
+
+      const salesByLevy = db.prepare(`
+        SELECT t.levy_name, t.rate, t.compound, SUM(t.taxable_amount) as taxable_amount, SUM(t.tax_amount) as tax_amount
+        FROM sale_item_taxes t JOIN sales s ON s.id = t.sale_id
+        WHERE ${saleWhere}
+        GROUP BY t.levy_name, t.rate, t.compound
+      `).all(...saleParams);
+      const returnsByLevy = db.prepare(`
+        SELECT t.levy_name, t.rate, t.compound,
+               SUM(t.taxable_amount * cni.quantity / si.quantity) as taxable_amount,
+               SUM(t.tax_amount * cni.quantity / si.quantity) as tax_amount
+        FROM credit_note_items cni
+        JOIN credit_notes cn ON cn.id = cni.credit_note_id
+        JOIN sales s ON s.id = cn.sale_id
+        JOIN sale_items si ON si.id = cni.sale_item_id
+        JOIN sale_item_taxes t ON t.sale_item_id = si.id
+        WHERE ${returnWhere}
+        GROUP BY t.levy_name, t.rate, t.compound
+      `).all(...returnParams);
+      const totals = db.prepare(`
+        SELECT COALESCE(SUM(si.subtotal), 0) as total_sales,
+               COALESCE(SUM(CASE WHEN si.tax_amount > 0 THEN si.taxable_amount ELSE 0 END), 0) as taxable_sales,
+               COALESCE(SUM(CASE WHEN si.tax_exempt = 1 THEN si.subtotal ELSE 0 END), 0) as exempt_sales,
+               COALESCE(SUM(si.tax_amount), 0) as tax_collected
+        FROM sale_items si JOIN sales s ON s.id = si.sale_id
+        WHERE ${saleWhere}
+      `).get(...saleParams);
+      const byDay = db.prepare(`
+        SELECT s.sale_date, COUNT(DISTINCT s.id) as sale_count, SUM(si.subtotal) as total_sales, SUM(si.tax_amount) as tax_amount
+        FROM sale_items si JOIN sales s ON s.id = si.sale_id
+        WHERE ${saleWhere}
+        GROUP BY s.sale_date
+        ORDER BY s.sale_date ASC
+      `).all(...saleParams);
+
+      const round = (amount) => Math.round((amount || 0) * 100) / 100;
+      const levies = new Map();
+      const levyFor = (row) => {
+        const key = `${row.levy_name}|${row.rate}`;
+        if (!levies.has(key)) {
+          levies.set(key, { name: row.levy_name, rate: row.rate, compound: row.compound, taxable_amount: 0, tax_amount: 0, returned_taxable: 0, returned_tax: 0 });
+        }
+        return levies.get(key);
+      };
+      salesByLevy.forEach(row => Object.assign(levyFor(row), { taxable_amount: row.taxable_amount, tax_amount: row.tax_amount }));
+      returnsByLevy.forEach(row => Object.assign(levyFor(row), { returned_taxable: row.taxable_amount, returned_tax: row.tax_amount }));
+
+      const byLevy = [...levies.values()]
+        .sort((a, b) => a.compound - b.compound || a.name.localeCompare(b.name))
+        .map(levy => ({
+          ...levy,
+          taxable_amount: round(levy.taxable_amount),
+          tax_amount: round(levy.tax_amount),
+          returned_taxable: round(levy.returned_taxable),
+          returned_tax: round(levy.returned_tax),
+          net_tax: round(levy.tax_amount - levy.returned_tax)
+        }));
+      const returnedTax = round(byLevy.reduce((sum, levy) => sum + levy.returned_tax, 0));
+
+      return {
+        success: true,
+        data: {
+          start_date: startDate || null,
+          end_date: endDate || null,
+          tin: db.prepare('SELECT value FROM settings WHERE key = ?').get('tax_tin')?.value || '',
+          total_sales: round(totals.total_sales),
+          taxable_sales: round(totals.taxable_sales),
+          exempt_sales: round(totals.exempt_sales),
+          tax_collected: round(totals.tax_collected),
+          tax_returned: returnedTax,
+          net_tax: round(totals.tax_collected - returnedTax),
+          by_levy: byLevy,
+          by_day: byDay.map(day => ({ ...day, total_sales: round(day.total_sales), tax_amount: round(day.tax_amount) }))
+        }
+      };
+    } catch (error) {
+      console.error('Error building tax report:', error);
+      return { success: false, error: error.message || 'Failed to build tax report' };
+    }
+  });
+
+  // Printers the OS knows about, plus the file printer for checking receipts without hardware.
+  // Network and device printers are entered by hand in settings.
+  handleIpc('get-printers', async () => {
+    try {
+      const printers = mainWindow ? await mainWindow.webContents.getPrintersAsync() : [];
+      return {
+        success: true,
+        data: [
+          ...printers.map(printer => ({
+            type: 'system',
+            name: printer.name,
+            displayName: printer.displayName || printer.name,
+            description: printer.description || '',
+            isDefault: !!printer.isDefault,
+            status: printer.status
+          })),
+          { type: 'file', name: 'file', displayName: 'Save to file (test printer)', description: 'Writes receipts to a folder instead of printing', isDefault: false }
+        ]
+      };
+    } catch (error) {
+      console.error('Error listing printers:', error);
+      return { success: false, error: error.message || 'Failed to list printers' };
+    }
+  });
+
+  handleIpc('get-printer-settings', async () => {
+    try {
+      return { success: true, data: getPrinterSettings(db) };
+    } catch (error) {
+      console.error('Error fetching printer settings:', error);
+      return { success: false, error: error.message || 'Failed to fetch printer settings' };
+    }
+  });
+
+  // Save the receipt printer and whether it opens the cash drawer
+  handleIpc('save-printer-settings', async (event, { printer, open_drawer } = {}) => {
+    try {
+      let printerValue = null;
+      if (printer && printer.type) {
+        if (!PRINTER_TYPES.includes(printer.type)) {
+          return { success: false, error: `Printer type must be one of: ${PRINTER_TYPES.join(', ')}` };
+        }
+        if (printer.type === 'system' && !(printer.name || '').trim()) {
+          return { success: false, error: 'Choose a printer' };
+        }
+        if (printer.type === 'network' && !(printer.host || '').trim()) {
+          return { success: false, error: 'Enter the printer\'s IP address or host name' };
+        }
+        if (printer.type === 'network' && printer.port && !(parseInt(printer.port) > 0 && parseInt(printer.port) < 65536)) {
+          return { success: false, error: 'Printer port must be between 1 and 65535' };
+        }
+        if (printer.type === 'device' && !(printer.path || '').trim()) {
+          return { success: false, error: 'Enter the printer\'s device or share path' };
+        }
+        printerValue = {
+          type: printer.type,
+          name: (printer.name || '').trim(),
+          host: (printer.host || '').trim(),
+          port: parseInt(printer.port) || 9100,
+          path: (printer.path || '').trim(),
+          directory: (printer.directory || '').trim()
+        };
+      }
+
+      const upsert = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+      db.transaction(() => {
+        upsert.run('receipt_printer', JSON.stringify(printerValue));
+        upsert.run('receipt_open_drawer', open_drawer ? 'true' : 'false');
+      })();
+      return { success: true, data: getPrinterSettings(db) };
+    } catch (error) {
+      console.error('Error saving printer settings:', error);
+      return { success: false, error: error.message || 'Failed to save printer settings' };
+    }
+  });
+
+  // The receipt template, the default one, and the fields and placeholders a template can use
+  handleIpc('get-receipt-template', async () => {
+    try {
+      return {
+        success: true,
+        data: { template: getReceiptTemplate(db), defaults: DEFAULT_RECEIPT_TEMPLATE, fields: RECEIPT_FIELDS, placeholders: RECEIPT_PLACEHOLDERS }
+      };
+    } catch (error) {
+      console.error('Error fetching receipt template:', error);
+      return { success: false, error: error.message || 'Failed to fetch receipt template' };
+    }
+  });
+
+  // Save the receipt template. A new logo file is copied into the app's data folder; an
+  // empty logo path removes the logo.
+  handleIpc('save-receipt-template', async (event, template = {}) => {
+    try {
+      if (![58, 80].includes(parseInt(template.paper_width))) {
+        return { success: false, error: 'Paper width must be 58 or 80 mm' };
+      }
+      const unknown = [...`${template.header || ''}\n${template.footer || ''}`.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+        .map(match => match[1])
+        .find(name => !(name in RECEIPT_PLACEHOLDERS));
+      if (unknown) {
+        return { success: false, error: `Unknown placeholder {{${unknown}}}` };
+      }
+
+      const saved = normalizeReceiptTemplate(template);
+      if (saved.logo_path && saved.logo_path !== getReceiptTemplate(db).logo_path) {
+        saved.logo_path = storeAttachment(saved.logo_path, 'branding', 'receipt-logo', 'Logo', LOGO_EXTENSIONS);
+      }
+      db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run('receipt_template', JSON.stringify(saved));
+      return { success: true, data: saved };
+    } catch (error) {
+      console.error('Error saving receipt template:', error);
+      return { success: false, error: error.message || 'Failed to save receipt template' };
+    }
+  });
+
+  // Lay out a receipt for the print dialog or a preview: a recorded sale (saleId, copy for a
+  // reprint), a cart not yet rung up (cart), or, for a template preview, the latest sale or a
+  // sample. template previews unsaved changes; the saved template is used otherwise.
+  handleIpc('render-receipt', async (event, { saleId, shiftId, cart, copy = false, template } = {}) => {
+    try {
+      if (shiftId) {
+        const doc = buildShiftReportReceipt(db, getShiftReportById(db, shiftId), getReceiptTemplate(db));
+        return { success: true, data: { title: doc.title, paper_width: doc.paperWidth, html: renderReceiptHtml(doc), text: renderReceiptText(doc) } };
+      }
+      let data;
+      if (saleId) {
+        data = getSaleReceiptData(db, saleId);
+      } else if (cart) {
+        data = getCartReceiptData(db, cart);
+      } else {
+        const latest = db.prepare("SELECT id FROM sales WHERE payment_status != 'voided' ORDER BY created_at DESC LIMIT 1").get();
+        data = latest ? getSaleReceiptData(db, latest.id) : getSampleReceiptData(db);
+      }
+      const doc = buildReceipt(db, data, template ? normalizeReceiptTemplate(template) : getReceiptTemplate(db), { copy });
+      return {
+        success: true,
+        data: { title: doc.title, paper_width: doc.paperWidth, html: renderReceiptHtml(doc, { preview: !saleId && !cart }), text: renderReceiptText(doc) }
+      };
+    } catch (error) {
+      console.error('Error rendering receipt:', error);
+      return { success: false, error: error.message || 'Failed to render receipt' };
+    }
+  });
+
+  // Print a sale's receipt, a shift's Z-report (shiftId) or a test receipt on the configured
+  // printer; copy marks a reprint. Fails with code NO_PRINTER when none is set up, so the till
+  // can fall back to the print dialog.
+  handleIpc('print-receipt', async (event, { saleId, shiftId, copy = false, test = false } = {}) => {
+    try {
+      const settings = getPrinterSettings(db);
+      if (!settings.printer) {
+        return { success: false, code: 'NO_PRINTER', error: 'No receipt printer is set up' };
+      }
+      if (!test && !saleId && !shiftId) {
+        return { success: false, error: 'Sale ID is required' };
+      }
+      const doc = shiftId
+        ? buildShiftReportReceipt(db, getShiftReportById(db, shiftId), getReceiptTemplate(db))
+        : buildReceipt(db, test ? getSampleReceiptData(db) : getSaleReceiptData(db, saleId), getReceiptTemplate(db), { copy, test });
+      const result = await sendReceiptToPrinter(doc, settings);
+      return { success: true, data: result };
+    } catch (error) {
+      console.error('Error printing receipt:', error);
+      return { success: false, error: error.message || 'Failed to print receipt' };
+    }
+  });
+
+  // Installed licence, its expiry and whether the app is read-only
+  handleIpc('get-licence-status', async () => {
+    try {
+      return { success: true, data: getLicenceStatus(db) };
+    } catch (error) {
+      console.error('Error checking licence:', error);
+      return { success: false, error: error.message || 'Failed to check licence' };
+    }
+  });
+
+  // Install a licence from a pasted key or a licence file. The licence names the shop it is for:
+  // a shop without a name yet takes the licence's name, otherwise the names must match.
+  handleIpc('activate-app', async (event, { key, filePath } = {}) => {
+    try {
+      let licenceKey = key;
+      if (filePath) {
+        if (!fs.existsSync(filePath)) {
+          return { success: false, error: 'Licence file not found' };
+        }
+        licenceKey = fs.readFileSync(filePath, 'utf8');
+      }
+      if (!licenceKey || !licenceKey.trim()) {
+        return { success: false, error: 'Enter a licence key or choose a licence file' };
+      }
+
+      let licence;
+      try {
+        licence = parseLicenceKey(licenceKey);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+      const shopName = db.prepare('SELECT value FROM settings WHERE key = ?').get('shop_name')?.value;
+      if (shopName && normalizeShopName(shopName) !== normalizeShopName(licence.shop_name)) {
+        return { success: false, error: `This licence is for ${licence.shop_name}, but this shop is named ${shopName}` };
+      }
+      if (licence.expires_at && licence.expires_at < getLicenceToday(db)) {
+        return { success: false, error: `This licence expired on ${licence.expires_at}` };
+      }
+
+      const saveSetting = db.prepare(`
+        INSERT INTO settings (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+      `);
+      db.transaction(() => {
+        saveSetting.run('licence_key', licenceKey.replace(/\s+/g, ''));
+        saveSetting.run('app_activated', 'true');
+        if (!shopName) {
+          saveSetting.run('shop_name', licence.shop_name);
+          saveSetting.run('company_name', licence.shop_name);
+        }
+      })();
+      return { success: true, data: getLicenceStatus(db) };
+    } catch (error) {
+      console.error('Error activating licence:', error);
+      return { success: false, error: error.message || 'Failed to activate licence' };
+    }
+  });
+
+  // Active users to pick from on the login screen; needs_owner until the first account exists
+  handleIpc('get-login-users', async () => {
+    try {
+      const count = db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+      const users = db.prepare('SELECT * FROM users WHERE is_active = 1 ORDER BY name COLLATE NOCASE ASC').all()
+        .map(user => {
+          const { permissions, ...loginUser } = toSessionUser(user);
+          return loginUser;
+        });
+      return { success: true, data: { needs_owner: count === 0, users } };
+    } catch (error) {
+      console.error('Error fetching login users:', error);
+      return { success: false, error: error.message || 'Failed to fetch users' };
+    }
+  });
+
+  // First account on a new install; always an owner and signed in straight away
+  handleIpc('create-owner-account', async (event, { name, username, credential } = {}) => {
+    try {
+      if (db.prepare('SELECT COUNT(*) as count FROM users').get().count > 0) {
+        return { success: false, error: 'An owner account already exists' };
+      }
+      const userName = (name || '').trim();
+      const login = (username || '').trim();
+      if (!userName || !login) {
+        return { success: false, error: 'Name and username are required' };
+      }
+      const credentialError = validateCredential(credential);
+      if (credentialError) {
+        return { success: false, error: credentialError };
+      }
+      const id = uuidv4();
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT INTO users (id, name, username, role, credential_hash, is_active, last_login_at, created_at, updated_at)
+        VALUES (?, ?, ?, 'owner', ?, 1, ?, ?, ?)
+      `).run(id, userName, login, hashCredential(credential), now, now, now);
+      currentUser = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+      return { success: true, data: toSessionUser(currentUser) };
+    } catch (error) {
+      console.error('Error creating owner account:', error);
+      return { success: false, error: error.message || 'Failed to create owner account' };
+    }
+  });
+
+  // Sign in by user id (from the login list) or username
+  handleIpc('login', async (event, { userId, username, credential } = {}) => {
+    try {
+      const user = userId
+        ? db.prepare('SELECT * FROM users WHERE id = ?').get(userId)
+        : db.prepare('SELECT * FROM users WHERE username = ?').get((username || '').trim());
+      if (!user || !user.is_active || !verifyCredential(credential, user.credential_hash)) {
+        return { success: false, error: 'Incorrect username, PIN or password' };
+      }
+      const now = new Date().toISOString();
+      db.prepare('UPDATE users SET last_login_at = ? WHERE id = ?').run(now, user.id);
+      currentUser = { ...user, last_login_at: now };
+      sessionLocked = false;
+      return { success: true, data: toSessionUser(currentUser) };
+    } catch (error) {
+      console.error('Error signing in:', error);
+      return { success: false, error: error.message || 'Failed to sign in' };
+    }
+  });
+
+  handleIpc('logout', async () => {
+    currentUser = null;
+    sessionLocked = false;
+    return { success: true };
+  });
+
+  handleIpc('get-current-user', async () => {
+    return { success: true, data: currentUser ? { ...toSessionUser(currentUser), locked: sessionLocked } : null };
+  });
+
+  // Locking keeps the session, so the renderer keeps its open cart, until the same user unlocks it
+  handleIpc('lock-session', async () => {
+    sessionLocked = true;
+    return { success: true };
+  });
+
+  handleIpc('unlock-session', async (event, { credential } = {}) => {
+    try {
+      const user = db.prepare('SELECT * FROM users WHERE id = ?').get(currentUser.id);
+      if (!user || !user.is_active) {
+        currentUser = null;
+        sessionLocked = false;
+        return { success: false, code: 'NOT_SIGNED_IN', error: 'This account is no longer active. Please sign in again.' };
+      }
+      if (!verifyCredential(credential, user.credential_hash)) {
+        return { success: false, error: 'Incorrect PIN or password' };
+      }
+      currentUser = { ...currentUser, ...user };
+      sessionLocked = false;
+      return { success: true, data: toSessionUser(currentUser) };
+    } catch (error) {
+      console.error('Error unlocking session:', error);
+      return { success: false, error: error.message || 'Failed to unlock' };
+    }
+  });
+
+  // All accounts with the roles they can be given
+  handleIpc('get-users', async () => {
+    try {
+      const users = db.prepare(`
+        SELECT id, name, username, role, is_active, last_login_at, created_at
+        FROM users
+        ORDER BY is_active DESC, name COLLATE NOCASE ASC
+      `).all().map(user => ({ ...user, role_name: ROLES[user.role]?.name || user.role }));
+      const roles = Object.entries(ROLES).map(([id, role]) => ({
+        id,
+        name: role.name,
+        permissions: role.permissions.map(permission => PERMISSIONS[permission])
+      }));
+      return { success: true, data: { users, roles } };
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      return { success: false, error: error.message || 'Failed to fetch users' };
+    }
+  });
+
+  // Create or update a user. credential is required for new users and replaces the old one when given.
+  handleIpc('save-user', async (event, { id, name, username, role, credential, is_active = true } = {}) => {
+    try {
+      const userName = (name || '').trim();
+      const login = (username || '').trim();
+      if (!userName || !login) {
+        return { success: false, error: 'Name and username are required' };
+      }
+      if (!ROLES[role]) {
+        return { success: false, error: `Unknown role: ${role}` };
+      }
+      if (!id || credential) {
+        const credentialError = validateCredential(credential);
+        if (credentialError) {
+          return { success: false, error: credentialError };
+        }
+      }
+      const duplicate = db.prepare('SELECT id FROM users WHERE username = ? AND id != ?').get(login, id || '');
+      if (duplicate) {
+        return { success: false, error: `Username ${login} is already taken` };
+      }
+
+      const active = is_active ? 1 : 0;
+      const now = new Date().toISOString();
+      if (!id) {
+        const newId = uuidv4();
+        db.prepare(`
+          INSERT INTO users (id, name, username, role, credential_hash, is_active, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(newId, userName, login, role, hashCredential(credential), active, now, now);
+        return { success: true, id: newId };
+      }
+
+      const existing = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+      if (!existing) {
+        return { success: false, error: 'User not found' };
+      }
+      if (id === currentUser.id && !active) {
+        return { success: false, error: 'You cannot deactivate your own account' };
+      }
+      if (existing.role === 'owner' && existing.is_active && (role !== 'owner' || !active)) {
+        const owners = db.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND is_active = 1").get().count;
+        if (owners <= 1) {
+          return { success: false, error: 'The shop needs at least one active owner' };
+        }
+      }
+      db.prepare(`
+        UPDATE users
+        SET name = ?, username = ?, role = ?, is_active = ?, credential_hash = ?, updated_at = ?
+        WHERE id = ?
+      `).run(userName, login, role, active, credential ? hashCredential(credential) : existing.credential_hash, now, id);
+      if (id === currentUser.id) {
+        currentUser = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+      }
+      return { success: true, id };
+    } catch (error) {
+      console.error('Error saving user:', error);
+      return { success: false, error: error.message || 'Failed to save user' };
+    }
+  });
+
+  // Signed-in user changes their own PIN or password
+  handleIpc('change-own-credential', async (event, { current, credential } = {}) => {
+    try {
+      const user = db.prepare('SELECT * FROM users WHERE id = ?').get(currentUser.id);
+      if (!user || !verifyCredential(current, user.credential_hash)) {
+        return { success: false, error: 'Your current PIN or password is incorrect' };
+      }
+      const credentialError = validateCredential(credential);
+      if (credentialError) {
+        return { success: false, error: credentialError };
+      }
+      db.prepare('UPDATE users SET credential_hash = ?, updated_at = ? WHERE id = ?')
+        .run(hashCredential(credential), new Date().toISOString(), user.id);
+      return { success: true };
+    } catch (error) {
+      console.error('Error changing credential:', error);
+      return { success: false, error: error.message || 'Failed to change PIN or password' };
+    }
+  });
+
+  // Audit log entries, newest first. Filters: startDate/endDate (YYYY-MM-DD), userName, action, entityType, search.
+  handleIpc('get-audit-log', async (event, filters = {}) => {
+    try {
+      const entries = getAuditLogEntries(db, filters);
+      const options = {
+        users: db.prepare('SELECT DISTINCT user_name FROM audit_log WHERE user_name IS NOT NULL ORDER BY user_name').all().map(row => row.user_name),
+        actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').all().map(row => row.action),
+        entity_types: db.prepare('SELECT DISTINCT entity_type FROM audit_log WHERE entity_type IS NOT NULL ORDER BY entity_type').all().map(row => row.entity_type)
+      };
+      return { success: true, data: { entries, options } };
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      return { success: false, error: error.message || 'Failed to fetch audit log' };
+    }
+  });
+
+  // Recompute the hash chain to show whether the log has been tampered with
+  handleIpc('verify-audit-log', async () => {
+    try {
+      return { success: true, data: verifyAuditLog(db) };
+    } catch (error) {
+      console.error('Error verifying audit log:', error);
+      return { success: false, error: error.message || 'Failed to verify audit log' };
+    }
+  });
+
+  handleIpc('export-audit-log', async (event, filters = {}) => {
+    try {
+      const entries = getAuditLogEntries(db, { ...filters, limit: null });
+      const verification = verifyAuditLog(db);
+      const workbook = new ExcelJS.Workbook();
+      const worksheet = workbook.addWorksheet('Audit Log');
+      worksheet.columns = [
+        { header: 'Entry', key: 'id' },
+        { header: 'Date', key: 'date' },
+        { header: 'User', key: 'user_name' },
+        { header: 'Action', key: 'action' },
+        { header: 'Entity', key: 'entity_type' },
+        { header: 'Entity ID', key: 'entity_id' },
+        { header: 'Before', key: 'before_json' },
+        { header: 'After', key: 'after_json' },
+        { header: 'Hash', key: 'hash' }
+      ];
+      worksheet.spliceRows(1, 0,
+        ['Audit Log'],
+        [`Period: ${filters.startDate || 'start'} to ${filters.endDate || 'today'}`],
+        [verification.valid
+          ? `Hash chain verified: ${verification.checked} entries intact`
+          : `Hash chain BROKEN at entry ${verification.broken_at}: ${verification.reason}`],
+        []
+      );
+      worksheet.getRow(1).font = { bold: true, size: 14 };
+      worksheet.getRow(5).font = { bold: true };
+      entries.forEach(entry => {
+        worksheet.addRow({ ...entry, date: new Date(entry.created_at).toLocaleString() });
+      });
+
+      const filePath = await saveWorkbookToTemp(workbook, 'audit_log');
+      await shell.openPath(filePath);
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      return { success: false, error: error.message || 'Failed to export audit log' };
+    }
+  });
+
+  // Expense categories, alphabetically
+  handleIpc('get-expense-categories', async () => {
+    try {
+      const categories = db.prepare('SELECT * FROM expense_categories ORDER BY name ASC').all();
+      return { success: true, data: categories };
+    } catch (error) {
+      console.error('Error fetching expense categories:', error);
+      return { success: false, error: error.message || 'Failed to fetch expense categories' };
+    }
+  });
+
+  handleIpc('create-expense-category', async (event, { name } = {}) => {
+    try {
+      const categoryName = (name || '').trim();
+      if (!categoryName) {
+        return { success: false, error: 'Category name is required' };
+      }
+      if (db.prepare('SELECT 1 FROM expense_categories WHERE name = ?').get(categoryName)) {
+        return { success: false, error: `Expense category ${categoryName} already exists` };
+      }
+      const id = uuidv4();
+      db.prepare('INSERT INTO expense_categories (id, name, created_at) VALUES (?, ?, ?)').run(id, categoryName, new Date().toISOString());
+      return { success: true, id };
+    } catch (error) {
+      console.error('Error creating expense category:', error);
+      return { success: false, error: error.message || 'Failed to create expense category' };
+    }
+  });
+
+  // Expenses in a period, newest first
+  handleIpc('get-expenses', async (event, { startDate, endDate, category, search } = {}) => {
+    try {
+      const conditions = [];
+      const params = [];
+      if (startDate) {
+        conditions.push('expense_date >= ?');
+        params.push(startDate);
+      }
+      if (endDate) {
+        conditions.push('expense_date <= ?');
+        params.push(endDate);
+      }
+      if (category) {
+        conditions.push('category = ?');
+        params.push(category);
+      }
+      if (search && search.trim()) {
+        conditions.push('(payee LIKE ? OR description LIKE ? OR reference LIKE ?)');
+        const term = `%${search.trim()}%`;
+        params.push(term, term, term);
+      }
+
+      const expenses = db.prepare(`
+        SELECT * FROM expenses
+        ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+        ORDER BY expense_date DESC, created_at DESC
+      `).all(...params);
+      return { success: true, data: expenses };
+    } catch (error) {
+      console.error('Error fetching expenses:', error);
+      return { success: false, error: error.message || 'Failed to fetch expenses' };
+    }
+  });
+
+  handleIpc('create-expense', async (event, expenseData = {}) => {
+    try {
+      const error = validateExpense(expenseData);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const id = uuidv4();
+      const now = new Date().toISOString();
+      const receiptPath = expenseData.receipt_file
+        ? storeAttachment(expenseData.receipt_file, 'expense-receipts', id, 'Receipt')
+        : null;
+      db.prepare(`
+        INSERT INTO expenses (id, expense_date, category, amount, payee, payment_method, reference, description,
+                              receipt_path, user_name, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        expenseData.expense_date,
+        expenseData.category.trim(),
+        parseFloat(expenseData.amount),
+        (expenseData.payee || '').trim() || null,
+        expenseData.payment_method || 'cash',
+        (expenseData.reference || '').trim() || null,
+        (expenseData.description || '').trim() || null,
+        receiptPath,
+        getCurrentUserName(db),
+        now,
+        now
+      );
+
+      return { success: true, id };
+    } catch (error) {
+      console.error('Error creating expense:', error);
+      return { success: false, error: error.message || 'Failed to create expense' };
+    }
+  });
+
+  // Update an expense. receipt_file attaches a new receipt; remove_receipt drops the current one.
+  handleIpc('update-expense', async (event, { id, ...expenseData } = {}) => {
+    try {
+      const existing = db.prepare('SELECT * FROM expenses WHERE id = ?').get(id);
+      if (!existing) {
+        return { success: false, error: 'Expense not found' };
+      }
+      const merged = { ...existing, ...expenseData };
+      const error = validateExpense(merged);
+      if (error) {
+        return { success: false, error };
+      }
+
+      // Copy the new receipt first; the old one is only removed once the expense is saved
+      let receiptPath = existing.receipt_path;
+      if (expenseData.receipt_file || expenseData.remove_receipt) {
+        receiptPath = expenseData.receipt_file
+          ? storeAttachment(expenseData.receipt_file, 'expense-receipts', id, 'Receipt')
+          : null;
+      }
+
+      db.prepare(`
+        UPDATE expenses
+        SET expense_date = ?, category = ?, amount = ?, payee = ?, payment_method = ?, reference = ?,
+            description = ?, receipt_path = ?, updated_at = ?
+        WHERE id = ?
+      `).run(
+        merged.expense_date,
+        merged.category.trim(),
+        parseFloat(merged.amount),
+        (merged.payee || '').trim() || null,
+        merged.payment_method || 'cash',
+        (merged.reference || '').trim() || null,
+        (merged.description || '').trim() || null,
+        receiptPath,
+        new Date().toISOString(),
+        id
+      );
+      // Same-extension replacements overwrite the old file in place, so keep that path
+      if (existing.receipt_path && existing.receipt_path !== receiptPath) {
+        fs.rmSync(existing.receipt_path, { force: true });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating expense:', error);
+      return { success: false, error: error.message || 'Failed to update expense' };
+    }
+  });
+
+  handleIpc('delete-expense', async (event, { id } = {}) => {
+    try {
+      const expense = db.prepare('SELECT receipt_path FROM expenses WHERE id = ?').get(id);
+      if (!expense) {
+        return { success: false, error: 'Expense not found' };
+      }
+      db.prepare('DELETE FROM expenses WHERE id = ?').run(id);
+      if (expense.receipt_path) fs.rmSync(expense.receipt_path, { force: true });
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting expense:', error);
+      return { success: false, error: error.message || 'Failed to delete expense' };
+    }
+  });
+
+  // Open an expense's attached receipt in the system viewer
+  handleIpc('open-expense-receipt', async (event, { id } = {}) => {
+    try {
+      const expense = db.prepare('SELECT receipt_path FROM expenses WHERE id = ?').get(id);
+      if (!expense || !expense.receipt_path || !fs.existsSync(expense.receipt_path)) {
+        return { success: false, error: 'No receipt attached to this expense' };
+      }
+      if (!isAllowedAttachment(expense.receipt_path)) {
+        return { success: false, error: 'Receipt is not an image or PDF file' };
+      }
+      const error = await shell.openPath(expense.receipt_path);
+      return error ? { success: false, error } : { success: true };
+    } catch (error) {
+      console.error('Error opening expense receipt:', error);
+      return { success: false, error: error.message || 'Failed to open expense receipt' };
+    }
+  });
+
+  // Expense totals for a period by category and by payment method
+  handleIpc('get-expense-summary', async (event, { startDate, endDate } = {}) => {
+    try {
+      const period = 'WHERE (? IS NULL OR expense_date >= ?) AND (? IS NULL OR expense_date <= ?)';
+      const params = [startDate || null, startDate || null, endDate || null, endDate || null];
+      const byCategory = db.prepare(`
+        SELECT category, COALESCE(SUM(amount), 0) as total, COUNT(*) as count
+        FROM expenses ${period}
+        GROUP BY category ORDER BY total DESC
+      `).all(...params);
+      const byMethod = db.prepare(`
+        SELECT payment_method as method, COALESCE(SUM(amount), 0) as total
+        FROM expenses ${period}
+        GROUP BY payment_method
+      `).all(...params);
+
+      return {
+        success: true,
+        data: {
+          total: byCategory.reduce((sum, row) => sum + row.total, 0),
+          by_category: byCategory,
+          by_method: byMethod
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching expense summary:', error);
+      return { success: false, error: error.message || 'Failed to fetch expense summary' };
+    }
+  });
+
+  // Settings Handlers
+  handleIpc('get-setting', async (event, { key }) => {
+    try {
+      console.log('get-setting called with key:', key);
+      
+      // Handle missing or invalid key
+      if (!key || typeof key !== 'string' || !key.trim()) {
+        console.warn('Invalid or missing setting key');
+        return {
+          success: false,
+          error: 'Valid setting key is required'
+        };
+      }
+
+      // Secrets only report whether they are set
+      if (isSecretSetting(key)) {
+        return { success: true, exists: hasSecret(db, key.trim()), value: undefined };
+      }
+
+      // Use a parameterized query
+      const stmt = db.prepare('SELECT value FROM settings WHERE key = @key');
+      const setting = stmt.get({ key: key.trim() });
+      
+      console.log('Setting query result:', setting);
+      
+      // Always return success with a value property, even if null
+      // This helps the renderer differentiate between errors and missing settings
+      return {
+        success: true,
+        exists: Boolean(setting),
+        value: setting ? setting.value : undefined
+      };
+    } catch (error) {
+      console.error('Error in get-setting:', error);
+      return {
+        success: false,
+        error: error.message || 'Unknown error occurred'
+      };
+    }
+  });
+
+  // Add set-setting handler
+  handleIpc('set-setting', async (event, { key, value }) => {
+    try {
+      // Handle missing or invalid key/value
+      if (!key || typeof key !== 'string' || !key.trim()) {
+        return {
+          success: false,
+          error: 'Valid setting key is required'
+        };
+      }
+
+      if (!PERSONAL_SETTING_KEYS.includes(key.trim()) && !hasPermission(currentUser, 'settings.manage')) {
+        return { success: false, code: 'FORBIDDEN', error: 'Your role cannot change shop settings' };
+      }
+      if (key.trim().startsWith('licence_') || key.trim() === 'app_activated') {
+        return { success: false, error: 'Licence settings change only through licence activation' };
+      }
+      if (key.trim() === AUDIT_HEAD_SETTING) {
+        return { success: false, error: 'The audit log head is kept by the audit log itself' };
+      }
+
+      // The shop name is bound to the licence
+      if (key.trim() === 'shop_name') {
+        const { licence } = getLicenceStatus(db);
+        if (licence && normalizeShopName(value) !== normalizeShopName(licence.shop_name)) {
+          return { success: false, error: `The licence is issued to ${licence.shop_name}; the shop name must match it` };
+        }
+      }
+
+      if (isSecretSetting(key)) {
+        setSecret(db, key.trim(), value);
+        return { success: true };
+      }
+
+      // Convert value to string for storage
+      const stringValue = String(value);
+
+      // Use UPSERT to either insert or update the setting
+      const stmt = db.prepare(`
+        INSERT INTO settings (key, value) 
+        VALUES (@key, @value)
+        ON CONFLICT(key) DO UPDATE SET value = @value
+      `);
+      
+      stmt.run({ key: key.trim(), value: stringValue });
+
+      // For developer mode changes, emit an event to update UI
+      if (key === 'developer_mode') {
+        mainWindow.webContents.send('developer-mode-changed', value === 'true');
+      }
+
+      return {
+        success: true,
+        value: stringValue
+      };
+    } catch (error) {
+      console.error('Error in set-setting:', error);
+      return {
+        success: false,
+        error: error.message || 'Unknown error occurred'
+      };
+    }
+  });
+
+  // Email Handlers - the SMTP password is read here and never leaves the main process
+  handleIpc('send-email', async (event, { to, subject, body, attachmentPath } = {}) => {
+    try {
+      if (!to || !String(to).trim()) {
+        return { success: false, error: 'A recipient email address is required' };
+      }
+      // Only reports the app exported itself, never an arbitrary file such as the database or secrets.key
+      if (attachmentPath && !exportedFiles.has(path.resolve(String(attachmentPath)))) {
+        return { success: false, error: 'Only reports exported by the app can be attached' };
+      }
+      const smtp = getSmtpSettings(db);
+      const transport = createSmtpTransport(smtp);
+      await transport.sendMail({
+        from: smtp.fromName ? `"${smtp.fromName}" <${smtp.fromEmail}>` : smtp.fromEmail,
+        to: String(to).trim(),
+        subject: subject || '',
+        text: body || '',
+        attachments: attachmentPath ? [{ filename: path.basename(attachmentPath), path: attachmentPath }] : []
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return { success: false, error: error.message || 'Failed to send email' };
+    }
+  });
+
+  handleIpc('test-email', async (event, { to } = {}) => {
+    try {
+      const smtp = getSmtpSettings(db);
+      const transport = createSmtpTransport(smtp);
+      await transport.verify();
+      await transport.sendMail({
+        from: smtp.fromName ? `"${smtp.fromName}" <${smtp.fromEmail}>` : smtp.fromEmail,
+        to: (to && String(to).trim()) || smtp.fromEmail,
+        subject: `${smtp.fromName} - test email`,
+        text: 'This is a test email from Wolo. Your email settings are working.'
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending test email:', error);
+      return { success: false, error: error.message || 'Failed to send test email' };
+    }
+  });
+
+  // File Dialog Handler
+  handleIpc('show-open-dialog', async (event, options) => {
+    try {
+      const result = await dialog.showOpenDialog(options);
+      return result;
+    } catch (error) {
+      console.error('Error showing open dialog:', error);
+      throw error;
+    }
+  });
+
+  // Auto-complete Handler
+  handleIpc('get-all-product-names', async () => {
+    try {
+      const products = db.prepare(`
+        SELECT id, name, barcode 
+        FROM products 
+        GROUP BY name, barcode 
+        ORDER BY name ASC
+      `).all();
+      return products;
+    } catch (error) {
+      console.error('Error fetching product names:', error);
+      throw error;
+    }
+  });
+
+  // Backup and Restore Handlers
+  handleIpc('create-backup', async () => {
+    try {
+      const backupDir = path.join(app.getPath('userData'), 'backups');
+      
+      // Create backups directory if it doesn't exist
+      if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+      }
+      
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupPath = path.join(backupDir, `wolo-inventory-backup-${timestamp}.db`);
+      
+      // SQLite's online backup, so changes still in the write-ahead log are included
+      await db.backup(backupPath);
+      
+      return { success: true, path: backupPath };
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      return { success: false, error: error.message || 'Failed to create backup' };
+    }
+  });
+
+  // Owners only. The backup must be a Wolo database with an active owner; it goes through the
+  // usual schema and migration setup, keeps this install's licence, and everyone is signed out.
+  handleIpc('restore-backup', async (event, { backupPath } = {}) => {
+    try {
+      if (!backupPath || !fs.existsSync(backupPath)) {
+        return { success: false, error: 'Backup file not found' };
+      }
+      const problem = checkBackupFile(backupPath);
+      if (problem) {
+        return { success: false, error: problem };
+      }
+
+      const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
+      const previousPath = `${dbPath}.before-restore`;
+      const licenceSettings = db.prepare("SELECT key, value FROM settings WHERE key LIKE 'licence\\_%' ESCAPE '\\'").all();
+
+      // Close current database connection, keeping a copy to fall back to
+      db.close();
+      db = null;
+      fs.copyFileSync(dbPath, previousPath);
+
+      try {
+        fs.copyFileSync(backupPath, dbPath);
+        await initDatabase();
+      } catch (error) {
+        if (db) db.close();
+        db = null;
+        fs.copyFileSync(previousPath, dbPath);
+        await initDatabase();
+        throw error;
+      }
+
+      db.transaction(() => {
+        db.prepare("DELETE FROM settings WHERE key LIKE 'licence\\_%' ESCAPE '\\'").run();
+        const saveSetting = db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)');
+        licenceSettings.forEach(setting => saveSetting.run(setting.key, setting.value));
+      })();
+
+      // The restored users table decides who can sign in
+      currentUser = null;
+      sessionLocked = false;
+      return { success: true };
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      return { success: false, error: error.message || 'Failed to restore backup' };
+    }
+  });
+
+  // System Handlers
+  handleIpc('get-app-version', async () => {
+    try {
+      const packageJson = require('./package.json');
+      return { success: true, version: packageJson.version || '1.0.0' };
+    } catch (error) {
+      console.error('Error getting app version:', error);
+      return { success: false, version: '1.0.0', error: error.message };
+    }
+  });
+
+  handleIpc('check-for-updates', async () => {
+    try {
+      // Placeholder for update checking - can be implemented with auto-updater
+      return { success: true, updateAvailable: false, message: 'No updates available' };
+    } catch (error) {
+      console.error('Error checking for updates:', error);
+      return { success: false, error: error.message || 'Failed to check for updates' };
+    }
+  });
+
+  handleIpc('install-update', async () => {
+    try {
+      // Placeholder for update installation
+      return { success: false, error: 'Auto-update not implemented yet' };
+    } catch (error) {
+      console.error('Error installing update:', error);
+      return { success: false, error: error.message || 'Failed to install update' };
+    }
+  });
+  
+  console.log('IPC handler registration completed successfully');
+}
+
+// Renderer-only UI helpers for reports (moved to renderer.js). main.js should
+// not contain DOM/window references.
+
+// Why a file cannot be restored as the shop's database, or null when it can
+function checkBackupFile(backupPath) {
+  let backup;
+  try {
+    backup = new Database(backupPath, { readonly: true, fileMustExist: true });
+    if (backup.pragma('integrity_check', { simple: true }) !== 'ok') {
+      return 'The backup file is damaged';
+    }
+    const tables = backup.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+    if (!['settings', 'users', 'products', 'sales'].every(table => tables.includes(table))) {
+      return 'This is not a Wolo Pharmacy backup';
+    }
+    if (!backup.prepare("SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND is_active = 1").get().count) {
+      return 'The backup has no active owner account, so no one could sign in to it';
+    }
+    return null;
+  } catch (error) {
+    return 'This is not a Wolo Pharmacy backup';
+  } finally {
+    if (backup) backup.close();
+  }
+}
+
+// Helper function to safely execute SQL with error handling
+function executeSql(sql, params = []) {
+  try {
+    return db.prepare(sql).run(...params);
+  } catch (error) {
+    console.error('SQL Error:', { sql, error });
+    throw error;
+  }
+}
+
+// Whether a product update would change its selling, wholesale or unit prices
+function changesProductPrices(conn, productId, updates) {
+  const product = conn.prepare('SELECT selling_price, wholesale_price FROM products WHERE id = ?').get(productId);
+  if (!product) {
+    return false;
+  }
+  const differs = (next, current) => next !== undefined && next !== null && next !== '' &&
+    Math.abs((parseFloat(next) || 0) - (parseFloat(current) || 0)) > 0.0001;
+  if (differs(updates.selling_price, product.selling_price) || differs(updates.wholesale_price, product.wholesale_price)) {
+    return true;
+  }
+  if (!Array.isArray(updates.units)) {
+    return false;
+  }
+  const currentUnits = new Map(getProductUnits(conn, productId).map(unit => [String(unit.unit_name).toLowerCase(), unit.selling_price]));
+  return updates.units.some(unit => {
+    const key = String(unit.unit_name || '').toLowerCase();
+    return !currentUnits.has(key) ? Boolean(parseFloat(unit.selling_price)) : differs(unit.selling_price, currentUnits.get(key));
+  });
+}
+
+// Pack units a product is sold in besides its base unit, smallest first
+function getProductUnits(conn, productId) {
+  return conn.prepare(`
+    SELECT * FROM product_units WHERE product_id = ? ORDER BY conversion_factor
+  `).all(productId);
+}
+
+// Replace a product's pack units with units: [{ id, unit_name, conversion_factor, selling_price, barcode }].
+// conversion_factor is the number of base units in one pack unit.
+function saveProductUnits(conn, productId, units = []) {
+  const now = new Date().toISOString();
+  const seen = new Set();
+  const keepIds = [];
+
+  units.forEach(unit => {
+    const unitName = (unit.unit_name || '').trim();
+    const factor = parseInt(unit.conversion_factor);
+    if (!unitName) {
+      throw new Error('Every unit of measure needs a name');
+    }
+    if (!(factor > 1)) {
+      throw new Error(`${unitName} must contain more than one base unit`);
+    }
+    if (seen.has(unitName.toLowerCase())) {
+      throw new Error(`Unit ${unitName} is listed more than once`);
+    }
+    seen.add(unitName.toLowerCase());
+
+    const existing = unit.id
+      ? conn.prepare('SELECT id FROM product_units WHERE id = ? AND product_id = ?').get(unit.id, productId)
+      : null;
+    if (existing) {
+      conn.prepare(`
+        UPDATE product_units
+        SET unit_name = ?, conversion_factor = ?, selling_price = ?, barcode = ?, updated_at = ?
+        WHERE id = ?
+      `).run(unitName, factor, parseFloat(unit.selling_price) || 0, unit.barcode || null, now, existing.id);
+      keepIds.push(existing.id);
+    } else {
+      const id = uuidv4();
+      conn.prepare(`
+        INSERT INTO product_units (id, product_id, unit_name, conversion_factor, selling_price, barcode, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, productId, unitName, factor, parseFloat(unit.selling_price) || 0, unit.barcode || null, now, now);
+      keepIds.push(id);
+    }
+  });
+
+  conn.prepare(`
+    DELETE FROM product_units
+    WHERE product_id = ? ${keepIds.length ? `AND id NOT IN (${keepIds.map(() => '?').join(', ')})` : ''}
+  `).run(productId, ...keepIds);
+}
+
+// Ways a customer can pay for a sale
+const PAYMENT_METHODS = ['cash', 'card', 'mobile_money', 'other'];
+
+// Expense categories every shop starts with; more can be added from the expenses page
+const DEFAULT_EXPENSE_CATEGORIES = ['Rent', 'Utilities', 'Salaries', 'Transport', 'Other'];
+
+// Check an expense before it is saved; returns an error message or null
+function validateExpense(expense) {
+  if (!expense.expense_date) return 'Expense date is required';
+  if (!expense.category || !String(expense.category).trim()) return 'Expense category is required';
+  if (!(parseFloat(expense.amount) > 0)) return 'Expense amount must be greater than zero';
+  if (expense.payment_method && !PAYMENT_METHODS.includes(expense.payment_method)) {
+    return `Unknown payment method: ${expense.payment_method}`;
+  }
+  return null;
+}
+
+// Work out what each tendered payment contributes to a sale of totalAmount.
+// payments: [{ method, amount, reference }]. Overpayment is change due and can only
+// be handed back from cash. With allowCredit an underpayment is left on the customer's
+// account instead of refused. Returns { payments, amountTendered, changeDue, creditAmount }.
+function settleSalePayments(payments, totalAmount, { allowCredit = false } = {}) {
+  const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+  const refuse = (message) => {
+    const error = new Error(message);
+    error.code = 'PAYMENT_INVALID';
+    return error;
+  };
+
+  const lines = (payments || [])
+    .map(payment => ({
+      method: payment.method || 'cash',
+      amount: toCents(payment.amount),
+      reference: payment.reference ? String(payment.reference).trim() || null : null
+    }))
+    .filter(line => line.amount !== 0);
+
+  lines.forEach(line => {
+    if (!PAYMENT_METHODS.includes(line.method)) {
+      throw refuse(`Unknown payment method: ${line.method}`);
+    }
+    if (line.amount < 0) {
+      throw refuse('Payment amounts cannot be negative');
+    }
+  });
+
+  const due = toCents(totalAmount);
+  const tendered = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (tendered < due && !allowCredit) {
+    throw refuse(`Payment is GH₵${((due - tendered) / 100).toFixed(2)} short of the GH₵${(due / 100).toFixed(2)} due`);
+  }
+
+  let change = Math.max(tendered - due, 0);
+  const cashTendered = lines.filter(line => line.method === 'cash').reduce((sum, line) => sum + line.amount, 0);
+  if (change > cashTendered) {
+    throw refuse('Change can only be given from a cash payment; reduce the card or mobile money amount');
+  }
+  for (const line of lines.filter(line => line.method === 'cash').reverse()) {
+    const take = Math.min(line.amount, change);
+    line.amount -= take;
+    change -= take;
+  }
+
+  return {
+    payments: lines.filter(line => line.amount > 0).map(line => ({ ...line, amount: line.amount / 100 })),
+    amountTendered: tendered / 100,
+    changeDue: Math.max(tendered - due, 0) / 100,
+    creditAmount: Math.max(due - tendered, 0) / 100
+  };
+}
+
+// What is still owed on a sale (aliased s): the total less goods credited back and
+// the money kept from it. Cash refunded on a credit note is money no longer kept.
+const SALE_BALANCE_SQL = `MAX(0, ROUND(s.total_amount - COALESCE(s.amount_refunded, 0)
+  - (SELECT COALESCE(SUM(sp.amount), 0) FROM sale_payments sp WHERE sp.sale_id = s.id)
+  + (SELECT COALESCE(SUM(cn.total_amount - cn.applied_to_balance), 0) FROM credit_notes cn WHERE cn.sale_id = s.id), 2))`;
+
+// Total a customer owes across all their sales
+function getCustomerBalance(conn, customerId) {
+  const row = conn.prepare(`
+    SELECT COALESCE(SUM(${SALE_BALANCE_SQL}), 0) as balance FROM sales s WHERE s.customer_id = ?
+  `).get(customerId);
+  return Math.round(row.balance * 100) / 100;
+}
+
+// Invoices with money still owed, oldest first
+function getOpenInvoices(conn, customerId) {
+  return conn.prepare(`
+    SELECT * FROM (
+      SELECT s.id, s.invoice_number, s.sale_date, s.created_at, s.total_amount, ${SALE_BALANCE_SQL} as balance
+      FROM sales s WHERE s.customer_id = ?
+    ) WHERE balance > 0
+    ORDER BY sale_date ASC, created_at ASC
+  `).all(customerId);
+}
+
+// Days of credit a supplier's payment terms give, e.g. "Net 30" (also in "2/10 Net 30")
+// or "30 days". Other terms (cash, COD) are due on receipt.
+function getPaymentTermsDays(terms) {
+  const match = String(terms || '').match(/\bnet\s*(\d+)/i) || String(terms || '').match(/^\s*(\d+)\s*days?\s*$/i);
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Aging buckets shared by the receivables and payables reports, by days past the due date
+const AGING_BUCKETS = ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'over_90'];
+
+function getAgingBucket(daysOverdue) {
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return 'days_1_30';
+  if (daysOverdue <= 60) return 'days_31_60';
+  if (daysOverdue <= 90) return 'days_61_90';
+  return 'over_90';
+}
+
+function emptyAgingTotals() {
+  return { ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0])), total: 0 };
+}
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// What is still owed on a supplier invoice (table alias inv)
+const SUPPLIER_INVOICE_BALANCE_SQL = `MAX(0, ROUND(inv.amount
+  - (SELECT COALESCE(SUM(a.amount), 0) FROM supplier_payment_allocations a WHERE a.supplier_invoice_id = inv.id), 2))`;
+
+// Total owed to a supplier across all their invoices
+function getSupplierBalance(conn, supplierId) {
+  const row = conn.prepare(`
+    SELECT COALESCE(SUM(${SUPPLIER_INVOICE_BALANCE_SQL}), 0) as balance FROM supplier_invoices inv WHERE inv.supplier_id = ?
+  `).get(supplierId);
+  return Math.round(row.balance * 100) / 100;
+}
+
+// Supplier invoices with money still owed, earliest due first
+function getOpenSupplierInvoices(conn, supplierId) {
+  return conn.prepare(`
+    SELECT * FROM (
+      SELECT inv.*, g.grn_number, ${SUPPLIER_INVOICE_BALANCE_SQL} as balance
+      FROM supplier_invoices inv LEFT JOIN goods_received_notes g ON g.id = inv.grn_id
+      WHERE inv.supplier_id = ?
+    ) WHERE balance > 0
+    ORDER BY due_date ASC, invoice_date ASC
+  `).all(supplierId);
+}
+
+// The cashier shift currently open at the till, if any. Sales, payments and refunds
+// taken while it is open carry its id.
+function getOpenShift(conn) {
+  return conn.prepare("SELECT * FROM shifts WHERE status = 'open' ORDER BY opened_at DESC LIMIT 1").get() || null;
+}
+
+// Z-report figures for a shift: sales, money taken and refunded by method, and the cash
+// that should be in the drawer (opening float + cash taken - cash refunded)
+function getShiftReportById(conn, shiftId) {
+  const shift = conn.prepare('SELECT * FROM shifts WHERE id = ?').get(shiftId);
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+  return buildShiftReport(conn, shift);
+}
+
+function buildShiftReport(conn, shift) {
+  const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+  const sales = conn.prepare(`
+    SELECT COUNT(*) as sale_count, COALESCE(SUM(total_amount), 0) as sales_total,
+           COALESCE(SUM(CASE WHEN payment_status = 'voided' THEN 1 ELSE 0 END), 0) as voided_count,
+           COALESCE(SUM(CASE WHEN payment_method = 'credit' THEN total_amount - (
+             SELECT COALESCE(SUM(sp.amount), 0) FROM sale_payments sp WHERE sp.sale_id = s.id AND sp.customer_payment_id IS NULL
+           ) ELSE 0 END), 0) as on_account_total
+    FROM sales s WHERE s.shift_id = ?
+  `).get(shift.id);
+
+  const byMethod = {};
+  const entryFor = (method) => {
+    byMethod[method] = byMethod[method] || { method, at_sale: 0, on_account: 0, refunded: 0, net: 0 };
+    return byMethod[method];
+  };
+  conn.prepare(`
+    SELECT method, customer_payment_id IS NOT NULL as on_account, COALESCE(SUM(amount), 0) as amount
+    FROM sale_payments WHERE shift_id = ?
+    GROUP BY method, customer_payment_id IS NOT NULL
+  `).all(shift.id).forEach(row => {
+    entryFor(row.method)[row.on_account ? 'on_account' : 'at_sale'] += row.amount;
+  });
+
+  const creditNotes = conn.prepare(`
+    SELECT COUNT(*) as count, COALESCE(SUM(total_amount), 0) as total FROM credit_notes WHERE shift_id = ?
+  `).get(shift.id);
+  conn.prepare(`
+    SELECT COALESCE(refund_method, 'cash') as method, COALESCE(SUM(total_amount - applied_to_balance), 0) as amount
+    FROM credit_notes WHERE shift_id = ? GROUP BY COALESCE(refund_method, 'cash')
+  `).all(shift.id).forEach(row => {
+    entryFor(row.method).refunded += row.amount;
+  });
+
+  const payments = Object.values(byMethod).map(entry => ({
+    method: entry.method,
+    at_sale: round(entry.at_sale),
+    on_account: round(entry.on_account),
+    refunded: round(entry.refunded),
+    net: round(entry.at_sale + entry.on_account - entry.refunded)
+  }));
+  const cash = payments.find(entry => entry.method === 'cash') || { at_sale: 0, on_account: 0, refunded: 0 };
+  const cashReceived = round(cash.at_sale + cash.on_account);
+  const expectedCash = round(shift.opening_float + cashReceived - cash.refunded);
+
+  return {
+    shift,
+    sale_count: sales.sale_count,
+    sales_total: round(sales.sales_total),
+    voided_count: sales.voided_count,
+    on_account_total: round(sales.on_account_total),
+    credit_note_count: creditNotes.count,
+    credit_note_total: round(creditNotes.total),
+    payments,
+    opening_float: round(shift.opening_float),
+    cash_received: cashReceived,
+    cash_refunded: round(cash.refunded),
+    expected_cash: expectedCash,
+    counted_cash: shift.counted_cash,
+    over_short: shift.over_short
+  };
+}
+
+// Promotion types: percent or fixed (per unit) off, or buy_x_get_y (get_quantity free
+// for every buy_quantity bought)
+const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y'];
+
+// Customer groups every shop starts with. price_basis 'wholesale' sells at the product's
+// wholesale price; discount_percent comes off the retail price.
+const DEFAULT_CUSTOMER_GROUPS = [
+  { name: 'Wholesale', price_basis: 'wholesale', discount_percent: 0 },
+  { name: 'Staff', price_basis: 'retail', discount_percent: 0 }
+];
+
+// Share of a sale (percent) that may be given away at the till without a supervisor
+const DEFAULT_DISCOUNT_APPROVAL_PERCENT = 10;
+
+// Check a promotion before it is saved; returns an error message or null
+function validatePromotion(promotion) {
+  if (!promotion.name || !String(promotion.name).trim()) return 'Promotion name is required';
+  if (!PROMOTION_TYPES.includes(promotion.type)) return `Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`;
+  if (promotion.type === 'buy_x_get_y') {
+    if (!(parseInt(promotion.buy_quantity) > 0) || !(parseInt(promotion.get_quantity) > 0)) {
+      return 'Enter how many must be bought and how many are free';
+    }
+  } else if (!(parseFloat(promotion.value) > 0)) {
+    return 'Enter the discount';
+  } else if (promotion.type === 'percent' && parseFloat(promotion.value) > 100) {
+    return 'A percentage discount cannot be over 100%';
+  }
+  if (promotion.start_date && promotion.end_date && promotion.start_date > promotion.end_date) {
+    return 'Start date cannot be after end date';
+  }
+  return null;
+}
+
+// Cents taken off baseCents by a { type: 'percent' | 'fixed', value } discount
+function discountCents(discount, baseCents) {
+  if (!discount || !(parseFloat(discount.value) > 0)) return 0;
+  const value = parseFloat(discount.value);
+  if (discount.type === 'percent' && value > 100) {
+    const error = new Error('A percentage discount cannot be over 100%');
+    error.code = 'DISCOUNT_INVALID';
+    throw error;
+  }
+  const cents = discount.type === 'percent' ? Math.round(baseCents * value / 100) : Math.round(value * 100);
+  return Math.min(cents, baseCents);
+}
+
+// Cents a promotion takes off quantity units listed at listCents each
+function promotionDiscountCents(promotion, quantity, listCents) {
+  if (quantity < (promotion.min_quantity || 1)) return 0;
+  if (promotion.type === 'buy_x_get_y') {
+    const sets = Math.floor(quantity / (promotion.buy_quantity + promotion.get_quantity));
+    return sets * promotion.get_quantity * listCents;
+  }
+  if (promotion.type === 'percent') return Math.round(listCents * quantity * promotion.value / 100);
+  return Math.min(Math.round(promotion.value * 100), listCents) * quantity;
+}
+
+// Price a cart. Each line starts at its list price (quantity x unitPrice); the best of any
+// running promotion and the customer's group price comes off first (they do not stack), then
+// the cashier's line discount, then the cart discount shared across lines by value. Tax is
+// worked out last, on what is left (see applySaleTaxes); total is what the customer pays.
+// items: [{ productId, quantity, unitId, unitPrice, discount: { type, value } }]
+function priceSaleItems(conn, items, { customerId = null, cartDiscount = null, date = new Date().toISOString().split('T')[0] } = {}) {
+  const group = customerId ? conn.prepare(`
+    SELECT g.* FROM customers c JOIN customer_groups g ON g.id = c.customer_group_id WHERE c.id = ?
+  `).get(customerId) : null;
+  const findPromotions = conn.prepare(`
+    SELECT * FROM promotions
+    WHERE is_active = 1
+      AND (start_date IS NULL OR start_date <= ?) AND (end_date IS NULL OR end_date >= ?)
+      AND (product_id = ? OR (product_id IS NULL AND (category IS NULL OR category = ?)))
+  `);
+
+  const lines = items.map(item => {
+    const product = conn.prepare('SELECT id, name, category, selling_price, wholesale_price FROM products WHERE id = ?').get(item.productId);
+    if (!product) {
+      throw new Error(`Product with ID ${item.productId} not found`);
+    }
+    const unit = item.unitId
+      ? conn.prepare('SELECT conversion_factor, selling_price FROM product_units WHERE id = ? AND product_id = ?').get(item.unitId, item.productId)
+      : null;
+    if (item.unitId && !unit) {
+      throw new Error(`Unit ${item.unitId} is not sold for ${product.name}`);
+    }
+    const conversionFactor = unit ? unit.conversion_factor : 1;
+    // A negative line would pay money out with no stock coming back, and a zero one prices as NaN
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Quantity for ${product.name} must be a whole number above zero`);
+    }
+    // The list price comes from the product or pack unit, never from the renderer
+    const listCents = Math.round((unit ? unit.selling_price : product.selling_price || 0) * 100);
+    const grossCents = listCents * quantity;
+
+    let offer = { cents: 0, description: null, promotionId: null };
+    findPromotions.all(date, date, product.id, product.category || '').forEach(promotion => {
+      const cents = promotionDiscountCents(promotion, quantity, listCents);
+      if (cents > offer.cents) offer = { cents, description: promotion.name, promotionId: promotion.id };
+    });
+    if (group) {
+      let cents = Math.round(grossCents * (group.discount_percent || 0) / 100);
+      if (group.price_basis === 'wholesale' && product.wholesale_price > 0) {
+        cents = Math.max(cents, grossCents - Math.round(product.wholesale_price * conversionFactor * 100) * quantity);
+      }
+      if (cents > offer.cents) offer = { cents, description: `${group.name} price`, promotionId: null };
+    }
+    const automaticCents = Math.min(offer.cents, grossCents);
+    const manualCents = discountCents(item.discount, grossCents - automaticCents);
+
+    return {
+      productId: item.productId,
+      quantity,
+      unitId: item.unitId || null,
+      conversionFactor,
+      product,
+      listCents,
+      grossCents,
+      automaticCents,
+      manualCents,
+      cartCents: 0,
+      offer
+    };
+  });
+
+  // Share the cart discount across lines in proportion to what is left on each
+  const beforeCartCents = lines.reduce((sum, line) => sum + line.grossCents - line.automaticCents - line.manualCents, 0);
+  const cartCents = discountCents(cartDiscount, beforeCartCents);
+  let unallocated = cartCents;
+  lines.forEach(line => {
+    const lineCents = line.grossCents - line.automaticCents - line.manualCents;
+    line.cartCents = beforeCartCents > 0 ? Math.floor(cartCents * lineCents / beforeCartCents) : 0;
+    unallocated -= line.cartCents;
+  });
+  for (const line of lines) {
+    if (unallocated <= 0) break;
+    const room = line.grossCents - line.automaticCents - line.manualCents - line.cartCents;
+    const extra = Math.min(room, unallocated);
+    line.cartCents += extra;
+    unallocated -= extra;
+  }
+
+  const pricedLines = lines.map(line => {
+    const discountTotal = line.automaticCents + line.manualCents + line.cartCents;
+    return {
+      productId: line.productId,
+      quantity: line.quantity,
+      unitId: line.unitId,
+      conversionFactor: line.conversionFactor,
+      list_price: line.listCents / 100,
+      gross_amount: line.grossCents / 100,
+      automatic_discount: line.automaticCents / 100,
+      manual_discount: line.manualCents / 100,
+      cart_discount: line.cartCents / 100,
+      discount_amount: discountTotal / 100,
+      net_amount: (line.grossCents - discountTotal) / 100,
+      // The promotion or group price behind automatic_discount
+      offer_description: line.automaticCents > 0 ? line.offer.description : null,
+      promotion_id: line.automaticCents > 0 ? line.offer.promotionId : null
+    };
+  });
+  const sumCents = (key) => lines.reduce((sum, line) => sum + line[key], 0);
+  const discountTotal = sumCents('automaticCents') + sumCents('manualCents') + cartCents;
+
+  return applySaleTaxes(conn, {
+    lines: pricedLines,
+    customer_group: group ? group.name : null,
+    gross_total: sumCents('grossCents') / 100,
+    automatic_discount: sumCents('automaticCents') / 100,
+    manual_discount: (sumCents('manualCents') + cartCents) / 100,
+    cart_discount: cartCents / 100,
+    discount_total: discountTotal / 100,
+    net_total: (sumCents('grossCents') - discountTotal) / 100
+  });
+}
+
+// Discounts the cashier gives (line and cart discounts, not promotions or group prices)
+// beyond the approval threshold need a supervisor's PIN. Returns { approvedBy } or { error }.
+function checkDiscountApproval(conn, pricing, approval) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  const thresholdSetting = parseFloat(setting('discount_approval_percent'));
+  const threshold = isNaN(thresholdSetting) ? DEFAULT_DISCOUNT_APPROVAL_PERCENT : thresholdSetting;
+  const limitCents = Math.round(pricing.gross_total * threshold);
+  if (Math.round(pricing.manual_discount * 100) <= limitCents) {
+    return { approvedBy: null };
+  }
+
+  // Users who may manage pricing approve their own discounts
+  if (hasPermission(currentUser, 'pricing.manage')) {
+    return { approvedBy: currentUser.name };
+  }
+  if (!approval || !approval.pin) {
+    return { error: `A discount of GH₵${pricing.manual_discount.toFixed(2)} is over ${threshold}% of the sale and needs supervisor approval` };
+  }
+  // Any active user who may manage pricing can approve with their own PIN or password
+  const supervisor = conn.prepare('SELECT * FROM users WHERE is_active = 1').all()
+    .find(user => hasPermission(user, 'pricing.manage') && verifyCredential(approval.pin, user.credential_hash));
+  if (supervisor) {
+    return { approvedBy: supervisor.name };
+  }
+  if (!verifyCredential(approval.pin, getSecret(conn, 'supervisor_pin_hash'))) {
+    return { error: 'Incorrect supervisor PIN' };
+  }
+  return { approvedBy: (approval.supervisorName || '').trim() || 'Supervisor' };
+}
+
+// How shelf prices relate to tax: 'off' charges none, 'inclusive' prices already contain the
+// levies, 'exclusive' adds them at the till
+const TAX_MODES = ['off', 'inclusive', 'exclusive'];
+
+// Ghana's standard levies. NHIL, GETFund and the COVID-19 levy are charged on the price;
+// VAT is compound, charged on the price plus those levies.
+const DEFAULT_TAX_LEVIES = [
+  { name: 'NHIL', rate: 2.5, compound: 0 },
+  { name: 'GETFund Levy', rate: 2.5, compound: 0 },
+  { name: 'COVID-19 Health Recovery Levy', rate: 1, compound: 0 },
+  { name: 'VAT', rate: 15, compound: 1 }
+];
+
+// Tax mode and the active levies in the order they are charged
+function getTaxSettings(conn) {
+  const mode = conn.prepare('SELECT value FROM settings WHERE key = ?').get('tax_mode')?.value;
+  return {
+    mode: TAX_MODES.includes(mode) ? mode : 'off',
+    levies: conn.prepare('SELECT * FROM tax_levies WHERE is_active = 1 ORDER BY compound ASC, sort_order ASC, name ASC').all()
+  };
+}
+
+// Split a line's amount (in cents) into its taxable value and each levy. Simple levies are
+// charged on the taxable value and compound ones on the taxable value plus the simple levies.
+// Inclusive amounts are worked back to the taxable value, which absorbs the rounding.
+function computeLineTax(amountCents, levies, mode) {
+  if (mode === 'off' || levies.length === 0 || amountCents <= 0) {
+    return { taxableCents: amountCents, taxCents: 0, taxes: [] };
+  }
+  const simpleRate = levies.filter(levy => !levy.compound).reduce((sum, levy) => sum + levy.rate, 0);
+  const compoundRate = levies.filter(levy => levy.compound).reduce((sum, levy) => sum + levy.rate, 0);
+  const taxableCents = mode === 'inclusive'
+    ? Math.round(amountCents / ((1 + simpleRate / 100) * (1 + compoundRate / 100)))
+    : amountCents;
+
+  const taxes = levies.filter(levy => !levy.compound).map(levy => ({ levy, cents: Math.round(taxableCents * levy.rate / 100) }));
+  const simpleCents = taxes.reduce((sum, tax) => sum + tax.cents, 0);
+  levies.filter(levy => levy.compound).forEach(levy => {
+    taxes.push({ levy, cents: Math.round((taxableCents + simpleCents) * levy.rate / 100) });
+  });
+  const taxCents = taxes.reduce((sum, tax) => sum + tax.cents, 0);
+
+  return {
+    taxableCents: mode === 'inclusive' ? amountCents - taxCents : taxableCents,
+    taxCents,
+    taxes
+  };
+}
+
+// Add tax to a priced cart (see priceSaleItems): each line gets its taxable value, levies and
+// line_total (what the customer pays for it); the totals get the levies summed by name.
+// Exempt (zero-rated) products carry no tax.
+function applySaleTaxes(conn, pricing) {
+  const { mode, levies } = getTaxSettings(conn);
+  const isExempt = conn.prepare('SELECT tax_exempt FROM products WHERE id = ?');
+  const byLevy = new Map();
+  let taxableCents = 0;
+  let exemptCents = 0;
+  let taxCents = 0;
+  let totalCents = 0;
+
+  pricing.lines.forEach(line => {
+    const netCents = Math.round(line.net_amount * 100);
+    const exempt = Boolean(isExempt.get(line.productId)?.tax_exempt);
+    const tax = computeLineTax(netCents, exempt ? [] : levies, mode);
+    const lineTotalCents = mode === 'exclusive' ? netCents + tax.taxCents : netCents;
+
+    line.tax_exempt = exempt;
+    line.taxable_amount = tax.taxableCents / 100;
+    line.tax_amount = tax.taxCents / 100;
+    line.taxes = tax.taxes.map(({ levy, cents }) => ({
+      levy_id: levy.id,
+      name: levy.name,
+      rate: levy.rate,
+      compound: levy.compound,
+      amount: cents / 100
+    }));
+    line.line_total = lineTotalCents / 100;
+
+    tax.taxes.forEach(({ levy, cents }) => {
+      const entry = byLevy.get(levy.id) || { levy_id: levy.id, name: levy.name, rate: levy.rate, taxableCents: 0, cents: 0 };
+      entry.taxableCents += tax.taxableCents;
+      entry.cents += cents;
+      byLevy.set(levy.id, entry);
+    });
+    if (exempt && mode !== 'off') {
+      exemptCents += netCents;
+    } else {
+      taxableCents += tax.taxableCents;
+    }
+    taxCents += tax.taxCents;
+    totalCents += lineTotalCents;
+  });
+
+  return Object.assign(pricing, {
+    tax_mode: mode,
+    taxable_total: taxableCents / 100,
+    exempt_total: exemptCents / 100,
+    tax_total: taxCents / 100,
+    taxes: [...byLevy.values()].map(entry => ({
+      levy_id: entry.levy_id,
+      name: entry.name,
+      rate: entry.rate,
+      taxable_amount: entry.taxableCents / 100,
+      amount: entry.cents / 100
+    })),
+    total: totalCents / 100
+  });
+}
+
+// Receipt printers. 'system' printers are driven through the OS with an HTML receipt;
+// 'network' (TCP, usually port 9100) and 'device' (a device or shared-printer path such as
+// /dev/usb/lp0 or \\localhost\POS80) get raw ESC/POS; 'file' writes the ESC/POS bytes and a
+// text copy to a folder so receipts can be checked without hardware.
+const PRINTER_TYPES = ['system', 'network', 'device', 'file'];
+
+// Characters per line in the standard font, and printable dots per line, by paper width (mm)
+const RECEIPT_LINE_WIDTHS = { 58: 32, 80: 48 };
+const RECEIPT_DOT_WIDTHS = { 58: 384, 80: 576 };
+
+const PAYMENT_METHOD_NAMES = { cash: 'Cash', card: 'Card', mobile_money: 'Mobile Money', other: 'Other' };
+
+// Parts of the receipt a template can switch off
+const RECEIPT_FIELDS = {
+  logo: 'Shop logo',
+  customer: 'Customer name',
+  item_discounts: 'Discounts on each line',
+  tax_breakdown: 'Tax broken down by levy',
+  payments: 'Payments and change',
+  notes: 'Sale notes',
+  qr: 'QR code (ESC/POS printers)'
+};
+
+// Values the header and footer can use, written as {{name}}
+const RECEIPT_PLACEHOLDERS = {
+  shop_name: 'Shop name',
+  shop_address: 'Shop address',
+  shop_phone: 'Shop phone',
+  shop_email: 'Shop email',
+  tin: 'TIN (when tax is charged)',
+  invoice_number: 'Invoice number',
+  date: 'Sale date',
+  time: 'Sale time',
+  customer_name: 'Customer name',
+  item_count: 'Number of items',
+  total: 'Amount paid'
+};
+
+const DEFAULT_RECEIPT_TEMPLATE = {
+  paper_width: 80,
+  logo_path: '',
+  header: '{{shop_name}}\n{{shop_address}}\nTel: {{shop_phone}}\n{{shop_email}}\nTIN: {{tin}}',
+  footer: 'Thank you for your purchase!\nPlease come again',
+  fields: Object.fromEntries(Object.keys(RECEIPT_FIELDS).map(field => [field, true]))
+};
+
+function getPrinterSettings(conn) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  let printer = null;
+  try {
+    printer = JSON.parse(setting('receipt_printer') || 'null');
+  } catch (error) {
+    printer = null;
+  }
+  return {
+    printer: printer && PRINTER_TYPES.includes(printer.type) ? printer : null,
+    open_drawer: setting('receipt_open_drawer') === 'true'
+  };
+}
+
+// The saved receipt template, with defaults for anything missing
+function getReceiptTemplate(conn) {
+  let saved = {};
+  try {
+    saved = JSON.parse(conn.prepare('SELECT value FROM settings WHERE key = ?').get('receipt_template')?.value || '{}');
+  } catch (error) {
+    saved = {};
+  }
+  return normalizeReceiptTemplate(saved);
+}
+
+function normalizeReceiptTemplate(template = {}) {
+  return {
+    paper_width: parseInt(template.paper_width) === 58 ? 58 : 80,
+    logo_path: template.logo_path || '',
+    header: typeof template.header === 'string' ? template.header : DEFAULT_RECEIPT_TEMPLATE.header,
+    footer: typeof template.footer === 'string' ? template.footer : DEFAULT_RECEIPT_TEMPLATE.footer,
+    fields: Object.fromEntries(Object.keys(RECEIPT_FIELDS).map(field => [field, template.fields?.[field] !== false]))
+  };
+}
+
+// Fill {{placeholders}} in template text, one output line per template line. A line whose
+// placeholders all come out empty is dropped, so "Tel: {{shop_phone}}" disappears without a phone.
+function fillReceiptTemplate(text, values) {
+  return String(text || '').split('\n').flatMap(line => {
+    let used = 0;
+    let filled = 0;
+    const result = line.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      if (!(name in values)) return match;
+      used++;
+      const value = values[name] == null ? '' : String(values[name]);
+      if (value) filled++;
+      return value;
+    });
+    return (used > 0 && filled === 0) || !result.trim() ? [] : [result.trim()];
+  });
+}
+
+// A recorded sale in the shape buildReceipt lays out
+function getSaleReceiptData(conn, saleId) {
+  const sale = conn.prepare('SELECT * FROM sales WHERE id = ?').get(saleId);
+  if (!sale) {
+    throw new Error('Sale not found');
+  }
+  const items = conn.prepare('SELECT * FROM sale_items WHERE sale_id = ? ORDER BY rowid').all(saleId);
+  const payments = conn.prepare('SELECT * FROM sale_payments WHERE sale_id = ? AND customer_payment_id IS NULL ORDER BY rowid').all(saleId);
+  const taxes = conn.prepare(`
+    SELECT levy_name as name, rate, SUM(tax_amount) as amount
+    FROM sale_item_taxes WHERE sale_id = ?
+    GROUP BY levy_name, rate, compound
+    ORDER BY compound ASC, MIN(rowid) ASC
+  `).all(saleId);
+  const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  return {
+    invoice_number: sale.invoice_number,
+    date: sale.created_at || sale.sale_date,
+    sale_date: sale.sale_date,
+    customer_name: sale.customer_name,
+    // Lines at list price with their discounts, as sold (packs or base units)
+    items: items.map(item => {
+      const packs = item.unit_quantity && item.conversion_factor > 1;
+      const quantity = packs ? item.unit_quantity : item.quantity;
+      const listTotal = (item.list_price ?? item.unit_price) * item.quantity;
+      return {
+        name: item.product_name,
+        quantity,
+        unit_name: packs ? item.unit_name : null,
+        unit_price: listTotal / quantity,
+        list_total: listTotal,
+        discount_amount: item.discount_amount,
+        discount_description: item.discount_description,
+        tax_exempt: Boolean(item.tax_exempt)
+      };
+    }),
+    discount_total: sale.discount_total,
+    tax_mode: sale.tax_mode || 'off',
+    taxes,
+    total: sale.total_amount,
+    payments: payments.map(payment => ({ method: payment.method, reference: payment.reference, amount: payment.amount })),
+    on_account: Math.max(sale.total_amount - paid, 0),
+    amount_tendered: sale.amount_tendered,
+    change_due: sale.change_due,
+    notes: sale.notes,
+    amount_refunded: sale.amount_refunded,
+    voided: sale.payment_status === 'voided'
+  };
+}
+
+// A cart that has not been rung up yet, priced as the till would price it
+function getCartReceiptData(conn, { items = [], customerId = null, cartDiscount = null, customerName = '', notes = '' } = {}) {
+  const pricing = priceSaleItems(conn, items, { customerId, cartDiscount });
+  return {
+    quotation: true,
+    invoice_number: 'QUOTATION',
+    date: new Date().toISOString(),
+    customer_name: customerName,
+    items: pricing.lines.map(line => {
+      const product = conn.prepare('SELECT name FROM products WHERE id = ?').get(line.productId);
+      const unit = line.unitId ? conn.prepare('SELECT unit_name FROM product_units WHERE id = ?').get(line.unitId) : null;
+      return {
+        name: product?.name || 'Unknown Product',
+        quantity: line.quantity,
+        unit_name: unit ? unit.unit_name : null,
+        unit_price: line.list_price,
+        list_total: line.gross_amount,
+        discount_amount: line.discount_amount,
+        discount_description: [
+          line.offer_description,
+          line.manual_discount > 0 ? 'line discount' : null,
+          line.cart_discount > 0 ? 'cart discount' : null
+        ].filter(Boolean).join(' + '),
+        tax_exempt: line.tax_exempt
+      };
+    }),
+    discount_total: pricing.discount_total,
+    tax_mode: pricing.tax_mode,
+    taxes: pricing.taxes,
+    total: pricing.total,
+    payments: [],
+    notes
+  };
+}
+
+// Made-up sale for previewing a template before anything has been sold, taxed like the shop's sales
+function getSampleReceiptData(conn) {
+  const { mode, levies } = getTaxSettings(conn);
+  const lines = [
+    { name: 'Paracetamol 500mg', quantity: 2, unit_name: 'Strip', listCents: 500, discountCents: 0 },
+    { name: 'Amoxicillin 500mg Capsules', quantity: 1, unit_name: null, listCents: 2500, discountCents: 250, description: 'Weekend offer' },
+    { name: 'Vitamin C 1000mg', quantity: 1, unit_name: null, listCents: 1800, discountCents: 0, exempt: true }
+  ];
+  const byLevy = new Map();
+  let totalCents = 0;
+  lines.forEach(line => {
+    const netCents = line.listCents * line.quantity - line.discountCents;
+    const tax = computeLineTax(netCents, line.exempt ? [] : levies, mode);
+    tax.taxes.forEach(({ levy, cents }) => {
+      byLevy.set(levy.name, { name: levy.name, rate: levy.rate, amount: (byLevy.get(levy.name)?.amount || 0) + cents / 100 });
+    });
+    totalCents += mode === 'exclusive' ? netCents + tax.taxCents : netCents;
+  });
+
+  return {
+    invoice_number: `INV-${Date.now()}`,
+    date: new Date().toISOString(),
+    customer_name: 'Ama Mensah',
+    items: lines.map(line => ({
+      name: line.name,
+      quantity: line.quantity,
+      unit_name: line.unit_name,
+      unit_price: line.listCents / 100,
+      list_total: line.listCents * line.quantity / 100,
+      discount_amount: line.discountCents / 100,
+      discount_description: line.description || null,
+      tax_exempt: Boolean(line.exempt) && mode !== 'off'
+    })),
+    discount_total: 2.5,
+    tax_mode: mode,
+    taxes: [...byLevy.values()],
+    total: totalCents / 100,
+    payments: [{ method: 'cash', amount: totalCents / 100 }],
+    amount_tendered: Math.ceil(totalCents / 1000) * 10,
+    change_due: Math.ceil(totalCents / 1000) * 10 - totalCents / 100,
+    notes: ''
+  };
+}
+
+// Lay out receipt data with a template as printer-neutral blocks, rendered by
+// renderReceiptText, renderReceiptHtml or renderEscPos:
+// { type: 'logo', path } | { type: 'text', text, align, bold, size } | { type: 'row', left, right, bold }
+// | { type: 'line' } | { type: 'qr', data }
+// copy marks a reprint; test marks a printer test.
+function buildReceipt(conn, data, template, { copy = false, test = false } = {}) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value || '';
+  const money = (amount) => `GH₵${(amount || 0).toFixed(2)}`;
+  const { fields } = template;
+  const taxed = data.tax_mode === 'inclusive' || data.tax_mode === 'exclusive';
+  const soldAt = new Date(data.date);
+  const values = {
+    shop_name: setting('shop_name') || setting('company_name') || 'Wolo Pharmacy',
+    shop_address: setting('shop_address') || setting('company_address'),
+    shop_phone: setting('shop_phone') || setting('company_phone'),
+    shop_email: setting('shop_email') || setting('company_email'),
+    tin: taxed ? setting('tax_tin') : '',
+    invoice_number: data.invoice_number,
+    date: soldAt.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }),
+    time: soldAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }),
+    customer_name: data.customer_name || '',
+    item_count: data.items.length,
+    total: money(data.total)
+  };
+
+  const blocks = [];
+  if (fields.logo && template.logo_path && fs.existsSync(template.logo_path)) {
+    blocks.push({ type: 'logo', path: template.logo_path });
+  }
+  // The first header line is the shop name, printed large
+  fillReceiptTemplate(template.header, values).forEach((text, index) => {
+    blocks.push(index === 0 ? { type: 'text', text, align: 'center', bold: true, size: 2 } : { type: 'text', text, align: 'center' });
+  });
+  if (test) {
+    blocks.push({ type: 'text', text: '*** PRINTER TEST ***', align: 'center', bold: true });
+  }
+  if (data.quotation) {
+    blocks.push({ type: 'text', text: '*** QUOTATION ***', align: 'center', bold: true });
+  }
+  if (copy) {
+    blocks.push({ type: 'text', text: '*** COPY ***', align: 'center', bold: true });
+    blocks.push({ type: 'text', text: `Reprinted ${new Date().toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}`, align: 'center' });
+  }
+  if (data.voided) {
+    blocks.push({ type: 'text', text: '*** VOIDED ***', align: 'center', bold: true });
+  }
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'row', left: 'Invoice:', right: data.invoice_number });
+  blocks.push({ type: 'row', left: 'Date:', right: `${values.date}, ${values.time}` });
+  if (fields.customer && data.customer_name) {
+    blocks.push({ type: 'row', left: 'Customer:', right: data.customer_name });
+  }
+  blocks.push({ type: 'line' });
+
+  let listTotal = 0;
+  data.items.forEach(item => {
+    listTotal += item.list_total;
+    blocks.push({ type: 'text', text: `${item.name}${taxed && item.tax_exempt ? ' (E)' : ''}` });
+    if (fields.item_discounts || !(item.discount_amount > 0)) {
+      blocks.push({ type: 'row', left: `  ${item.quantity}${item.unit_name ? ` ${item.unit_name}` : ''} x ${money(item.unit_price)}`, right: money(item.list_total) });
+      if (item.discount_amount > 0) {
+        blocks.push({ type: 'row', left: `  Less ${item.discount_description || 'discount'}`, right: `-${money(item.discount_amount)}` });
+      }
+    } else {
+      // Without line discounts each line shows what was charged for it
+      blocks.push({ type: 'row', left: `  ${item.quantity}${item.unit_name ? ` ${item.unit_name}` : ''}`, right: money(item.list_total - item.discount_amount) });
+    }
+  });
+  if (!fields.item_discounts) {
+    listTotal -= data.discount_total || 0;
+  }
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'row', left: 'Subtotal:', right: money(listTotal) });
+  if (fields.item_discounts && data.discount_total > 0) {
+    blocks.push({ type: 'row', left: 'You saved:', right: `-${money(data.discount_total)}` });
+  }
+  const taxTotal = data.taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  if (data.tax_mode === 'exclusive' && taxTotal > 0) {
+    if (fields.tax_breakdown) {
+      data.taxes.forEach(tax => blocks.push({ type: 'row', left: `${tax.name} (${tax.rate}%):`, right: money(tax.amount) }));
+    } else {
+      blocks.push({ type: 'row', left: 'Tax:', right: money(taxTotal) });
+    }
+  }
+  blocks.push({ type: 'row', left: 'TOTAL:', right: money(data.total), bold: true });
+  if (data.tax_mode === 'inclusive' && taxTotal > 0) {
+    if (fields.tax_breakdown) {
+      blocks.push({ type: 'text', text: 'Prices include:' });
+      data.taxes.forEach(tax => blocks.push({ type: 'row', left: `  ${tax.name} (${tax.rate}%)`, right: money(tax.amount) }));
+    } else {
+      blocks.push({ type: 'row', left: 'Prices include tax of', right: money(taxTotal) });
+    }
+  }
+
+  if (fields.payments && (data.payments.length > 0 || data.on_account > 0.005)) {
+    blocks.push({ type: 'line' });
+    data.payments.forEach(payment => {
+      blocks.push({ type: 'row', left: `${PAYMENT_METHOD_NAMES[payment.method] || payment.method}${payment.reference ? ` (${payment.reference})` : ''}:`, right: money(payment.amount) });
+    });
+    if (data.on_account > 0.005) {
+      blocks.push({ type: 'row', left: 'On Account:', right: money(data.on_account) });
+    }
+    if (data.change_due > 0) {
+      blocks.push({ type: 'row', left: 'Amount Received:', right: money(data.amount_tendered) });
+      blocks.push({ type: 'row', left: 'Change:', right: money(data.change_due) });
+    }
+  }
+  if (data.amount_refunded > 0) {
+    blocks.push({ type: 'row', left: 'Refunded:', right: `-${money(data.amount_refunded)}` });
+  }
+  if (fields.notes && data.notes) {
+    blocks.push({ type: 'text', text: `Notes: ${data.notes}` });
+  }
+
+  blocks.push({ type: 'line' });
+  if (taxed && data.items.some(item => item.tax_exempt)) {
+    blocks.push({ type: 'text', text: '(E) Exempt from VAT and levies' });
+  }
+  fillReceiptTemplate(template.footer, values).forEach(text => blocks.push({ type: 'text', text, align: 'center' }));
+  if (fields.qr && !data.quotation) {
+    blocks.push({ type: 'qr', data: `${data.invoice_number}|${data.sale_date || String(data.date).slice(0, 10)}|${data.total.toFixed(2)}` });
+  }
+
+  return {
+    title: `${copy ? 'Receipt copy' : 'Receipt'} ${data.invoice_number}`,
+    name: `${data.invoice_number}${copy ? '-copy' : ''}`,
+    paperWidth: template.paper_width,
+    blocks,
+    // The drawer only opens for the first print of a cash sale
+    cashPaid: !copy && !test && data.payments.some(payment => payment.method === 'cash')
+  };
+}
+
+// Receipt document for a shift's Z-report (closed shift) or X-report (open shift: running
+// totals, no count), so it prints the same way as receipts
+function buildShiftReportReceipt(conn, report, template) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value || '';
+  const money = (amount) => `GH₵${(amount || 0).toFixed(2)}`;
+  const formatTime = (value) => value ? new Date(value).toLocaleString('en-GB', {
+    day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  }) : '-';
+  const { shift } = report;
+  const closed = shift.status === 'closed';
+  const shiftNumber = `Z-${String(shift.shift_number).padStart(4, '0')}`;
+  const shopAddress = setting('shop_address') || setting('company_address');
+  const shopPhone = setting('shop_phone') || setting('company_phone');
+
+  const blocks = [
+    { type: 'text', text: setting('shop_name') || setting('company_name') || 'Wolo Pharmacy', align: 'center', bold: true, size: 2 }
+  ];
+  if (shopAddress) blocks.push({ type: 'text', text: shopAddress, align: 'center' });
+  if (shopPhone) blocks.push({ type: 'text', text: `Tel: ${shopPhone}`, align: 'center' });
+  blocks.push({ type: 'text', text: closed ? 'Z-REPORT (SHIFT CLOSE)' : 'X-REPORT (SHIFT OPEN)', align: 'center', bold: true });
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'row', left: 'Shift:', right: shiftNumber });
+  blocks.push({ type: 'row', left: 'Cashier:', right: shift.cashier_name || '-' });
+  blocks.push({ type: 'row', left: 'Opened:', right: formatTime(shift.opened_at) });
+  blocks.push({ type: 'row', left: 'Closed:', right: formatTime(shift.closed_at) });
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'row', left: `Sales (${report.sale_count})`, right: money(report.sales_total) });
+  if (report.voided_count > 0) blocks.push({ type: 'row', left: 'Voided sales', right: String(report.voided_count) });
+  if (report.on_account_total > 0) blocks.push({ type: 'row', left: 'Sold on account', right: money(report.on_account_total) });
+  blocks.push({ type: 'row', left: `Refunds/credit notes (${report.credit_note_count})`, right: money(report.credit_note_total) });
+
+  blocks.push({ type: 'line' });
+  if (report.payments.length === 0) {
+    blocks.push({ type: 'text', text: 'No payments' });
+  }
+  report.payments.forEach(payment => {
+    blocks.push({ type: 'text', text: PAYMENT_METHOD_NAMES[payment.method] || payment.method, bold: true });
+    blocks.push({ type: 'row', left: '  In', right: money(payment.at_sale + payment.on_account) });
+    blocks.push({ type: 'row', left: '  Out', right: money(payment.refunded) });
+    blocks.push({ type: 'row', left: '  Net', right: money(payment.net) });
+  });
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'row', left: 'Opening float:', right: money(report.opening_float) });
+  blocks.push({ type: 'row', left: 'Cash received:', right: money(report.cash_received) });
+  blocks.push({ type: 'row', left: 'Cash refunded:', right: money(-report.cash_refunded) });
+  blocks.push({ type: 'row', left: 'EXPECTED CASH:', right: money(report.expected_cash), bold: true });
+  if (closed) {
+    blocks.push({ type: 'row', left: 'Counted cash:', right: money(report.counted_cash) });
+    blocks.push({ type: 'row', left: report.over_short < 0 ? 'SHORT:' : 'OVER:', right: money(Math.abs(report.over_short)), bold: true });
+  }
+  if (shift.notes) {
+    blocks.push({ type: 'line' });
+    blocks.push({ type: 'text', text: `Notes: ${shift.notes}` });
+  }
+
+  blocks.push({ type: 'line' });
+  blocks.push({ type: 'text', text: `Printed ${formatTime(new Date().toISOString())}`, align: 'center' });
+  blocks.push({ type: 'text', text: 'Cashier signature: ________________', align: 'center' });
+
+  return {
+    title: `Shift Report - ${shiftNumber}`,
+    name: `shift-${shiftNumber}`,
+    paperWidth: template.paper_width,
+    blocks,
+    cashPaid: false
+  };
+}
+
+// Thermal printers use code page 437: keep to plain ASCII and spell out the cedi
+function toPrinterText(text) {
+  return String(text ?? '')
+    .replace(/GH₵/g, 'GHS')
+    .replace(/₵/g, 'GHS')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Break text into lines of at most width characters, at spaces where possible
+function wrapReceiptText(text, width) {
+  const lines = [];
+  let rest = String(text);
+  while (rest.length > width) {
+    let cut = rest.lastIndexOf(' ', width);
+    if (cut <= 0) cut = width;
+    lines.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  lines.push(rest);
+  return lines;
+}
+
+// Left text and right-aligned text on one line; long left text wraps, with the right text
+// on its last line when there is room
+function receiptRow(left, right, width) {
+  const lines = wrapReceiptText(left, width);
+  const last = lines[lines.length - 1];
+  if (last.length + right.length + 1 > width) {
+    return [...lines, right.padStart(width)];
+  }
+  return [...lines.slice(0, -1), last.padEnd(width - right.length) + right];
+}
+
+// Plain-text receipt, as it prints in the standard font
+function renderReceiptText(doc) {
+  const width = RECEIPT_LINE_WIDTHS[doc.paperWidth];
+  const lines = [];
+  doc.blocks.forEach(block => {
+    switch (block.type) {
+      case 'text':
+        wrapReceiptText(toPrinterText(block.text), width).forEach(line => {
+          const pad = block.align === 'center' ? Math.floor((width - line.length) / 2) : (block.align === 'right' ? width - line.length : 0);
+          lines.push(' '.repeat(Math.max(pad, 0)) + line);
+        });
+        break;
+      case 'row':
+        lines.push(...receiptRow(toPrinterText(block.left), toPrinterText(block.right), width));
+        break;
+      case 'line':
+        lines.push('-'.repeat(width));
+        break;
+      case 'qr': {
+        const label = `[QR ${toPrinterText(block.data)}]`;
+        lines.push(' '.repeat(Math.max(Math.floor((width - label.length) / 2), 0)) + label);
+        break;
+      }
+    }
+  });
+  return lines.join('\n') + '\n';
+}
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Logo as a GS v 0 raster image: scaled down to fit the paper and thresholded to black and white
+function escPosRaster(imagePath, maxDots) {
+  let image = electron.nativeImage.createFromPath(imagePath);
+  if (image.isEmpty()) return null;
+  if (image.getSize().width > maxDots) {
+    image = image.resize({ width: maxDots });
+  }
+  const { width, height } = image.getSize();
+  const bitmap = image.toBitmap();
+  const bytesPerRow = Math.ceil(width / 8);
+  const raster = Buffer.alloc(bytesPerRow * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      const luminance = 0.114 * bitmap[offset] + 0.587 * bitmap[offset + 1] + 0.299 * bitmap[offset + 2];
+      if (bitmap[offset + 3] > 127 && luminance < 128) {
+        raster[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xff, bytesPerRow >> 8, height & 0xff, height >> 8]),
+    raster
+  ]);
+}
+
+// QR code (model 2, error correction M) stored in the printer then printed
+function escPosQr(data) {
+  const bytes = Buffer.from(toPrinterText(data), 'latin1');
+  const storeLength = bytes.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30]),
+    bytes,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30])
+  ]);
+}
+
+// ESC/POS byte stream for a receipt; ends with a feed and partial cut, and kicks the cash
+// drawer (pin 2) when openDrawer is set
+function renderEscPos(doc, { openDrawer = false } = {}) {
+  const paperWidth = doc.paperWidth;
+  const width = RECEIPT_LINE_WIDTHS[paperWidth];
+  const alignments = { left: 0, center: 1, right: 2 };
+  const chunks = [Buffer.from([ESC, 0x40])];
+  const command = (...bytes) => chunks.push(Buffer.from(bytes));
+  const writeLine = (line) => chunks.push(Buffer.from(`${line}\n`, 'latin1'));
+
+  doc.blocks.forEach(block => {
+    switch (block.type) {
+      case 'logo': {
+        const raster = escPosRaster(block.path, RECEIPT_DOT_WIDTHS[paperWidth]);
+        if (raster) {
+          command(ESC, 0x61, 1);
+          chunks.push(raster);
+          command(ESC, 0x61, 0);
+        }
+        break;
+      }
+      case 'text': {
+        const doubled = block.size === 2;
+        command(ESC, 0x61, alignments[block.align] || 0);
+        if (block.bold) command(ESC, 0x45, 1);
+        if (doubled) command(GS, 0x21, 0x11);
+        wrapReceiptText(toPrinterText(block.text), doubled ? Math.floor(width / 2) : width).forEach(writeLine);
+        command(GS, 0x21, 0x00, ESC, 0x45, 0, ESC, 0x61, 0);
+        break;
+      }
+      case 'row':
+        if (block.bold) command(ESC, 0x45, 1);
+        receiptRow(toPrinterText(block.left), toPrinterText(block.right), width).forEach(writeLine);
+        if (block.bold) command(ESC, 0x45, 0);
+        break;
+      case 'line':
+        writeLine('-'.repeat(width));
+        break;
+      case 'qr':
+        command(ESC, 0x61, 1);
+        chunks.push(escPosQr(block.data));
+        command(ESC, 0x61, 0);
+        break;
+    }
+  });
+
+  command(ESC, 0x64, 4);
+  command(GS, 0x56, 0x42, 0x00);
+  if (openDrawer) {
+    command(ESC, 0x70, 0x00, 0x19, 0xfa);
+  }
+  return Buffer.concat(chunks);
+}
+
+// HTML receipt for printers driven through the OS driver and for the print dialog. The QR
+// code needs ESC/POS, so it is left off, or shown as a placeholder in a preview.
+function renderReceiptHtml(doc, { preview = false } = {}) {
+  const paperWidth = doc.paperWidth;
+  const escape = (text) => String(text ?? '').replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+  const body = doc.blocks.map(block => {
+    switch (block.type) {
+      case 'logo': {
+        const image = electron.nativeImage.createFromPath(block.path);
+        return image.isEmpty() ? '' : `<div class="center"><img src="${image.toDataURL()}"></div>`;
+      }
+      case 'text':
+        return `<div class="${block.align || 'left'}${block.bold ? ' bold' : ''}${block.size === 2 ? ' big' : ''}">${escape(block.text)}</div>`;
+      case 'row':
+        return `<div class="row${block.bold ? ' bold' : ''}"><span>${escape(block.left)}</span><span>${escape(block.right)}</span></div>`;
+      case 'line':
+        return '<hr>';
+      case 'qr':
+        return preview ? '<div class="center"><span class="qr">QR code</span></div>' : '';
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(doc.title)}</title>
+<style>
+  @page { margin: 0; }
+  body { width: ${paperWidth - 8}mm; margin: 0 4mm; font-family: 'Courier New', monospace; font-size: ${paperWidth === 58 ? 10 : 12}px; color: #000; }
+  .center { text-align: center; }
+  .right { text-align: right; }
+  .bold { font-weight: bold; }
+  .big { font-size: 1.6em; }
+  .row { display: flex; justify-content: space-between; gap: 4px; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }
+  img { max-width: 100%; }
+  .qr { display: inline-block; margin-top: 4px; padding: 20px 8px; border: 1px dashed #000; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Print HTML on an OS printer without a dialog, on a page as long as the receipt
+async function printHtmlSilently(html, deviceName, paperWidth) {
+  const printWindow = new BrowserWindow({ show: false, webPreferences: { sandbox: true } });
+  try {
+    await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    const heightPx = await printWindow.webContents.executeJavaScript('document.body.scrollHeight');
+    await new Promise((resolve, reject) => {
+      printWindow.webContents.print({
+        silent: true,
+        deviceName,
+        printBackground: false,
+        margins: { marginType: 'none' },
+        pageSize: { width: paperWidth * 1000, height: Math.max(Math.ceil((heightPx + 40) * 25400 / 96), 100000) }
+      }, (success, failureReason) => (success ? resolve() : reject(new Error(failureReason || 'Printing failed'))));
+    });
+  } finally {
+    printWindow.destroy();
+  }
+}
+
+// Send raw bytes to a network printer (raw TCP, port 9100 by default)
+function sendToNetworkPrinter(host, port, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port: parseInt(port) || 9100 }, () => socket.end(data));
+    socket.setTimeout(5000, () => socket.destroy(new Error(`Printer at ${host} did not respond`)));
+    socket.on('error', reject);
+    socket.on('close', hadError => {
+      if (!hadError) resolve();
+    });
+  });
+}
+
+// Print a receipt document on the configured printer. Returns { filePath } for the file printer.
+async function sendReceiptToPrinter(doc, settings) {
+  const { printer } = settings;
+  const escPos = () => renderEscPos(doc, { openDrawer: settings.open_drawer && doc.cashPaid });
+
+  switch (printer.type) {
+    case 'system':
+      await printHtmlSilently(renderReceiptHtml(doc), printer.name, doc.paperWidth);
+      return {};
+    case 'network':
+      await sendToNetworkPrinter(printer.host, printer.port, escPos());
+      return {};
+    case 'device':
+      fs.writeFileSync(printer.path, escPos());
+      return {};
+    case 'file': {
+      const folder = printer.directory || path.join(app.getPath('userData'), 'print-output');
+      fs.mkdirSync(folder, { recursive: true });
+      const filePath = path.join(folder, `${doc.name.replace(/[^\w.-]+/g, '_')}-${Date.now()}.bin`);
+      fs.writeFileSync(filePath, escPos());
+      fs.writeFileSync(filePath.replace(/\.bin$/, '.txt'), renderReceiptText(doc));
+      return { filePath };
+    }
+    default:
+      throw new Error('Unknown printer type');
+  }
+}
+
+// Licences are signed offline with the developer's private key (see issue-licence.js) and checked
+// against this public key. A licence key is base64url(payload JSON) + '.' + base64url(Ed25519 signature);
+// payload: { licence_id, shop_name, issued_at, expires_at (YYYY-MM-DD or null for no expiry) }.
+// The key lives in licence-public.pem, written by `node issue-licence.js keygen <dir>`. Without it the
+// app refuses to start (checkLicencePublicKey) and electron-builder refuses to package (check-licence-key.js).
+const LICENCE_PUBLIC_KEY_FILE = path.join(__dirname, 'licence-public.pem');
+const LICENCE_PUBLIC_KEY = fs.existsSync(LICENCE_PUBLIC_KEY_FILE) ? fs.readFileSync(LICENCE_PUBLIC_KEY_FILE, 'utf8').trim() : '';
+
+// Days before expiry the app starts warning
+const LICENCE_WARNING_DAYS = 14;
+
+// Days an install works without a licence, counted from the first day it was seen without one.
+// Shops activated before licence keys keep working instead (see migrateLegacyActivation).
+const LICENCE_TRIAL_DAYS = 30;
+
+// Changing channels that still work without a valid licence, so a shop can sign in, renew and get its data out
+const LICENCE_EXEMPT_CHANNELS = ['activate-app', 'create-owner-account', 'login', 'logout', 'lock-session', 'unlock-session', 'change-own-credential', 'create-backup'];
+
+// Shop names match ignoring case and repeated spaces
+function normalizeShopName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Throws unless this build carries an Ed25519 licence public key; a build without one could never be licensed
+function checkLicencePublicKey() {
+  if (!LICENCE_PUBLIC_KEY) {
+    throw new Error('This build has no licence public key (licence-public.pem). Run `node issue-licence.js keygen <dir>` and rebuild.');
+  }
+  if (crypto.createPublicKey(LICENCE_PUBLIC_KEY).asymmetricKeyType !== 'ed25519') {
+    throw new Error('licence-public.pem is not an Ed25519 public key');
+  }
+}
+
+// Verify a licence key's signature; returns its payload or throws
+function parseLicenceKey(key) {
+  const [body, signature, extra] = String(key || '').replace(/\s+/g, '').split('.');
+  if (!body || !signature || extra !== undefined) {
+    throw new Error('This is not a Wolo licence key');
+  }
+  const valid = crypto.verify(null, Buffer.from(body), crypto.createPublicKey(LICENCE_PUBLIC_KEY), Buffer.from(signature, 'base64url'));
+  if (!valid) {
+    throw new Error('This licence key is not genuine or has been altered');
+  }
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  if (!payload.licence_id || !payload.shop_name) {
+    throw new Error('This licence key is incomplete');
+  }
+  return payload;
+}
+
+// Today's date for expiry checks. The latest date the app has seen is remembered so winding
+// the clock back does not revive a lapsed licence.
+function getLicenceToday(conn) {
+  const today = new Date().toISOString().slice(0, 10);
+  const lastSeen = conn.prepare('SELECT value FROM settings WHERE key = ?').get('licence_last_seen')?.value;
+  if (lastSeen && lastSeen > today) {
+    return lastSeen;
+  }
+  if (lastSeen !== today) {
+    conn.prepare(`
+      INSERT INTO settings (key, value) VALUES ('licence_last_seen', ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(today);
+  }
+  return today;
+}
+
+// Shops activated with the setup password before licence keys (app_activated = 'true') stay activated.
+// Checked once, on the first start with licensing, so setting app_activated afterwards grants nothing.
+function migrateLegacyActivation(conn) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  if (setting('licence_legacy_checked')) {
+    return;
+  }
+  const saveSetting = conn.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+  conn.transaction(() => {
+    if (setting('app_activated') === 'true' && !setting('licence_key')) {
+      saveSetting.run('licence_legacy_activation', new Date().toISOString().slice(0, 10));
+    }
+    saveSetting.run('licence_legacy_checked', 'true');
+  })();
+}
+
+// Trial for an install with no licence key; read-only once it has run out
+function getTrialStatus(conn) {
+  const today = getLicenceToday(conn);
+  let started = conn.prepare('SELECT value FROM settings WHERE key = ?').get('licence_trial_started')?.value;
+  if (!started) {
+    started = today;
+    conn.prepare("INSERT INTO settings (key, value) VALUES ('licence_trial_started', ?)").run(started);
+  }
+  const endsAt = new Date(Date.parse(started) + LICENCE_TRIAL_DAYS * 86400000).toISOString().slice(0, 10);
+  const daysRemaining = Math.round((Date.parse(endsAt) - Date.parse(today)) / 86400000);
+  if (daysRemaining < 0) {
+    return { status: 'unlicensed', read_only: true, licence: null, days_remaining: null, message: `The trial ended on ${endsAt} and no licence has been activated` };
+  }
+  return {
+    status: 'trial',
+    read_only: false,
+    licence: null,
+    days_remaining: daysRemaining,
+    message: `Trial version: ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left to activate a licence`
+  };
+}
+
+// Installed licence and what it allows:
+// { status: 'active' | 'trial' | 'unlicensed' | 'invalid' | 'mismatch' | 'expired', read_only, licence, days_remaining, message }
+function getLicenceStatus(conn) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  const key = setting('licence_key');
+  if (!key && setting('licence_legacy_activation')) {
+    return { status: 'active', read_only: false, licence: null, days_remaining: null, message: 'Activated before licence keys were introduced' };
+  }
+  if (!key) {
+    return getTrialStatus(conn);
+  }
+
+  let licence;
+  try {
+    licence = parseLicenceKey(key);
+  } catch (error) {
+    return { status: 'invalid', read_only: true, licence: null, days_remaining: null, message: error.message };
+  }
+
+  const shopName = setting('shop_name');
+  if (shopName && normalizeShopName(shopName) !== normalizeShopName(licence.shop_name)) {
+    return { status: 'mismatch', read_only: true, licence, days_remaining: null, message: `This licence is for ${licence.shop_name}, not ${shopName}` };
+  }
+
+  if (!licence.expires_at) {
+    return { status: 'active', read_only: false, licence, days_remaining: null, message: `Licensed to ${licence.shop_name}` };
+  }
+  const today = getLicenceToday(conn);
+  const daysRemaining = Math.round((Date.parse(licence.expires_at) - Date.parse(today)) / 86400000);
+  if (daysRemaining < 0) {
+    return { status: 'expired', read_only: true, licence, days_remaining: daysRemaining, message: `The licence expired on ${licence.expires_at}` };
+  }
+  return {
+    status: 'active',
+    read_only: false,
+    licence,
+    days_remaining: daysRemaining,
+    message: daysRemaining <= LICENCE_WARNING_DAYS
+      ? `The licence expires on ${licence.expires_at} (${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left)`
+      : `Licensed to ${licence.shop_name} until ${licence.expires_at}`
+  };
+}
+
+// Settings that hold secrets live encrypted in the secrets table and never go back to the renderer
+const SECRET_SETTING_KEYS = ['smtp_pass', 'supervisor_pin_hash'];
+
+function isSecretSetting(key) {
+  return SECRET_SETTING_KEYS.includes(String(key || '').trim());
+}
+
+// Key file in userData: encrypts secrets with AES-GCM without OS-level encryption (e.g. Linux with no
+// keyring), and keys the audit log chain (see getAuditKey)
+function getSecretsKeyFile() {
+  const keyPath = path.join(app.getPath('userData'), 'secrets.key');
+  if (!fs.existsSync(keyPath)) {
+    fs.writeFileSync(keyPath, crypto.randomBytes(32), { mode: 0o600 });
+  }
+  return fs.readFileSync(keyPath);
+}
+
+function encryptSecret(value) {
+  if (safeStorage?.isEncryptionAvailable()) {
+    return `safe:${safeStorage.encryptString(String(value)).toString('base64')}`;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretsKeyFile(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return `aes:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+function decryptSecret(stored) {
+  const [scheme, ...parts] = String(stored || '').split(':');
+  if (scheme === 'safe') {
+    return safeStorage.decryptString(Buffer.from(parts[0], 'base64'));
+  }
+  if (scheme === 'aes') {
+    const [iv, tag, encrypted] = parts.map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretsKeyFile(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+  throw new Error('Unknown secret format');
+}
+
+// An empty value removes the secret
+function setSecret(conn, key, value) {
+  if (value === undefined || value === null || value === '') {
+    conn.prepare('DELETE FROM secrets WHERE key = ?').run(key);
+    return;
+  }
+  conn.prepare(`
+    INSERT INTO secrets (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+  `).run(key, encryptSecret(value));
+}
+
+// Main process only; null when missing or when it can no longer be decrypted (e.g. the database moved machines)
+function getSecret(conn, key) {
+  const row = conn.prepare('SELECT value FROM secrets WHERE key = ?').get(key);
+  if (!row) {
+    return null;
+  }
+  try {
+    return decryptSecret(row.value);
+  } catch (error) {
+    console.warn(`Could not decrypt secret ${key}; it needs to be entered again:`, error.message);
+    return null;
+  }
+}
+
+function hasSecret(conn, key) {
+  return Boolean(conn.prepare('SELECT 1 FROM secrets WHERE key = ?').get(key));
+}
+
+// Earlier versions kept secrets as plain text in settings
+function migratePlainTextSecrets(conn) {
+  const placeholders = SECRET_SETTING_KEYS.map(() => '?').join(', ');
+  const rows = conn.prepare(`SELECT key, value FROM settings WHERE key IN (${placeholders})`).all(...SECRET_SETTING_KEYS);
+  if (rows.length === 0) {
+    return;
+  }
+  conn.transaction(() => {
+    rows.forEach(({ key, value }) => {
+      setSecret(conn, key, value);
+      conn.prepare('DELETE FROM settings WHERE key = ?').run(key);
+    });
+  })();
+  console.log(`Encrypted ${rows.length} plain-text secret setting(s)`);
+}
+
+// SMTP settings with the password, for sending mail from the main process
+function getSmtpSettings(conn) {
+  const setting = (key) => conn.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  return {
+    host: setting('smtp_host'),
+    port: parseInt(setting('smtp_port'), 10) || 587,
+    secure: setting('smtp_secure') === 'true',
+    user: setting('smtp_user'),
+    pass: getSecret(conn, 'smtp_pass'),
+    fromEmail: setting('from_email') || setting('smtp_user'),
+    fromName: setting('from_name') || setting('shop_name') || 'Wolo Pharmacy'
+  };
+}
+
+function createSmtpTransport(smtp) {
+  if (!smtp.host || !smtp.user) {
+    throw new Error('Email is not set up. Enter the SMTP server details in Settings.');
+  }
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: { user: smtp.user, pass: smtp.pass || '' }
+  });
+}
+
+// What a role can be allowed to do
+const PERMISSIONS = {
+  'sales.sell': 'Ring up sales, run shifts and take customer payments',
+  'sales.refund': 'Return and void sales',
+  'products.edit': 'Add and edit products and categories',
+  'products.price': 'Change selling prices',
+  'products.delete': 'Delete products',
+  'stock.manage': 'Receive and adjust stock, purchase orders and suppliers',
+  'customers.manage': 'Add and edit customers',
+  'pricing.manage': 'Manage promotions and approve discounts',
+  'expenses.manage': 'Record expenses',
+  'reports.view': 'View reports and registers',
+  'settings.manage': 'Change shop settings, tax and printers',
+  'users.manage': 'Manage user accounts',
+  'audit.view': 'View and export the audit log',
+  'data.backup': 'Back up data',
+  'data.restore': 'Restore data from a backup',
+  'data.reset': 'Reset all data'
+};
+
+const ROLES = {
+  owner: { name: 'Owner', permissions: Object.keys(PERMISSIONS) },
+  pharmacist: {
+    name: 'Pharmacist',
+    permissions: ['sales.sell', 'sales.refund', 'products.edit', 'products.price', 'stock.manage', 'customers.manage',
+      'pricing.manage', 'expenses.manage', 'reports.view', 'data.backup']
+  },
+  cashier: { name: 'Cashier', permissions: ['sales.sell', 'customers.manage'] },
+  stock_clerk: { name: 'Stock Clerk', permissions: ['products.edit', 'stock.manage'] }
+};
+
+// Channels that work before anyone signs in
+const PUBLIC_CHANNELS = ['get-login-users', 'create-owner-account', 'login', 'logout', 'get-current-user', 'get-app-version', 'get-licence-status'];
+
+// Channels a signed-in user can still call while the session is locked
+const LOCKED_SESSION_CHANNELS = ['lock-session', 'unlock-session'];
+
+// Permission each guarded channel needs; channels not listed are open to any signed-in user
+const CHANNEL_PERMISSIONS = {
+  'record-sale': 'sales.sell',
+  'hold-sale': 'sales.sell',
+  'delete-held-sale': 'sales.sell',
+  'open-shift': 'sales.sell',
+  'close-shift': 'sales.sell',
+  'record-customer-payment': 'sales.sell',
+  'return-sale-items': 'sales.refund',
+  'void-sale': 'sales.refund',
+  'add-product': 'products.edit',
+  'update-product': 'products.edit',
+  'import-products': 'products.edit',
+  'create-category': 'products.edit',
+  'update-category': 'products.edit',
+  'delete-category': 'products.edit',
+  'delete-product': 'products.delete',
+  'create-product-batch': 'stock.manage',
+  'adjust-product-batch': 'stock.manage',
+  'retire-product-batch': 'stock.manage',
+  'save-purchase-order': 'stock.manage',
+  'set-purchase-order-status': 'stock.manage',
+  'receive-purchase-order': 'stock.manage',
+  'create-supplier': 'stock.manage',
+  'update-supplier': 'stock.manage',
+  'delete-supplier': 'stock.manage',
+  'update-supplier-invoice': 'stock.manage',
+  'record-supplier-payment': 'stock.manage',
+  'create-customer': 'customers.manage',
+  'update-customer': 'customers.manage',
+  'delete-customer': 'customers.manage',
+  'save-customer-group': 'pricing.manage',
+  'delete-customer-group': 'pricing.manage',
+  'save-promotion': 'pricing.manage',
+  'delete-promotion': 'pricing.manage',
+  'save-pricing-settings': 'pricing.manage',
+  'create-expense-category': 'expenses.manage',
+  'create-expense': 'expenses.manage',
+  'update-expense': 'expenses.manage',
+  'delete-expense': 'expenses.manage',
+  'get-tax-report': 'reports.view',
+  'get-discount-summary': 'reports.view',
+  'get-expense-summary': 'reports.view',
+  'get-cost-of-goods-sold': 'reports.view',
+  'get-payables-aging': 'reports.view',
+  'get-receivables-aging': 'reports.view',
+  'get-controlled-drug-register': 'reports.view',
+  'export-controlled-drug-register': 'reports.view',
+  'export-sales-excel': 'reports.view',
+  'save-tax-settings': 'settings.manage',
+  'activate-app': 'settings.manage',
+  'save-printer-settings': 'settings.manage',
+  'save-receipt-template': 'settings.manage',
+  'install-update': 'settings.manage',
+  'get-users': 'users.manage',
+  'save-user': 'users.manage',
+  'get-audit-log': 'audit.view',
+  'verify-audit-log': 'audit.view',
+  'export-audit-log': 'audit.view',
+  'send-email': 'reports.view',
+  'test-email': 'settings.manage',
+  'create-backup': 'data.backup',
+  'restore-backup': 'data.restore',
+  'reset-all-data': 'data.reset'
+};
+
+// Settings any signed-in user may change; all others need settings.manage
+const PERSONAL_SETTING_KEYS = ['theme', 'sound_enabled', 'sound_volume', 'app_state'];
+
+function hasPermission(user, permission) {
+  return Boolean(user && ROLES[user.role]?.permissions.includes(permission));
+}
+
+// Why the signed-in user may not use a channel, as an IPC result, or null when they may
+function checkChannelAccess(channel) {
+  if (PUBLIC_CHANNELS.includes(channel)) {
+    return null;
+  }
+  if (!currentUser) {
+    return { success: false, code: 'NOT_SIGNED_IN', error: 'Please sign in first' };
+  }
+  if (sessionLocked && !LOCKED_SESSION_CHANNELS.includes(channel)) {
+    return { success: false, code: 'SESSION_LOCKED', error: 'The app is locked. Unlock it to continue.' };
+  }
+  const permission = CHANNEL_PERMISSIONS[channel];
+  if (permission && !hasPermission(currentUser, permission)) {
+    return { success: false, code: 'FORBIDDEN', error: `Your role (${ROLES[currentUser.role]?.name || currentUser.role}) cannot: ${PERMISSIONS[permission].toLowerCase()}` };
+  }
+  // Every channel that changes data is audited, so AUDITED_CHANNELS doubles as the list read-only mode blocks
+  if (AUDITED_CHANNELS[channel] && !LICENCE_EXEMPT_CHANNELS.includes(channel)) {
+    const licence = getLicenceStatus(db);
+    if (licence.read_only) {
+      return { success: false, code: 'LICENCE_READ_ONLY', error: `${licence.message}. The app is read-only until a valid licence is activated.` };
+    }
+  }
+  return null;
+}
+
+// Register an IPC handler behind checkChannelAccess, so every request is checked in main
+// whatever the renderer shows or hides. Channels in AUDITED_CHANNELS are also written to the audit log.
+function handleIpc(channel, handler) {
+  ipcMain.handle(channel, async (event, ...args) => {
+    const denied = checkChannelAccess(channel);
+    if (denied) {
+      return denied;
+    }
+    const audit = AUDITED_CHANNELS[channel];
+    return audit ? runAuditedHandler(channel, audit, handler, event, args) : handler(event, ...args);
+  });
+}
+
+// Mutating channels recorded in the audit log. entity names what they change; table and key
+// (default 'id') locate the row to snapshot before and after; id finds that row from the
+// request or the handler's result. Channels without a table log the request itself.
+const AUDITED_CHANNELS = {
+  'add-product': { entity: 'product', table: 'products' },
+  'update-product': { entity: 'product', table: 'products' },
+  'delete-product': { entity: 'product', table: 'products', id: (args) => args },
+  'import-products': { entity: 'product' },
+  'create-category': { entity: 'category' },
+  'update-category': { entity: 'category' },
+  'delete-category': { entity: 'category' },
+  'create-product-batch': { entity: 'product_batch', table: 'product_batches' },
+  'adjust-product-batch': { entity: 'product_batch', table: 'product_batches' },
+  'retire-product-batch': { entity: 'product_batch', table: 'product_batches' },
+  'save-purchase-order': { entity: 'purchase_order', table: 'purchase_orders' },
+  'set-purchase-order-status': { entity: 'purchase_order', table: 'purchase_orders' },
+  'receive-purchase-order': { entity: 'purchase_order', table: 'purchase_orders', id: (args) => args?.purchaseOrderId },
+  'create-supplier': { entity: 'supplier', table: 'suppliers' },
+  'update-supplier': { entity: 'supplier', table: 'suppliers' },
+  'delete-supplier': { entity: 'supplier', table: 'suppliers' },
+  'update-supplier-invoice': { entity: 'supplier_invoice', table: 'supplier_invoices' },
+  'record-supplier-payment': { entity: 'supplier_payment', table: 'supplier_payments' },
+  'create-customer': { entity: 'customer', table: 'customers' },
+  'update-customer': { entity: 'customer', table: 'customers' },
+  'delete-customer': { entity: 'customer', table: 'customers' },
+  'record-customer-payment': { entity: 'customer_payment', table: 'customer_payments' },
+  'record-sale': { entity: 'sale', table: 'sales', id: (args, result) => result?.saleId },
+  'return-sale-items': { entity: 'sale', table: 'sales', id: (args) => args?.saleId },
+  'void-sale': { entity: 'sale', table: 'sales', id: (args) => args?.saleId },
+  'hold-sale': { entity: 'held_sale', table: 'held_sales' },
+  'delete-held-sale': { entity: 'held_sale', table: 'held_sales' },
+  'open-shift': { entity: 'shift', table: 'shifts', id: (args, result) => result?.data?.shift?.id },
+  'close-shift': { entity: 'shift', table: 'shifts', id: (args) => args?.shiftId },
+  'save-customer-group': { entity: 'customer_group', table: 'customer_groups' },
+  'delete-customer-group': { entity: 'customer_group', table: 'customer_groups' },
+  'save-promotion': { entity: 'promotion', table: 'promotions' },
+  'delete-promotion': { entity: 'promotion', table: 'promotions' },
+  'save-pricing-settings': { entity: 'settings' },
+  'save-tax-settings': { entity: 'settings' },
+  'save-printer-settings': { entity: 'settings' },
+  'save-receipt-template': { entity: 'settings' },
+  'set-setting': { entity: 'setting', table: 'settings', key: 'key', id: (args) => args?.key },
+  'create-expense-category': { entity: 'expense_category', table: 'expense_categories' },
+  'create-expense': { entity: 'expense', table: 'expenses' },
+  'update-expense': { entity: 'expense', table: 'expenses' },
+  'delete-expense': { entity: 'expense', table: 'expenses' },
+  'create-owner-account': { entity: 'user', table: 'users', id: (args, result) => result?.data?.id },
+  'login': { entity: 'user', table: 'users', id: (args, result) => result?.data?.id },
+  'logout': { entity: 'user', id: () => currentUser?.id },
+  'lock-session': { entity: 'user', id: () => currentUser?.id },
+  'unlock-session': { entity: 'user', table: 'users', id: () => currentUser?.id },
+  'save-user': { entity: 'user', table: 'users' },
+  'change-own-credential': { entity: 'user', table: 'users', id: () => currentUser?.id },
+  'create-backup': { entity: 'database' },
+  'restore-backup': { entity: 'database' },
+  'reset-all-data': { entity: 'database' },
+  'install-update': { entity: 'application' },
+  'activate-app': { entity: 'licence' }
+};
+
+// Keys whose values never go into the audit log
+const AUDIT_REDACTED_KEY = /credential|password|pass$|pin$|pin_|secret|token/i;
+
+// Copy of value with PINs, passwords and credential hashes replaced, including settings rows
+// ({ key, value }) whose key names a secret
+function redactAuditValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactAuditValue);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const secretSetting = typeof value.key === 'string' && AUDIT_REDACTED_KEY.test(value.key);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    AUDIT_REDACTED_KEY.test(key) || (secretSetting && key === 'value') ? '[redacted]' : redactAuditValue(item)
+  ]));
+}
+
+function snapshotAuditEntity(conn, audit, entityId) {
+  if (!audit.table || entityId === undefined || entityId === null) {
+    return null;
+  }
+  try {
+    return conn.prepare(`SELECT * FROM ${audit.table} WHERE ${audit.key || 'id'} = ?`).get(entityId) || null;
+  } catch (error) {
+    console.warn(`Could not snapshot ${audit.entity} for the audit log:`, error.message);
+    return null;
+  }
+}
+
+// prev_hash of the first entry
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Setting holding the id and hash of the newest entry, signed, so removing entries from the end is caught
+const AUDIT_HEAD_SETTING = 'audit_log_head';
+
+// The chain is keyed with an HMAC derived from the secrets key file (outside the database), so
+// someone editing the database alone cannot rewrite entries and recompute the chain
+let auditKey = null;
+
+function getAuditKey() {
+  if (!auditKey) {
+    auditKey = Buffer.from(crypto.hkdfSync('sha256', getSecretsKeyFile(), Buffer.alloc(0), 'wolo-audit-log', 32));
+  }
+  return auditKey;
+}
+
+// Hash of an entry chained to the one before it, so editing or removing any entry breaks every later hash
+function hashAuditEntry(entry) {
+  const fields = [entry.prev_hash, entry.user_id, entry.user_name, entry.action, entry.entity_type,
+    entry.entity_id, entry.before_json, entry.after_json, entry.created_at];
+  return crypto.createHmac('sha256', getAuditKey()).update(JSON.stringify(fields)).digest('hex');
+}
+
+// Signature over the head, so it cannot be wound back to an earlier entry's id and hash
+function signAuditHead(id, hash) {
+  return crypto.createHmac('sha256', getAuditKey()).update(`head:${id}:${hash}`).digest('hex');
+}
+
+// Append an entry to the audit log. entry: { action, entity_type, entity_id, before, after, user };
+// user defaults to the signed-in user
+function recordAuditEntry(conn, { action, entity_type, entity_id = null, before = null, after = null, user = currentUser }) {
+  const append = conn.transaction(() => {
+    const last = conn.prepare('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1').get();
+    const entry = {
+      prev_hash: last ? last.hash : AUDIT_GENESIS_HASH,
+      user_id: user ? user.id : null,
+      user_name: user ? user.name : getCurrentUserName(conn),
+      action,
+      entity_type,
+      entity_id: entity_id === null ? null : String(entity_id),
+      before_json: before === null ? null : JSON.stringify(redactAuditValue(before)),
+      after_json: after === null ? null : JSON.stringify(redactAuditValue(after)),
+      created_at: new Date().toISOString()
+    };
+    entry.hash = hashAuditEntry(entry);
+    const { lastInsertRowid } = conn.prepare(`
+      INSERT INTO audit_log (user_id, user_name, action, entity_type, entity_id, before_json, after_json, created_at, prev_hash, hash)
+      VALUES (@user_id, @user_name, @action, @entity_type, @entity_id, @before_json, @after_json, @created_at, @prev_hash, @hash)
+    `).run(entry);
+    conn.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(AUDIT_HEAD_SETTING, JSON.stringify({ id: Number(lastInsertRowid), hash: entry.hash, signature: signAuditHead(Number(lastInsertRowid), entry.hash) }));
+  });
+  append();
+}
+
+// Walk the chain from the first entry and check it still ends at the recorded head;
+// returns { valid, checked, broken_at, reason }
+function verifyAuditLog(conn) {
+  const headSetting = conn.prepare('SELECT value FROM settings WHERE key = ?').get(AUDIT_HEAD_SETTING);
+  const head = headSetting ? JSON.parse(headSetting.value) : null;
+  let prevHash = AUDIT_GENESIS_HASH;
+  let prevId = 0;
+  let checked = 0;
+  for (const entry of conn.prepare('SELECT * FROM audit_log ORDER BY id ASC').iterate()) {
+    if (entry.prev_hash !== prevHash) {
+      return { valid: false, checked, broken_at: entry.id, reason: entry.id !== prevId + 1 ? 'Entries are missing before this one' : 'Chain link does not match the previous entry' };
+    }
+    if (hashAuditEntry(entry) !== entry.hash) {
+      return { valid: false, checked, broken_at: entry.id, reason: 'Entry has been changed since it was recorded' };
+    }
+    prevHash = entry.hash;
+    prevId = entry.id;
+    checked++;
+  }
+  // Logs written before the head was kept have none until their next entry
+  if (head && head.signature !== signAuditHead(head.id, head.hash)) {
+    return { valid: false, checked, broken_at: head.id, reason: 'The record of the newest entry has been altered' };
+  }
+  if (head && (prevId !== head.id || prevHash !== head.hash)) {
+    return { valid: false, checked, broken_at: head.id, reason: prevId < head.id ? 'Newest entries are missing' : 'Log does not end at the last recorded entry' };
+  }
+  return { valid: true, checked, broken_at: null, reason: null };
+}
+
+// Audit log entries matching filters, newest first; limit defaults to 500 (null for all)
+function getAuditLogEntries(conn, { startDate, endDate, userName, action, entityType, search, limit = 500 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (startDate) {
+    conditions.push('date(created_at) >= date(?)');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('date(created_at) <= date(?)');
+    params.push(endDate);
+  }
+  if (userName) {
+    conditions.push('user_name = ?');
+    params.push(userName);
+  }
+  if (action) {
+    conditions.push('action = ?');
+    params.push(action);
+  }
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (search) {
+    conditions.push('(entity_id LIKE ? OR before_json LIKE ? OR after_json LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const limitClause = limit ? `LIMIT ${parseInt(limit)}` : '';
+  return conn.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC ${limitClause}`).all(...params);
+}
+
+// Run a mutating handler and log it with snapshots of the entity before and after.
+// Failed calls are not logged; the audit entry never makes the action itself fail.
+async function runAuditedHandler(channel, audit, handler, event, args) {
+  const resolveId = audit.id || ((request, result) => request?.id ?? result?.id ?? result?.data?.id ?? null);
+  const requestId = resolveId(args[0], null);
+  const before = snapshotAuditEntity(db, audit, requestId);
+  // Signing out clears currentUser, so remember who made the call
+  const caller = currentUser;
+
+  const result = await handler(event, ...args);
+  if (result && result.success === false) {
+    return result;
+  }
+
+  try {
+    const entityId = resolveId(args[0], result) ?? requestId;
+    const after = audit.table ? snapshotAuditEntity(db, audit, entityId) : (args[0] ?? null);
+    recordAuditEntry(db, { action: channel, entity_type: audit.entity, entity_id: entityId, before, after, user: currentUser || caller });
+  } catch (error) {
+    console.error(`Error writing audit log entry for ${channel}:`, error);
+  }
+  return result;
+}
+
+// Passwords and PINs are stored as scrypt$salt$hash
+function hashCredential(credential) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(credential), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyCredential(credential, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(credential ?? ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// A PIN of 4 to 8 digits or a password of at least 6 characters; returns an error message or null
+function validateCredential(credential) {
+  const value = String(credential ?? '');
+  if (/^\d+$/.test(value)) {
+    return value.length >= 4 && value.length <= 8 ? null : 'A PIN must be 4 to 8 digits';
+  }
+  return value.length >= 6 ? null : 'A password must be at least 6 characters';
+}
+
+// A user as the renderer sees them: no credential, with their role's permissions
+function toSessionUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    username: user.username,
+    role: user.role,
+    role_name: ROLES[user.role]?.name || user.role,
+    permissions: ROLES[user.role]?.permissions || []
+  };
+}
+
+// Reasons a stock quantity can change; every change is recorded in stock_movements
+const STOCK_MOVEMENT_REASONS = ['sale', 'receipt', 'adjustment', 'return', 'transfer', 'write-off'];
+
+// Name of the user making changes: the signed-in user, or the name entered in the setup wizard
+function getCurrentUserName(conn) {
+  if (currentUser) {
+    return currentUser.name;
+  }
+  try {
+    const row = conn.prepare('SELECT value FROM settings WHERE key = ?').get('user_name');
+    return row ? row.value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Append a row to the stock movement ledger. Rows are never updated or deleted.
+// register carries the controlled-drug register details for the movement
+// ({ reference_number, patient_name, prescriber_name, supplier_name }).
+function recordStockMovement(conn, { product_id, batch_id, delta, reason, reference_id, notes, register }) {
+  if (!STOCK_MOVEMENT_REASONS.includes(reason)) {
+    throw new Error(`Unknown stock movement reason: ${reason}`);
+  }
+  if (!delta) return null;
+
+  const product = conn.prepare('SELECT name, controlled_drug FROM products WHERE id = ?').get(product_id);
+  const movementId = uuidv4();
+
+  conn.prepare(`
+    INSERT INTO stock_movements (id, product_id, product_name, batch_id, delta, reason, reference_id, user_name, notes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    movementId,
+    product_id,
+    product ? product.name : null,
+    batch_id || null,
+    delta,
+    reason,
+    reference_id || null,
+    getCurrentUserName(conn),
+    notes || null,
+    new Date().toISOString()
+  );
+
+  if (product && product.controlled_drug) {
+    recordControlledDrugEntry(conn, {
+      ...register,
+      product_id,
+      product_name: product.name,
+      entry_type: reason,
+      delta,
+      batch_id,
+      reference_id,
+      notes
+    });
+  }
+
+  return movementId;
+}
+
+// Last running balance in a product's controlled-drug register, or null if it has none
+function getControlledDrugBalance(conn, productId) {
+  const last = conn.prepare(`
+    SELECT balance FROM controlled_drug_register
+    WHERE product_id = ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 1
+  `).get(productId);
+  return last ? last.balance : null;
+}
+
+// Append a register line; the balance carries on from the product's previous line
+function recordControlledDrugEntry(conn, entry) {
+  const batch = entry.batch_id
+    ? conn.prepare('SELECT lot_number, supplier_name FROM product_batches WHERE id = ?').get(entry.batch_id)
+    : null;
+  const balance = (getControlledDrugBalance(conn, entry.product_id) || 0) + entry.delta;
+
+  conn.prepare(`
+    INSERT INTO controlled_drug_register (id, product_id, product_name, entry_type, quantity_in, quantity_out, balance,
+                                          reference_id, reference_number, patient_name, prescriber_name, supplier_name,
+                                          batch_id, lot_number, user_name, notes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    uuidv4(),
+    entry.product_id,
+    entry.product_name || null,
+    entry.entry_type,
+    Math.max(entry.delta, 0),
+    Math.max(-entry.delta, 0),
+    balance,
+    entry.reference_id || null,
+    entry.reference_number || null,
+    entry.patient_name || null,
+    entry.prescriber_name || null,
+    entry.supplier_name || (entry.delta > 0 && batch ? batch.supplier_name : null) || null,
+    entry.batch_id || null,
+    batch ? batch.lot_number : null,
+    getCurrentUserName(conn),
+    entry.notes || null,
+    new Date().toISOString()
+  );
+  return balance;
+}
+
+// When a product is flagged as controlled, bring its register in line with the stock
+// on hand (quarantined lots included) so later entries start from the right balance.
+function openControlledDrugRegister(conn, productId) {
+  const product = conn.prepare('SELECT name, controlled_drug FROM products WHERE id = ?').get(productId);
+  if (!product || !product.controlled_drug) return;
+
+  const { onHand } = conn.prepare(`
+    SELECT COALESCE(SUM(quantity), 0) as onHand FROM product_batches
+    WHERE product_id = ? AND status != 'retired'
+  `).get(productId);
+  const balance = getControlledDrugBalance(conn, productId);
+  if (balance === null ? onHand === 0 : balance === onHand) return;
+
+  recordControlledDrugEntry(conn, {
+    product_id: productId,
+    product_name: product.name,
+    entry_type: 'opening',
+    delta: onHand - (balance || 0),
+    notes: 'Balance brought forward'
+  });
+}
+
+// Register pages for controlled products over a period: one entry per product with
+// the balance brought forward into the period, its entries and the closing balance.
+function getControlledDrugRegister(conn, { productId, startDate, endDate } = {}) {
+  // Register history outlives a data reset, so include entries for products since deleted
+  const products = conn.prepare(`
+    SELECT id, name FROM products
+    WHERE controlled_drug = 1 OR id IN (SELECT product_id FROM controlled_drug_register)
+    UNION ALL
+    SELECT product_id, MAX(product_name) FROM controlled_drug_register
+    WHERE product_id NOT IN (SELECT id FROM products)
+    GROUP BY product_id
+  `).all()
+    .filter(product => !productId || product.id === productId)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const getOpening = conn.prepare(`
+    SELECT balance FROM controlled_drug_register
+    WHERE product_id = ? AND date(created_at) < date(?)
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 1
+  `);
+  const getEntries = conn.prepare(`
+    SELECT * FROM controlled_drug_register
+    WHERE product_id = ?
+      AND (? IS NULL OR date(created_at) >= date(?))
+      AND (? IS NULL OR date(created_at) <= date(?))
+    ORDER BY created_at, rowid
+  `);
+
+  return products.map(product => {
+    const opening = startDate ? getOpening.get(product.id, startDate) : null;
+    const entries = getEntries.all(product.id, startDate || null, startDate || null, endDate || null, endDate || null);
+    const openingBalance = opening ? opening.balance : 0;
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      opening_balance: openingBalance,
+      total_in: entries.reduce((sum, entry) => sum + entry.quantity_in, 0),
+      total_out: entries.reduce((sum, entry) => sum + entry.quantity_out, 0),
+      closing_balance: entries.length ? entries[entries.length - 1].balance : openingBalance,
+      entries
+    };
+  });
+}
+
+// Insert a new batch (lot) for a product and return its ID.
+// When movement ({ reason, reference_id, notes }) is given the received quantity is logged.
+function createProductBatch(conn, productId, batch = {}, movement = null) {
+  const batchId = batch.id || uuidv4();
+  const now = new Date().toISOString();
+
+  conn.prepare(`
+    INSERT INTO product_batches (id, product_id, lot_number, expiry_date, quantity, cost_price,
+                                 supplier_id, supplier_name, received_date, status, notes, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    batchId,
+    productId,
+    batch.lot_number || null,
+    batch.expiry_date || null,
+    parseInt(batch.quantity || 0),
+    parseFloat(batch.cost_price || 0),
+    batch.supplier_id || null,
+    batch.supplier_name || null,
+    batch.received_date || now.split('T')[0],
+    batch.status || 'active',
+    batch.notes || null,
+    now,
+    now
+  );
+
+  if (movement) {
+    recordStockMovement(conn, { ...movement, product_id: productId, batch_id: batchId, delta: parseInt(batch.quantity || 0) });
+  }
+
+  return batchId;
+}
+
+// Recalculate products.quantity_in_stock (sum over active batches) and
+// products.expiry_date (earliest active batch holding stock)
+function syncProductStockFromBatches(conn, productId) {
+  const totals = conn.prepare(`
+    SELECT COALESCE(SUM(quantity), 0) as total,
+           MIN(CASE WHEN quantity > 0 THEN expiry_date END) as earliest_expiry
+    FROM product_batches
+    WHERE product_id = ? AND status = 'active'
+  `).get(productId);
+
+  conn.prepare(`
+    UPDATE products
+    SET quantity_in_stock = ?,
+        quantity_on_shelf = MIN(quantity_on_shelf, ?),
+        expiry_date = COALESCE(?, expiry_date),
+        updated_at = ?
+    WHERE id = ?
+  `).run(totals.total, totals.total, totals.earliest_expiry, new Date().toISOString(), productId);
+
+  return totals.total;
+}
+
+// Apply a quantity change to a product's batches. Increases go into a new batch
+// (or the latest-expiring one when no lot details are given); decreases are taken
+// from the earliest-expiring batches first. Each batch touched is logged with movement.
+function adjustProductBatches(conn, productId, delta, batchInfo = {}, movement = { reason: 'adjustment' }) {
+  if (!delta) return;
+
+  if (delta > 0) {
+    if (batchInfo.lot_number || batchInfo.expiry_date) {
+      createProductBatch(conn, productId, { ...batchInfo, quantity: delta }, movement);
+      return;
+    }
+
+    const latest = conn.prepare(`
+      SELECT id FROM product_batches
+      WHERE product_id = ? AND status = 'active'
+      ORDER BY expiry_date IS NULL, expiry_date DESC
+      LIMIT 1
+    `).get(productId);
+
+    if (latest) {
+      conn.prepare('UPDATE product_batches SET quantity = quantity + ?, updated_at = ? WHERE id = ?')
+        .run(delta, new Date().toISOString(), latest.id);
+      recordStockMovement(conn, { ...movement, product_id: productId, batch_id: latest.id, delta });
+    } else {
+      createProductBatch(conn, productId, { ...batchInfo, quantity: delta }, movement);
+    }
+    return;
+  }
+
+  let remaining = -delta;
+  const batches = conn.prepare(`
+    SELECT id, quantity FROM product_batches
+    WHERE product_id = ? AND status = 'active' AND quantity > 0
+    ORDER BY expiry_date IS NULL, expiry_date ASC, received_date ASC
+  `).all(productId);
+
+  for (const batch of batches) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    conn.prepare('UPDATE product_batches SET quantity = quantity - ?, updated_at = ? WHERE id = ?')
+      .run(take, new Date().toISOString(), batch.id);
+    recordStockMovement(conn, { ...movement, product_id: productId, batch_id: batch.id, delta: -take });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    throw new Error(`Cannot remove ${-delta} units: only ${-delta - remaining} available across batches`);
+  }
+}
+
+// Cost of one base unit of a product from its product row: the cost price, or the
+// bulk purchase cost spread over the quantity bought
+function getProductUnitCost(product) {
+  const costPrice = parseFloat(product.cost_price) || 0;
+  if (costPrice > 0) return costPrice;
+  const bulkCost = parseFloat(product.total_bulk_cost) || 0;
+  const quantityPurchased = parseFloat(product.quantity_purchased) || 0;
+  return bulkCost > 0 && quantityPurchased > 0 ? bulkCost / quantityPurchased : 0;
+}
+
+// Draw quantity from a product's batches first-expiry-first-out. Expired lots are
+// only used when allowExpired is set, and then only for what unexpired lots cannot
+// cover. Returns one allocation per batch touched; each is logged with movement.
+function allocateBatchesFEFO(conn, productId, quantity, { allowExpired = false, productName, movement = { reason: 'sale' } } = {}) {
+  const label = productName || productId;
+  const today = new Date().toISOString().split('T')[0];
+  const batches = conn.prepare(`
+    SELECT id, lot_number, expiry_date, quantity, cost_price FROM product_batches
+    WHERE product_id = ? AND status = 'active' AND quantity > 0
+    ORDER BY expiry_date IS NULL, expiry_date ASC, received_date ASC
+  `).all(productId);
+
+  const isExpired = (batch) => !!batch.expiry_date && batch.expiry_date.split(/[T ]/)[0] < today;
+  const unexpired = batches.filter(batch => !isExpired(batch));
+  const expired = batches.filter(isExpired);
+  const sum = (list) => list.reduce((total, batch) => total + batch.quantity, 0);
+
+  const usable = allowExpired ? [...unexpired, ...expired] : unexpired;
+  const available = sum(usable);
+
+  if (available < quantity) {
+    const expiredQuantity = sum(expired);
+    if (!allowExpired && expiredQuantity > 0 && available + expiredQuantity >= quantity) {
+      const error = new Error(`Only ${available} unexpired unit(s) available for ${label}; ${expiredQuantity} unit(s) are in expired lots. Requested: ${quantity}`);
+      error.code = 'EXPIRED_STOCK';
+      throw error;
+    }
+    throw new Error(`Insufficient stock for ${label}. Available: ${available}, Requested: ${quantity}`);
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+  for (const batch of usable) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    conn.prepare('UPDATE product_batches SET quantity = quantity - ?, updated_at = ? WHERE id = ?')
+      .run(take, new Date().toISOString(), batch.id);
+    recordStockMovement(conn, {
+      ...movement,
+      product_id: productId,
+      batch_id: batch.id,
+      delta: -take,
+      notes: movement.notes || (isExpired(batch) ? 'Expired lot sold (override)' : null)
+    });
+    allocations.push({
+      batch_id: batch.id,
+      lot_number: batch.lot_number,
+      expiry_date: batch.expiry_date,
+      quantity: take,
+      unit_cost: batch.cost_price || 0,
+      was_expired: isExpired(batch)
+    });
+    remaining -= take;
+  }
+
+  return allocations;
+}
+
+// Put returned units of a sale line back into the lots they were sold from.
+// disposition 'quarantine' holds them in a separate quarantined lot that does not
+// count as sellable stock (damaged or expired returns). Returns one entry per lot.
+function returnSaleItemToStock(conn, saleItem, quantity, { disposition = 'stock', movement = { reason: 'return' } } = {}) {
+  const now = new Date().toISOString();
+  const returned = [];
+  let remaining = quantity;
+
+  const putBack = (source, take) => {
+    const original = source.batch_id
+      ? conn.prepare('SELECT * FROM product_batches WHERE id = ?').get(source.batch_id)
+      : null;
+
+    if (disposition !== 'quarantine' && original && original.status === 'active') {
+      conn.prepare('UPDATE product_batches SET quantity = quantity + ?, updated_at = ? WHERE id = ?')
+        .run(take, now, original.id);
+      recordStockMovement(conn, { ...movement, product_id: saleItem.product_id, batch_id: original.id, delta: take });
+      returned.push({ batch_id: original.id, lot_number: original.lot_number, expiry_date: original.expiry_date, quantity: take });
+      return;
+    }
+
+    // Quarantined returns, and returns whose lot has since been retired, get a lot of their own
+    const lot = {
+      lot_number: source.lot_number || (original && original.lot_number),
+      expiry_date: source.expiry_date || (original && original.expiry_date),
+      quantity: take,
+      cost_price: original ? original.cost_price : 0,
+      supplier_id: original ? original.supplier_id : null,
+      supplier_name: original ? original.supplier_name : null,
+      status: disposition === 'quarantine' ? 'quarantined' : 'active',
+      notes: disposition === 'quarantine' ? 'Quarantined customer return' : 'Customer return'
+    };
+    const batchId = createProductBatch(conn, saleItem.product_id, lot, {
+      ...movement,
+      notes: movement.notes || lot.notes
+    });
+    returned.push({ batch_id: batchId, lot_number: lot.lot_number, expiry_date: lot.expiry_date, quantity: take });
+  };
+
+  const soldFrom = conn.prepare(`
+    SELECT * FROM sale_item_batches
+    WHERE sale_item_id = ? AND quantity > quantity_returned
+    ORDER BY expiry_date IS NULL, expiry_date DESC
+  `).all(saleItem.id);
+
+  for (const allocation of soldFrom) {
+    if (remaining <= 0) break;
+    const take = Math.min(allocation.quantity - allocation.quantity_returned, remaining);
+    putBack(allocation, take);
+    conn.prepare('UPDATE sale_item_batches SET quantity_returned = quantity_returned + ? WHERE id = ?')
+      .run(take, allocation.id);
+    remaining -= take;
+  }
+
+  // Sales recorded before batch tracking have no lot allocations
+  if (remaining > 0) {
+    if (disposition === 'quarantine') {
+      putBack({}, remaining);
+    } else {
+      adjustProductBatches(conn, saleItem.product_id, remaining, {}, movement);
+      returned.push({ batch_id: null, lot_number: null, expiry_date: null, quantity: remaining });
+    }
+  }
+
+  syncProductStockFromBatches(conn, saleItem.product_id);
+  return returned;
+}
+
+// Reverse sale lines and record a credit note against the original invoice.
+// lines: [{ saleItem, quantity, disposition }]. type is 'return' or 'void'.
+// The credit first clears anything still owed on the sale; only the rest is refunded.
+// Updates sales.amount_refunded and sales.payment_status; returns the credit note.
+function createCreditNote(conn, sale, lines, { type = 'return', reason, refundMethod } = {}) {
+  const creditNoteId = uuidv4();
+  const creditNoteNumber = `CN-${Date.now()}`;
+  const now = new Date().toISOString();
+  const { balance: balanceOwed } = conn.prepare(`SELECT ${SALE_BALANCE_SQL} as balance FROM sales s WHERE s.id = ?`).get(sale.id);
+  const shift = getOpenShift(conn);
+
+  conn.prepare(`
+    INSERT INTO credit_notes (id, credit_note_number, sale_id, invoice_number, type, total_amount,
+                              refund_method, reason, user_name, shift_id, created_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?)
+  `).run(
+    creditNoteId,
+    creditNoteNumber,
+    sale.id,
+    sale.invoice_number || null,
+    type,
+    refundMethod || (PAYMENT_METHODS.includes(sale.payment_method) ? sale.payment_method : 'cash'),
+    reason || null,
+    getCurrentUserName(conn),
+    shift ? shift.id : null,
+    now
+  );
+
+  const insertItem = conn.prepare(`
+    INSERT INTO credit_note_items (id, credit_note_id, sale_item_id, product_id, product_name, batch_id,
+                                   lot_number, quantity, unit_price, subtotal, disposition)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  let totalAmount = 0;
+  lines.forEach(({ saleItem, quantity, disposition = 'stock' }) => {
+    const outstanding = saleItem.quantity - (saleItem.quantity_returned || 0);
+    if (!(quantity > 0)) {
+      throw new Error(`Return quantity for ${saleItem.product_name} must be greater than zero`);
+    }
+    if (quantity > outstanding) {
+      throw new Error(`Cannot return ${quantity} of ${saleItem.product_name}: only ${outstanding} not yet returned`);
+    }
+
+    const returnedLots = returnSaleItemToStock(conn, saleItem, quantity, {
+      disposition,
+      movement: {
+        reason: 'return',
+        reference_id: creditNoteId,
+        notes: `${creditNoteNumber} against ${sale.invoice_number || sale.id}`,
+        register: { reference_number: creditNoteNumber, patient_name: sale.customer_name }
+      }
+    });
+    returnedLots.forEach(lot => {
+      insertItem.run(
+        uuidv4(),
+        creditNoteId,
+        saleItem.id,
+        saleItem.product_id,
+        saleItem.product_name,
+        lot.batch_id,
+        lot.lot_number,
+        lot.quantity,
+        saleItem.unit_price,
+        lot.quantity * saleItem.unit_price,
+        disposition
+      );
+    });
+
+    conn.prepare('UPDATE sale_items SET quantity_returned = quantity_returned + ? WHERE id = ?')
+      .run(quantity, saleItem.id);
+    totalAmount += quantity * saleItem.unit_price;
+  });
+
+  const appliedToBalance = Math.min(totalAmount, balanceOwed);
+  conn.prepare('UPDATE credit_notes SET total_amount = ?, applied_to_balance = ? WHERE id = ?')
+    .run(totalAmount, appliedToBalance, creditNoteId);
+
+  const { outstanding } = conn.prepare(`
+    SELECT COALESCE(SUM(quantity - quantity_returned), 0) as outstanding FROM sale_items WHERE sale_id = ?
+  `).get(sale.id);
+  const paymentStatus = type === 'void' ? 'voided' : (outstanding > 0 ? 'partially_refunded' : 'refunded');
+  conn.prepare(`
+    UPDATE sales SET amount_refunded = COALESCE(amount_refunded, 0) + ?, payment_status = ? WHERE id = ?
+  `).run(totalAmount, paymentStatus, sale.id);
+
+  return {
+    id: creditNoteId,
+    credit_note_number: creditNoteNumber,
+    total_amount: totalAmount,
+    applied_to_balance: appliedToBalance,
+    refund_amount: totalAmount - appliedToBalance,
+    payment_status: paymentStatus
+  };
+}
+
+// Prescription details that must be captured before a prescription-only product is sold
+const REQUIRED_PRESCRIPTION_FIELDS = {
+  rx_number: 'Rx number',
+  prescriber_name: 'prescriber',
+  prescription_date: 'prescription date'
+};
+
+function getMissingPrescriptionFields(prescription = {}) {
+  return Object.entries(REQUIRED_PRESCRIPTION_FIELDS)
+    .filter(([field]) => !prescription[field] || !String(prescription[field]).trim())
+    .map(([, label]) => label);
+}
+
+// File types accepted as attachments; anything else could run when opened in the system viewer
+const ATTACHMENT_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.pdf'];
+const LOGO_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp'];
+
+function isAllowedAttachment(filePath, extensions = ATTACHMENT_EXTENSIONS) {
+  return extensions.includes(path.extname(filePath || '').toLowerCase());
+}
+
+// Copy an attached file (scanned prescription, expense receipt) into a folder of the
+// app's data folder, named after the record it belongs to; returns the stored path
+function storeAttachment(sourcePath, folderName, recordId, label = 'Attachment', extensions = ATTACHMENT_EXTENSIONS) {
+  if (!isAllowedAttachment(sourcePath, extensions)) {
+    throw new Error(`${label} must be a ${extensions.map(ext => ext.slice(1).toUpperCase()).join(', ')} file`);
+  }
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`${label} file not found`);
+  }
+  const folder = path.join(app.getPath('userData'), folderName);
+  fs.mkdirSync(folder, { recursive: true });
+  const destination = path.join(folder, `${recordId}${path.extname(sourcePath).toLowerCase()}`);
+  fs.copyFileSync(sourcePath, destination);
+  return destination;
+}
+
+function storePrescriptionImage(sourcePath, prescriptionId) {
+  return storeAttachment(sourcePath, 'prescriptions', prescriptionId, 'Prescription image');
+}
+
+// Insert a prescription and the sale lines dispensed against it.
+// soldItems: [{ itemId, product, quantity }]
+function recordPrescription(conn, prescription, soldItems) {
+  conn.prepare(`
+    INSERT INTO prescriptions (id, sale_id, customer_id, rx_number, prescriber_name, facility,
+                               prescription_date, dosage_instructions, image_path, notes, user_name, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    prescription.id,
+    prescription.sale_id,
+    prescription.customer_id || null,
+    prescription.rx_number.trim(),
+    prescription.prescriber_name.trim(),
+    prescription.facility || null,
+    prescription.prescription_date,
+    prescription.dosage_instructions || null,
+    prescription.image_path || null,
+    prescription.notes || null,
+    getCurrentUserName(conn),
+    new Date().toISOString()
+  );
+
+  const itemDosage = prescription.item_dosage || {};
+  const insertItem = conn.prepare(`
+    INSERT INTO prescription_items (id, prescription_id, sale_id, sale_item_id, product_id, product_name, quantity, dosage_instructions)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  soldItems.forEach(sold => {
+    insertItem.run(
+      uuidv4(),
+      prescription.id,
+      prescription.sale_id,
+      sold.itemId,
+      sold.product.id,
+      sold.product.name,
+      sold.quantity,
+      itemDosage[sold.product.id] || prescription.dosage_instructions || null
+    );
+  });
+}
+
+// Give a product that has stock but no batches an opening batch holding that stock
+function createOpeningBatch(conn, product) {
+  return createProductBatch(conn, product.id, {
+    lot_number: 'OPENING',
+    expiry_date: product.expiry_date,
+    quantity: product.quantity_in_stock,
+    cost_price: product.cost_price,
+    supplier_id: product.supplier_id,
+    supplier_name: product.supplier_name,
+    received_date: (product.created_at || new Date().toISOString()).split(/[T ]/)[0],
+    notes: 'Opening stock migrated from product record'
+  }, { reason: 'adjustment', notes: 'Opening stock' });
+}
+
+// Create an opening batch for every product that has stock but no batches yet
+function migrateProductsToBatches() {
+  const products = db.prepare(`
+    SELECT p.id, p.quantity_in_stock, p.expiry_date, p.cost_price, p.supplier_id, p.supplier_name, p.created_at
+    FROM products p
+    WHERE p.quantity_in_stock > 0
+      AND NOT EXISTS (SELECT 1 FROM product_batches b WHERE b.product_id = p.id)
+  `).all();
+
+  if (products.length === 0) return;
+
+  console.log(`Creating opening batches for ${products.length} product(s)...`);
+  const migrate = db.transaction(() => {
+    products.forEach(product => createOpeningBatch(db, product));
+  });
+  migrate();
+}
+
+// Auto-fit every worksheet's columns and write the workbook to the temp folder.
+// Returns the path of the saved .xlsx file.
+async function saveWorkbookToTemp(workbook, fileLabel) {
+  workbook.worksheets.forEach(worksheet => {
+    worksheet.columns.forEach(column => {
+      let maxLength = 0;
+      column.eachCell({ includeEmpty: true }, cell => {
+        const columnLength = cell.value ? cell.value.toString().length : 0;
+        if (columnLength > maxLength) {
+          maxLength = columnLength;
+        }
+      });
+      column.width = Math.min(Math.max(maxLength + 2, 10), 50);
+    });
+  });
+
+  const exportPath = path.join(app.getPath('temp'), `${fileLabel}_${Date.now()}.xlsx`);
+  await workbook.xlsx.writeFile(exportPath);
+  exportedFiles.add(exportPath);
+  return exportPath;
+}
+
+// Add any of the given columns ({ name: definition }) that a table is missing
+function ensureColumns(table, columns) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+  Object.entries(columns).forEach(([name, definition]) => {
+    if (!existing.includes(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      console.log(`Added ${name} column to ${table} table`);
+    }
+  });
+}
+
+// Function to ensure database schema is up to date
+function ensureDatabaseSchema() {
+  try {
+    console.log('Ensuring database schema is up to date...');
+    
+    // Check if sales table exists
+    const salesTable = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sales'").get();
+    if (!salesTable) {
+      console.log('Sales table does not exist, creating it...');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sales (
+          id TEXT PRIMARY KEY,
+          invoice_number TEXT,
+          customer_name TEXT,
+          total_amount REAL NOT NULL,
+          payment_method TEXT,
+          payment_status TEXT,
+          sale_date TEXT NOT NULL,
+          sale_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('Sales table created successfully');
+      return;
+    }
+    
+    // Check if invoice_number column exists in sales table using PRAGMA
+    try {
+      const columns = db.prepare("PRAGMA table_info(sales)").all();
+      console.log('Current sales table columns:', columns.map(c => c.name));
+      
+      const hasInvoiceNumber = columns.some(col => col.name === 'invoice_number');
+      
+      if (!hasInvoiceNumber) {
+        console.log('Adding invoice_number column to sales table...');
+        db.exec(`ALTER TABLE sales ADD COLUMN invoice_number TEXT`);
+        console.log('Successfully added invoice_number column to sales table');
+      } else {
+        console.log('invoice_number column already exists in sales table');
+      }
+      
+      // Also ensure other required columns exist
+      const requiredColumns = ['customer_name', 'total_amount', 'payment_method', 'payment_status', 'sale_date'];
+      for (const col of requiredColumns) {
+        if (!columns.some(c => c.name === col)) {
+          console.log(`Adding missing column ${col} to sales table...`);
+          const type = col === 'total_amount' ? 'REAL' : 'TEXT';
+          db.exec(`ALTER TABLE sales ADD COLUMN ${col} ${type}${col === 'total_amount' ? ' NOT NULL' : ''}`);
+          console.log(`Added column ${col} to sales table`);
+        }
+      }
+      
+    } catch (error) {
+      console.error('Error checking/updating sales table schema:', error);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error ensuring database schema:', error);
+    throw error;
+  }
+}
+
+// Function to check and update sale_items table schema if needed
+function updateSaleItemsSchema() {
+  try {
+    console.log('Checking sale_items table schema...');
+    
+    // Check if invoice_number column exists
+    const columnCheck = db.prepare("PRAGMA table_info(sale_items)").all();
+    const hasInvoiceNumber = columnCheck.some(col => col.name === 'invoice_number');
+    
+    if (!hasInvoiceNumber) {
+      console.log('Adding invoice_number column to sale_items table...');
+      db.exec('ALTER TABLE sale_items ADD COLUMN invoice_number TEXT');
+      console.log('Successfully added invoice_number column to sale_items table');
     } else {
       console.log('invoice_number column already exists in sale_items table');
     }
@@ -1609,294 +7642,975 @@ function ensureSaleItemsTable() {
             photo_path TEXT,
             is_active INTEGER NOT NULL DEFAULT 1,
             created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+          )
+        `);
+      }
+      
+      // Now create the sale_items table
+      console.log('Creating sale_items table...');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sale_items (
+          id TEXT PRIMARY KEY,
+          sale_id TEXT NOT NULL,
+          invoice_number TEXT,
+          product_id TEXT NOT NULL,
+          product_name TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL,
+          subtotal REAL NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+      
+      // Verify creation
+      const verify = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sale_items'").get();
+      if (verify) {
+        console.log('Successfully created sale_items table');
+      } else {
+        console.error('Failed to create sale_items table');
+      }
+    } else {
+      console.log('sale_items table already exists');
+    }
+  } catch (error) {
+    console.error('Error in ensureSaleItemsTable:', error);
+    throw error;
+  }
+}
+
+
+// IPC handlers initialization flag is already defined above
+
+// Data migrations that must only ever run once, recorded as the migration_<name> setting
+function runMigrationOnce(conn, name, migrate) {
+  const key = `migration_${name}`;
+  if (conn.prepare('SELECT 1 FROM settings WHERE key = ?').get(key)) {
+    return;
+  }
+  conn.transaction(() => {
+    migrate(conn);
+    conn.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run(key, new Date().toISOString());
+  })();
+}
+
+// Initialize database
+function initDatabase() {
+  return new Promise((resolve, reject) => {
+    let dbConnection;
+    
+    try {
+      const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
+      console.log('Initializing database at:', dbPath);
+      
+      // Check if database file exists
+      const dbExists = require('fs').existsSync(dbPath);
+      console.log('Database file exists:', dbExists);
+      
+      // Create database connection with verbose logging
+      dbConnection = new Database(dbPath, { verbose: (sql) => console.log('Executing SQL:', sql) });
+      
+      // Verify database connection
+      const dbVersion = dbConnection.prepare('SELECT sqlite_version() as version').get();
+      console.log('SQLite version:', dbVersion.version);
+      
+      // Enable foreign key constraints
+      dbConnection.pragma('foreign_keys = ON');
+      console.log('Database connection established with foreign keys enabled');
+      
+      // Enable WAL mode for better concurrency
+      dbConnection.pragma('journal_mode = WAL');
+      
+      // Set the global db variable
+      db = dbConnection;
+      
+      // Start a transaction for schema creation
+      dbConnection.exec('BEGIN TRANSACTION');
+      
+      try {
+        // Create settings table first as it doesn't have any dependencies
+        console.log('Creating settings table...');
+        executeSql(`
+          CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        
+        // Add updated_at column if it doesn't exist
+        try {
+          const settingsColumns = db.prepare("PRAGMA table_info(settings)").all();
+          const hasUpdatedAt = settingsColumns.some(col => col.name === 'updated_at');
+          if (!hasUpdatedAt) {
+            console.log('Adding updated_at column to settings table...');
+            db.exec('ALTER TABLE settings ADD COLUMN updated_at TEXT DEFAULT CURRENT_TIMESTAMP');
+            db.exec('ALTER TABLE settings ADD COLUMN created_at TEXT DEFAULT CURRENT_TIMESTAMP');
+          }
+      } catch (e) {
+        console.error('Error updating settings table schema:', e);
+      }
+
+      // Create suppliers table before products since products references it
+      console.log('Creating suppliers table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          contact_person TEXT,
+          email TEXT,
+          phone TEXT,
+          address TEXT,
+          tax_id TEXT,
+          payment_terms TEXT,
+          notes TEXT,
+          is_active INTEGER DEFAULT 1,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Add is_active column if it doesn't exist
+      try {
+        const supplierColumns = db.prepare("PRAGMA table_info(suppliers)").all();
+        const hasIsActive = supplierColumns.some(col => col.name === 'is_active');
+        if (!hasIsActive) {
+          console.log('Adding is_active column to suppliers table...');
+          db.exec('ALTER TABLE suppliers ADD COLUMN is_active INTEGER DEFAULT 1');
+        }
+      } catch (e) {
+        console.error('Error updating suppliers table schema:', e);
+      }
+
+      // Create products table
+      console.log('Creating products table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS products (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          description TEXT,
+          barcode TEXT UNIQUE,
+          category TEXT,
+          category_id TEXT,
+          sku TEXT,
+          total_bulk_cost REAL NOT NULL DEFAULT 0,
+          quantity_purchased INTEGER NOT NULL DEFAULT 0,
+          profit_margin REAL NOT NULL DEFAULT 0,
+          quantity_in_stock INTEGER NOT NULL DEFAULT 0,
+          quantity_on_shelf INTEGER NOT NULL DEFAULT 0,
+          cost_price REAL NOT NULL DEFAULT 0,
+          selling_price REAL NOT NULL DEFAULT 0,
+          manufactured_date TEXT,
+          expiry_date TEXT,
+          photo_path TEXT,
+          reorder_level INTEGER NOT NULL DEFAULT 10,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          supplier_id TEXT,
+          supplier_name TEXT,
+          supplier_contact TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          images TEXT,
+          variants TEXT,
+          notes TEXT,
+          FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+        )
+  `);
+  
+  // Add any missing columns
+  const columnsToAdd = [
+    { name: 'supplier_id', type: 'TEXT REFERENCES suppliers(id)' },
+    { name: 'category_id', type: 'TEXT' },
+    { name: 'sku', type: 'TEXT' },
+    { name: 'images', type: 'TEXT' },
+    { name: 'variants', type: 'TEXT' },
+    { name: 'notes', type: 'TEXT' },
+    { name: 'total_bulk_cost', type: 'REAL DEFAULT 0' },
+    { name: 'quantity_purchased', type: 'INTEGER DEFAULT 0' },
+    { name: 'profit_margin', type: 'REAL DEFAULT 0' },
+    { name: 'quantity_on_shelf', type: 'INTEGER DEFAULT 0' },
+    { name: 'manufactured_date', type: 'TEXT' },
+    { name: 'expiry_date', type: 'TEXT' },
+    { name: 'photo_path', type: 'TEXT' },
+    { name: 'supplier_name', type: 'TEXT' },
+    { name: 'supplier_contact', type: 'TEXT' }
+  ];
+
+  // Get existing columns
+  const existingColumns = db.prepare("PRAGMA table_info(products)").all().map(col => col.name);
+  
+  // Add any missing columns
+  for (const column of columnsToAdd) {
+    if (!existingColumns.includes(column.name)) {
+      try {
+        console.log(`Adding missing column: ${column.name}`);
+        db.exec(`ALTER TABLE products ADD COLUMN ${column.name} ${column.type}`);
+      } catch (e) {
+        if (!e.message.includes('duplicate column name')) {
+          console.error(`Error adding ${column.name} column:`, e);
+        }
+      }
+    }
+  }
+  
+  // Initialize developer mode setting if not exists (settings table already created above)
+  try {
+    const devMode = db.prepare('SELECT value FROM settings WHERE key = ?').get('developer_mode');
+    if (!devMode) {
+      db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run('developer_mode', 'false');
+    }
+  } catch (e) {
+    console.error('Error initializing developer mode setting:', e);
+  }
+  
+  // Suppliers table already created above, no need to recreate
+  
+      // Create sales table
+      console.log('Creating sales table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS sales (
+          id TEXT PRIMARY KEY,
+          invoice_number TEXT,
+          customer_id TEXT,
+          customer_name TEXT,
+          total_amount REAL NOT NULL,
+          payment_method TEXT,
+          payment_status TEXT,
+          amount_refunded REAL NOT NULL DEFAULT 0,
+          sale_date TEXT NOT NULL,
+          sale_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Create sale_items table with detailed logging
+      console.log('Creating sale_items table...');
+      try {
+        // First, check if sales and products tables exist
+        const salesTableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sales'").get();
+        const productsTableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='products'").get();
+        
+        console.log('Sales table exists:', !!salesTableExists);
+        console.log('Products table exists:', !!productsTableExists);
+        
+        if (!salesTableExists || !productsTableExists) {
+          throw new Error('Required tables (sales or products) do not exist');
+        }
+        
+        // Create the sale_items table
+        executeSql(`
+          CREATE TABLE IF NOT EXISTS sale_items (
+            id TEXT PRIMARY KEY,
+            sale_id TEXT NOT NULL,
+            product_id TEXT NOT NULL,
+            product_name TEXT NOT NULL,
+            quantity INTEGER NOT NULL,
+            unit_price REAL NOT NULL,
+            subtotal REAL NOT NULL,
+            quantity_returned INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
           )
         `);
+        
+        // Verify the table was created
+        const saleItemsTableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sale_items'").get();
+        console.log('sale_items table created successfully:', !!saleItemsTableCheck);
+        
+        if (!saleItemsTableCheck) {
+          throw new Error('Failed to create sale_items table');
+        }
+      } catch (error) {
+        console.error('Error during sale_items table creation:', error);
+        // Only rollback if transaction is still active
+        if (db) {
+          try {
+            db.exec('ROLLBACK');
+          } catch (rollbackError) {
+            // Ignore rollback errors (transaction might already be committed/rolled back)
+            if (!rollbackError.message.includes('no transaction is active')) {
+              console.error('Error during rollback:', rollbackError);
+            }
+          }
+        }
+        throw error;
       }
       
-      // Now create the sale_items table
-      console.log('Creating sale_items table...');
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS sale_items (
+      // Create product_batches table - one row per received lot, each with its own expiry
+      console.log('Creating product_batches table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS product_batches (
+          id TEXT PRIMARY KEY,
+          product_id TEXT NOT NULL,
+          lot_number TEXT,
+          expiry_date TEXT,
+          quantity INTEGER NOT NULL DEFAULT 0,
+          cost_price REAL NOT NULL DEFAULT 0,
+          supplier_id TEXT,
+          supplier_name TEXT,
+          received_date TEXT,
+          status TEXT NOT NULL DEFAULT 'active',
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_product_batches_product ON product_batches(product_id)');
+
+      // Create product_units table - pack sizes a product is sold in, e.g. 1 box = 100 tablets.
+      // Stock is always held in the product's base unit (products.unit_of_measure).
+      console.log('Creating product_units table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS product_units (
+          id TEXT PRIMARY KEY,
+          product_id TEXT NOT NULL,
+          unit_name TEXT NOT NULL,
+          conversion_factor INTEGER NOT NULL CHECK (conversion_factor > 1),
+          selling_price REAL NOT NULL DEFAULT 0,
+          barcode TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (product_id, unit_name),
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Create sale_item_batches table - which lots each sale line was filled from (recall tracing)
+      console.log('Creating sale_item_batches table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS sale_item_batches (
           id TEXT PRIMARY KEY,
+          sale_item_id TEXT NOT NULL,
           sale_id TEXT NOT NULL,
-          invoice_number TEXT,
           product_id TEXT NOT NULL,
-          product_name TEXT NOT NULL,
+          batch_id TEXT NOT NULL,
+          lot_number TEXT,
+          expiry_date TEXT,
           quantity INTEGER NOT NULL,
-          unit_price REAL NOT NULL,
-          subtotal REAL NOT NULL,
+          was_expired INTEGER NOT NULL DEFAULT 0,
+          quantity_returned INTEGER NOT NULL DEFAULT 0,
           created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE,
+          FOREIGN KEY (sale_item_id) REFERENCES sale_items(id) ON DELETE CASCADE,
+          FOREIGN KEY (batch_id) REFERENCES product_batches(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_sale_item_batches_batch ON sale_item_batches(batch_id)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_sale_item_batches_item ON sale_item_batches(sale_item_id)');
+
+      // Create stock_movements table - append-only ledger of every stock quantity change
+      console.log('Creating stock_movements table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS stock_movements (
+          id TEXT PRIMARY KEY,
+          product_id TEXT NOT NULL,
+          product_name TEXT,
+          batch_id TEXT,
+          delta INTEGER NOT NULL,
+          reason TEXT NOT NULL,
+          reference_id TEXT,
+          user_name TEXT,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at)');
+      executeSql(`
+        CREATE TRIGGER IF NOT EXISTS stock_movements_no_update BEFORE UPDATE ON stock_movements
+        BEGIN SELECT RAISE(ABORT, 'Stock movements cannot be changed'); END
+      `);
+      executeSql(`
+        CREATE TRIGGER IF NOT EXISTS stock_movements_no_delete BEFORE DELETE ON stock_movements
+        BEGIN SELECT RAISE(ABORT, 'Stock movements cannot be deleted'); END
+      `);
+
+      // Create purchasing tables - purchase orders to suppliers and the goods received against them
+      console.log('Creating purchase order tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id TEXT PRIMARY KEY,
+          po_number TEXT NOT NULL,
+          supplier_id TEXT,
+          supplier_name TEXT,
+          status TEXT NOT NULL DEFAULT 'draft',
+          order_date TEXT NOT NULL,
+          expected_date TEXT,
+          total_amount REAL NOT NULL DEFAULT 0,
+          notes TEXT,
+          sent_at TEXT,
+          closed_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+          id TEXT PRIMARY KEY,
+          purchase_order_id TEXT NOT NULL,
+          product_id TEXT NOT NULL,
+          product_name TEXT NOT NULL,
+          quantity_ordered INTEGER NOT NULL,
+          quantity_received INTEGER NOT NULL DEFAULT 0,
+          unit_cost REAL NOT NULL DEFAULT 0,
+          line_total REAL NOT NULL DEFAULT 0,
+          FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
           FOREIGN KEY (product_id) REFERENCES products(id)
         )
       `);
-      
-      // Verify creation
-      const verify = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sale_items'").get();
-      if (verify) {
-        console.log('Successfully created sale_items table');
-      } else {
-        console.error('Failed to create sale_items table');
-      }
-    } else {
-      console.log('sale_items table already exists');
-    }
-  } catch (error) {
-    console.error('Error in ensureSaleItemsTable:', error);
-    throw error;
-  }
-}
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS goods_received_notes (
+          id TEXT PRIMARY KEY,
+          grn_number TEXT NOT NULL,
+          purchase_order_id TEXT NOT NULL,
+          supplier_id TEXT,
+          supplier_name TEXT,
+          received_date TEXT NOT NULL,
+          total_cost REAL NOT NULL DEFAULT 0,
+          notes TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS goods_received_items (
+          id TEXT PRIMARY KEY,
+          grn_id TEXT NOT NULL,
+          purchase_order_item_id TEXT NOT NULL,
+          product_id TEXT NOT NULL,
+          batch_id TEXT,
+          lot_number TEXT,
+          expiry_date TEXT,
+          quantity INTEGER NOT NULL,
+          unit_cost REAL NOT NULL DEFAULT 0,
+          line_total REAL NOT NULL DEFAULT 0,
+          FOREIGN KEY (grn_id) REFERENCES goods_received_notes(id) ON DELETE CASCADE,
+          FOREIGN KEY (batch_id) REFERENCES product_batches(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_purchase_order_items_po ON purchase_order_items(purchase_order_id)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_goods_received_notes_po ON goods_received_notes(purchase_order_id)');
 
+      // Create supplier payables tables - what we owe for goods received and what we have paid
+      console.log('Creating supplier payables tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS supplier_invoices (
+          id TEXT PRIMARY KEY,
+          invoice_number TEXT,
+          supplier_id TEXT,
+          supplier_name TEXT,
+          grn_id TEXT,
+          purchase_order_id TEXT,
+          invoice_date TEXT NOT NULL,
+          due_date TEXT NOT NULL,
+          amount REAL NOT NULL,
+          notes TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+          FOREIGN KEY (grn_id) REFERENCES goods_received_notes(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS supplier_payments (
+          id TEXT PRIMARY KEY,
+          payment_number TEXT NOT NULL,
+          supplier_id TEXT NOT NULL,
+          payment_date TEXT NOT NULL,
+          amount REAL NOT NULL,
+          method TEXT NOT NULL,
+          reference TEXT,
+          notes TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS supplier_payment_allocations (
+          id TEXT PRIMARY KEY,
+          supplier_payment_id TEXT NOT NULL,
+          supplier_invoice_id TEXT NOT NULL,
+          amount REAL NOT NULL,
+          FOREIGN KEY (supplier_payment_id) REFERENCES supplier_payments(id) ON DELETE CASCADE,
+          FOREIGN KEY (supplier_invoice_id) REFERENCES supplier_invoices(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_supplier_invoices_supplier ON supplier_invoices(supplier_id)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_supplier_payments_supplier ON supplier_payments(supplier_id)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_supplier_payment_allocations_invoice ON supplier_payment_allocations(supplier_invoice_id)');
 
-// IPC handlers initialization flag is already defined above
+      // Create sale_payments table - how each sale was settled; a sale can be split across methods
+      console.log('Creating sale_payments table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS sale_payments (
+          id TEXT PRIMARY KEY,
+          sale_id TEXT NOT NULL,
+          method TEXT NOT NULL,
+          amount REAL NOT NULL,
+          reference TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_sale_payments_sale ON sale_payments(sale_id)');
 
-// Initialize database
-function initDatabase() {
-  return new Promise((resolve, reject) => {
-    let dbConnection;
-    
-    try {
-      const dbPath = path.join(app.getPath('userData'), 'wolo-inventory.db');
-      console.log('Initializing database at:', dbPath);
-      
-      // Check if database file exists
-      const dbExists = require('fs').existsSync(dbPath);
-      console.log('Database file exists:', dbExists);
-      
-      // Create database connection with verbose logging
-      dbConnection = new Database(dbPath, { verbose: (sql) => console.log('Executing SQL:', sql) });
-      
-      // Verify database connection
-      const dbVersion = dbConnection.prepare('SELECT sqlite_version() as version').get();
-      console.log('SQLite version:', dbVersion.version);
-      
-      // Enable foreign key constraints
-      dbConnection.pragma('foreign_keys = ON');
-      console.log('Database connection established with foreign keys enabled');
-      
-      // Enable WAL mode for better concurrency
-      dbConnection.pragma('journal_mode = WAL');
-      
-      // Set the global db variable
-      db = dbConnection;
-      
-      // Start a transaction for schema creation
-      dbConnection.exec('BEGIN TRANSACTION');
-      
-      try {
-        // Create settings table first as it doesn't have any dependencies
-        console.log('Creating settings table...');
-        executeSql(`
-          CREATE TABLE IF NOT EXISTS settings (
-            key TEXT PRIMARY KEY,
-            value TEXT,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-        
-        // Add updated_at column if it doesn't exist
-        try {
-          const settingsColumns = db.prepare("PRAGMA table_info(settings)").all();
-          const hasUpdatedAt = settingsColumns.some(col => col.name === 'updated_at');
-          if (!hasUpdatedAt) {
-            console.log('Adding updated_at column to settings table...');
-            db.exec('ALTER TABLE settings ADD COLUMN updated_at TEXT DEFAULT CURRENT_TIMESTAMP');
-            db.exec('ALTER TABLE settings ADD COLUMN created_at TEXT DEFAULT CURRENT_TIMESTAMP');
-          }
-      } catch (e) {
-        console.error('Error updating settings table schema:', e);
-      }
+      // Create shifts table - cashier sessions from opening float to cash count (Z-report)
+      console.log('Creating shifts table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS shifts (
+          id TEXT PRIMARY KEY,
+          shift_number INTEGER NOT NULL,
+          cashier_name TEXT,
+          status TEXT NOT NULL DEFAULT 'open',
+          opened_at TEXT NOT NULL,
+          opening_float REAL NOT NULL DEFAULT 0,
+          closed_at TEXT,
+          expected_cash REAL,
+          counted_cash REAL,
+          over_short REAL,
+          notes TEXT
+        )
+      `);
 
-      // Create suppliers table before products since products references it
-      console.log('Creating suppliers table...');
+      // Create held sales tables - carts parked at the till to be completed later.
+      // Nothing is deducted from stock until the cart is completed.
+      console.log('Creating held_sales tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS held_sales (
+          id TEXT PRIMARY KEY,
+          label TEXT NOT NULL,
+          customer_id TEXT,
+          customer_name TEXT,
+          customer_phone TEXT,
+          notes TEXT,
+          prescription TEXT,
+          total_amount REAL NOT NULL DEFAULT 0,
+          user_name TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS held_sale_items (
+          id TEXT PRIMARY KEY,
+          held_sale_id TEXT NOT NULL,
+          product_id TEXT NOT NULL,
+          product_name TEXT NOT NULL,
+          unit_id TEXT,
+          conversion_factor INTEGER NOT NULL DEFAULT 1,
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL,
+          subtotal REAL NOT NULL,
+          FOREIGN KEY (held_sale_id) REFERENCES held_sales(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Create customer payments table - money received later against credit sales
+      console.log('Creating customer_payments table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS customer_payments (
+          id TEXT PRIMARY KEY,
+          receipt_number TEXT NOT NULL,
+          customer_id TEXT NOT NULL,
+          amount REAL NOT NULL,
+          method TEXT NOT NULL,
+          reference TEXT,
+          notes TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (customer_id) REFERENCES customers(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_customer_payments_customer ON customer_payments(customer_id)');
+
+      // Create credit note tables - refunds issued against an invoice by a return or void
+      console.log('Creating credit note tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS credit_notes (
+          id TEXT PRIMARY KEY,
+          credit_note_number TEXT NOT NULL,
+          sale_id TEXT NOT NULL,
+          invoice_number TEXT,
+          type TEXT NOT NULL DEFAULT 'return',
+          total_amount REAL NOT NULL DEFAULT 0,
+          refund_method TEXT,
+          reason TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sale_id) REFERENCES sales(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS credit_note_items (
+          id TEXT PRIMARY KEY,
+          credit_note_id TEXT NOT NULL,
+          sale_item_id TEXT NOT NULL,
+          product_id TEXT NOT NULL,
+          product_name TEXT,
+          batch_id TEXT,
+          lot_number TEXT,
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL DEFAULT 0,
+          subtotal REAL NOT NULL DEFAULT 0,
+          disposition TEXT NOT NULL DEFAULT 'stock',
+          FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_credit_notes_sale ON credit_notes(sale_id)');
+
+      // Create customers table - customer / patient registry that sales link to
+      console.log('Creating customers table...');
       executeSql(`
-        CREATE TABLE IF NOT EXISTS suppliers (
+        CREATE TABLE IF NOT EXISTS customers (
           id TEXT PRIMARY KEY,
           name TEXT NOT NULL,
-          contact_person TEXT,
-          email TEXT,
           phone TEXT,
-          address TEXT,
-          tax_id TEXT,
-          payment_terms TEXT,
+          date_of_birth TEXT,
+          allergies TEXT,
+          insurance_number TEXT,
           notes TEXT,
           is_active INTEGER DEFAULT 1,
           created_at TEXT DEFAULT CURRENT_TIMESTAMP,
           updated_at TEXT DEFAULT CURRENT_TIMESTAMP
         )
       `);
-      
-      // Add is_active column if it doesn't exist
-      try {
-        const supplierColumns = db.prepare("PRAGMA table_info(suppliers)").all();
-        const hasIsActive = supplierColumns.some(col => col.name === 'is_active');
-        if (!hasIsActive) {
-          console.log('Adding is_active column to suppliers table...');
-          db.exec('ALTER TABLE suppliers ADD COLUMN is_active INTEGER DEFAULT 1');
-        }
-      } catch (e) {
-        console.error('Error updating suppliers table schema:', e);
-      }
+      executeSql('CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone)');
 
-      // Create products table
-      console.log('Creating products table...');
+      // Create prescription tables - the prescription behind each prescription-only sale
+      console.log('Creating prescription tables...');
       executeSql(`
-        CREATE TABLE IF NOT EXISTS products (
+        CREATE TABLE IF NOT EXISTS prescriptions (
           id TEXT PRIMARY KEY,
-          name TEXT NOT NULL,
+          sale_id TEXT NOT NULL,
+          customer_id TEXT,
+          rx_number TEXT NOT NULL,
+          prescriber_name TEXT NOT NULL,
+          facility TEXT,
+          prescription_date TEXT NOT NULL,
+          dosage_instructions TEXT,
+          image_path TEXT,
+          notes TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (sale_id) REFERENCES sales(id)
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS prescription_items (
+          id TEXT PRIMARY KEY,
+          prescription_id TEXT NOT NULL,
+          sale_id TEXT NOT NULL,
+          sale_item_id TEXT NOT NULL,
+          product_id TEXT NOT NULL,
+          product_name TEXT,
+          quantity INTEGER NOT NULL,
+          dosage_instructions TEXT,
+          FOREIGN KEY (prescription_id) REFERENCES prescriptions(id) ON DELETE CASCADE,
+          FOREIGN KEY (sale_item_id) REFERENCES sale_items(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_prescriptions_sale ON prescriptions(sale_id)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_prescriptions_customer ON prescriptions(customer_id)');
+
+      // Controlled-drug register: every receipt and issue of a controlled product with a running balance
+      console.log('Creating controlled drug register table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS controlled_drug_register (
+          id TEXT PRIMARY KEY,
+          product_id TEXT NOT NULL,
+          product_name TEXT,
+          entry_type TEXT NOT NULL,
+          quantity_in INTEGER NOT NULL DEFAULT 0,
+          quantity_out INTEGER NOT NULL DEFAULT 0,
+          balance INTEGER NOT NULL,
+          reference_id TEXT,
+          reference_number TEXT,
+          patient_name TEXT,
+          prescriber_name TEXT,
+          supplier_name TEXT,
+          batch_id TEXT,
+          lot_number TEXT,
+          user_name TEXT,
+          notes TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_cd_register_product ON controlled_drug_register(product_id, created_at)');
+
+      // Create expense tables - running costs of the shop, charged against income by category
+      console.log('Creating expense tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS expense_categories (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS expenses (
+          id TEXT PRIMARY KEY,
+          expense_date TEXT NOT NULL,
+          category TEXT NOT NULL,
+          amount REAL NOT NULL,
+          payee TEXT,
+          payment_method TEXT NOT NULL DEFAULT 'cash',
+          reference TEXT,
           description TEXT,
-          barcode TEXT UNIQUE,
+          receipt_path TEXT,
+          user_name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date)');
+      DEFAULT_EXPENSE_CATEGORIES.forEach(name => {
+        db.prepare('INSERT OR IGNORE INTO expense_categories (id, name) VALUES (?, ?)').run(uuidv4(), name);
+      });
+
+      // Create pricing tables - customer groups with their own prices and time-bound promotions
+      console.log('Creating pricing tables...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS customer_groups (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          price_basis TEXT NOT NULL DEFAULT 'retail',
+          discount_percent REAL NOT NULL DEFAULT 0,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS promotions (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          value REAL NOT NULL DEFAULT 0,
+          buy_quantity INTEGER,
+          get_quantity INTEGER,
+          min_quantity INTEGER NOT NULL DEFAULT 1,
+          product_id TEXT,
           category TEXT,
-          category_id TEXT,
-          sku TEXT,
-          total_bulk_cost REAL NOT NULL DEFAULT 0,
-          quantity_purchased INTEGER NOT NULL DEFAULT 0,
-          profit_margin REAL NOT NULL DEFAULT 0,
-          quantity_in_stock INTEGER NOT NULL DEFAULT 0,
-          quantity_on_shelf INTEGER NOT NULL DEFAULT 0,
-          cost_price REAL NOT NULL DEFAULT 0,
-          selling_price REAL NOT NULL DEFAULT 0,
-          manufactured_date TEXT,
-          expiry_date TEXT,
-          photo_path TEXT,
-          reorder_level INTEGER NOT NULL DEFAULT 10,
+          start_date TEXT,
+          end_date TEXT,
           is_active INTEGER NOT NULL DEFAULT 1,
-          supplier_id TEXT,
-          supplier_name TEXT,
-          supplier_contact TEXT,
           created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          images TEXT,
-          variants TEXT,
-          notes TEXT,
-          FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
         )
-  `);
-  
-  // Add any missing columns
-  const columnsToAdd = [
-    { name: 'supplier_id', type: 'TEXT REFERENCES suppliers(id)' },
-    { name: 'category_id', type: 'TEXT' },
-    { name: 'sku', type: 'TEXT' },
-    { name: 'images', type: 'TEXT' },
-    { name: 'variants', type: 'TEXT' },
-    { name: 'notes', type: 'TEXT' },
-    { name: 'total_bulk_cost', type: 'REAL DEFAULT 0' },
-    { name: 'quantity_purchased', type: 'INTEGER DEFAULT 0' },
-    { name: 'profit_margin', type: 'REAL DEFAULT 0' },
-    { name: 'quantity_on_shelf', type: 'INTEGER DEFAULT 0' },
-    { name: 'manufactured_date', type: 'TEXT' },
-    { name: 'expiry_date', type: 'TEXT' },
-    { name: 'photo_path', type: 'TEXT' },
-    { name: 'supplier_name', type: 'TEXT' },
-    { name: 'supplier_contact', type: 'TEXT' }
-  ];
+      `);
+      DEFAULT_CUSTOMER_GROUPS.forEach(group => {
+        db.prepare('INSERT OR IGNORE INTO customer_groups (id, name, price_basis, discount_percent) VALUES (?, ?, ?, ?)')
+          .run(uuidv4(), group.name, group.price_basis, group.discount_percent);
+      });
 
-  // Get existing columns
-  const existingColumns = db.prepare("PRAGMA table_info(products)").all().map(col => col.name);
-  
-  // Add any missing columns
-  for (const column of columnsToAdd) {
-    if (!existingColumns.includes(column.name)) {
-      try {
-        console.log(`Adding missing column: ${column.name}`);
-        db.exec(`ALTER TABLE products ADD COLUMN ${column.name} ${column.type}`);
-      } catch (e) {
-        if (!e.message.includes('duplicate column name')) {
-          console.error(`Error adding ${column.name} column:`, e);
-        }
-      }
-    }
-  }
-  
-  // Initialize developer mode setting if not exists (settings table already created above)
-  try {
-    const devMode = db.prepare('SELECT value FROM settings WHERE key = ?').get('developer_mode');
-    if (!devMode) {
-      db.prepare('INSERT INTO settings (key, value) VALUES (?, ?)').run('developer_mode', 'false');
-    }
-  } catch (e) {
-    console.error('Error initializing developer mode setting:', e);
-  }
-  
-  // Suppliers table already created above, no need to recreate
-  
-      // Create sales table
-      console.log('Creating sales table...');
+      // Create tax tables - the levies charged on sales and, per sale line, what each one came to
+      console.log('Creating tax tables...');
       executeSql(`
-        CREATE TABLE IF NOT EXISTS sales (
+        CREATE TABLE IF NOT EXISTS tax_levies (
           id TEXT PRIMARY KEY,
-          invoice_number TEXT,
-          customer_name TEXT,
-          total_amount REAL NOT NULL,
-          payment_method TEXT,
-          payment_status TEXT,
-          sale_date TEXT NOT NULL,
-          sale_timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-          notes TEXT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          rate REAL NOT NULL,
+          compound INTEGER NOT NULL DEFAULT 0,
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          is_active INTEGER NOT NULL DEFAULT 1,
           created_at TEXT DEFAULT CURRENT_TIMESTAMP
         )
       `);
-      
-      // Create sale_items table with detailed logging
-      console.log('Creating sale_items table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS sale_item_taxes (
+          id TEXT PRIMARY KEY,
+          sale_id TEXT NOT NULL,
+          sale_item_id TEXT NOT NULL,
+          levy_id TEXT,
+          levy_name TEXT NOT NULL,
+          rate REAL NOT NULL,
+          compound INTEGER NOT NULL DEFAULT 0,
+          taxable_amount REAL NOT NULL DEFAULT 0,
+          tax_amount REAL NOT NULL DEFAULT 0,
+          FOREIGN KEY (sale_id) REFERENCES sales(id)
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_sale_item_taxes_sale ON sale_item_taxes(sale_id)');
+      // Offer Ghana's levies until the shop first saves its own tax settings
+      const taxConfigured = db.prepare('SELECT 1 FROM settings WHERE key = ?').get('tax_mode');
+      if (!taxConfigured && db.prepare('SELECT COUNT(*) as count FROM tax_levies').get().count === 0) {
+        DEFAULT_TAX_LEVIES.forEach((levy, index) => {
+          db.prepare('INSERT INTO tax_levies (id, name, rate, compound, sort_order) VALUES (?, ?, ?, ?, ?)')
+            .run(uuidv4(), levy.name, levy.rate, levy.compound, index);
+        });
+      }
+
+      console.log('Creating users table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          role TEXT NOT NULL,
+          credential_hash TEXT NOT NULL,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          last_login_at TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Append-only: each entry's hash covers the previous entry's hash (see recordAuditEntry)
+      console.log('Creating audit log...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT,
+          user_name TEXT,
+          action TEXT NOT NULL,
+          entity_type TEXT,
+          entity_id TEXT,
+          before_json TEXT,
+          after_json TEXT,
+          created_at TEXT NOT NULL,
+          prev_hash TEXT NOT NULL,
+          hash TEXT NOT NULL
+        )
+      `);
+      executeSql('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+      executeSql('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+      executeSql(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'Audit log entries cannot be changed'); END
+      `);
+      executeSql(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'Audit log entries cannot be deleted'); END
+      `);
+
+      // Encrypted values (see encryptSecret); plain settings stay in settings
+      console.log('Creating secrets table...');
+      executeSql(`
+        CREATE TABLE IF NOT EXISTS secrets (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Commit the transaction if everything succeeded
+      db.exec('COMMIT');
+      console.log('Database schema updated successfully');
+
+      // Add columns introduced after these tables were first created (outside transaction)
       try {
-        // First, check if sales and products tables exist
-        const salesTableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sales'").get();
-        const productsTableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='products'").get();
-        
-        console.log('Sales table exists:', !!salesTableExists);
-        console.log('Products table exists:', !!productsTableExists);
-        
-        if (!salesTableExists || !productsTableExists) {
-          throw new Error('Required tables (sales or products) do not exist');
-        }
-        
-        // Create the sale_items table
+        ensureColumns('sales', {
+          amount_refunded: 'REAL NOT NULL DEFAULT 0',
+          customer_id: 'TEXT',
+          amount_tendered: 'REAL',
+          change_due: 'REAL NOT NULL DEFAULT 0',
+          shift_id: 'TEXT',
+          discount_total: 'REAL NOT NULL DEFAULT 0',
+          discount_approved_by: 'TEXT',
+          tax_mode: 'TEXT',
+          tax_total: 'REAL NOT NULL DEFAULT 0'
+        });
+        ensureColumns('sale_items', {
+          quantity_returned: 'INTEGER NOT NULL DEFAULT 0',
+          unit_name: 'TEXT',
+          unit_quantity: 'INTEGER',
+          conversion_factor: 'INTEGER NOT NULL DEFAULT 1',
+          unit_cost: 'REAL',
+          list_price: 'REAL',
+          discount_amount: 'REAL NOT NULL DEFAULT 0',
+          manual_discount: 'REAL NOT NULL DEFAULT 0',
+          discount_description: 'TEXT',
+          promotion_id: 'TEXT',
+          tax_exempt: 'INTEGER NOT NULL DEFAULT 0',
+          taxable_amount: 'REAL',
+          tax_amount: 'REAL NOT NULL DEFAULT 0'
+        });
+        ensureColumns('sale_item_batches', {
+          quantity_returned: 'INTEGER NOT NULL DEFAULT 0',
+          unit_cost: 'REAL'
+        });
+        ensureColumns('sale_payments', { customer_payment_id: 'TEXT', shift_id: 'TEXT' });
+        ensureColumns('credit_notes', { applied_to_balance: 'REAL NOT NULL DEFAULT 0', shift_id: 'TEXT' });
+        ensureColumns('customers', { credit_limit: 'REAL NOT NULL DEFAULT 0', customer_group_id: 'TEXT' });
+        ensureColumns('held_sales', { cart_discount_type: 'TEXT', cart_discount_value: 'REAL' });
+        ensureColumns('held_sale_items', { discount_type: 'TEXT', discount_value: 'REAL' });
+        ensureColumns('products', {
+          requires_prescription: 'INTEGER NOT NULL DEFAULT 0',
+          controlled_drug: 'INTEGER NOT NULL DEFAULT 0',
+          unit_of_measure: 'TEXT',
+          wholesale_price: 'REAL',
+          tax_exempt: 'INTEGER NOT NULL DEFAULT 0'
+        });
+        executeSql('CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id)');
+        executeSql('CREATE INDEX IF NOT EXISTS idx_sales_shift ON sales(shift_id)');
+        executeSql('CREATE INDEX IF NOT EXISTS idx_sale_payments_shift ON sale_payments(shift_id)');
+        // Sales recorded before discounts were sold at their list price
+        executeSql('UPDATE sale_items SET list_price = unit_price WHERE list_price IS NULL');
+        // Sales recorded before the tax engine carried no tax
+        executeSql('UPDATE sale_items SET taxable_amount = subtotal WHERE taxable_amount IS NULL');
+        // Sales recorded before costs were kept: freeze today's lot or product cost once, so
+        // later cost price edits no longer change their profit
         executeSql(`
-          CREATE TABLE IF NOT EXISTS sale_items (
-            id TEXT PRIMARY KEY,
-            sale_id TEXT NOT NULL,
-            product_id TEXT NOT NULL,
-            product_name TEXT NOT NULL,
-            quantity INTEGER NOT NULL,
-            unit_price REAL NOT NULL,
-            subtotal REAL NOT NULL,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
-          )
+          UPDATE sale_item_batches
+          SET unit_cost = COALESCE((SELECT NULLIF(b.cost_price, 0) FROM product_batches b WHERE b.id = sale_item_batches.batch_id), 0)
+          WHERE unit_cost IS NULL
         `);
-        
-        // Verify the table was created
-        const saleItemsTableCheck = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='sale_items'").get();
-        console.log('sale_items table created successfully:', !!saleItemsTableCheck);
-        
-        if (!saleItemsTableCheck) {
-          throw new Error('Failed to create sale_items table');
-        }
+        const uncostedItems = db.prepare(`
+          SELECT si.id, si.quantity, p.cost_price, p.total_bulk_cost, p.quantity_purchased,
+                 (SELECT SUM(sib.unit_cost * sib.quantity) FROM sale_item_batches sib WHERE sib.sale_item_id = si.id AND sib.unit_cost > 0) as lot_cost,
+                 (SELECT SUM(sib.quantity) FROM sale_item_batches sib WHERE sib.sale_item_id = si.id AND sib.unit_cost > 0) as lot_quantity
+          FROM sale_items si LEFT JOIN products p ON p.id = si.product_id
+          WHERE si.unit_cost IS NULL
+        `).all();
+        const setItemCost = db.prepare('UPDATE sale_items SET unit_cost = ? WHERE id = ?');
+        uncostedItems.forEach(item => {
+          const productCost = getProductUnitCost(item);
+          const lotQuantity = item.lot_quantity || 0;
+          const totalCost = (item.lot_cost || 0) + productCost * Math.max(item.quantity - lotQuantity, 0);
+          setItemCost.run(item.quantity > 0 ? totalCost / item.quantity : productCost, item.id);
+        });
+        // Sales recorded before split payments were paid in full by their single payment method
+        // (credit sales with nothing paid up front have no payments and are left alone). Once only:
+        // later sales without payments are real and must not be given any.
+        runMigrationOnce(db, 'sale_payments_backfill_v1', conn => {
+          conn.exec(`
+            INSERT INTO sale_payments (id, sale_id, method, amount, created_at)
+            SELECT lower(hex(randomblob(16))), id, COALESCE(payment_method, 'cash'), total_amount, COALESCE(created_at, sale_date)
+            FROM sales
+            WHERE COALESCE(payment_method, 'cash') != 'credit' AND id NOT IN (SELECT sale_id FROM sale_payments)
+          `);
+        });
       } catch (error) {
-        console.error('Error during sale_items table creation:', error);
-        // Only rollback if transaction is still active
-        if (db) {
-          try {
-            db.exec('ROLLBACK');
-          } catch (rollbackError) {
-            // Ignore rollback errors (transaction might already be committed/rolled back)
-            if (!rollbackError.message.includes('no transaction is active')) {
-              console.error('Error during rollback:', rollbackError);
-            }
-          }
-        }
-        throw error;
+        console.error('Error adding new columns:', error);
+      }
+
+      // Give products that pre-date batch tracking an opening batch (outside transaction)
+      try {
+        migrateProductsToBatches();
+      } catch (error) {
+        console.error('Error migrating products to batches:', error);
       }
       
-      // Commit the transaction if everything succeeded
-      db.exec('COMMIT');
-      console.log('Database schema updated successfully');
-      
+      // Move secrets saved as plain text by earlier versions into the encrypted store (outside transaction)
+      try {
+        migratePlainTextSecrets(db);
+      } catch (error) {
+        console.error('Error migrating plain-text secrets:', error);
+      }
+
+      // Keep shops activated before licence keys activated (outside transaction)
+      try {
+        migrateLegacyActivation(db);
+      } catch (error) {
+        console.error('Error carrying over the earlier activation:', error);
+      }
+
       // Check if sale_timestamp column exists in sales table (outside transaction)
       try {
         const salesColumns = db.prepare("PRAGMA table_info(sales)").all();
@@ -2030,16 +8744,16 @@ function createWindow() {
     // Set window icon and load the main page
     mainWindow.setIcon(iconPath);
     
-    // Load the main page with error handling
+    // Load the sign-in page with error handling; it moves on to index.html once a user signs in
     // loadFile automatically resolves relative to app directory (works with ASAR in production)
-    const htmlPath = 'index.html';
+    const htmlPath = 'login.html';
     console.log('Loading HTML from:', htmlPath, 'App path:', app.getAppPath());
     mainWindow.loadFile(htmlPath).catch(error => {
-      console.error('Failed to load index.html:', error);
+      console.error(`Failed to load ${htmlPath}:`, error);
       console.error('App path:', app.getAppPath());
       console.error('Is packaged:', app.isPackaged);
       // Try with full path as fallback
-      const fullPath = path.join(app.getAppPath(), 'index.html');
+      const fullPath = path.join(app.getAppPath(), htmlPath);
       console.log('Trying full path:', fullPath);
       mainWindow.loadFile(fullPath).catch(err => {
         console.error('Failed with full path:', err);
@@ -2047,8 +8761,13 @@ function createWindow() {
       });
     });
     
-    // Show developer credits on startup
+    // Show developer credits on startup, the first time the main page loads after sign-in
+    let developerCreditsShown = false;
     mainWindow.webContents.on('did-finish-load', () => {
+      if (developerCreditsShown || !mainWindow.webContents.getURL().includes('index.html')) {
+        return;
+      }
+      developerCreditsShown = true;
       try {
         mainWindow.webContents.executeJavaScript(`
           try {
@@ -2109,6 +8828,8 @@ function initializeApp() {
   console.log('App is ready, initializing database...');
   
   try {
+    checkLicencePublicKey();
+
     // Set up cache path
     cachePath = path.join(app.getPath('userData'), 'cache');
     console.log('Cache path:', cachePath);
@@ -0,0 +1,194 @@
+// Controlled drug register page functionality
+import { controlledDrugs } from '../core/api.js';
+import { showToast } from '../core/utils.js';
+
+const ENTRY_TYPE_LABELS = {
+    opening: 'Brought forward',
+    receipt: 'Receipt',
+    sale: 'Issue (sale)',
+    return: 'Return',
+    adjustment: 'Adjustment',
+    transfer: 'Transfer',
+    'write-off': 'Write-off'
+};
+
+// Prevent duplicate initialization
+let controlledDrugsPageInitialized = false;
+
+// Initialize the controlled drugs page
+async function initializeControlledDrugsPage() {
+    if (controlledDrugsPageInitialized) {
+        console.warn('Controlled drugs page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        controlledDrugsPageInitialized = true;
+
+        // Default to the current month
+        const today = new Date();
+        const firstOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+        const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        document.getElementById('cdStartDate').value = toInputDate(firstOfMonth);
+        document.getElementById('cdEndDate').value = toInputDate(today);
+
+        setupEventListeners();
+        console.log('Controlled drugs page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing controlled drugs page:', error);
+        showToast('Failed to initialize controlled drug register', 'danger');
+        controlledDrugsPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeControlledDrugsPage);
+} else {
+    initializeControlledDrugsPage();
+}
+
+// Set up event listeners for the register filters and export
+function setupEventListeners() {
+    ['cdProductFilter', 'cdStartDate', 'cdEndDate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', loadControlledDrugRegister);
+    });
+    document.getElementById('exportCdRegisterBtn')?.addEventListener('click', exportControlledDrugRegister);
+}
+
+// Read the period and product filters, or null if the period is invalid
+function getRegisterFilters() {
+    const startDate = document.getElementById('cdStartDate')?.value || '';
+    const endDate = document.getElementById('cdEndDate')?.value || '';
+    if (startDate && endDate && startDate > endDate) {
+        showToast('Start date cannot be after end date', 'warning');
+        return null;
+    }
+    return {
+        productId: document.getElementById('cdProductFilter')?.value || '',
+        startDate,
+        endDate
+    };
+}
+
+// Keep the product filter in step with the controlled products in the register
+function updateProductFilter(register) {
+    const select = document.getElementById('cdProductFilter');
+    if (!select || select.value) return;
+
+    select.innerHTML = '<option value="">All controlled products</option>' +
+        register.map(page => `<option value="${page.product_id}">${page.product_name}</option>`).join('');
+}
+
+// Load and render one register page per controlled product
+async function loadControlledDrugRegister() {
+    const container = document.getElementById('cdRegisterContainer');
+    if (!container) return;
+
+    const filters = getRegisterFilters();
+    if (!filters) return;
+
+    try {
+        const register = await controlledDrugs.getRegister(filters);
+        updateProductFilter(register);
+
+        if (register.length === 0) {
+            container.innerHTML = `
+                <div class="card mb-4">
+                    <div class="card-body text-center text-muted">
+                        No controlled products yet. Flag a product as a controlled drug on the product form.
+                    </div>
+                </div>`;
+            return;
+        }
+
+        container.innerHTML = register.map(page => `
+            <div class="card mb-4">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <h5 class="mb-0">${page.product_name}</h5>
+                    <span>
+                        Opening <strong>${page.opening_balance}</strong> &middot;
+                        In <strong>${page.total_in}</strong> &middot;
+                        Out <strong>${page.total_out}</strong> &middot;
+                        Closing <strong>${page.closing_balance}</strong>
+                    </span>
+                </div>
+                <div class="card-body">
+                    <div class="table-responsive">
+                        <table class="table table-sm table-hover">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Type</th>
+                                    <th>Reference</th>
+                                    <th>Patient</th>
+                                    <th>Prescriber</th>
+                                    <th>Supplier</th>
+                                    <th>Lot</th>
+                                    <th class="text-end">In</th>
+                                    <th class="text-end">Out</th>
+                                    <th class="text-end">Balance</th>
+                                    <th>By</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr class="table-light">
+                                    <td>${filters.startDate || '-'}</td>
+                                    <td colspan="8"><em>Balance brought forward</em></td>
+                                    <td class="text-end"><strong>${page.opening_balance}</strong></td>
+                                    <td></td>
+                                </tr>
+                                ${page.entries.length === 0 ? `
+                                <tr><td colspan="11" class="text-center text-muted">No entries in this period</td></tr>` : ''}
+                                ${page.entries.map(entry => `
+                                <tr title="${entry.notes || ''}">
+                                    <td>${new Date(entry.created_at).toLocaleString()}</td>
+                                    <td>${ENTRY_TYPE_LABELS[entry.entry_type] || entry.entry_type}</td>
+                                    <td>${entry.reference_number || '-'}</td>
+                                    <td>${entry.patient_name || '-'}</td>
+                                    <td>${entry.prescriber_name || '-'}</td>
+                                    <td>${entry.supplier_name || '-'}</td>
+                                    <td>${entry.lot_number || '-'}</td>
+                                    <td class="text-end">${entry.quantity_in || ''}</td>
+                                    <td class="text-end">${entry.quantity_out || ''}</td>
+                                    <td class="text-end"><strong>${entry.balance}</strong></td>
+                                    <td>${entry.user_name || '-'}</td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading controlled drug register:', error);
+        showToast('Failed to load controlled drug register', 'danger');
+    }
+}
+
+// Export the filtered register to Excel, one worksheet per product
+async function exportControlledDrugRegister() {
+    const filters = getRegisterFilters();
+    if (!filters) return;
+
+    const exportBtn = document.getElementById('exportCdRegisterBtn');
+    const originalText = exportBtn.innerHTML;
+    exportBtn.disabled = true;
+    exportBtn.innerHTML = '<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Exporting...';
+
+    try {
+        const result = await controlledDrugs.exportRegister(filters);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Export failed');
+        }
+        showToast('Controlled drug register exported to Excel', 'success');
+    } catch (error) {
+        console.error('Error exporting controlled drug register:', error);
+        showToast(`Failed to export register: ${error.message || 'Unknown error'}`, 'danger');
+    } finally {
+        exportBtn.disabled = false;
+        exportBtn.innerHTML = originalText;
+    }
+}
+
+window.loadControlledDrugRegister = loadControlledDrugRegister;
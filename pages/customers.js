@@ -0,0 +1,521 @@
+// Customers page functionality
+import { customers, pricing, settings } from '../core/api.js';
+import { showToast, formatDate } from '../core/utils.js';
+
+// Called with the saved customer when the modal was opened from another page
+let onCustomerSaved = null;
+let customerSearchTimer = null;
+let customerHistory = [];
+let currentStatement = null;
+
+// Prevent duplicate initialization
+let customersPageInitialized = false;
+
+// Initialize the customers page
+async function initializeCustomersPage() {
+    if (customersPageInitialized) {
+        console.warn('Customers page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        customersPageInitialized = true;
+        setupEventListeners();
+        await loadCustomers();
+        console.log('Customers page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing customers page:', error);
+        showToast('Failed to initialize customers page', 'danger');
+        customersPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeCustomersPage);
+} else {
+    initializeCustomersPage();
+}
+
+// Set up event listeners for the customers page
+function setupEventListeners() {
+    document.getElementById('newCustomerBtn')?.addEventListener('click', () => openCustomerModal());
+    document.getElementById('saveCustomerBtn')?.addEventListener('click', saveCustomer);
+
+    document.getElementById('customerSearchInput')?.addEventListener('input', () => {
+        clearTimeout(customerSearchTimer);
+        customerSearchTimer = setTimeout(loadCustomers, 250);
+    });
+
+    document.getElementById('closeCustomerHistoryBtn')?.addEventListener('click', () => {
+        const card = document.getElementById('customerHistoryCard');
+        if (card) card.style.display = 'none';
+    });
+
+    document.getElementById('closeCustomerStatementBtn')?.addEventListener('click', () => {
+        const card = document.getElementById('customerStatementCard');
+        if (card) card.style.display = 'none';
+    });
+    ['statementStartDate', 'statementEndDate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', loadCustomerStatement);
+    });
+    document.getElementById('printStatementBtn')?.addEventListener('click', printCustomerStatement);
+    document.getElementById('statementReceivePaymentBtn')?.addEventListener('click', () => {
+        const customerId = document.getElementById('statementCustomerId')?.value;
+        if (customerId) openCustomerPaymentModal(customerId);
+    });
+    document.getElementById('saveCustomerPaymentBtn')?.addEventListener('click', saveCustomerPayment);
+    document.getElementById('customerPaymentInvoice')?.addEventListener('change', (e) => {
+        const balance = e.target.selectedOptions[0]?.dataset.balance;
+        if (balance) document.getElementById('customerPaymentAmount').value = balance;
+    });
+}
+
+// Load and render customers matching the search box
+async function loadCustomers() {
+    const tbody = document.getElementById('customersTableBody');
+    if (!tbody) return;
+
+    try {
+        const search = document.getElementById('customerSearchInput')?.value || '';
+        const customerList = await customers.search(search, 200);
+
+        if (customerList.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No customers found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = customerList.map(customer => `
+            <tr>
+                <td>${customer.name}${customer.customer_group_name ? ` <span class="badge bg-success">${customer.customer_group_name}</span>` : ''}</td>
+                <td>${customer.phone || '-'}</td>
+                <td>${customer.date_of_birth ? formatDate(customer.date_of_birth, 'short') : '-'}</td>
+                <td>${customer.insurance_number || '-'}</td>
+                <td>${customer.allergies ? `<span class="text-danger">${customer.allergies}</span>` : '-'}</td>
+                <td class="text-end">${customer.sale_count}</td>
+                <td>${customer.last_purchase_date ? formatDate(customer.last_purchase_date, 'short') : '-'}</td>
+                <td class="text-end">
+                    ${customer.balance > 0 ? `<span class="text-danger">GH₵${customer.balance.toFixed(2)}</span>` : '-'}
+                    ${customer.credit_limit > 0 ? `<br><small class="text-muted">Limit GH₵${customer.credit_limit.toFixed(2)}</small>` : ''}
+                </td>
+                <td class="text-center">
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-secondary" onclick="viewCustomerHistory('${customer.id}')" title="Purchase history">
+                            <i class="bi bi-clock-history"></i>
+                        </button>
+                        <button class="btn btn-outline-secondary" onclick="viewCustomerStatement('${customer.id}')" title="Statement">
+                            <i class="bi bi-file-earmark-text"></i>
+                        </button>
+                        ${customer.balance > 0 ? `
+                        <button class="btn btn-outline-success" onclick="openCustomerPaymentModal('${customer.id}')" title="Receive payment">
+                            <i class="bi bi-cash-coin"></i>
+                        </button>` : ''}
+                        <button class="btn btn-outline-primary" onclick="openCustomerModal('${customer.id}')" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="deleteCustomer('${customer.id}')" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading customers:', error);
+        showToast('Failed to load customers', 'danger');
+    }
+}
+
+// Open the customer modal to add (no id) or edit a customer.
+// options.name pre-fills a new customer's name; options.onSaved receives the saved customer.
+async function openCustomerModal(customerId = null, options = {}) {
+    const form = document.getElementById('customerForm');
+    form?.reset();
+    onCustomerSaved = options.onSaved || null;
+
+    let customer = null;
+    if (customerId) {
+        customer = await customers.getById(customerId);
+        if (!customer) {
+            showToast('Customer not found', 'danger');
+            return;
+        }
+    }
+
+    document.getElementById('customerModalLabel').textContent = customer ? 'Edit Customer' : 'New Customer';
+    document.getElementById('customerId').value = customer?.id || '';
+    document.getElementById('customerName').value = customer?.name || options.name || '';
+    document.getElementById('customerPhone').value = customer?.phone || '';
+    document.getElementById('customerDob').value = customer?.date_of_birth || '';
+    document.getElementById('customerInsurance').value = customer?.insurance_number || '';
+    document.getElementById('customerAllergies').value = customer?.allergies || '';
+    document.getElementById('customerNotes').value = customer?.notes || '';
+    document.getElementById('customerCreditLimit').value = customer?.credit_limit || '';
+
+    const groups = await pricing.getCustomerGroups();
+    document.getElementById('customerGroup').innerHTML = '<option value="">Retail (no group)</option>' +
+        groups.map(group => `<option value="${group.id}">${group.name}</option>`).join('');
+    document.getElementById('customerGroup').value = customer?.customer_group_id || '';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerModal')).show();
+}
+
+// Save the customer in the modal
+async function saveCustomer() {
+    const id = document.getElementById('customerId').value;
+    const data = {
+        name: document.getElementById('customerName').value.trim(),
+        phone: document.getElementById('customerPhone').value.trim(),
+        date_of_birth: document.getElementById('customerDob').value || null,
+        insurance_number: document.getElementById('customerInsurance').value.trim(),
+        allergies: document.getElementById('customerAllergies').value.trim(),
+        notes: document.getElementById('customerNotes').value.trim(),
+        credit_limit: parseFloat(document.getElementById('customerCreditLimit').value) || 0,
+        customer_group_id: document.getElementById('customerGroup').value
+    };
+
+    if (!data.name) {
+        showToast('Please enter the customer name', 'warning');
+        document.getElementById('customerName').focus();
+        return;
+    }
+
+    try {
+        const result = id ? await customers.update(id, data) : await customers.create(data);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save customer');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('customerModal'))?.hide();
+        showToast(id ? 'Customer updated' : 'Customer registered', 'success');
+
+        if (onCustomerSaved) {
+            const saved = await customers.getById(id || result.id);
+            onCustomerSaved(saved);
+            onCustomerSaved = null;
+        }
+        await loadCustomers();
+    } catch (error) {
+        console.error('Error saving customer:', error);
+        showToast(error.message || 'Failed to save customer', 'danger');
+    }
+}
+
+// Remove a customer from the registry (past sales keep their name)
+async function deleteCustomer(customerId) {
+    if (!confirm('Delete this customer? Their past sales will be kept.')) return;
+
+    try {
+        const result = await customers.delete(customerId);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to delete customer');
+        }
+        showToast('Customer deleted', 'success');
+        document.getElementById('customerHistoryCard').style.display = 'none';
+        document.getElementById('customerStatementCard').style.display = 'none';
+        await loadCustomers();
+    } catch (error) {
+        console.error('Error deleting customer:', error);
+        showToast(error.message || 'Failed to delete customer', 'danger');
+    }
+}
+
+// Show a customer's purchases with a reprint button for each receipt
+async function viewCustomerHistory(customerId) {
+    const card = document.getElementById('customerHistoryCard');
+    const body = document.getElementById('customerHistoryBody');
+    if (!card || !body) return;
+
+    try {
+        const [customer, customerSales] = await Promise.all([
+            customers.getById(customerId),
+            customers.getSales(customerId)
+        ]);
+        customerHistory = customerSales;
+
+        document.getElementById('customerHistoryTitle').textContent = `Purchase History: ${customer?.name || ''}`;
+        const totalSpent = customerSales.reduce((sum, sale) => sum + sale.total_amount - parseFloat(sale.amount_refunded || 0), 0);
+
+        body.innerHTML = `
+            ${customer?.allergies ? `
+            <div class="alert alert-danger py-2">
+                <i class="bi bi-exclamation-triangle-fill"></i> <strong>Allergies:</strong> ${customer.allergies}
+            </div>` : ''}
+            <p class="mb-2">${customerSales.length} purchase(s), GH₵${totalSpent.toFixed(2)} in total</p>
+            ${customerSales.length === 0 ? '<p class="text-muted mb-0">No purchases recorded yet.</p>' : `
+            <div class="table-responsive">
+                <table class="table table-sm">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Invoice</th>
+                            <th>Items</th>
+                            <th class="text-end">Total</th>
+                            <th class="text-center">Receipt</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${customerSales.map(sale => `
+                            <tr>
+                                <td>${new Date(sale.created_at || sale.sale_date).toLocaleString()}</td>
+                                <td>${sale.invoice_number || '-'}
+                                    ${sale.payment_status === 'voided' ? '<span class="badge bg-danger">Voided</span>' : ''}
+                                    ${sale.payment_status === 'refunded' ? '<span class="badge bg-secondary">Refunded</span>' : ''}
+                                    ${sale.payment_status === 'partially_refunded' ? '<span class="badge bg-warning text-dark">Partly refunded</span>' : ''}
+                                    ${sale.payment_method === 'credit' ? '<span class="badge bg-info">On account</span>' : ''}
+                                    ${sale.rx_number ? `<br><small class="text-muted">Rx ${sale.rx_number}</small>` : ''}
+                                </td>
+                                <td>${sale.items.map(item => `${item.product_name} &times; ${item.quantity}`).join(', ')}</td>
+                                <td class="text-end">GH₵${sale.total_amount.toFixed(2)}</td>
+                                <td class="text-center">
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="reprintCustomerReceipt('${sale.id}')" title="Reprint receipt">
+                                        <i class="bi bi-printer"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`}
+        `;
+        card.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading customer history:', error);
+        showToast('Failed to load purchase history', 'danger');
+    }
+}
+
+// Reprint the receipt for one of the listed sales, marked as a copy
+async function reprintCustomerReceipt(saleId) {
+    if (typeof window.printReceiptForSale !== 'function') return;
+    await window.printReceiptForSale({ saleId, copy: true });
+}
+
+// Show the statement card for a customer, defaulting to the current month
+async function viewCustomerStatement(customerId) {
+    const card = document.getElementById('customerStatementCard');
+    if (!card) return;
+
+    const today = new Date();
+    const toInputDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    document.getElementById('statementCustomerId').value = customerId;
+    document.getElementById('statementStartDate').value = toInputDate(new Date(today.getFullYear(), today.getMonth(), 1));
+    document.getElementById('statementEndDate').value = toInputDate(today);
+
+    await loadCustomerStatement();
+    card.style.display = 'block';
+}
+
+// Load and render the statement for the customer and period in the statement card
+async function loadCustomerStatement() {
+    const customerId = document.getElementById('statementCustomerId')?.value;
+    const body = document.getElementById('customerStatementBody');
+    if (!customerId || !body) return;
+
+    const startDate = document.getElementById('statementStartDate')?.value || '';
+    const endDate = document.getElementById('statementEndDate')?.value || '';
+    if (startDate && endDate && startDate > endDate) {
+        showToast('Start date cannot be after end date', 'warning');
+        return;
+    }
+
+    const statement = await customers.getStatement(customerId, { startDate, endDate });
+    if (!statement) {
+        showToast('Failed to load statement', 'danger');
+        return;
+    }
+    currentStatement = statement;
+
+    const { customer } = statement;
+    document.getElementById('customerStatementTitle').textContent = `Statement: ${customer.name}`;
+    document.getElementById('statementReceivePaymentBtn').style.display = customer.balance > 0 ? '' : 'none';
+    body.innerHTML = renderStatementHtml(statement, { payButtons: true });
+}
+
+// Statement tables, shared by the statement card and the printed statement
+function renderStatementHtml(statement, { payButtons = false } = {}) {
+    const { customer } = statement;
+    const money = (amount) => `GH₵${(amount || 0).toFixed(2)}`;
+
+    return `
+        <p class="mb-2">
+            Balance owed: <strong>${money(customer.balance)}</strong>
+            ${customer.credit_limit > 0 ? ` &middot; Credit limit ${money(customer.credit_limit)} &middot; Available ${money(Math.max(customer.credit_limit - customer.balance, 0))}` : ''}
+        </p>
+        <table class="table table-sm">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Reference</th>
+                    <th>Description</th>
+                    <th class="text-end">Debit</th>
+                    <th class="text-end">Credit</th>
+                    <th class="text-end">Balance</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr class="table-light">
+                    <td>${statement.start_date ? formatDate(statement.start_date, 'short') : '-'}</td>
+                    <td colspan="4"><em>Opening balance</em></td>
+                    <td class="text-end">${money(statement.opening_balance)}</td>
+                </tr>
+                ${statement.entries.length === 0 ? '<tr><td colspan="6" class="text-center text-muted">No transactions in this period</td></tr>' : ''}
+                ${statement.entries.map(entry => `
+                <tr>
+                    <td>${new Date(entry.date).toLocaleDateString()}</td>
+                    <td>${entry.reference || '-'}</td>
+                    <td>${entry.description}</td>
+                    <td class="text-end">${entry.debit ? money(entry.debit) : ''}</td>
+                    <td class="text-end">${entry.credit ? money(entry.credit) : ''}</td>
+                    <td class="text-end">${money(entry.balance)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr class="table-active">
+                    <th colspan="5" class="text-end">Closing balance</th>
+                    <th class="text-end">${money(statement.closing_balance)}</th>
+                </tr>
+            </tfoot>
+        </table>
+        ${statement.open_invoices.length === 0 ? '' : `
+        <h6>Unpaid Invoices</h6>
+        <table class="table table-sm">
+            <thead>
+                <tr>
+                    <th>Invoice</th>
+                    <th>Date</th>
+                    <th class="text-end">Days</th>
+                    <th class="text-end">Invoice Total</th>
+                    <th class="text-end">Owed</th>
+                    ${payButtons ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${statement.open_invoices.map(invoice => `
+                <tr>
+                    <td>${invoice.invoice_number || '-'}</td>
+                    <td>${formatDate(invoice.sale_date, 'short')}</td>
+                    <td class="text-end">${invoice.days_outstanding}</td>
+                    <td class="text-end">${money(invoice.total_amount)}</td>
+                    <td class="text-end">${money(invoice.balance)}</td>
+                    ${payButtons ? `
+                    <td class="text-end">
+                        <button class="btn btn-sm btn-outline-success" onclick="openCustomerPaymentModal('${customer.id}', '${invoice.id}')">Pay</button>
+                    </td>` : ''}
+                </tr>`).join('')}
+            </tbody>
+        </table>`}
+    `;
+}
+
+// Print the statement currently shown
+async function printCustomerStatement() {
+    if (!currentStatement) return;
+
+    const shopName = (await settings.get('shop_name'))?.value || (await settings.get('company_name'))?.value || 'Wolo Pharmacy';
+    const { customer } = currentStatement;
+    const period = [currentStatement.start_date, currentStatement.end_date].filter(Boolean).map(date => formatDate(date, 'short')).join(' to ');
+
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Statement - ${customer.name}</title>
+            <style>
+                body { font-family: Arial, sans-serif; font-size: 12px; margin: 20px; }
+                h2, h3 { margin: 0 0 4px; }
+                table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+                th, td { border-bottom: 1px solid #ccc; padding: 4px; text-align: left; }
+                .text-end { text-align: right; }
+                .text-center { text-align: center; }
+            </style>
+        </head>
+        <body>
+            <h2>${shopName}</h2>
+            <h3>Statement of Account</h3>
+            <p>${customer.name}${customer.phone ? ` &middot; ${customer.phone}` : ''}<br>${period || 'All transactions'}</p>
+            ${renderStatementHtml(currentStatement)}
+        </body>
+        </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    setTimeout(() => printWindow.print(), 500);
+}
+
+// Open the payment dialog for a customer, optionally for one invoice
+async function openCustomerPaymentModal(customerId, saleId = null) {
+    const statement = await customers.getStatement(customerId);
+    if (!statement) {
+        showToast('Failed to load customer account', 'danger');
+        return;
+    }
+    if (statement.open_invoices.length === 0) {
+        showToast(`${statement.customer.name} owes nothing`, 'info');
+        return;
+    }
+
+    const { customer } = statement;
+    document.getElementById('customerPaymentCustomerId').value = customerId;
+    document.getElementById('customerPaymentModalLabel').textContent = `Receive Payment: ${customer.name}`;
+    document.getElementById('customerPaymentOwing').innerHTML = `Owing <strong>GH₵${customer.balance.toFixed(2)}</strong> on ${statement.open_invoices.length} invoice(s)`;
+    document.getElementById('customerPaymentInvoice').innerHTML = `
+        <option value="" data-balance="${customer.balance.toFixed(2)}">Oldest invoices first</option>
+        ${statement.open_invoices.map(invoice => `
+        <option value="${invoice.id}" data-balance="${invoice.balance.toFixed(2)}" ${invoice.id === saleId ? 'selected' : ''}>
+            ${invoice.invoice_number} &middot; ${formatDate(invoice.sale_date, 'short')} &middot; owes GH₵${invoice.balance.toFixed(2)}
+        </option>`).join('')}
+    `;
+    const selected = statement.open_invoices.find(invoice => invoice.id === saleId);
+    document.getElementById('customerPaymentAmount').value = (selected ? selected.balance : customer.balance).toFixed(2);
+    document.getElementById('customerPaymentMethod').value = 'cash';
+    document.getElementById('customerPaymentReference').value = '';
+    document.getElementById('customerPaymentNotes').value = '';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerPaymentModal')).show();
+}
+
+// Record the payment in the payment dialog
+async function saveCustomerPayment() {
+    const customerId = document.getElementById('customerPaymentCustomerId').value;
+    const amount = parseFloat(document.getElementById('customerPaymentAmount').value) || 0;
+    if (amount <= 0) {
+        showToast('Enter the amount received', 'warning');
+        document.getElementById('customerPaymentAmount').focus();
+        return;
+    }
+
+    try {
+        const result = await customers.recordPayment({
+            customerId,
+            amount,
+            saleId: document.getElementById('customerPaymentInvoice').value || null,
+            method: document.getElementById('customerPaymentMethod').value,
+            reference: document.getElementById('customerPaymentReference').value.trim(),
+            notes: document.getElementById('customerPaymentNotes').value.trim()
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to record payment');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('customerPaymentModal'))?.hide();
+        showToast(`Payment ${result.data.receipt_number} recorded. Balance now GH₵${result.data.balance.toFixed(2)}`, 'success');
+        await loadCustomers();
+        if (document.getElementById('statementCustomerId')?.value === customerId &&
+            document.getElementById('customerStatementCard')?.style.display !== 'none') {
+            await loadCustomerStatement();
+        }
+    } catch (error) {
+        console.error('Error recording customer payment:', error);
+        showToast(error.message || 'Failed to record payment', 'danger');
+    }
+}
+
+window.loadCustomers = loadCustomers;
+window.openCustomerModal = openCustomerModal;
+window.deleteCustomer = deleteCustomer;
+window.viewCustomerHistory = viewCustomerHistory;
+window.reprintCustomerReceipt = reprintCustomerReceipt;
+window.viewCustomerStatement = viewCustomerStatement;
+window.openCustomerPaymentModal = openCustomerPaymentModal;
@@ -333,6 +333,9 @@ async function fetchSummaryData() {
                             (lowStockResponse && Array.isArray(lowStockResponse.data) ?
                              lowStockResponse.data : []);
         
+        // Fetch batches expiring in the next 30 days
+        const expiringBatches = await reportsApi.getExpiringItems(30);
+        
         // Get all products for inventory value calculation
         const productsResponse = await productsApi.getAll();
         const allProducts = Array.isArray(productsResponse) ? productsResponse :
@@ -371,7 +374,8 @@ async function fetchSummaryData() {
             inventoryValue,
             totalSales,
             totalProducts: allProducts.length,
-            lowStockCount
+            lowStockCount,
+            expiringBatches
         };
         
     } catch (error) {
@@ -382,7 +386,8 @@ async function fetchSummaryData() {
             inventoryValue: 0,
             totalSales: 0,
             totalProducts: 0,
-            lowStockCount: 0
+            lowStockCount: 0,
+            expiringBatches: []
         };
     }
 }
@@ -418,7 +423,7 @@ function updateUI(salesData, productData, summaryData) {
         });
         
         // Update product summary with the actual product data
-        updateProductSummary(productArray);
+        updateProductSummary(productArray, summaryData?.expiringBatches);
         
         // Update summary cards if summary data is available
         if (summaryData) {
@@ -732,8 +737,9 @@ function updateSalesSummary(apiResponse) {
 /**
  * Update product summary with the latest data
  * @param {Object|Array} apiResponse - API response containing product data
+ * @param {Array} [expiringBatches] - Batches expiring soon; falls back to product expiry dates when omitted
  */
-function updateProductSummary(apiResponse) {
+function updateProductSummary(apiResponse, expiringBatches) {
     try {
         // Get the products array from the response
         let products = Array.isArray(apiResponse) ? apiResponse : 
@@ -824,7 +830,13 @@ function updateProductSummary(apiResponse) {
         const thirtyDaysFromNow = new Date(today);
         thirtyDaysFromNow.setDate(today.getDate() + 30);
         
-        const expiringItems = products.filter(p => {
+        // Expiry is tracked per batch, so one product can appear once per expiring lot
+        const activeIds = new Set(products.map(p => p.id));
+        const expiringSource = Array.isArray(expiringBatches)
+            ? expiringBatches.filter(b => activeIds.has(b.id))
+            : products;
+        
+        const expiringItems = expiringSource.filter(p => {
             const expiryDate = p.expiry_date || p.expiryDate;
             if (!expiryDate) return false;
             
@@ -971,11 +983,12 @@ function updateExpiringList(expiringItems) {
         expiry.setHours(0, 0, 0, 0);
         const daysUntilExpiry = Math.ceil((expiry - today) / (1000 * 60 * 60 * 24));
         const alertClass = daysUntilExpiry <= 7 ? 'danger' : 'warning';
+        const lotInfo = item.lot_number ? ` &middot; Lot ${item.lot_number} (${item.quantity} units)` : '';
         
         return `
             <div class="alert alert-${alertClass} alert-dismissible fade show mb-2" role="alert">
                 <strong>${item.name || 'Unknown Product'}</strong><br>
-                <small>Expires: ${expiry.toLocaleDateString()} (${daysUntilExpiry} days)</small>
+                <small>Expires: ${expiry.toLocaleDateString()} (${daysUntilExpiry} days)${lotInfo}</small>
             </div>
         `;
     }).join('');
@@ -0,0 +1,276 @@
+// Expenses page functionality
+import { expenses, system } from '../core/api.js';
+import { showToast, formatDate } from '../core/utils.js';
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    card: 'Card',
+    mobile_money: 'Mobile Money',
+    other: 'Other'
+};
+
+let expenseSearchTimer = null;
+let expenseCategories = [];
+const displayedExpenses = new Map();
+
+// Prevent duplicate initialization
+let expensesPageInitialized = false;
+
+// Initialize the expenses page
+async function initializeExpensesPage() {
+    if (expensesPageInitialized) {
+        console.warn('Expenses page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        expensesPageInitialized = true;
+
+        // Default to the current month
+        const today = new Date();
+        document.getElementById('expenseStartDate').value = toInputDate(new Date(today.getFullYear(), today.getMonth(), 1));
+        document.getElementById('expenseEndDate').value = toInputDate(today);
+
+        setupEventListeners();
+        await loadExpenseCategories();
+        await loadExpenses();
+        console.log('Expenses page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing expenses page:', error);
+        showToast('Failed to initialize expenses page', 'danger');
+        expensesPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeExpensesPage);
+} else {
+    initializeExpensesPage();
+}
+
+function toInputDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Set up event listeners for the expenses page
+function setupEventListeners() {
+    document.getElementById('newExpenseBtn')?.addEventListener('click', () => openExpenseModal());
+    document.getElementById('saveExpenseBtn')?.addEventListener('click', saveExpense);
+    document.getElementById('addExpenseCategoryBtn')?.addEventListener('click', addExpenseCategory);
+    document.getElementById('browseExpenseReceiptBtn')?.addEventListener('click', browseExpenseReceipt);
+
+    ['expenseStartDate', 'expenseEndDate', 'expenseCategoryFilter'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', loadExpenses);
+    });
+    document.getElementById('expenseSearchInput')?.addEventListener('input', () => {
+        clearTimeout(expenseSearchTimer);
+        expenseSearchTimer = setTimeout(loadExpenses, 250);
+    });
+}
+
+// Fill the category filter and the modal's category select
+async function loadExpenseCategories(selected = '') {
+    expenseCategories = await expenses.getCategories();
+    const options = expenseCategories.map(category => `<option value="${category.name}">${category.name}</option>`).join('');
+
+    const filter = document.getElementById('expenseCategoryFilter');
+    if (filter) {
+        const current = filter.value;
+        filter.innerHTML = '<option value="">All categories</option>' + options;
+        filter.value = current;
+    }
+    const select = document.getElementById('expenseCategory');
+    if (select) {
+        select.innerHTML = options;
+        if (selected) select.value = selected;
+    }
+}
+
+// Load and render expenses matching the filters, with totals by category
+async function loadExpenses() {
+    const tbody = document.getElementById('expensesTableBody');
+    if (!tbody) return;
+
+    const startDate = document.getElementById('expenseStartDate')?.value || '';
+    const endDate = document.getElementById('expenseEndDate')?.value || '';
+    if (startDate && endDate && startDate > endDate) {
+        showToast('Start date cannot be after end date', 'warning');
+        return;
+    }
+
+    try {
+        const expenseList = await expenses.getAll({
+            startDate,
+            endDate,
+            category: document.getElementById('expenseCategoryFilter')?.value || '',
+            search: document.getElementById('expenseSearchInput')?.value || ''
+        });
+
+        displayedExpenses.clear();
+        expenseList.forEach(expense => displayedExpenses.set(expense.id, expense));
+
+        const total = expenseList.reduce((sum, expense) => sum + parseFloat(expense.amount || 0), 0);
+        document.getElementById('expensesTotal').textContent = `GH₵${total.toFixed(2)}`;
+
+        const byCategory = {};
+        expenseList.forEach(expense => {
+            byCategory[expense.category] = (byCategory[expense.category] || 0) + parseFloat(expense.amount || 0);
+        });
+        document.getElementById('expenseCategoryTotals').innerHTML = Object.entries(byCategory)
+            .sort((a, b) => b[1] - a[1])
+            .map(([category, amount]) => `<span class="badge bg-light text-dark border me-2">${category}: GH₵${amount.toFixed(2)}</span>`)
+            .join('');
+
+        if (expenseList.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No expenses recorded for this period</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = expenseList.map(expense => `
+            <tr>
+                <td>${formatDate(expense.expense_date, 'short')}</td>
+                <td>${expense.category}</td>
+                <td>${expense.payee || '-'}</td>
+                <td>${expense.description || '-'}${expense.reference ? `<br><small class="text-muted">Ref ${expense.reference}</small>` : ''}</td>
+                <td>${PAYMENT_METHOD_LABELS[expense.payment_method] || expense.payment_method}</td>
+                <td class="text-end">GH₵${parseFloat(expense.amount).toFixed(2)}</td>
+                <td class="text-center">
+                    <div class="btn-group btn-group-sm">
+                        ${expense.receipt_path ? `
+                        <button class="btn btn-outline-secondary" onclick="openExpenseReceipt('${expense.id}')" title="View receipt">
+                            <i class="bi bi-paperclip"></i>
+                        </button>` : ''}
+                        <button class="btn btn-outline-primary" onclick="openExpenseModal('${expense.id}')" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="deleteExpense('${expense.id}')" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading expenses:', error);
+        showToast('Failed to load expenses', 'danger');
+    }
+}
+
+// Open the expense modal to add (no id) or edit an expense
+async function openExpenseModal(expenseId = null) {
+    document.getElementById('expenseForm')?.reset();
+
+    const expense = expenseId ? displayedExpenses.get(expenseId) : null;
+    if (expenseId && !expense) {
+        showToast('Expense not found', 'danger');
+        return;
+    }
+
+    await loadExpenseCategories(expense?.category);
+    document.getElementById('expenseModalLabel').textContent = expense ? 'Edit Expense' : 'New Expense';
+    document.getElementById('expenseId').value = expense?.id || '';
+    document.getElementById('expenseDate').value = expense?.expense_date || toInputDate(new Date());
+    document.getElementById('expenseAmount').value = expense?.amount ?? '';
+    document.getElementById('expensePayee').value = expense?.payee || '';
+    document.getElementById('expensePaymentMethod').value = expense?.payment_method || 'cash';
+    document.getElementById('expenseReference').value = expense?.reference || '';
+    document.getElementById('expenseDescription').value = expense?.description || '';
+    document.getElementById('expenseReceiptFile').value = '';
+    document.getElementById('expenseReceiptFile').placeholder = expense?.receipt_path ? 'Receipt attached; browse to replace it' : 'No file selected';
+    document.getElementById('removeExpenseReceiptGroup').style.display = expense?.receipt_path ? 'block' : 'none';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('expenseModal')).show();
+}
+
+async function browseExpenseReceipt() {
+    const result = await system.showOpenDialog({
+        title: 'Select expense receipt',
+        properties: ['openFile'],
+        filters: [{ name: 'Images / PDF', extensions: ['jpg', 'jpeg', 'png', 'pdf'] }]
+    });
+    if (result && !result.canceled && result.filePaths?.length) {
+        document.getElementById('expenseReceiptFile').value = result.filePaths[0];
+    }
+}
+
+// Add a category from the expense modal and select it
+async function addExpenseCategory() {
+    const name = prompt('New expense category');
+    if (!name || !name.trim()) return;
+
+    const result = await expenses.createCategory(name.trim());
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to add category', 'danger');
+        return;
+    }
+    await loadExpenseCategories(name.trim());
+}
+
+// Save the expense in the modal
+async function saveExpense() {
+    const id = document.getElementById('expenseId').value;
+    const data = {
+        expense_date: document.getElementById('expenseDate').value,
+        category: document.getElementById('expenseCategory').value,
+        amount: parseFloat(document.getElementById('expenseAmount').value) || 0,
+        payee: document.getElementById('expensePayee').value.trim(),
+        payment_method: document.getElementById('expensePaymentMethod').value,
+        reference: document.getElementById('expenseReference').value.trim(),
+        description: document.getElementById('expenseDescription').value.trim(),
+        receipt_file: document.getElementById('expenseReceiptFile').value || null,
+        remove_receipt: document.getElementById('removeExpenseReceipt').checked
+    };
+
+    if (!data.expense_date || !data.category) {
+        showToast('Please enter the date and category', 'warning');
+        return;
+    }
+    if (data.amount <= 0) {
+        showToast('Please enter the amount paid', 'warning');
+        document.getElementById('expenseAmount').focus();
+        return;
+    }
+
+    try {
+        const result = id ? await expenses.update(id, data) : await expenses.create(data);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save expense');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('expenseModal'))?.hide();
+        showToast(id ? 'Expense updated' : 'Expense recorded', 'success');
+        await loadExpenses();
+    } catch (error) {
+        console.error('Error saving expense:', error);
+        showToast(error.message || 'Failed to save expense', 'danger');
+    }
+}
+
+async function deleteExpense(expenseId) {
+    if (!confirm('Delete this expense? Its attached receipt will be removed too.')) return;
+
+    try {
+        const result = await expenses.delete(expenseId);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to delete expense');
+        }
+        showToast('Expense deleted', 'success');
+        await loadExpenses();
+    } catch (error) {
+        console.error('Error deleting expense:', error);
+        showToast(error.message || 'Failed to delete expense', 'danger');
+    }
+}
+
+async function openExpenseReceipt(expenseId) {
+    const result = await expenses.openReceipt(expenseId);
+    if (!result?.success) {
+        showToast(result?.error || 'Could not open the receipt', 'warning');
+    }
+}
+
+window.loadExpenses = loadExpenses;
+window.openExpenseModal = openExpenseModal;
+window.deleteExpense = deleteExpense;
+window.openExpenseReceipt = openExpenseReceipt;
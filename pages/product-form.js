@@ -7,6 +7,8 @@ const {
     settingsApi: settings,
     categoriesApi: categories,
     suppliersApi: suppliers,
+    batchesApi: batches,
+    stockMovementsApi: stockMovements,
     showToast,
     showLoading,
     debounce
@@ -50,9 +52,13 @@ let formState = {
     isSubmitting: false,
     productImages: [],
     variants: [],
-    variantOptions: []
+    variantOptions: [],
+    units: []
 };
 
+// Base-unit cost and selling price from the last calculatePrices() run
+let basePrices = { cost: 0, selling: 0 };
+
 // Track loading state to prevent multiple simultaneous calls
 let isLoadingInitialData = false;
 let isApplicationInitialized = false;
@@ -284,6 +290,9 @@ function setupEventListeners() {
         }
     });
     
+    document.getElementById('addProductUnitBtn')?.addEventListener('click', addProductUnit);
+    document.getElementById('unitOfMeasure')?.addEventListener('change', renderProductUnits);
+
     // Reset form button
     const resetBtn = document.getElementById('resetFormBtn');
     if (resetBtn) {
@@ -332,6 +341,18 @@ function setupEventListeners() {
         imageUpload.addEventListener('change', handleImageUpload);
     }
     
+    // Batches
+    const addBatchBtn = document.getElementById('addBatchBtn');
+    if (addBatchBtn) {
+        addBatchBtn.addEventListener('click', addBatch);
+    }
+    
+    // Movement history is refreshed each time its tab is opened
+    const movementsTabBtn = document.getElementById('productMovementsTabBtn');
+    if (movementsTabBtn) {
+        movementsTabBtn.addEventListener('shown.bs.tab', loadProductMovements);
+    }
+    
     // Category management
     const addCategoryBtn = document.getElementById('addCategoryBtn');
     if (addCategoryBtn) {
@@ -454,24 +475,33 @@ async function loadProductForEditing(productId) {
         
         setFormValue('sellingPrice', sellingPrice);
         setFormValue('wholesalePrice', product.wholesale_price || product.wholesalePrice || 0);
-        setFormValue('taxRate', product.tax_rate || product.taxRate || 0);
-        setFormValue('taxInclusive', product.tax_inclusive || product.taxInclusive || false);
+        setFormValue('taxExempt', product.tax_exempt || 0);
         
         // Inventory - handle both snake_case and camelCase
         setFormValue('quantityInStock', product.quantity_in_stock || product.quantityInStock || 0);
         setFormValue('quantityOnShelf', product.quantity_on_shelf || product.quantityOnShelf || 0);
         setFormValue('reorderLevel', product.reorder_level || product.reorderLevel || 5);
-        setFormValue('unit', product.unit_of_measure || product.unit || 'pcs');
+        setFormValue('unitOfMeasure', product.unit_of_measure || '');
+        // Saved pack prices are kept as entered rather than re-derived from the base price
+        formState.units = (product.units || []).map(unit => ({ ...unit, priceEdited: true }));
+        renderProductUnits();
         setFormValue('weight', product.weight || 0);
         setFormValue('dimensions', product.dimensions || '');
         
         // Status
         setFormValue('isActive', product.is_active !== undefined ? product.is_active : (product.isActive !== undefined ? product.isActive : 1));
         setFormValue('trackInventory', product.track_inventory || product.trackInventory || false);
+        setFormValue('requiresPrescription', product.requires_prescription || 0);
+        setFormValue('controlledDrug', product.controlled_drug || 0);
         
         // Dates - handle both snake_case and camelCase
         setFormValue('manufacturedDate', product.manufactured_date || product.manufacturedDate || '');
         setFormValue('expiryDate', product.expiry_date || product.expiryDate || '');
+        setFormValue('lotNumber', '');
+        
+        // Batches / lots and their movement history
+        await loadProductBatches(product.id);
+        await loadProductMovements();
         
         // Trigger price calculation to update calculated fields
         if (typeof calculatePrices === 'function') {
@@ -574,6 +604,14 @@ function resetForm() {
         form.reset();
         document.getElementById('productId').value = '';
         
+        formState.units = [];
+        renderProductUnits();
+
+        // Batches only apply to saved products
+        currentBatchProductId = null;
+        const batchesCard = document.getElementById('productBatchesCard');
+        if (batchesCard) batchesCard.style.display = 'none';
+        
         // Reset form title
         const formTitle = document.getElementById('productFormTitle');
         if (formTitle) {
@@ -582,6 +620,247 @@ function resetForm() {
     }
 }
 
+// Product whose batches are shown in the Batches / Lots card
+let currentBatchProductId = null;
+
+// Load and render the batches of a product
+async function loadProductBatches(productId) {
+    const card = document.getElementById('productBatchesCard');
+    if (!card || !batches) return;
+    
+    currentBatchProductId = productId;
+    card.style.display = 'block';
+    
+    const trace = document.getElementById('batchSalesTrace');
+    if (trace) trace.innerHTML = '';
+    
+    try {
+        const productBatches = await batches.getByProduct(productId);
+        renderProductBatches(productBatches);
+        
+        // Keep the stock field in line with the lots so a later save does not undo batch changes
+        const total = productBatches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+        setFormValue('quantityInStock', total);
+    } catch (error) {
+        console.error('Error loading batches:', error);
+        showToast(`Failed to load batches: ${error.message}`, 'danger');
+    }
+}
+
+// Render batches table
+function renderProductBatches(productBatches) {
+    const tbody = document.getElementById('productBatchesList');
+    if (!tbody) return;
+    
+    if (!productBatches || productBatches.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No batches recorded</td></tr>';
+        return;
+    }
+    
+    const today = new Date().toISOString().split('T')[0];
+    
+    tbody.innerHTML = productBatches.map(batch => {
+        const expired = batch.expiry_date && batch.expiry_date < today;
+        const quarantined = batch.status === 'quarantined';
+        return `
+            <tr class="${quarantined ? 'table-warning' : (expired ? 'table-danger' : '')}">
+                <td>${batch.lot_number || '-'} ${quarantined ? '<span class="badge bg-warning text-dark">Quarantined</span>' : ''}</td>
+                <td>${batch.expiry_date || '-'} ${expired ? '<span class="badge bg-danger">Expired</span>' : ''}</td>
+                <td class="text-end">${batch.quantity}</td>
+                <td class="text-end">GH₵${(batch.cost_price || 0).toFixed(2)}</td>
+                <td>${batch.received_date ? batch.received_date.split(' ')[0] : '-'}</td>
+                <td>${batch.supplier_name || '-'}</td>
+                <td class="text-center">
+                    ${quarantined ? '' : `
+                    <div class="input-group input-group-sm" style="width: 170px; display: inline-flex;">
+                        <input type="number" class="form-control" id="batchAdjust_${batch.id}" placeholder="+/- qty">
+                        <button type="button" class="btn btn-outline-primary" onclick="adjustBatch('${batch.id}')" title="Adjust quantity">
+                            <i class="bi bi-check-lg"></i>
+                        </button>
+                    </div>`}
+                    <button type="button" class="btn btn-sm btn-outline-secondary ms-1" onclick="traceBatchSales('${batch.id}', '${batch.lot_number || ''}')" title="Sales from this batch">
+                        <i class="bi bi-receipt"></i>
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger ms-1" onclick="retireBatch('${batch.id}')" title="Retire batch">
+                        <i class="bi bi-archive"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Receive a new batch for the product being edited
+async function addBatch() {
+    if (!currentBatchProductId) return;
+    
+    const lotNumber = document.getElementById('newBatchLot')?.value.trim();
+    const expiryDate = document.getElementById('newBatchExpiry')?.value;
+    const quantity = parseInt(document.getElementById('newBatchQuantity')?.value) || 0;
+    const costPrice = parseFloat(document.getElementById('newBatchCost')?.value) || 0;
+    
+    if (quantity <= 0) {
+        showToast('Please enter a batch quantity greater than 0', 'warning');
+        return;
+    }
+    
+    try {
+        const result = await batches.create({
+            product_id: currentBatchProductId,
+            lot_number: lotNumber,
+            expiry_date: expiryDate,
+            quantity,
+            cost_price: costPrice
+        });
+        
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to add batch');
+        }
+        
+        ['newBatchLot', 'newBatchExpiry', 'newBatchQuantity', 'newBatchCost'].forEach(id => setFormValue(id, ''));
+        showToast('Batch added successfully', 'success');
+        await refreshBatchesAndProduct();
+    } catch (error) {
+        console.error('Error adding batch:', error);
+        showToast(`Failed to add batch: ${error.message}`, 'danger');
+    }
+}
+
+// Apply a +/- quantity correction to a batch
+async function adjustBatch(batchId) {
+    const input = document.getElementById(`batchAdjust_${batchId}`);
+    const delta = parseInt(input?.value) || 0;
+    
+    if (delta === 0) {
+        showToast('Enter a positive or negative quantity to adjust by', 'warning');
+        return;
+    }
+    
+    try {
+        const result = await batches.adjust(batchId, { delta, notes: 'Manual adjustment' });
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to adjust batch');
+        }
+        
+        showToast('Batch quantity updated', 'success');
+        await refreshBatchesAndProduct();
+    } catch (error) {
+        console.error('Error adjusting batch:', error);
+        showToast(`Failed to adjust batch: ${error.message}`, 'danger');
+    }
+}
+
+// Retire a batch (expired, recalled or destroyed stock)
+async function retireBatch(batchId) {
+    if (!confirm('Retire this batch? Its remaining quantity will be removed from stock.')) return;
+    
+    try {
+        const result = await batches.retire(batchId);
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to retire batch');
+        }
+        
+        showToast('Batch retired', 'success');
+        await refreshBatchesAndProduct();
+    } catch (error) {
+        console.error('Error retiring batch:', error);
+        showToast(`Failed to retire batch: ${error.message}`, 'danger');
+    }
+}
+
+// List the sales that were filled from a batch (recall tracing)
+async function traceBatchSales(batchId, lotNumber) {
+    const container = document.getElementById('batchSalesTrace');
+    if (!container) return;
+    
+    try {
+        const batchSales = await batches.getSales(batchId);
+        const title = `<h6 class="mt-3">Sales from lot ${lotNumber || '-'}</h6>`;
+        
+        if (batchSales.length === 0) {
+            container.innerHTML = `${title}<div class="text-muted">No sales have used this batch</div>`;
+            return;
+        }
+        
+        container.innerHTML = `${title}
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Invoice</th><th>Date</th><th>Customer</th><th class="text-end">Qty</th></tr>
+                </thead>
+                <tbody>
+                    ${batchSales.map(sale => `
+                        <tr>
+                            <td>${sale.invoice_number || sale.sale_id}</td>
+                            <td>${sale.sale_date}</td>
+                            <td>${sale.customer_name || 'Walk-in'}</td>
+                            <td class="text-end">${sale.quantity}${sale.was_expired ? ' <span class="badge bg-danger">Expired</span>' : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        console.error('Error tracing batch sales:', error);
+        showToast(`Failed to load batch sales: ${error.message}`, 'danger');
+    }
+}
+
+// Load the stock movement history of the product being edited
+async function loadProductMovements() {
+    const tbody = document.getElementById('productMovementsList');
+    if (!tbody || !currentBatchProductId || !stockMovements) return;
+    
+    try {
+        const movements = await stockMovements.getByProduct(currentBatchProductId);
+        
+        if (movements.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No stock movements recorded</td></tr>';
+            return;
+        }
+        
+        const reasonClasses = {
+            sale: 'bg-primary',
+            receipt: 'bg-success',
+            adjustment: 'bg-secondary',
+            return: 'bg-info',
+            transfer: 'bg-dark',
+            'write-off': 'bg-danger'
+        };
+        
+        tbody.innerHTML = movements.map(movement => `
+            <tr>
+                <td>${new Date(movement.created_at).toLocaleString()}</td>
+                <td><span class="badge ${reasonClasses[movement.reason] || 'bg-secondary'}">${movement.reason}</span></td>
+                <td>${movement.lot_number || '-'}</td>
+                <td class="text-end ${movement.delta < 0 ? 'text-danger' : 'text-success'}">${movement.delta > 0 ? '+' : ''}${movement.delta}</td>
+                <td><small>${movement.reference_id || '-'}</small></td>
+                <td>${movement.user_name || '-'}</td>
+                <td>${movement.notes || ''}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading stock movements:', error);
+        showToast(`Failed to load movement history: ${error.message}`, 'danger');
+    }
+}
+
+// Reload batches and the expiry date derived from them
+async function refreshBatchesAndProduct() {
+    if (!currentBatchProductId) return;
+    
+    await loadProductBatches(currentBatchProductId);
+    await loadProductMovements();
+    
+    try {
+        const product = await products.getById(currentBatchProductId);
+        if (product) {
+            setFormValue('expiryDate', product.expiry_date || '');
+            setFormValue('quantityOnShelf', product.quantity_on_shelf || 0);
+        }
+    } catch (error) {
+        console.warn('Could not refresh product after batch change:', error);
+    }
+}
+
 // Handle form submission with validation
 async function handleFormSubmit(event) {
     // Prevent default form submission
@@ -853,6 +1132,12 @@ function getFormData() {
     
     // Category and supplier - check both possible field IDs
     data.category = getValue('category') || getValue('productCategory');
+    data.requiresPrescription = document.getElementById('requiresPrescription')?.checked ? 1 : 0;
+    data.controlledDrug = document.getElementById('controlledDrug')?.checked ? 1 : 0;
+    data.unitOfMeasure = getValue('unitOfMeasure').trim();
+    data.units = formState.units.map(({ id, unit_name, conversion_factor, selling_price }) => ({
+        id, unit_name, conversion_factor, selling_price
+    }));
     data.categoryId = getValue('categoryId');
     data.supplierId = getValue('supplierId');
     data.supplierName = getValue('supplierName');
@@ -863,6 +1148,8 @@ function getFormData() {
     const unitCostPrice = getNumber('unitCostPrice');
     data.costPrice = unitCostPrice > 0 ? unitCostPrice : getNumber('costPrice');
     data.sellingPrice = getNumber('sellingPrice');
+    data.wholesalePrice = getNumber('wholesalePrice');
+    data.taxExempt = document.getElementById('taxExempt')?.checked ? 1 : 0;
     data.profitMargin = getNumber('profitMargin');
     data.quantityInStock = getNumber('quantityInStock', 0);
     data.quantityPurchased = getNumber('quantityPurchased', 0);
@@ -872,6 +1159,7 @@ function getFormData() {
     // Dates
     data.manufacturedDate = getValue('manufacturedDate');
     data.expiryDate = getValue('expiryDate');
+    data.lotNumber = getValue('lotNumber');
     
     // Images and variants
     if (formState.productImages && formState.productImages.length > 0) {
@@ -914,6 +1202,9 @@ function getFormData() {
         
         // Category and supplier
         'category': 'category',
+        'requiresPrescription': 'requires_prescription',
+        'controlledDrug': 'controlled_drug',
+        'unitOfMeasure': 'unit_of_measure',
         'categoryId': 'category_id',
         'supplierId': 'supplier_id',
         'supplierName': 'supplier_name',
@@ -922,6 +1213,8 @@ function getFormData() {
         // Pricing and quantities
         'costPrice': 'cost_price',
         'sellingPrice': 'selling_price',
+        'wholesalePrice': 'wholesale_price',
+        'taxExempt': 'tax_exempt',
         'profitMargin': 'profit_margin',
         'totalBulkCost': 'total_bulk_cost',
         'quantityInStock': 'quantity_in_stock',
@@ -932,6 +1225,7 @@ function getFormData() {
         // Dates
         'manufacturedDate': 'manufactured_date',
         'expiryDate': 'expiry_date',
+        'lotNumber': 'lot_number',
         
         // Media and variants
         'images': 'images',
@@ -1661,6 +1955,15 @@ function calculatePrices() {
         sellingPriceInput.value = sellingPrice.toFixed(2);
         marginalProfitInput.value = marginalProfit.toFixed(2);
         
+        // Pack units cost their base-unit count; untouched pack prices follow the base selling price
+        basePrices = { cost: costPerUnit, selling: sellingPrice };
+        formState.units.forEach(unit => {
+            if (!unit.priceEdited) {
+                unit.selling_price = parseFloat((sellingPrice * (unit.conversion_factor || 0)).toFixed(2));
+            }
+        });
+        renderProductUnits();
+        
         // Dispatch change events
         const event = new Event('change');
         if (sellingPriceInput) sellingPriceInput.dispatchEvent(event);
@@ -1671,6 +1974,57 @@ function calculatePrices() {
     }
 }
 
+// Render the pack units (strip, box...) a product is sold in besides its base unit
+function renderProductUnits() {
+    const tbody = document.getElementById('productUnitsBody');
+    if (!tbody) return;
+
+    const baseUnit = document.getElementById('unitOfMeasure')?.value.trim() || 'base unit';
+    if (formState.units.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="5" class="text-center text-muted">Sold by the ${baseUnit} only</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = formState.units.map((unit, index) => `
+        <tr>
+            <td><input type="text" class="form-control form-control-sm" value="${unit.unit_name || ''}" placeholder="e.g. strip" onchange="updateProductUnitField(${index}, 'unit_name', this.value.trim())"></td>
+            <td><input type="number" class="form-control form-control-sm" value="${unit.conversion_factor || ''}" min="2" step="1" onchange="updateProductUnitField(${index}, 'conversion_factor', parseInt(this.value) || 0)"></td>
+            <td class="text-end align-middle">GH₵${(basePrices.cost * (unit.conversion_factor || 0)).toFixed(2)}</td>
+            <td><input type="number" class="form-control form-control-sm" value="${unit.selling_price ?? ''}" min="0" step="0.01" onchange="updateProductUnitField(${index}, 'selling_price', parseFloat(this.value) || 0)"></td>
+            <td class="text-end">
+                <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeProductUnit(${index})" title="Remove unit">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Add an empty pack unit row
+function addProductUnit() {
+    formState.units.push({ unit_name: '', conversion_factor: 10, selling_price: 0, priceEdited: false });
+    calculatePrices();
+}
+
+// Update a pack unit field; a changed pack size re-derives an untouched price
+function updateProductUnitField(index, field, value) {
+    const unit = formState.units[index];
+    if (!unit) return;
+
+    unit[field] = value;
+    if (field === 'selling_price') {
+        unit.priceEdited = true;
+    } else if (field === 'conversion_factor') {
+        calculatePrices();
+    }
+}
+
+// Remove a pack unit
+function removeProductUnit(index) {
+    formState.units.splice(index, 1);
+    renderProductUnits();
+}
+
 // Initialize the application when the DOM is fully loaded
 function initializeApplication() {
     // Prevent multiple initializations
@@ -1704,6 +2058,8 @@ function initializeApplication() {
             window.handleFormSubmit = handleFormSubmit;
             window.validateField = validateField;
             window.calculatePrices = calculatePrices;
+            window.updateProductUnitField = updateProductUnitField;
+            window.removeProductUnit = removeProductUnit;
             window.removeImage = removeImage;
             window.loadInitialData = loadInitialData;
             window.setMainImage = setMainImage;
@@ -1715,6 +2071,9 @@ function initializeApplication() {
             window.clearVariants = clearVariants;
             window.showAddCategoryModal = showAddCategoryModal;
             window.saveNewCategory = saveNewCategory;
+            window.adjustBatch = adjustBatch;
+            window.retireBatch = retireBatch;
+            window.traceBatchSales = traceBatchSales;
             
             // Clear the timeout as initialization is complete
             clearTimeout(initTimeout);
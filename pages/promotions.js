@@ -0,0 +1,365 @@
+// Promotions page functionality: promotions, customer price groups and discount approval
+import { pricing, products } from '../core/api.js';
+import { showToast, formatDate } from '../core/utils.js';
+
+const PROMOTION_TYPE_LABELS = {
+    percent: 'Percent off',
+    fixed: 'Amount off each',
+    buy_x_get_y: 'Buy X get Y free'
+};
+
+let productList = [];
+const displayedPromotions = new Map();
+const displayedGroups = new Map();
+
+// Prevent duplicate initialization
+let promotionsPageInitialized = false;
+
+// Initialize the promotions page
+async function initializePromotionsPage() {
+    if (promotionsPageInitialized) {
+        console.warn('Promotions page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        promotionsPageInitialized = true;
+        setupEventListeners();
+        await loadPromotions();
+        console.log('Promotions page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing promotions page:', error);
+        showToast('Failed to initialize promotions page', 'danger');
+        promotionsPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePromotionsPage);
+} else {
+    initializePromotionsPage();
+}
+
+// Set up event listeners for the promotions page
+function setupEventListeners() {
+    document.getElementById('newPromotionBtn')?.addEventListener('click', () => openPromotionModal());
+    document.getElementById('savePromotionBtn')?.addEventListener('click', savePromotion);
+    document.getElementById('promotionType')?.addEventListener('change', updatePromotionTypeFields);
+    document.getElementById('promotionProduct')?.addEventListener('change', () => {
+        // A product-specific promotion ignores the category
+        const category = document.getElementById('promotionCategory');
+        category.disabled = Boolean(document.getElementById('promotionProduct').value);
+        if (category.disabled) category.value = '';
+    });
+    document.getElementById('newCustomerGroupBtn')?.addEventListener('click', () => openCustomerGroupModal());
+    document.getElementById('saveCustomerGroupBtn')?.addEventListener('click', saveCustomerGroup);
+    document.getElementById('savePricingSettingsBtn')?.addEventListener('click', savePricingSettings);
+}
+
+// Load promotions, customer groups and the approval settings
+async function loadPromotions() {
+    await Promise.all([loadPromotionList(), loadCustomerGroups(), loadPricingSettings()]);
+}
+
+function isRunning(promotion) {
+    const today = new Date().toISOString().split('T')[0];
+    return promotion.is_active &&
+        (!promotion.start_date || promotion.start_date <= today) &&
+        (!promotion.end_date || promotion.end_date >= today);
+}
+
+function describeOffer(promotion) {
+    if (promotion.type === 'buy_x_get_y') {
+        return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} free`;
+    }
+    const offer = promotion.type === 'percent'
+        ? `${parseFloat(promotion.value)}% off`
+        : `GH₵${parseFloat(promotion.value).toFixed(2)} off each`;
+    return promotion.min_quantity > 1 ? `${offer} (min ${promotion.min_quantity})` : offer;
+}
+
+async function loadPromotionList() {
+    const tbody = document.getElementById('promotionsTableBody');
+    if (!tbody) return;
+
+    try {
+        const promotionList = await pricing.getPromotions();
+        displayedPromotions.clear();
+        promotionList.forEach(promotion => displayedPromotions.set(promotion.id, promotion));
+
+        if (promotionList.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No promotions yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = promotionList.map(promotion => {
+            const status = isRunning(promotion)
+                ? '<span class="badge bg-success">Running</span>'
+                : promotion.is_active
+                    ? '<span class="badge bg-warning text-dark">Scheduled / ended</span>'
+                    : '<span class="badge bg-secondary">Off</span>';
+            const period = promotion.start_date || promotion.end_date
+                ? `${promotion.start_date ? formatDate(promotion.start_date, 'short') : '…'} – ${promotion.end_date ? formatDate(promotion.end_date, 'short') : '…'}`
+                : 'Always';
+            return `
+            <tr>
+                <td>${promotion.name}</td>
+                <td>${describeOffer(promotion)}</td>
+                <td>${promotion.product_name || (promotion.category ? `Category: ${promotion.category}` : 'All products')}</td>
+                <td>${period}</td>
+                <td>${status}</td>
+                <td class="text-center">
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-primary" onclick="openPromotionModal('${promotion.id}')" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="deletePromotion('${promotion.id}')" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading promotions:', error);
+        showToast('Failed to load promotions', 'danger');
+    }
+}
+
+// Fill the product and category pickers in the promotion modal
+async function loadPromotionTargets() {
+    const response = await products.getAll();
+    const productsArray = Array.isArray(response) ? response : (response?.data || []);
+    productList = productsArray.filter(p => p.id && p.is_active !== 0 && p.is_active !== false);
+
+    document.getElementById('promotionProduct').innerHTML = '<option value="">Any product</option>' + productList
+        .map(p => `<option value="${p.id}">${p.name}</option>`)
+        .join('');
+
+    const categories = [...new Set(productList.map(p => p.category).filter(Boolean))].sort();
+    document.getElementById('promotionCategory').innerHTML = '<option value="">Any category</option>' + categories
+        .map(category => `<option value="${category}">${category}</option>`)
+        .join('');
+}
+
+function updatePromotionTypeFields() {
+    const buyX = document.getElementById('promotionType').value === 'buy_x_get_y';
+    document.getElementById('promotionValueGroup').style.display = buyX ? 'none' : 'block';
+    document.getElementById('promotionBuyGetGroup').style.display = buyX ? 'flex' : 'none';
+    document.getElementById('promotionValueLabel').textContent =
+        document.getElementById('promotionType').value === 'percent' ? 'Discount (%) *' : 'Amount off each (GH₵) *';
+}
+
+// Open the promotion modal to add (no id) or edit a promotion
+async function openPromotionModal(promotionId = null) {
+    document.getElementById('promotionForm')?.reset();
+
+    const promotion = promotionId ? displayedPromotions.get(promotionId) : null;
+    if (promotionId && !promotion) {
+        showToast('Promotion not found', 'danger');
+        return;
+    }
+
+    await loadPromotionTargets();
+    document.getElementById('promotionModalLabel').textContent = promotion ? 'Edit Promotion' : 'New Promotion';
+    document.getElementById('promotionId').value = promotion?.id || '';
+    document.getElementById('promotionName').value = promotion?.name || '';
+    document.getElementById('promotionType').value = promotion?.type || 'percent';
+    document.getElementById('promotionValue').value = promotion && promotion.type !== 'buy_x_get_y' ? promotion.value : '';
+    document.getElementById('promotionBuyQuantity').value = promotion?.buy_quantity || '';
+    document.getElementById('promotionGetQuantity').value = promotion?.get_quantity || '';
+    document.getElementById('promotionMinQuantity').value = promotion?.min_quantity || 1;
+    document.getElementById('promotionProduct').value = promotion?.product_id || '';
+    document.getElementById('promotionCategory').value = promotion?.category || '';
+    document.getElementById('promotionCategory').disabled = Boolean(promotion?.product_id);
+    document.getElementById('promotionStartDate').value = promotion?.start_date || '';
+    document.getElementById('promotionEndDate').value = promotion?.end_date || '';
+    document.getElementById('promotionActive').checked = promotion ? Boolean(promotion.is_active) : true;
+    updatePromotionTypeFields();
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('promotionModal')).show();
+}
+
+// Save the promotion in the modal
+async function savePromotion() {
+    const id = document.getElementById('promotionId').value;
+    const data = {
+        id: id || undefined,
+        name: document.getElementById('promotionName').value.trim(),
+        type: document.getElementById('promotionType').value,
+        value: parseFloat(document.getElementById('promotionValue').value) || 0,
+        buy_quantity: parseInt(document.getElementById('promotionBuyQuantity').value) || 0,
+        get_quantity: parseInt(document.getElementById('promotionGetQuantity').value) || 0,
+        min_quantity: parseInt(document.getElementById('promotionMinQuantity').value) || 1,
+        product_id: document.getElementById('promotionProduct').value || null,
+        category: document.getElementById('promotionCategory').value || null,
+        start_date: document.getElementById('promotionStartDate').value || null,
+        end_date: document.getElementById('promotionEndDate').value || null,
+        is_active: document.getElementById('promotionActive').checked
+    };
+
+    if (!data.name) {
+        showToast('Please enter a name for the promotion', 'warning');
+        document.getElementById('promotionName').focus();
+        return;
+    }
+
+    try {
+        const result = await pricing.savePromotion(data);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save promotion');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('promotionModal'))?.hide();
+        showToast(id ? 'Promotion updated' : 'Promotion created', 'success');
+        await loadPromotionList();
+    } catch (error) {
+        console.error('Error saving promotion:', error);
+        showToast(error.message || 'Failed to save promotion', 'danger');
+    }
+}
+
+async function deletePromotion(promotionId) {
+    const promotion = displayedPromotions.get(promotionId);
+    if (!confirm(`Delete the promotion "${promotion?.name || ''}"? Past sales keep the discount they were given.`)) return;
+
+    try {
+        const result = await pricing.deletePromotion(promotionId);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to delete promotion');
+        }
+        showToast('Promotion deleted', 'success');
+        await loadPromotionList();
+    } catch (error) {
+        console.error('Error deleting promotion:', error);
+        showToast(error.message || 'Failed to delete promotion', 'danger');
+    }
+}
+
+async function loadCustomerGroups() {
+    const tbody = document.getElementById('customerGroupsTableBody');
+    if (!tbody) return;
+
+    try {
+        const groups = await pricing.getCustomerGroups();
+        displayedGroups.clear();
+        groups.forEach(group => displayedGroups.set(group.id, group));
+
+        if (groups.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No customer groups</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = groups.map(group => `
+            <tr>
+                <td>${group.name}</td>
+                <td>${group.price_basis === 'wholesale' ? 'Wholesale price' : 'Retail price'}</td>
+                <td class="text-end">${parseFloat(group.discount_percent || 0)}%</td>
+                <td class="text-end">${group.customer_count || 0}</td>
+                <td class="text-center">
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-primary" onclick="openCustomerGroupModal('${group.id}')" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="deleteCustomerGroup('${group.id}')" title="Delete">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading customer groups:', error);
+        showToast('Failed to load customer groups', 'danger');
+    }
+}
+
+// Open the customer group modal to add (no id) or edit a group
+function openCustomerGroupModal(groupId = null) {
+    document.getElementById('customerGroupForm')?.reset();
+
+    const group = groupId ? displayedGroups.get(groupId) : null;
+    document.getElementById('customerGroupModalLabel').textContent = group ? 'Edit Customer Group' : 'New Customer Group';
+    document.getElementById('customerGroupId').value = group?.id || '';
+    document.getElementById('customerGroupName').value = group?.name || '';
+    document.getElementById('customerGroupPriceBasis').value = group?.price_basis || 'retail';
+    document.getElementById('customerGroupDiscount').value = group ? parseFloat(group.discount_percent || 0) : 0;
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('customerGroupModal')).show();
+}
+
+async function saveCustomerGroup() {
+    const id = document.getElementById('customerGroupId').value;
+    const data = {
+        id: id || undefined,
+        name: document.getElementById('customerGroupName').value.trim(),
+        price_basis: document.getElementById('customerGroupPriceBasis').value,
+        discount_percent: parseFloat(document.getElementById('customerGroupDiscount').value) || 0
+    };
+
+    try {
+        const result = await pricing.saveCustomerGroup(data);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save customer group');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('customerGroupModal'))?.hide();
+        showToast(id ? 'Customer group updated' : 'Customer group created', 'success');
+        await loadCustomerGroups();
+    } catch (error) {
+        console.error('Error saving customer group:', error);
+        showToast(error.message || 'Failed to save customer group', 'danger');
+    }
+}
+
+async function deleteCustomerGroup(groupId) {
+    const group = displayedGroups.get(groupId);
+    if (!confirm(`Delete the group "${group?.name || ''}"? Its customers will pay retail prices.`)) return;
+
+    try {
+        const result = await pricing.deleteCustomerGroup(groupId);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to delete customer group');
+        }
+        showToast('Customer group deleted', 'success');
+        await loadCustomerGroups();
+    } catch (error) {
+        console.error('Error deleting customer group:', error);
+        showToast(error.message || 'Failed to delete customer group', 'danger');
+    }
+}
+
+async function loadPricingSettings() {
+    const settings = await pricing.getSettings();
+    document.getElementById('discountApprovalPercent').value = settings.discount_approval_percent;
+    document.getElementById('supervisorPin').value = '';
+    document.getElementById('supervisorPinStatus').textContent = settings.has_supervisor_pin
+        ? 'A supervisor PIN is set. Enter a new one to change it.'
+        : 'No supervisor PIN set yet, so large till discounts cannot be approved.';
+}
+
+// Save the approval threshold and, if entered, a new supervisor PIN
+async function savePricingSettings() {
+    const supervisorPin = document.getElementById('supervisorPin').value.trim();
+    try {
+        const result = await pricing.saveSettings({
+            discountApprovalPercent: document.getElementById('discountApprovalPercent').value,
+            supervisorPin: supervisorPin || undefined
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save discount settings');
+        }
+        showToast('Discount approval settings saved', 'success');
+        await loadPricingSettings();
+    } catch (error) {
+        console.error('Error saving pricing settings:', error);
+        showToast(error.message || 'Failed to save discount settings', 'danger');
+    }
+}
+
+window.loadPromotions = loadPromotions;
+window.openPromotionModal = openPromotionModal;
+window.deletePromotion = deletePromotion;
+window.openCustomerGroupModal = openCustomerGroupModal;
+window.deleteCustomerGroup = deleteCustomerGroup;
@@ -0,0 +1,489 @@
+// Purchase orders page functionality
+import { products, suppliers, purchaseOrders } from '../core/api.js';
+import { showToast, formatDate } from '../core/utils.js';
+
+// Lines of the purchase order being edited in the modal
+let poLines = [];
+let productList = [];
+let supplierList = [];
+
+// Prevent duplicate initialization
+let purchaseOrdersPageInitialized = false;
+
+const STATUS_BADGES = {
+    draft: 'bg-secondary',
+    sent: 'bg-primary',
+    partially_received: 'bg-warning text-dark',
+    received: 'bg-success',
+    cancelled: 'bg-danger'
+};
+
+// Initialize the purchase orders page
+async function initializePurchaseOrdersPage() {
+    if (purchaseOrdersPageInitialized) {
+        console.warn('Purchase orders page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        purchaseOrdersPageInitialized = true;
+        setupEventListeners();
+        await loadPurchaseOrders();
+        console.log('Purchase orders page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing purchase orders page:', error);
+        showToast('Failed to initialize purchase orders page', 'danger');
+        purchaseOrdersPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializePurchaseOrdersPage);
+} else {
+    initializePurchaseOrdersPage();
+}
+
+// Set up event listeners for the purchase orders page
+function setupEventListeners() {
+    document.getElementById('newPurchaseOrderBtn')?.addEventListener('click', () => openPurchaseOrderModal());
+    document.getElementById('poStatusFilter')?.addEventListener('change', loadPurchaseOrders);
+    document.getElementById('poAddLineBtn')?.addEventListener('click', addPoLine);
+    document.getElementById('poSaveDraftBtn')?.addEventListener('click', () => savePurchaseOrder(false));
+    document.getElementById('poSaveSendBtn')?.addEventListener('click', () => savePurchaseOrder(true));
+    document.getElementById('confirmReceiveBtn')?.addEventListener('click', confirmReceiveGoods);
+    document.getElementById('poSaveSupplierBtn')?.addEventListener('click', saveQuickSupplier);
+
+    document.getElementById('poAddSupplierBtn')?.addEventListener('click', () => {
+        const row = document.getElementById('poNewSupplierRow');
+        if (row) row.style.display = row.style.display === 'none' ? 'flex' : 'none';
+    });
+
+    document.getElementById('closePurchaseOrderDetailsBtn')?.addEventListener('click', () => {
+        const card = document.getElementById('purchaseOrderDetailsCard');
+        if (card) card.style.display = 'none';
+    });
+
+    // Default the unit cost to the product's current cost price
+    document.getElementById('poLineProduct')?.addEventListener('change', (e) => {
+        const product = productList.find(p => p.id === e.target.value);
+        const costInput = document.getElementById('poLineCost');
+        if (product && costInput) {
+            costInput.value = parseFloat(product.cost_price || 0).toFixed(2);
+        }
+    });
+}
+
+// Load and render purchase orders
+async function loadPurchaseOrders() {
+    const tbody = document.getElementById('purchaseOrdersTableBody');
+    if (!tbody) return;
+
+    try {
+        const status = document.getElementById('poStatusFilter')?.value || '';
+        const orders = await purchaseOrders.getAll(status ? { status } : {});
+
+        if (orders.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No purchase orders found</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = orders.map(order => `
+            <tr>
+                <td>${order.po_number}</td>
+                <td>${order.supplier_name || '-'}</td>
+                <td>${order.order_date ? formatDate(order.order_date, 'short') : '-'}</td>
+                <td>${order.expected_date ? formatDate(order.expected_date, 'short') : '-'}</td>
+                <td><span class="badge ${STATUS_BADGES[order.status] || 'bg-secondary'}">${order.status.replace('_', ' ')}</span></td>
+                <td class="text-end">${order.quantity_received} / ${order.quantity_ordered}</td>
+                <td class="text-end">GH₵${parseFloat(order.total_amount || 0).toFixed(2)}</td>
+                <td class="text-center">
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-secondary" onclick="viewPurchaseOrder('${order.id}')" title="View">
+                            <i class="bi bi-eye"></i>
+                        </button>
+                        ${order.status === 'draft' ? `
+                        <button class="btn btn-outline-primary" onclick="editPurchaseOrder('${order.id}')" title="Edit">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-outline-primary" onclick="setPurchaseOrderStatus('${order.id}', 'sent')" title="Mark sent">
+                            <i class="bi bi-send"></i>
+                        </button>` : ''}
+                        ${['sent', 'partially_received'].includes(order.status) ? `
+                        <button class="btn btn-outline-success" onclick="openReceiveGoods('${order.id}')" title="Receive goods">
+                            <i class="bi bi-box-arrow-in-down"></i>
+                        </button>` : ''}
+                        ${['draft', 'sent', 'partially_received'].includes(order.status) ? `
+                        <button class="btn btn-outline-danger" onclick="setPurchaseOrderStatus('${order.id}', 'cancelled', '${order.status}')" title="${order.status === 'partially_received' ? 'Cancel the undelivered rest' : 'Cancel'}">
+                            <i class="bi bi-x-circle"></i>
+                        </button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading purchase orders:', error);
+        showToast('Failed to load purchase orders', 'danger');
+    }
+}
+
+// Load suppliers and products into the purchase order modal dropdowns
+async function loadModalOptions() {
+    const [productResponse, supplierResponse] = await Promise.all([
+        products.getAll(),
+        suppliers.getAll()
+    ]);
+
+    const productsArray = Array.isArray(productResponse) ? productResponse : (productResponse?.data || []);
+    productList = productsArray.filter(p => p.id && p.is_active !== 0 && p.is_active !== false);
+    supplierList = Array.isArray(supplierResponse) ? supplierResponse : [];
+
+    const productSelect = document.getElementById('poLineProduct');
+    if (productSelect) {
+        productSelect.innerHTML = '<option value="">Select a product</option>' + productList
+            .map(p => `<option value="${p.id}">${p.name} (${p.quantity_in_stock || 0} in stock)</option>`)
+            .join('');
+    }
+
+    renderSupplierOptions();
+}
+
+function renderSupplierOptions(selectedId = '') {
+    const supplierSelect = document.getElementById('poSupplier');
+    if (!supplierSelect) return;
+
+    supplierSelect.innerHTML = '<option value="">Select a supplier</option>' + supplierList
+        .map(s => `<option value="${s.id}">${s.name}</option>`)
+        .join('');
+    supplierSelect.value = selectedId;
+}
+
+// Add a supplier without leaving the purchase order
+async function saveQuickSupplier() {
+    const name = document.getElementById('poNewSupplierName')?.value.trim();
+    const phone = document.getElementById('poNewSupplierPhone')?.value.trim();
+
+    if (!name) {
+        showToast('Please enter a supplier name', 'warning');
+        return;
+    }
+
+    const result = await suppliers.create({ name, phone });
+    if (!result || !result.success) {
+        showToast(`Failed to add supplier: ${result?.error || 'Unknown error'}`, 'danger');
+        return;
+    }
+
+    supplierList = await suppliers.getAll();
+    renderSupplierOptions(result.id);
+    document.getElementById('poNewSupplierName').value = '';
+    document.getElementById('poNewSupplierPhone').value = '';
+    document.getElementById('poNewSupplierRow').style.display = 'none';
+    showToast('Supplier added', 'success');
+}
+
+// Open the purchase order modal, empty or with an existing draft
+async function openPurchaseOrderModal(order = null) {
+    try {
+        await loadModalOptions();
+
+        document.getElementById('poId').value = order?.id || '';
+        document.getElementById('purchaseOrderModalLabel').textContent = order ? `Edit ${order.po_number}` : 'New Purchase Order';
+        document.getElementById('poOrderDate').value = order?.order_date || new Date().toISOString().split('T')[0];
+        document.getElementById('poExpectedDate').value = order?.expected_date || '';
+        document.getElementById('poNotes').value = order?.notes || '';
+        document.getElementById('poLineQuantity').value = 1;
+        document.getElementById('poLineCost').value = '';
+        renderSupplierOptions(order?.supplier_id || '');
+
+        poLines = (order?.items || []).map(item => ({
+            product_id: item.product_id,
+            product_name: item.product_name,
+            quantity_ordered: item.quantity_ordered,
+            unit_cost: item.unit_cost
+        }));
+        renderPoLines();
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('purchaseOrderModal')).show();
+    } catch (error) {
+        console.error('Error opening purchase order:', error);
+        showToast('Failed to open purchase order', 'danger');
+    }
+}
+
+async function editPurchaseOrder(id) {
+    const order = await purchaseOrders.getById(id);
+    if (!order) {
+        showToast('Purchase order not found', 'danger');
+        return;
+    }
+    await openPurchaseOrderModal(order);
+}
+
+function addPoLine() {
+    const productId = document.getElementById('poLineProduct')?.value;
+    const quantity = parseInt(document.getElementById('poLineQuantity')?.value) || 0;
+    const unitCost = parseFloat(document.getElementById('poLineCost')?.value) || 0;
+
+    if (!productId) {
+        showToast('Please select a product', 'warning');
+        return;
+    }
+    if (quantity <= 0) {
+        showToast('Quantity must be greater than 0', 'warning');
+        return;
+    }
+
+    const product = productList.find(p => p.id === productId);
+    const existing = poLines.find(line => line.product_id === productId);
+    if (existing) {
+        existing.quantity_ordered += quantity;
+        existing.unit_cost = unitCost;
+    } else {
+        poLines.push({
+            product_id: productId,
+            product_name: product?.name || 'Unknown Product',
+            quantity_ordered: quantity,
+            unit_cost: unitCost
+        });
+    }
+
+    document.getElementById('poLineProduct').value = '';
+    document.getElementById('poLineQuantity').value = 1;
+    document.getElementById('poLineCost').value = '';
+    renderPoLines();
+}
+
+function removePoLine(index) {
+    poLines.splice(index, 1);
+    renderPoLines();
+}
+
+function renderPoLines() {
+    const tbody = document.getElementById('poLinesBody');
+    const totalEl = document.getElementById('poTotal');
+    if (!tbody) return;
+
+    if (poLines.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No items added</td></tr>';
+    } else {
+        tbody.innerHTML = poLines.map((line, index) => `
+            <tr>
+                <td>${line.product_name}</td>
+                <td class="text-end">${line.quantity_ordered}</td>
+                <td class="text-end">GH₵${line.unit_cost.toFixed(2)}</td>
+                <td class="text-end">GH₵${(line.quantity_ordered * line.unit_cost).toFixed(2)}</td>
+                <td class="text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger" onclick="removePoLine(${index})">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    const total = poLines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0);
+    if (totalEl) totalEl.textContent = `GH₵${total.toFixed(2)}`;
+}
+
+// Save the purchase order in the modal, optionally marking it sent
+async function savePurchaseOrder(markSent) {
+    if (poLines.length === 0) {
+        showToast('Add at least one item to the purchase order', 'warning');
+        return;
+    }
+
+    const supplierId = document.getElementById('poSupplier')?.value;
+    if (!supplierId) {
+        showToast('Please select a supplier', 'warning');
+        return;
+    }
+
+    try {
+        const result = await purchaseOrders.save({
+            id: document.getElementById('poId')?.value || undefined,
+            supplier_id: supplierId,
+            order_date: document.getElementById('poOrderDate')?.value,
+            expected_date: document.getElementById('poExpectedDate')?.value,
+            notes: document.getElementById('poNotes')?.value,
+            items: poLines
+        });
+
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to save purchase order');
+        }
+
+        if (markSent) {
+            const statusResult = await purchaseOrders.setStatus(result.id, 'sent');
+            if (!statusResult || !statusResult.success) {
+                throw new Error(statusResult?.error || 'Saved, but could not mark the order as sent');
+            }
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('purchaseOrderModal'))?.hide();
+        showToast(markSent ? 'Purchase order saved and marked sent' : 'Purchase order saved', 'success');
+        await loadPurchaseOrders();
+    } catch (error) {
+        console.error('Error saving purchase order:', error);
+        showToast(error.message || 'Failed to save purchase order', 'danger');
+    }
+}
+
+async function setPurchaseOrderStatus(id, status, currentStatus) {
+    const cancelMessage = currentStatus === 'partially_received'
+        ? 'Cancel the items still to be delivered on this purchase order? Goods already received stay in stock.'
+        : 'Cancel this purchase order?';
+    if (status === 'cancelled' && !confirm(cancelMessage)) return;
+
+    const result = await purchaseOrders.setStatus(id, status);
+    if (result && result.success) {
+        showToast(status === 'sent' ? 'Purchase order marked sent' : 'Purchase order cancelled', 'success');
+        await loadPurchaseOrders();
+    } else {
+        showToast(result?.error || 'Failed to update purchase order', 'danger');
+    }
+}
+
+// Open the goods received form for the outstanding lines of a purchase order
+async function openReceiveGoods(id) {
+    const order = await purchaseOrders.getById(id);
+    if (!order) {
+        showToast('Purchase order not found', 'danger');
+        return;
+    }
+
+    const outstandingItems = order.items.filter(item => item.quantity_ordered > item.quantity_received);
+
+    document.getElementById('receivePoId').value = order.id;
+    document.getElementById('receiveGoodsModalLabel').textContent = `Receive Goods - ${order.po_number}`;
+    document.getElementById('receiveDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('receiveNotes').value = '';
+    document.getElementById('receiveSupplierInvoice').value = '';
+
+    document.getElementById('receiveLinesBody').innerHTML = outstandingItems.map(item => {
+        const outstanding = item.quantity_ordered - item.quantity_received;
+        return `
+            <tr data-item-id="${item.id}">
+                <td>${item.product_name}</td>
+                <td class="text-end">${outstanding}</td>
+                <td><input type="number" class="form-control form-control-sm receive-qty" min="0" max="${outstanding}" value="${outstanding}"></td>
+                <td><input type="number" class="form-control form-control-sm receive-cost" min="0" step="0.01" value="${parseFloat(item.unit_cost || 0).toFixed(2)}"></td>
+                <td><input type="text" class="form-control form-control-sm receive-lot"></td>
+                <td><input type="date" class="form-control form-control-sm receive-expiry"></td>
+            </tr>
+        `;
+    }).join('');
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('receiveGoodsModal')).show();
+}
+
+async function confirmReceiveGoods() {
+    const purchaseOrderId = document.getElementById('receivePoId')?.value;
+    const rows = document.querySelectorAll('#receiveLinesBody tr[data-item-id]');
+
+    const items = Array.from(rows).map(row => ({
+        purchase_order_item_id: row.dataset.itemId,
+        quantity: parseInt(row.querySelector('.receive-qty').value) || 0,
+        unit_cost: row.querySelector('.receive-cost').value,
+        lot_number: row.querySelector('.receive-lot').value.trim(),
+        expiry_date: row.querySelector('.receive-expiry').value
+    })).filter(item => item.quantity > 0);
+
+    if (items.length === 0) {
+        showToast('Enter a received quantity for at least one item', 'warning');
+        return;
+    }
+
+    if (items.some(item => !item.expiry_date) && !confirm('Some received lines have no expiry date. Continue anyway?')) {
+        return;
+    }
+
+    try {
+        const result = await purchaseOrders.receive(purchaseOrderId, {
+            items,
+            receivedDate: document.getElementById('receiveDate')?.value,
+            notes: document.getElementById('receiveNotes')?.value,
+            supplierInvoiceNumber: document.getElementById('receiveSupplierInvoice')?.value
+        });
+
+        if (!result || !result.success) {
+            throw new Error(result?.error || 'Failed to receive goods');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('receiveGoodsModal'))?.hide();
+        showToast(`Goods received (${result.grn_number})`, 'success');
+        await loadPurchaseOrders();
+
+        // Stock levels changed
+        if (typeof window.loadProducts === 'function') {
+            window.loadProducts().catch(e => console.warn('Could not refresh products:', e));
+        }
+    } catch (error) {
+        console.error('Error receiving goods:', error);
+        showToast(error.message || 'Failed to receive goods', 'danger');
+    }
+}
+
+// Show a purchase order with its lines and goods received notes
+async function viewPurchaseOrder(id) {
+    const order = await purchaseOrders.getById(id);
+    const card = document.getElementById('purchaseOrderDetailsCard');
+    const body = document.getElementById('purchaseOrderDetailsBody');
+    if (!order || !card || !body) return;
+
+    document.getElementById('purchaseOrderDetailsTitle').textContent = `${order.po_number} - ${order.supplier_name || 'No supplier'}`;
+
+    body.innerHTML = `
+        <p class="mb-2">
+            <span class="badge ${STATUS_BADGES[order.status] || 'bg-secondary'}">${order.status.replace('_', ' ')}</span>
+            Ordered ${order.order_date || '-'}${order.expected_date ? `, expected ${order.expected_date}` : ''}
+        </p>
+        ${order.notes ? `<p class="text-muted">${order.notes}</p>` : ''}
+        <table class="table table-sm">
+            <thead>
+                <tr><th>Product</th><th class="text-end">Ordered</th><th class="text-end">Received</th><th class="text-end">Unit Cost</th><th class="text-end">Line Total</th></tr>
+            </thead>
+            <tbody>
+                ${order.items.map(item => `
+                    <tr>
+                        <td>${item.product_name}</td>
+                        <td class="text-end">${item.quantity_ordered}</td>
+                        <td class="text-end">${item.quantity_received}</td>
+                        <td class="text-end">GH₵${parseFloat(item.unit_cost).toFixed(2)}</td>
+                        <td class="text-end">GH₵${parseFloat(item.line_total).toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <h6>Goods Received</h6>
+        ${order.receipts.length === 0 ? '<p class="text-muted">Nothing received yet</p>' : order.receipts.map(receipt => `
+            <div class="border rounded p-2 mb-2">
+                <strong>${receipt.grn_number}</strong> - ${receipt.received_date}
+                ${receipt.user_name ? `by ${receipt.user_name}` : ''} - GH₵${parseFloat(receipt.total_cost).toFixed(2)}
+                ${receipt.supplier_invoice_id ? `
+                <div class="small">
+                    Supplier invoice ${receipt.supplier_invoice_number || '(no number)'}, due ${formatDate(receipt.due_date, 'short')}:
+                    ${receipt.amount_owed > 0 ? `<span class="text-danger">GH₵${receipt.amount_owed.toFixed(2)} owed</span>` : '<span class="text-success">paid</span>'}
+                </div>` : ''}
+                ${receipt.notes ? `<div class="text-muted small">${receipt.notes}</div>` : ''}
+                <ul class="mb-0 small">
+                    ${receipt.items.map(item => `
+                        <li>${item.product_name}: ${item.quantity} @ GH₵${parseFloat(item.unit_cost).toFixed(2)}
+                            ${item.lot_number ? `- lot ${item.lot_number}` : ''}${item.expiry_date ? `, exp ${item.expiry_date}` : ''}</li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('')}
+    `;
+
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Export functions that need to be available globally
+window.loadPurchaseOrders = loadPurchaseOrders;
+window.viewPurchaseOrder = viewPurchaseOrder;
+window.editPurchaseOrder = editPurchaseOrder;
+window.setPurchaseOrderStatus = setPurchaseOrderStatus;
+window.openReceiveGoods = openReceiveGoods;
+window.removePoLine = removePoLine;
@@ -1,6 +1,6 @@
 // Reports page functionality
 const { ipcRenderer } = window.electron || {};
-import { reports, products } from '../core/api.js';
+import { reports, products, customers, suppliers, expenses, pricing, tax } from '../core/api.js';
 import { showToast, formatCurrency, formatDate } from '../core/utils.js';
 
 // Global variables
@@ -183,6 +183,11 @@ function updateReportForm() {
             if (categoryGroup) categoryGroup.style.display = 'block';
             break;
             
+        case 'discounts':
+        case 'tax':
+            if (dateRangeGroup) dateRangeGroup.style.display = 'block';
+            break;
+            
         case 'low-stock':
             if (thresholdGroup) thresholdGroup.style.display = 'block';
             if (categoryGroup) categoryGroup.style.display = 'block';
@@ -233,7 +238,7 @@ async function generateReport() {
         const threshold = document.getElementById('lowStockThreshold')?.value || 10;
         
         // Validate dates if they're required
-        if (['sales', 'inventory', 'expiring', 'income-statement', 'cash-flow', 'profit-loss'].includes(reportType)) {
+        if (['sales', 'inventory', 'expiring', 'discounts', 'income-statement', 'cash-flow', 'profit-loss', 'tax'].includes(reportType)) {
             if (!startDate || !endDate) {
                 showToast('Please select a date range', 'warning');
                 return;
@@ -243,8 +248,8 @@ async function generateReport() {
             }
         }
         
-        // Balance sheet only needs end date
-        if (reportType === 'balance-sheet') {
+        // Balance sheet and aging reports only need end date
+        if (['balance-sheet', 'receivables-aging', 'payables-aging'].includes(reportType)) {
             if (!endDate) {
                 showToast('Please select an end date', 'warning');
                 return;
@@ -277,6 +282,13 @@ async function generateReport() {
                     reportData = await reports.getExpiringProducts({ startDate, endDate, category });
                     break;
                     
+                case 'discounts':
+                    reportTitle = 'Discounts & Promotions Report';
+                    reportData = await pricing.getDiscountSummary({ startDate, endDate });
+                    if (!reportData) throw new Error('Could not load discounts');
+                    reportData = { ...reportData, start_date: startDate, end_date: endDate };
+                    break;
+                    
                 case 'income-statement':
                     reportTitle = 'Income Statement (Profit & Loss)';
                     reportData = await generateIncomeStatement(startDate, endDate);
@@ -297,12 +309,30 @@ async function generateReport() {
                     reportData = await generateProfitLossSummary(startDate, endDate);
                     break;
                     
+                case 'tax':
+                    reportTitle = 'Tax Report (VAT & Levies)';
+                    reportData = await tax.getReport({ startDate, endDate });
+                    if (!reportData) throw new Error('Could not load tax report');
+                    break;
+                    
+                case 'receivables-aging':
+                    reportTitle = 'Accounts Receivable Aging';
+                    reportData = await customers.getReceivablesAging(endDate);
+                    if (!reportData) throw new Error('Could not load receivables');
+                    break;
+                    
+                case 'payables-aging':
+                    reportTitle = 'Accounts Payable Aging';
+                    reportData = await suppliers.getPayablesAging(endDate);
+                    if (!reportData) throw new Error('Could not load payables');
+                    break;
+                    
                 default:
                     throw new Error('Unsupported report type');
             }
             
             // For accounting reports, data is an object, not an array
-            const processedData = ['income-statement', 'balance-sheet', 'cash-flow', 'profit-loss'].includes(reportType) 
+            const processedData = ['discounts', 'income-statement', 'balance-sheet', 'cash-flow', 'profit-loss', 'tax', 'receivables-aging', 'payables-aging'].includes(reportType) 
                 ? reportData 
                 : (Array.isArray(reportData) ? reportData : (reportData?.data || []));
             
@@ -383,6 +413,10 @@ async function renderReport(reportType, data) {
                 await renderExpiringProductsReport(data);
                 break;
                 
+            case 'discounts':
+                await renderDiscountsReport(data);
+                break;
+                
             case 'income-statement':
                 await renderIncomeStatement(data);
                 break;
@@ -399,6 +433,18 @@ async function renderReport(reportType, data) {
                 await renderProfitLossSummary(data);
                 break;
                 
+            case 'tax':
+                await renderTaxReport(data);
+                break;
+                
+            case 'receivables-aging':
+                await renderReceivablesAging(data);
+                break;
+                
+            case 'payables-aging':
+                await renderPayablesAging(data);
+                break;
+                
             default:
                 throw new Error('Unsupported report type');
         }
@@ -1135,87 +1181,24 @@ async function generateIncomeStatement(startDate, endDate) {
         const salesData = await reports.getSalesReport({ startDate, endDate });
         const sales = Array.isArray(salesData) ? salesData : (salesData?.data || []);
         
-        // Get all products to calculate COGS
-        const productsData = await products.getAll();
-        const allProducts = Array.isArray(productsData) ? productsData : (productsData?.data || []);
-        
-        // Calculate Revenue (Total Sales)
+        // Calculate Revenue (Total Sales, less goods returned and the tax collected for GRA)
         const totalRevenue = sales.reduce((sum, sale) => {
-            return sum + parseFloat(sale.total_amount || sale.total || 0);
+            const total = parseFloat(sale.total_amount || sale.total || 0);
+            const kept = total - parseFloat(sale.amount_refunded || 0);
+            const taxShare = total > 0 ? parseFloat(sale.tax_total || 0) / total : 0;
+            return sum + kept * (1 - taxShare);
         }, 0);
         
-        // Calculate Cost of Goods Sold (COGS)
-        // COGS = Sum of (quantity sold * unit cost) for all items sold
-        let totalCOGS = 0;
-        
-        // Get sale items for all sales
-        const { ipcCall } = await import('../core/api.js');
-        for (const sale of sales) {
-            try {
-                // Get sale items from database
-                const saleItems = await ipcCall('get-sale-items', { saleId: sale.id });
-                const items = Array.isArray(saleItems) ? saleItems : (saleItems?.data || []);
-                
-                for (const item of items) {
-                    // Use product cost data from sale_items query if available
-                    let unitCost = 0;
-                    
-                    // Try multiple ways to get the cost
-                    // 1. From sale_items if it has cost data
-                    if (item.total_bulk_cost && item.quantity_purchased) {
-                        const quantityPurchased = parseFloat(item.quantity_purchased || 1);
-                        const totalBulkCost = parseFloat(item.total_bulk_cost || 0);
-                        unitCost = quantityPurchased > 0 ? totalBulkCost / quantityPurchased : 0;
-                    } 
-                    // 2. Try cost_price directly from item
-                    else if (item.cost_price || item.costPrice) {
-                        unitCost = parseFloat(item.cost_price || item.costPrice || 0);
-                    }
-                    // 3. Fallback to finding product in allProducts
-                    else {
-                        const product = allProducts.find(p => 
-                            p.id === item.product_id || 
-                            p.id === item.productId ||
-                            (item.product_id && p.id && p.id.toString() === item.product_id.toString())
-                        );
-                        if (product) {
-                            // Try cost_price first
-                            if (product.cost_price || product.costPrice) {
-                                unitCost = parseFloat(product.cost_price || product.costPrice || 0);
-                            }
-                            // Then try calculating from total_bulk_cost
-                            else if (product.total_bulk_cost && product.quantity_purchased) {
-                                const quantityPurchased = parseFloat(product.quantity_purchased || product.quantityPurchased || 1);
-                                const totalBulkCost = parseFloat(product.total_bulk_cost || product.totalBulkCost || 0);
-                                unitCost = quantityPurchased > 0 ? totalBulkCost / quantityPurchased : 0;
-                            }
-                            // Last resort: estimate from selling price (assume 30% margin)
-                            else if (product.selling_price || product.sellingPrice) {
-                                const sellingPrice = parseFloat(product.selling_price || product.sellingPrice || 0);
-                                unitCost = sellingPrice / 1.3; // Estimate cost as 70% of selling price
-                            }
-                        }
-                    }
-                    
-                    const quantitySold = parseFloat(item.quantity || item.quantity_sold || 0);
-                    if (quantitySold > 0 && unitCost > 0) {
-                        totalCOGS += (quantitySold * unitCost);
-                    }
-                }
-            } catch (error) {
-                console.warn(`Could not get sale items for sale ${sale.id}:`, error);
-                // Fallback: estimate COGS as 60% of revenue if we can't get item details
-                const saleAmount = parseFloat(sale.total_amount || sale.total || 0);
-                totalCOGS += (saleAmount * 0.6);
-            }
-        }
+        // Cost of Goods Sold (COGS) = quantity kept * unit cost recorded at the time of sale, summed in main
+        const totalCOGS = await reports.getCostOfGoodsSold({ startDate, endDate });
         
         // Calculate Gross Profit
         const grossProfit = totalRevenue - totalCOGS;
         const grossProfitMargin = totalRevenue > 0 ? (grossProfit / totalRevenue) * 100 : 0;
         
-        // Operating Expenses (placeholder - can be expanded with actual expense tracking)
-        const operatingExpenses = 0; // TODO: Add expense tracking
+        // Operating Expenses - recorded expenses for the period, by category
+        const expenseSummary = await expenses.getSummary({ startDate, endDate });
+        const operatingExpenses = expenseSummary.total;
         
         // Calculate Net Income
         const netIncome = grossProfit - operatingExpenses;
@@ -1237,7 +1220,7 @@ async function generateIncomeStatement(startDate, endDate) {
             },
             operatingExpenses: {
                 total: operatingExpenses,
-                breakdown: {}
+                breakdown: Object.fromEntries(expenseSummary.by_category.map(row => [row.category, row.total]))
             },
             netIncome: {
                 total: netIncome,
@@ -1266,20 +1249,22 @@ async function generateBalanceSheet(asOfDate) {
             inventoryValue += (quantity * unitCost);
         });
         
-        // Get all sales to calculate accounts receivable and cash
-        const salesData = await reports.getSalesReport({ 
-            startDate: '2000-01-01', 
-            endDate: asOfDate || new Date().toISOString().split('T')[0] 
-        });
-        const allSales = Array.isArray(salesData) ? salesData : (salesData?.data || []);
+        const asOf = asOfDate || new Date().toISOString().split('T')[0];
         
-        // Calculate Cash (from sales - assuming all sales are cash for now)
-        const cash = allSales.reduce((sum, sale) => {
-            return sum + parseFloat(sale.total_amount || sale.total || 0);
-        }, 0);
+        // Accounts Receivable - what customers still owe on credit sales
+        const aging = await customers.getReceivablesAging(asOf);
+        const accountsReceivable = aging?.totals?.total || 0;
+        
+        // Accounts Payable - what we still owe suppliers for goods received
+        const payables = await suppliers.getPayablesAging(asOf);
+        const accountsPayable = payables?.totals?.total || 0;
         
-        // Accounts Receivable (placeholder - can be expanded)
-        const accountsReceivable = 0;
+        // Calculate Cash: payments taken on sales, less refunds paid out, expenses and payments to suppliers
+        const paymentsByMethod = await reports.getPaymentsByMethod({ endDate: asOf });
+        const cashReceived = paymentsByMethod.reduce((sum, entry) => sum + entry.received, 0);
+        const refundsPaid = paymentsByMethod.reduce((sum, entry) => sum + entry.refunded, 0);
+        const expenseSummary = await expenses.getSummary({ endDate: asOf });
+        const cash = cashReceived - refundsPaid - expenseSummary.total - (payables?.total_paid || 0);
         
         // Total Current Assets
         const currentAssets = cash + inventoryValue + accountsReceivable;
@@ -1290,8 +1275,8 @@ async function generateBalanceSheet(asOfDate) {
         // Total Assets
         const totalAssets = currentAssets + fixedAssets;
         
-        // Liabilities (placeholder - can be expanded)
-        const currentLiabilities = 0;
+        // Liabilities
+        const currentLiabilities = accountsPayable;
         const longTermLiabilities = 0;
         const totalLiabilities = currentLiabilities + longTermLiabilities;
         
@@ -1299,7 +1284,7 @@ async function generateBalanceSheet(asOfDate) {
         const equity = totalAssets - totalLiabilities;
         
         return {
-            asOfDate: asOfDate || new Date().toISOString().split('T')[0],
+            asOfDate: asOf,
             assets: {
                 current: {
                     cash: cash,
@@ -1311,6 +1296,7 @@ async function generateBalanceSheet(asOfDate) {
                 total: totalAssets
             },
             liabilities: {
+                accountsPayable: accountsPayable,
                 current: currentLiabilities,
                 longTerm: longTermLiabilities,
                 total: totalLiabilities
@@ -1326,20 +1312,21 @@ async function generateBalanceSheet(asOfDate) {
 // Generate Cash Flow Statement
 async function generateCashFlowStatement(startDate, endDate) {
     try {
-        // Get sales data
-        const salesData = await reports.getSalesReport({ startDate, endDate });
-        const sales = Array.isArray(salesData) ? salesData : (salesData?.data || []);
+        // Operating Activities - Receipts from sales and refunds, per payment method
+        const paymentsByMethod = await reports.getPaymentsByMethod({ startDate, endDate });
+        const cashFromSales = paymentsByMethod.reduce((sum, entry) => sum + entry.received, 0);
+        const refundsPaid = paymentsByMethod.reduce((sum, entry) => sum + entry.refunded, 0);
         
-        // Operating Activities - Cash from Sales
-        const cashFromSales = sales.reduce((sum, sale) => {
-            return sum + parseFloat(sale.total_amount || sale.total || 0);
-        }, 0);
+        // Operating Activities - Cash paid to suppliers for inventory
+        const supplierPayments = await suppliers.getPayments({ startDate, endDate });
+        const cashPaidForInventory = supplierPayments.reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0);
         
-        // Operating Activities - Cash paid for inventory (placeholder)
-        const cashPaidForInventory = 0;
+        // Operating Activities - Expenses paid, by category
+        const expenseSummary = await expenses.getSummary({ startDate, endDate });
+        const expensesPaid = expenseSummary.total;
         
         // Net Cash from Operating Activities
-        const netCashOperating = cashFromSales - cashPaidForInventory;
+        const netCashOperating = cashFromSales - refundsPaid - cashPaidForInventory - expensesPaid;
         
         // Investing Activities (placeholder)
         const investingActivities = 0;
@@ -1354,7 +1341,11 @@ async function generateCashFlowStatement(startDate, endDate) {
             period: { startDate, endDate },
             operating: {
                 cashFromSales: cashFromSales,
+                refundsPaid: refundsPaid,
+                byMethod: paymentsByMethod,
                 cashPaidForInventory: cashPaidForInventory,
+                expensesPaid: expensesPaid,
+                expensesByCategory: expenseSummary.by_category,
                 net: netCashOperating
             },
             investing: investingActivities,
@@ -1367,6 +1358,13 @@ async function generateCashFlowStatement(startDate, endDate) {
     }
 }
 
+const PAYMENT_METHOD_NAMES = {
+    cash: 'Cash',
+    card: 'Card',
+    mobile_money: 'Mobile Money',
+    other: 'Other'
+};
+
 // Generate Profit & Loss Summary
 async function generateProfitLossSummary(startDate, endDate) {
     try {
@@ -1381,6 +1379,7 @@ async function generateProfitLossSummary(startDate, endDate) {
                 operatingExpenses: incomeStatement.operatingExpenses.total,
                 netIncome: incomeStatement.netIncome.total
             },
+            expensesByCategory: incomeStatement.operatingExpenses.breakdown,
             margins: {
                 grossProfitMargin: incomeStatement.grossProfit.margin,
                 netProfitMargin: incomeStatement.netIncome.margin
@@ -1457,10 +1456,15 @@ async function renderIncomeStatement(data) {
             <td><strong>OPERATING EXPENSES</strong></td>
             <td class="text-end"></td>
         </tr>
+        ${Object.keys(data.operatingExpenses?.breakdown || {}).length === 0 ? `
         <tr>
             <td style="padding-left: 30px;">Operating Expenses</td>
-            <td class="text-end">${formatCurrency(data.operatingExpenses?.total || 0)}</td>
-        </tr>
+            <td class="text-end">${formatCurrency(0)}</td>
+        </tr>` : Object.entries(data.operatingExpenses.breakdown).map(([category, amount]) => `
+        <tr>
+            <td style="padding-left: 30px;">${category}</td>
+            <td class="text-end">${formatCurrency(amount)}</td>
+        </tr>`).join('')}
         <tr class="table-info">
             <td><strong>Total Operating Expenses</strong></td>
             <td class="text-end"><strong>${formatCurrency(data.operatingExpenses?.total || 0)}</strong></td>
@@ -1545,7 +1549,15 @@ async function renderBalanceSheet(data) {
             <td class="text-end"></td>
         </tr>
         <tr>
-            <td style="padding-left: 30px;">Current Liabilities</td>
+            <td style="padding-left: 30px;"><strong>Current Liabilities</strong></td>
+            <td class="text-end"></td>
+        </tr>
+        <tr>
+            <td style="padding-left: 60px;">Accounts Payable</td>
+            <td class="text-end">${formatCurrency(data.liabilities?.accountsPayable || 0)}</td>
+        </tr>
+        <tr>
+            <td style="padding-left: 30px;">Total Current Liabilities</td>
             <td class="text-end">${formatCurrency(data.liabilities?.current || 0)}</td>
         </tr>
         <tr>
@@ -1604,13 +1616,39 @@ async function renderCashFlowStatement(data) {
             <td class="text-end"></td>
         </tr>
         <tr>
-            <td style="padding-left: 30px;">Cash from Sales</td>
+            <td style="padding-left: 30px;">Receipts from Sales</td>
             <td class="text-end">${formatCurrency(data.operating?.cashFromSales || 0)}</td>
         </tr>
+        ${(data.operating?.byMethod || []).map(entry => `
+        <tr>
+            <td style="padding-left: 60px;"><small>${PAYMENT_METHOD_NAMES[entry.method] || entry.method}</small></td>
+            <td class="text-end"><small>${formatCurrency(entry.received)}</small></td>
+        </tr>
+        `).join('')}
+        <tr>
+            <td style="padding-left: 30px;">Refunds to Customers</td>
+            <td class="text-end">(${formatCurrency(data.operating?.refundsPaid || 0)})</td>
+        </tr>
+        ${(data.operating?.byMethod || []).filter(entry => entry.refunded > 0).map(entry => `
+        <tr>
+            <td style="padding-left: 60px;"><small>${PAYMENT_METHOD_NAMES[entry.method] || entry.method}</small></td>
+            <td class="text-end"><small>(${formatCurrency(entry.refunded)})</small></td>
+        </tr>
+        `).join('')}
         <tr>
             <td style="padding-left: 30px;">Cash Paid for Inventory</td>
             <td class="text-end">(${formatCurrency(data.operating?.cashPaidForInventory || 0)})</td>
         </tr>
+        <tr>
+            <td style="padding-left: 30px;">Operating Expenses Paid</td>
+            <td class="text-end">(${formatCurrency(data.operating?.expensesPaid || 0)})</td>
+        </tr>
+        ${(data.operating?.expensesByCategory || []).map(row => `
+        <tr>
+            <td style="padding-left: 60px;"><small>${row.category}</small></td>
+            <td class="text-end"><small>(${formatCurrency(row.total)})</small></td>
+        </tr>
+        `).join('')}
         <tr class="table-info">
             <td><strong>Net Cash from Operating Activities</strong></td>
             <td class="text-end"><strong>${formatCurrency(data.operating?.net || 0)}</strong></td>
@@ -1699,6 +1737,12 @@ async function renderProfitLossSummary(data) {
             <td class="text-end">${formatCurrency(operatingExpenses)}</td>
             <td class="text-end">${revenue > 0 ? ((operatingExpenses / revenue) * 100).toFixed(2) : '0.00'}%</td>
         </tr>
+        ${Object.entries(data.expensesByCategory || {}).map(([category, amount]) => `
+        <tr>
+            <td style="padding-left: 30px;"><small>${category}</small></td>
+            <td class="text-end"><small>${formatCurrency(amount)}</small></td>
+            <td class="text-end"><small>${revenue > 0 ? ((amount / revenue) * 100).toFixed(2) : '0.00'}%</small></td>
+        </tr>`).join('')}
         <tr class="table-warning">
             <td><strong>Net Income</strong></td>
             <td class="text-end"><strong>${formatCurrency(netIncome)}</strong></td>
@@ -1716,6 +1760,272 @@ async function renderProfitLossSummary(data) {
     `;
 }
 
+// Render Accounts Receivable Aging
+async function renderReceivablesAging(data) {
+    const tableHeader = document.getElementById('reportTableHeader');
+    const tableBody = document.getElementById('reportTableBody');
+    const tableFooter = document.getElementById('reportTableFooter');
+    
+    if (!tableHeader || !tableBody || !tableFooter) return;
+    
+    const shopName = await getShopName();
+    
+    tableHeader.innerHTML = `
+        <tr>
+            <th colspan="8" class="text-center bg-primary text-white py-2">
+                <strong>${shopName}</strong><br>
+                <small>ACCOUNTS RECEIVABLE AGING</small>
+            </th>
+        </tr>
+        <tr>
+            <th>Customer</th>
+            <th class="text-end">Credit Limit</th>
+            ${AGING_COLUMN_HEADERS}
+            <th class="text-end">Total Owed</th>
+        </tr>
+    `;
+    
+    const rows = data.customers || [];
+    tableBody.innerHTML = rows.length === 0
+        ? '<tr><td colspan="8" class="text-center text-muted">No money owed by customers</td></tr>'
+        : rows.map(row => `
+        <tr>
+            <td>${row.customer_name}${row.phone ? `<br><small class="text-muted">${row.phone}</small>` : ''}</td>
+            <td class="text-end">${row.credit_limit > 0 ? formatCurrency(row.credit_limit) : '-'}</td>
+            ${renderAgingCells(row)}
+            <td class="text-end"><strong>${formatCurrency(row.total)}</strong></td>
+        </tr>
+    `).join('');
+    
+    const totals = data.totals || {};
+    tableFooter.innerHTML = `
+        <tr class="table-active">
+            <td><strong>Total</strong></td>
+            <td></td>
+            ${renderAgingCells(totals, true)}
+            <td class="text-end"><strong>${formatCurrency(totals.total || 0)}</strong></td>
+        </tr>
+        <tr class="table-secondary">
+            <td colspan="8"><strong>${shopName}</strong> | Credit sales fall due on the day of sale; aged as of ${formatDate(data.as_of_date)}</td>
+        </tr>
+    `;
+}
+
+// Column headings and cells for the aging buckets, shared by receivables and payables
+const AGING_COLUMN_HEADERS = `
+            <th class="text-end">Not Yet Due</th>
+            <th class="text-end">1-30 Days Overdue</th>
+            <th class="text-end">31-60 Days Overdue</th>
+            <th class="text-end">61-90 Days Overdue</th>
+            <th class="text-end">Over 90 Days</th>`;
+
+function renderAgingCells(row, bold = false) {
+    const cell = (amount, className = '') => `<td class="text-end ${className}">${bold ? `<strong>${formatCurrency(amount || 0)}</strong>` : formatCurrency(amount || 0)}</td>`;
+    return cell(row.current)
+        + cell(row.days_1_30, !bold && row.days_1_30 > 0 ? 'text-warning' : '')
+        + cell(row.days_31_60, !bold && row.days_31_60 > 0 ? 'text-warning' : '')
+        + cell(row.days_61_90, !bold && row.days_61_90 > 0 ? 'text-danger' : '')
+        + cell(row.over_90, !bold && row.over_90 > 0 ? 'text-danger' : '');
+}
+
+// Render Accounts Payable Aging
+async function renderPayablesAging(data) {
+    const tableHeader = document.getElementById('reportTableHeader');
+    const tableBody = document.getElementById('reportTableBody');
+    const tableFooter = document.getElementById('reportTableFooter');
+
+    if (!tableHeader || !tableBody || !tableFooter) return;
+
+    const shopName = await getShopName();
+
+    tableHeader.innerHTML = `
+        <tr>
+            <th colspan="8" class="text-center bg-primary text-white py-2">
+                <strong>${shopName}</strong><br>
+                <small>ACCOUNTS PAYABLE AGING</small>
+            </th>
+        </tr>
+        <tr>
+            <th>Supplier</th>
+            <th>Terms</th>
+            ${AGING_COLUMN_HEADERS}
+            <th class="text-end">Total Owed</th>
+        </tr>
+    `;
+
+    const rows = data.suppliers || [];
+    tableBody.innerHTML = rows.length === 0
+        ? '<tr><td colspan="8" class="text-center text-muted">Nothing owed to suppliers</td></tr>'
+        : rows.map(row => `
+        <tr>
+            <td>${row.supplier_name}${row.phone ? `<br><small class="text-muted">${row.phone}</small>` : ''}</td>
+            <td>${row.payment_terms || '-'}</td>
+            ${renderAgingCells(row)}
+            <td class="text-end"><strong>${formatCurrency(row.total)}</strong></td>
+        </tr>
+    `).join('');
+
+    const totals = data.totals || {};
+    tableFooter.innerHTML = `
+        <tr class="table-active">
+            <td><strong>Total</strong></td>
+            <td></td>
+            ${renderAgingCells(totals, true)}
+            <td class="text-end"><strong>${formatCurrency(totals.total || 0)}</strong></td>
+        </tr>
+        <tr class="table-secondary">
+            <td colspan="8"><strong>${shopName}</strong> | Invoices aged by due date as of ${formatDate(data.as_of_date)}</td>
+        </tr>
+    `;
+}
+
+// Render discounts given: by promotion or till, by product, and supervisor approvals
+async function renderDiscountsReport(data) {
+    const tableHeader = document.getElementById('reportTableHeader');
+    const tableBody = document.getElementById('reportTableBody');
+    const tableFooter = document.getElementById('reportTableFooter');
+
+    if (!tableHeader || !tableBody || !tableFooter) return;
+
+    const shopName = await getShopName();
+    const share = (amount) => data.list_total > 0 ? `${(amount / data.list_total * 100).toFixed(1)}%` : '-';
+
+    tableHeader.innerHTML = `
+        <tr>
+            <th colspan="5" class="text-center bg-primary text-white py-2">
+                <strong>${shopName}</strong><br>
+                <small>DISCOUNTS &amp; PROMOTIONS</small>
+            </th>
+        </tr>
+        <tr>
+            <th>Source / Product</th>
+            <th class="text-end">Lines / Qty</th>
+            <th class="text-end">List Value</th>
+            <th class="text-end">Discount</th>
+            <th class="text-end">Of List Sales</th>
+        </tr>
+    `;
+
+    const sources = data.by_source || [];
+    const productRows = data.by_product || [];
+    const approvals = data.approvals || [];
+    if (sources.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No discounts given in this period</td></tr>';
+    } else {
+        tableBody.innerHTML = `
+            <tr class="table-light"><td colspan="5"><strong>By source</strong></td></tr>
+            ${sources.map(row => `
+            <tr>
+                <td>${row.source}</td>
+                <td class="text-end">${row.line_count}</td>
+                <td></td>
+                <td class="text-end">${formatCurrency(row.discount_total)}</td>
+                <td class="text-end">${share(row.discount_total)}</td>
+            </tr>`).join('')}
+            <tr class="table-light"><td colspan="5"><strong>By product</strong></td></tr>
+            ${productRows.map(row => `
+            <tr>
+                <td>${row.product_name}</td>
+                <td class="text-end">${row.quantity}</td>
+                <td class="text-end">${formatCurrency(row.list_total)}</td>
+                <td class="text-end">${formatCurrency(row.discount_total)}</td>
+                <td class="text-end">${row.list_total > 0 ? `${(row.discount_total / row.list_total * 100).toFixed(1)}%` : '-'}</td>
+            </tr>`).join('')}
+            ${approvals.length ? `
+            <tr class="table-light"><td colspan="5"><strong>Supervisor-approved discounts</strong></td></tr>
+            ${approvals.map(sale => `
+            <tr>
+                <td>${sale.invoice_number} &middot; ${formatDate(sale.sale_date)}${sale.customer_name ? ` &middot; ${sale.customer_name}` : ''}</td>
+                <td class="text-end">${sale.discount_approved_by}</td>
+                <td class="text-end">${formatCurrency((sale.total_amount || 0) + (sale.discount_total || 0))}</td>
+                <td class="text-end">${formatCurrency(sale.discount_total)}</td>
+                <td></td>
+            </tr>`).join('')}` : ''}
+        `;
+    }
+
+    tableFooter.innerHTML = `
+        <tr class="table-active">
+            <td><strong>Total</strong></td>
+            <td></td>
+            <td class="text-end"><strong>${formatCurrency(data.list_total || 0)}</strong></td>
+            <td class="text-end"><strong>${formatCurrency(data.discount_total || 0)}</strong></td>
+            <td class="text-end"><strong>${share(data.discount_total || 0)}</strong></td>
+        </tr>
+        <tr class="table-secondary">
+            <td colspan="5"><strong>${shopName}</strong> | Sales at list price ${formatCurrency(data.list_total || 0)}, taken ${formatCurrency(data.net_total || 0)} after discounts | ${formatDate(data.start_date)} to ${formatDate(data.end_date)}</td>
+        </tr>
+    `;
+}
+
+// Render tax collected per levy, less returns, with the period's taxable and exempt sales
+async function renderTaxReport(data) {
+    const tableHeader = document.getElementById('reportTableHeader');
+    const tableBody = document.getElementById('reportTableBody');
+    const tableFooter = document.getElementById('reportTableFooter');
+
+    if (!tableHeader || !tableBody || !tableFooter) return;
+
+    const shopName = await getShopName();
+
+    tableHeader.innerHTML = `
+        <tr>
+            <th colspan="6" class="text-center bg-primary text-white py-2">
+                <strong>${shopName}</strong>${data.tin ? ` &middot; TIN ${data.tin}` : ''}<br>
+                <small>VAT &amp; LEVIES RETURN SUMMARY</small>
+            </th>
+        </tr>
+        <tr>
+            <th>Levy</th>
+            <th class="text-end">Rate</th>
+            <th class="text-end">Taxable Value</th>
+            <th class="text-end">Charged on Sales</th>
+            <th class="text-end">Less Returns &amp; Voids</th>
+            <th class="text-end">Net Due</th>
+        </tr>
+    `;
+
+    const levies = data.by_levy || [];
+    const days = data.by_day || [];
+    tableBody.innerHTML = levies.length === 0
+        ? '<tr><td colspan="6" class="text-center text-muted">No tax was charged in this period</td></tr>'
+        : `
+        ${levies.map(levy => `
+        <tr>
+            <td>${levy.name}${levy.compound ? ' <small class="text-muted">(on price + levies)</small>' : ''}</td>
+            <td class="text-end">${levy.rate}%</td>
+            <td class="text-end">${formatCurrency(levy.taxable_amount - levy.returned_taxable)}</td>
+            <td class="text-end">${formatCurrency(levy.tax_amount)}</td>
+            <td class="text-end text-danger">${levy.returned_tax > 0 ? `-${formatCurrency(levy.returned_tax)}` : '-'}</td>
+            <td class="text-end"><strong>${formatCurrency(levy.net_tax)}</strong></td>
+        </tr>`).join('')}
+        <tr class="table-light"><td colspan="6"><strong>Sales</strong></td></tr>
+        <tr><td colspan="5">Total sales (as charged)</td><td class="text-end">${formatCurrency(data.total_sales)}</td></tr>
+        <tr><td colspan="5">Taxable sales, before tax</td><td class="text-end">${formatCurrency(data.taxable_sales)}</td></tr>
+        <tr><td colspan="5">Exempt (zero-rated) sales</td><td class="text-end">${formatCurrency(data.exempt_sales)}</td></tr>
+        <tr class="table-light"><td colspan="6"><strong>By day</strong></td></tr>
+        ${days.map(day => `
+        <tr>
+            <td colspan="3">${formatDate(day.sale_date)}</td>
+            <td class="text-end">${day.sale_count} sale${day.sale_count === 1 ? '' : 's'}</td>
+            <td class="text-end">${formatCurrency(day.total_sales)}</td>
+            <td class="text-end">${formatCurrency(day.tax_amount)}</td>
+        </tr>`).join('')}
+    `;
+
+    tableFooter.innerHTML = `
+        <tr class="table-active">
+            <td colspan="3"><strong>Total tax</strong></td>
+            <td class="text-end"><strong>${formatCurrency(data.tax_collected || 0)}</strong></td>
+            <td class="text-end text-danger"><strong>${data.tax_returned > 0 ? `-${formatCurrency(data.tax_returned)}` : '-'}</strong></td>
+            <td class="text-end"><strong>${formatCurrency(data.net_tax || 0)}</strong></td>
+        </tr>
+        <tr class="table-secondary">
+            <td colspan="6"><strong>${shopName}</strong> | Tax on sales from ${formatDate(data.start_date)} to ${formatDate(data.end_date)}; returns and voids by credit note date</td>
+        </tr>
+    `;
+}
+
 // Export functions that need to be available to other modules
 export {
     updateReportForm,
@@ -1,9 +1,17 @@
 // Sales page functionality
-import { products, sales } from '../core/api.js';
+import { products, sales, customers, shifts, pricing, system, printing } from '../core/api.js';
 import { showToast } from '../core/utils.js';
 
 let currentSaleItems = [];
 let currentCustomer = null;
+let displayedSales = new Map();
+let customerSearchTimer = null;
+let currentPrescription = null;
+let currentShift = null;
+let currentHeldSaleId = null;
+let currentCartDiscount = null;
+let currentPricing = null;
+let pricingRequest = 0;
 
 // Prevent duplicate initialization
 let salesPageInitialized = false;
@@ -19,6 +27,8 @@ async function initializeSalesPage() {
         salesPageInitialized = true;
         await populateProductDropdown();
         await loadTodaysSales();
+        await loadCurrentShift();
+        await updateHeldSalesCount();
         resetSaleForm();
         setupEventListeners();
         console.log('Sales page initialized successfully');
@@ -43,6 +53,7 @@ function setupEventListeners() {
     if (productSelect) {
         productSelect.addEventListener('change', (e) => updateSaleForm(e.target.value));
     }
+    document.getElementById('saleUnit')?.addEventListener('change', updateSaleUnitPrice);
     
     // Payment method change - show/hide phone number field
     const paymentMethodSelect = document.getElementById('salePaymentMethod');
@@ -119,6 +130,25 @@ function setupEventListeners() {
     if (completeBtn) {
         completeBtn.addEventListener('click', completeSale);
     }
+    
+    // Prescription dialog
+    document.getElementById('savePrescriptionBtn')?.addEventListener('click', savePrescription);
+    document.getElementById('rxBrowseImageBtn')?.addEventListener('click', browsePrescriptionImage);
+    
+    // Returns and voids
+    document.getElementById('confirmReturnBtn')?.addEventListener('click', processSaleReturn);
+    document.getElementById('voidSaleBtn')?.addEventListener('click', voidSale);
+    
+    // Cashier shifts
+    document.getElementById('openShiftBtn')?.addEventListener('click', openShiftDialog);
+    document.getElementById('confirmOpenShiftBtn')?.addEventListener('click', confirmOpenShift);
+    document.getElementById('closeShiftBtn')?.addEventListener('click', closeShiftDialog);
+    document.getElementById('confirmCloseShiftBtn')?.addEventListener('click', confirmCloseShift);
+    document.getElementById('shiftCountedCash')?.addEventListener('input', updateShiftOverShort);
+    document.getElementById('shiftHistoryBtn')?.addEventListener('click', showShiftHistory);
+    
+    // Held carts
+    document.getElementById('heldSalesBtn')?.addEventListener('click', showHeldSales);
 }
 
 // Populate product dropdown for sales
@@ -151,7 +181,7 @@ async function populateProductDropdown() {
             if (stock > 0) {
                 const option = document.createElement('option');
                 option.value = product.id;
-                option.textContent = `${product.name || 'Unknown'} (${stock} in stock)`;
+                option.textContent = `${product.name || 'Unknown'}${Number(product.requires_prescription) ? ' [Rx]' : ''} (${stock} in stock)`;
                 option.dataset.price = sellingPrice;
                 productSelect.appendChild(option);
             }
@@ -167,12 +197,13 @@ async function populateProductDropdown() {
 }
 
 // Update sale form when product is selected
-function updateSaleForm(productId) {
+async function updateSaleForm(productId) {
     const selectedOption = document.querySelector(`#saleProduct option[value="${productId}"]`);
     if (!selectedOption) return;
     
     const price = parseFloat(selectedOption.dataset.price) || 0;
     document.getElementById('saleUnitPrice').value = price.toFixed(2);
+    await populateSaleUnits(productId, price);
     
     // Auto-focus quantity and select all text
     const quantityInput = document.getElementById('saleQuantity');
@@ -185,6 +216,30 @@ function updateSaleForm(productId) {
     calculateSaleTotal();
 }
 
+// List the units a product can be sold in: its base unit plus any pack units
+async function populateSaleUnits(productId, basePrice) {
+    const unitSelect = document.getElementById('saleUnit');
+    if (!unitSelect) return;
+
+    const product = productId ? await products.getById(productId) : null;
+    const baseUnit = product?.unit_of_measure || 'Unit';
+    unitSelect.innerHTML = `<option value="" data-factor="1" data-price="${basePrice || 0}">${baseUnit}</option>` +
+        (product?.units || []).map(unit => `
+            <option value="${unit.id}" data-factor="${unit.conversion_factor}" data-price="${unit.selling_price}">
+                ${unit.unit_name} (${unit.conversion_factor} ${baseUnit})
+            </option>
+        `).join('');
+}
+
+// Switch the unit price when a different unit is picked
+function updateSaleUnitPrice() {
+    const unitOption = document.getElementById('saleUnit')?.selectedOptions[0];
+    if (!unitOption) return;
+
+    document.getElementById('saleUnitPrice').value = (parseFloat(unitOption.dataset.price) || 0).toFixed(2);
+    calculateSaleTotal();
+}
+
 // Calculate sale total
 function calculateSaleTotal() {
     const quantity = parseInt(document.getElementById('saleQuantity').value) || 0;
@@ -202,6 +257,9 @@ async function handleSaleSubmit(event) {
     const quantity = parseInt(form.saleQuantity.value) || 0;
     const unitPrice = parseFloat(form.saleUnitPrice.value) || 0;
     const total = quantity * unitPrice;
+    const unitOption = document.getElementById('saleUnit')?.selectedOptions[0];
+    const unitId = unitOption?.value || null;
+    const conversionFactor = parseInt(unitOption?.dataset.factor) || 1;
     
     if (!productId || quantity <= 0) {
         showToast('Please select a product and enter a valid quantity', 'warning');
@@ -227,17 +285,21 @@ async function handleSaleSubmit(event) {
             return;
         }
         
+        // Stock is held in base units; a pack takes conversionFactor of them
         const stockQuantity = parseFloat(product.quantity_in_stock || product.quantityInStock || 0);
-        if (stockQuantity < quantity) {
-            showToast(`Not enough stock. Only ${stockQuantity} available`, 'warning');
+        if (stockQuantity < quantity * conversionFactor) {
+            showToast(`Not enough stock. Only ${stockQuantity} ${product.unit_of_measure || 'unit(s)'} available`, 'warning');
             return;
         }
         
         // Add to current sale items
+        const unitName = unitId ? unitOption.textContent.trim() : null;
         const saleItem = {
             productId: product.id,
-            name: product.name || 'Unknown Product',
+            name: `${product.name || 'Unknown Product'}${unitName ? ` - ${unitName}` : ''}`,
             quantity,
+            unitId,
+            conversionFactor,
             unitPrice,
             total,
             product // Store full product details for receipt
@@ -285,14 +347,35 @@ function updateSaleItemsList() {
                                     <th>Product</th>
                                     <th class="text-end">Qty</th>
                                     <th class="text-end">Unit Price</th>
+                                    <th class="text-end">Discount</th>
                                     <th class="text-end">Total</th>
                                     <th class="text-center">Action</th>
                                 </tr>
                             </thead>
                             <tbody id="saleItemsList"></tbody>
                             <tfoot>
+                                <tr>
+                                    <td colspan="4" class="text-end">Subtotal:</td>
+                                    <td class="text-end" id="saleSubtotal">0.00</td>
+                                    <td></td>
+                                </tr>
+                                <tr>
+                                    <td colspan="4" class="text-end">
+                                        <button type="button" class="btn btn-sm btn-link p-0 me-2" id="cartDiscountBtn">
+                                            <i class="bi bi-tag"></i> Cart discount
+                                        </button>
+                                        Discounts:
+                                    </td>
+                                    <td class="text-end text-danger" id="saleDiscountTotal">0.00</td>
+                                    <td></td>
+                                </tr>
+                                <tr id="saleTaxRow" style="display: none;">
+                                    <td colspan="4" class="text-end" id="saleTaxLabel">Tax:</td>
+                                    <td class="text-end" id="saleTaxTotal">0.00</td>
+                                    <td></td>
+                                </tr>
                                 <tr class="table-active">
-                                    <th colspan="3" class="text-end">Grand Total:</th>
+                                    <th colspan="4" class="text-end">Grand Total:</th>
                                     <th class="text-end" id="saleGrandTotal">0.00</th>
                                     <th></th>
                                 </tr>
@@ -312,8 +395,48 @@ function updateSaleItemsList() {
                             <input type="tel" class="form-control" id="saleCustomerPhone" placeholder="e.g., 0244123456 or +233244123456">
                             <small class="form-text text-muted">Required for mobile money payments</small>
                         </div>
-                        <label for="saleCustomerName" class="form-label">Customer Name (Optional)</label>
-                        <input type="text" class="form-control mb-3" id="saleCustomerName" placeholder="Enter customer name">
+                        <div class="row g-2 mb-2">
+                            <div class="col-6">
+                                <label for="saleAmountTendered" class="form-label">Amount Received (GH₵)</label>
+                                <input type="number" class="form-control" id="saleAmountTendered" min="0" step="0.01" placeholder="Balance due">
+                            </div>
+                            <div class="col-6">
+                                <label for="salePaymentReference" class="form-label">Reference</label>
+                                <input type="text" class="form-control" id="salePaymentReference" placeholder="MoMo transaction ID / card approval">
+                            </div>
+                        </div>
+                        <div id="saleSplitPayments"></div>
+                        <button type="button" class="btn btn-sm btn-outline-secondary mb-2" id="addSplitPaymentBtn">
+                            <i class="bi bi-plus-lg"></i> Split Payment
+                        </button>
+                        <div id="salePaymentSummary" class="alert alert-light py-2 mb-3"></div>
+                        <div class="form-check mb-3">
+                            <input class="form-check-input" type="checkbox" id="saleOnCredit">
+                            <label class="form-check-label" for="saleOnCredit">Sell on credit: put the unpaid balance on the customer's account</label>
+                        </div>
+                        <label for="saleCustomerName" class="form-label">Customer / Patient (Optional)</label>
+                        <div class="position-relative mb-3">
+                            <div class="input-group">
+                                <input type="text" class="form-control" id="saleCustomerName" placeholder="Search by name or phone, or type a name" autocomplete="off">
+                                <button class="btn btn-outline-secondary" type="button" id="saleNewCustomerBtn" title="Register new customer">
+                                    <i class="bi bi-person-plus"></i>
+                                </button>
+                            </div>
+                            <div class="list-group position-absolute w-100 shadow-sm" id="saleCustomerResults" style="z-index: 1050; display: none;"></div>
+                            <div id="saleSelectedCustomer" class="small mt-1"></div>
+                        </div>
+                        <div id="salePrescriptionGroup" class="mb-3" style="display: none;">
+                            <div class="alert alert-info py-2 mb-0 d-flex justify-content-between align-items-center">
+                                <div id="salePrescriptionSummary"></div>
+                                <button type="button" class="btn btn-sm btn-outline-primary" id="attachPrescriptionBtn">
+                                    <i class="bi bi-file-earmark-medical"></i> Prescription
+                                </button>
+                            </div>
+                        </div>
+                        <div id="saleHeldLabel" class="small text-muted mb-2"></div>
+                        <button type="button" class="btn btn-outline-secondary w-100 mb-2" id="holdSaleBtn">
+                            <i class="bi bi-pause-circle me-2"></i>Hold Sale
+                        </button>
                         <button type="button" class="btn btn-success w-100" id="completeSaleBtn">
                             <i class="bi bi-cart-check me-2"></i>Checkout & Print Receipt
                         </button>
@@ -321,6 +444,22 @@ function updateSaleItemsList() {
                 </div>
             `;
             saleFormCard.after(itemsCard);
+
+            document.getElementById('addSplitPaymentBtn').addEventListener('click', addSplitPayment);
+            document.getElementById('holdSaleBtn').addEventListener('click', holdCurrentSale);
+            document.getElementById('cartDiscountBtn').addEventListener('click', setCartDiscount);
+            document.getElementById('saleAmountTendered').addEventListener('input', updatePaymentSummary);
+            document.getElementById('saleOnCredit').addEventListener('change', updatePaymentSummary);
+            const splitPayments = document.getElementById('saleSplitPayments');
+            splitPayments.addEventListener('input', updatePaymentSummary);
+            splitPayments.addEventListener('change', updatePaymentSummary);
+            splitPayments.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.remove-split-payment-btn');
+                if (removeBtn) {
+                    removeBtn.closest('.split-payment-row').remove();
+                    updatePaymentSummary();
+                }
+            });
         }
     }
     
@@ -328,18 +467,20 @@ function updateSaleItemsList() {
     if (!itemsListEl) return;
     
     itemsListEl.innerHTML = '';
-    let grandTotal = 0;
     
     currentSaleItems.forEach((item, index) => {
-        grandTotal += item.total;
-        
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${item.name}</td>
+            <td>${item.name} ${requiresPrescription(item) ? '<span class="badge bg-info">Rx</span>' : ''}
+                <div class="small text-success" id="saleItemOffer-${index}"></div></td>
             <td class="text-end">${item.quantity}</td>
             <td class="text-end">GH₵${item.unitPrice.toFixed(2)}</td>
-            <td class="text-end">GH₵${item.total.toFixed(2)}</td>
-            <td class="text-center">
+            <td class="text-end text-danger" id="saleItemDiscount-${index}">-</td>
+            <td class="text-end" id="saleItemNet-${index}">GH₵${item.total.toFixed(2)}</td>
+            <td class="text-center text-nowrap">
+                <button class="btn btn-sm btn-outline-secondary" onclick="setLineDiscount(${index})" title="Line discount">
+                    <i class="bi bi-tag"></i>
+                </button>
                 <button class="btn btn-sm btn-danger remove-sale-item-btn" data-index="${index}">
                     <i class="bi bi-trash"></i>
                 </button>
@@ -348,10 +489,12 @@ function updateSaleItemsList() {
         itemsListEl.appendChild(row);
     });
     
-    // Update grand total
-    const grandTotalEl = document.getElementById('saleGrandTotal');
-    if (grandTotalEl) {
-        grandTotalEl.textContent = `GH₵${grandTotal.toFixed(2)}`;
+    renderCartPricing();
+    refreshCartPricing();
+    
+    const holdBtn = document.getElementById('holdSaleBtn');
+    if (holdBtn) {
+        holdBtn.style.display = currentSaleItems.length > 0 ? 'block' : 'none';
     }
     
     // Show/hide complete sale button based on items
@@ -396,6 +539,10 @@ function updateSaleItemsList() {
         handlePaymentMethodChange();
     }
     
+    setupCustomerSearch();
+    renderPrescriptionSummary();
+    updatePaymentSummary();
+    
     // Add event listeners for remove buttons (remove old listeners first to prevent duplicates)
     document.querySelectorAll('.remove-sale-item-btn').forEach(btn => {
         // Clone and replace to remove old event listeners
@@ -408,6 +555,449 @@ function updateSaleItemsList() {
     });
 }
 
+// Cart total after promotions, discounts and tax; the list total until pricing has come back
+function getCartTotal() {
+    return currentPricing ? currentPricing.total : currentSaleItems.reduce((sum, item) => sum + item.total, 0);
+}
+
+// Ask main for promotions, group prices and discounts on the cart. Returns false if it
+// could not be priced.
+async function refreshCartPricing() {
+    if (currentSaleItems.length === 0) {
+        currentPricing = null;
+        renderCartPricing();
+        return true;
+    }
+    
+    const request = ++pricingRequest;
+    const result = await pricing.priceSale({
+        items: currentSaleItems.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            unitId: item.unitId,
+            unitPrice: item.unitPrice,
+            discount: item.discount || null
+        })),
+        customerId: currentCustomer?.id || null,
+        cartDiscount: currentCartDiscount
+    });
+    if (request !== pricingRequest) return true;
+    if (!result?.success) {
+        currentPricing = null;
+        renderCartPricing();
+        return false;
+    }
+    currentPricing = result.data;
+    renderCartPricing();
+    return true;
+}
+
+// What came off a priced line, e.g. "Buy 2 get 1 + till discount"
+function describeLineDiscount(line) {
+    if (!line || !(line.discount_amount > 0)) return '';
+    return [
+        line.offer_description,
+        line.manual_discount > 0 ? 'line discount' : null,
+        line.cart_discount > 0 ? 'cart discount' : null
+    ].filter(Boolean).join(' + ');
+}
+
+// Show each line's discount and the cart totals from the latest pricing
+function renderCartPricing() {
+    const lines = currentPricing?.lines || [];
+    currentSaleItems.forEach((item, index) => {
+        const line = lines[index];
+        const discountCell = document.getElementById(`saleItemDiscount-${index}`);
+        const netCell = document.getElementById(`saleItemNet-${index}`);
+        const offer = document.getElementById(`saleItemOffer-${index}`);
+        if (discountCell) discountCell.textContent = line?.discount_amount > 0 ? `-GH₵${line.discount_amount.toFixed(2)}` : '-';
+        if (netCell) netCell.textContent = `GH₵${(line ? line.net_amount : item.total).toFixed(2)}`;
+        if (offer) {
+            const exempt = line?.tax_exempt && currentPricing.tax_mode !== 'off' ? 'tax exempt' : '';
+            offer.textContent = [describeLineDiscount(line), exempt].filter(Boolean).join(' · ');
+        }
+    });
+    
+    const subtotal = currentPricing ? currentPricing.gross_total : currentSaleItems.reduce((sum, item) => sum + item.total, 0);
+    const subtotalEl = document.getElementById('saleSubtotal');
+    if (subtotalEl) subtotalEl.textContent = `GH₵${subtotal.toFixed(2)}`;
+    const discountEl = document.getElementById('saleDiscountTotal');
+    if (discountEl) {
+        discountEl.textContent = currentPricing?.discount_total > 0 ? `-GH₵${currentPricing.discount_total.toFixed(2)}` : 'GH₵0.00';
+    }
+    // Inclusive tax is already in the prices, so it is shown but not added
+    const taxRow = document.getElementById('saleTaxRow');
+    if (taxRow) {
+        const showTax = currentPricing && currentPricing.tax_mode !== 'off' && currentPricing.tax_total > 0;
+        taxRow.style.display = showTax ? '' : 'none';
+        if (showTax) {
+            document.getElementById('saleTaxLabel').textContent = currentPricing.tax_mode === 'inclusive' ? 'Includes tax:' : 'Tax:';
+            document.getElementById('saleTaxTotal').textContent = `GH₵${currentPricing.tax_total.toFixed(2)}`;
+            taxRow.title = currentPricing.taxes.map(levy => `${levy.name} ${levy.rate}%: GH₵${levy.amount.toFixed(2)}`).join('\n');
+        }
+    }
+    const grandTotalEl = document.getElementById('saleGrandTotal');
+    if (grandTotalEl) grandTotalEl.textContent = `GH₵${getCartTotal().toFixed(2)}`;
+    const cartDiscountBtn = document.getElementById('cartDiscountBtn');
+    if (cartDiscountBtn) {
+        cartDiscountBtn.innerHTML = `<i class="bi bi-tag"></i> Cart discount${currentCartDiscount ? ` (${formatDiscount(currentCartDiscount)})` : ''}`;
+    }
+    updatePaymentSummary();
+}
+
+function formatDiscount(discount) {
+    return discount.type === 'percent' ? `${discount.value}%` : `GH₵${parseFloat(discount.value).toFixed(2)}`;
+}
+
+// "10%" is a percentage, "5" is GH₵5.00 off; blank or 0 removes the discount
+function parseDiscountInput(text) {
+    const value = (text || '').trim();
+    if (!value) return null;
+    const percent = value.endsWith('%');
+    const amount = parseFloat(value.replace('%', ''));
+    if (isNaN(amount) || amount < 0 || (percent && amount > 100)) {
+        throw new Error('Enter a discount such as 10% or 5.00');
+    }
+    return amount === 0 ? null : { type: percent ? 'percent' : 'fixed', value: amount };
+}
+
+function setLineDiscount(index) {
+    const item = currentSaleItems[index];
+    if (!item) return;
+    
+    const input = prompt(`Discount on ${item.name} (e.g. 10% or 2.00 off the line; blank to remove)`,
+        item.discount ? (item.discount.type === 'percent' ? `${item.discount.value}%` : item.discount.value) : '');
+    if (input === null) return;
+    try {
+        item.discount = parseDiscountInput(input);
+        refreshCartPricing();
+    } catch (error) {
+        showToast(error.message, 'warning');
+    }
+}
+
+function setCartDiscount() {
+    const input = prompt('Discount on the whole cart (e.g. 5% or 10.00; blank to remove)',
+        currentCartDiscount ? (currentCartDiscount.type === 'percent' ? `${currentCartDiscount.value}%` : currentCartDiscount.value) : '');
+    if (input === null) return;
+    try {
+        currentCartDiscount = parseDiscountInput(input);
+        refreshCartPricing();
+    } catch (error) {
+        showToast(error.message, 'warning');
+    }
+}
+
+// Ask a supervisor to approve a large discount; resolves to { supervisorName, pin } or null
+function requestDiscountApproval(message) {
+    return new Promise(resolve => {
+        const modalEl = document.getElementById('discountApprovalModal');
+        document.getElementById('discountApprovalMessage').textContent = message;
+        document.getElementById('discountApprovalName').value = '';
+        document.getElementById('discountApprovalPin').value = '';
+        
+        let approval = null;
+        const approveBtn = document.getElementById('confirmDiscountApprovalBtn');
+        const onApprove = () => {
+            const pin = document.getElementById('discountApprovalPin').value.trim();
+            if (!pin) {
+                showToast('Enter the supervisor PIN', 'warning');
+                return;
+            }
+            approval = { supervisorName: document.getElementById('discountApprovalName').value.trim(), pin };
+            bootstrap.Modal.getInstance(modalEl)?.hide();
+        };
+        approveBtn.addEventListener('click', onApprove);
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            approveBtn.removeEventListener('click', onApprove);
+            resolve(approval);
+        }, { once: true });
+        
+        bootstrap.Modal.getOrCreateInstance(modalEl).show();
+    });
+}
+
+// Prescription-only products need prescription details before checkout
+function requiresPrescription(item) {
+    return !!Number(item.product?.requires_prescription);
+}
+
+// Show whether the cart needs a prescription and what has been attached
+function renderPrescriptionSummary() {
+    const group = document.getElementById('salePrescriptionGroup');
+    const summary = document.getElementById('salePrescriptionSummary');
+    if (!group || !summary) return;
+    
+    const button = document.getElementById('attachPrescriptionBtn');
+    if (button && !button.hasAttribute('data-listener-attached')) {
+        button.setAttribute('data-listener-attached', 'true');
+        button.addEventListener('click', openPrescriptionModal);
+    }
+    
+    const rxItems = currentSaleItems.filter(requiresPrescription);
+    group.style.display = rxItems.length > 0 || currentPrescription ? 'block' : 'none';
+    
+    if (currentPrescription) {
+        summary.innerHTML = `<i class="bi bi-check-circle-fill text-success"></i> Rx ${currentPrescription.rx_number} by ${currentPrescription.prescriber_name}`;
+    } else {
+        summary.innerHTML = `<i class="bi bi-exclamation-circle-fill text-danger"></i> Prescription required for ${rxItems.map(item => item.name).join(', ')}`;
+    }
+}
+
+// Fill the prescription dialog with what has been entered so far
+function openPrescriptionModal() {
+    const rx = currentPrescription || {};
+    document.getElementById('rxNumber').value = rx.rx_number || '';
+    document.getElementById('rxPrescriber').value = rx.prescriber_name || '';
+    document.getElementById('rxFacility').value = rx.facility || '';
+    document.getElementById('rxDate').value = rx.prescription_date || new Date().toISOString().split('T')[0];
+    document.getElementById('rxDosage').value = rx.dosage_instructions || '';
+    document.getElementById('rxImagePath').value = rx.image_path || '';
+    document.getElementById('rxNotes').value = rx.notes || '';
+    
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('prescriptionModal')).show();
+}
+
+async function browsePrescriptionImage() {
+    const result = await system.showOpenDialog({
+        title: 'Select scanned prescription',
+        properties: ['openFile'],
+        filters: [{ name: 'Images / PDF', extensions: ['jpg', 'jpeg', 'png', 'pdf'] }]
+    });
+    if (result && !result.canceled && result.filePaths?.length) {
+        document.getElementById('rxImagePath').value = result.filePaths[0];
+    }
+}
+
+// Attach the prescription in the dialog to the current sale
+function savePrescription() {
+    const prescription = {
+        rx_number: document.getElementById('rxNumber').value.trim(),
+        prescriber_name: document.getElementById('rxPrescriber').value.trim(),
+        facility: document.getElementById('rxFacility').value.trim(),
+        prescription_date: document.getElementById('rxDate').value,
+        dosage_instructions: document.getElementById('rxDosage').value.trim(),
+        image_path: document.getElementById('rxImagePath').value || null,
+        notes: document.getElementById('rxNotes').value.trim()
+    };
+    
+    if (!prescription.rx_number || !prescription.prescriber_name || !prescription.prescription_date) {
+        showToast('Rx number, prescriber and prescription date are required', 'warning');
+        return;
+    }
+    
+    currentPrescription = prescription;
+    bootstrap.Modal.getInstance(document.getElementById('prescriptionModal'))?.hide();
+    renderPrescriptionSummary();
+}
+
+// Search-as-you-type for registered customers on the checkout card
+function setupCustomerSearch() {
+    const input = document.getElementById('saleCustomerName');
+    if (!input || input.hasAttribute('data-listener-attached')) return;
+    input.setAttribute('data-listener-attached', 'true');
+    
+    input.addEventListener('input', () => {
+        // Typing again unlinks the picked customer; the text is kept as a plain name
+        if (currentCustomer) {
+            currentCustomer = null;
+            renderSelectedCustomer();
+        }
+        clearTimeout(customerSearchTimer);
+        const term = input.value.trim();
+        if (term.length < 2) {
+            hideCustomerResults();
+            return;
+        }
+        customerSearchTimer = setTimeout(() => searchSaleCustomers(term), 250);
+    });
+    input.addEventListener('blur', () => setTimeout(hideCustomerResults, 200));
+    
+    document.getElementById('saleNewCustomerBtn')?.addEventListener('click', () => {
+        if (typeof window.openCustomerModal === 'function') {
+            window.openCustomerModal(null, { name: input.value.trim(), onSaved: selectSaleCustomer });
+        }
+    });
+}
+
+async function searchSaleCustomers(term) {
+    const results = document.getElementById('saleCustomerResults');
+    if (!results) return;
+    
+    const matches = await customers.search(term, 8);
+    if (matches.length === 0) {
+        hideCustomerResults();
+        return;
+    }
+    
+    results.innerHTML = matches.map(customer => `
+        <button type="button" class="list-group-item list-group-item-action py-1" data-customer-id="${customer.id}">
+            <strong>${customer.name}</strong>
+            <small class="text-muted ms-2">${customer.phone || ''}</small>
+            ${customer.allergies ? '<i class="bi bi-exclamation-triangle-fill text-danger ms-1" title="Has allergies"></i>' : ''}
+        </button>
+    `).join('');
+    results.querySelectorAll('[data-customer-id]').forEach(button => {
+        button.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            selectSaleCustomer(matches.find(c => c.id === button.dataset.customerId));
+        });
+    });
+    results.style.display = 'block';
+}
+
+function hideCustomerResults() {
+    const results = document.getElementById('saleCustomerResults');
+    if (results) results.style.display = 'none';
+}
+
+// Link the sale being recorded to a registered customer
+function selectSaleCustomer(customer) {
+    if (!customer) return;
+    currentCustomer = customer;
+    
+    const input = document.getElementById('saleCustomerName');
+    if (input) input.value = customer.name;
+    const phoneInput = document.getElementById('saleCustomerPhone');
+    if (phoneInput && !phoneInput.value && customer.phone) phoneInput.value = customer.phone;
+    
+    hideCustomerResults();
+    renderSelectedCustomer();
+    refreshCartPricing();
+}
+
+function clearSaleCustomer() {
+    currentCustomer = null;
+    const input = document.getElementById('saleCustomerName');
+    if (input) input.value = '';
+    renderSelectedCustomer();
+    refreshCartPricing();
+}
+
+function renderSelectedCustomer() {
+    const container = document.getElementById('saleSelectedCustomer');
+    if (!container) return;
+    
+    if (!currentCustomer) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <span class="badge bg-primary"><i class="bi bi-person-check"></i> ${currentCustomer.name}</span>
+        ${currentCustomer.customer_group_name ? `<span class="badge bg-success">${currentCustomer.customer_group_name}</span>` : ''}
+        ${currentCustomer.insurance_number ? `<span class="text-muted ms-1">Insurance: ${currentCustomer.insurance_number}</span>` : ''}
+        <a href="#" class="ms-2" id="clearSaleCustomerLink">Remove</a>
+        ${currentCustomer.allergies ? `
+        <div class="alert alert-danger py-1 px-2 mt-1 mb-0">
+            <i class="bi bi-exclamation-triangle-fill"></i> <strong>Allergies:</strong> ${currentCustomer.allergies}
+        </div>` : ''}
+    `;
+    document.getElementById('clearSaleCustomerLink')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        clearSaleCustomer();
+    });
+}
+
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash',
+    card: 'Card',
+    mobile_money: 'Mobile Money',
+    other: 'Other'
+};
+
+// Add a row for a further payment method (e.g. the MoMo part of a cash + MoMo sale)
+function addSplitPayment() {
+    const container = document.getElementById('saleSplitPayments');
+    if (!container) return;
+
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-2 split-payment-row';
+    row.innerHTML = `
+        <div class="col-4">
+            <select class="form-select form-select-sm split-payment-method">
+                ${Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) =>
+                    `<option value="${value}" ${value === 'mobile_money' ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="col-3">
+            <input type="number" class="form-control form-control-sm split-payment-amount" min="0" step="0.01" placeholder="Amount">
+        </div>
+        <div class="col-4">
+            <input type="text" class="form-control form-control-sm split-payment-reference" placeholder="Reference">
+        </div>
+        <div class="col-1 text-end">
+            <button type="button" class="btn btn-sm btn-outline-danger remove-split-payment-btn" title="Remove payment">
+                <i class="bi bi-x-lg"></i>
+            </button>
+        </div>
+    `;
+    container.appendChild(row);
+    row.querySelector('.split-payment-amount').focus();
+    updatePaymentSummary();
+}
+
+// Payments as tendered: the main method (defaulting to whatever the split rows leave unpaid)
+// followed by each split row
+function getSalePayments(total) {
+    const splitPayments = [...document.querySelectorAll('#saleSplitPayments .split-payment-row')].map(row => ({
+        method: row.querySelector('.split-payment-method').value,
+        amount: parseFloat(row.querySelector('.split-payment-amount').value) || 0,
+        reference: row.querySelector('.split-payment-reference').value.trim() || null
+    })).filter(payment => payment.amount > 0);
+    const splitTotal = splitPayments.reduce((sum, payment) => sum + payment.amount, 0);
+
+    // On a credit sale nothing is assumed paid unless an amount is entered
+    const tendered = document.getElementById('saleAmountTendered')?.value || '';
+    const onCredit = document.getElementById('saleOnCredit')?.checked;
+    const mainPayment = {
+        method: document.getElementById('salePaymentMethod')?.value || 'cash',
+        amount: tendered !== '' ? parseFloat(tendered) || 0 : (onCredit ? 0 : Math.max(total - splitTotal, 0)),
+        reference: document.getElementById('salePaymentReference')?.value.trim() || null
+    };
+
+    return [mainPayment, ...splitPayments].filter(payment => payment.amount > 0);
+}
+
+// Show what has been paid against the sale total and the change due
+function updatePaymentSummary() {
+    const summary = document.getElementById('salePaymentSummary');
+    if (!summary) return;
+
+    const total = getCartTotal();
+    const paid = getSalePayments(total).reduce((sum, payment) => sum + payment.amount, 0);
+    const difference = Math.round((paid - total) * 100) / 100;
+
+    if (difference < 0 && document.getElementById('saleOnCredit')?.checked) {
+        const available = currentCustomer ? Math.max((currentCustomer.credit_limit || 0) - (currentCustomer.balance || 0), 0) : 0;
+        summary.className = `alert ${currentCustomer && available >= -difference ? 'alert-info' : 'alert-danger'} py-2 mb-3`;
+        summary.innerHTML = `Paid GH₵${paid.toFixed(2)} &middot; <strong>On account: GH₵${(-difference).toFixed(2)}</strong>
+            <br><small>${currentCustomer ? `${currentCustomer.name} has GH₵${available.toFixed(2)} of credit available` : 'Select a registered customer to sell on credit'}</small>`;
+    } else if (difference < 0) {
+        summary.className = 'alert alert-danger py-2 mb-3';
+        summary.innerHTML = `Paid GH₵${paid.toFixed(2)} &middot; <strong>Balance remaining: GH₵${(-difference).toFixed(2)}</strong>`;
+    } else if (difference > 0) {
+        summary.className = 'alert alert-success py-2 mb-3';
+        summary.innerHTML = `Paid GH₵${paid.toFixed(2)} &middot; <strong>Change due: GH₵${difference.toFixed(2)}</strong>`;
+    } else {
+        summary.className = 'alert alert-light py-2 mb-3';
+        summary.innerHTML = `Paid in full: GH₵${paid.toFixed(2)}`;
+    }
+}
+
+// Clear the tendered amount, reference and split rows after a sale
+function resetSalePayments() {
+    const tendered = document.getElementById('saleAmountTendered');
+    if (tendered) tendered.value = '';
+    const reference = document.getElementById('salePaymentReference');
+    if (reference) reference.value = '';
+    const splitPayments = document.getElementById('saleSplitPayments');
+    if (splitPayments) splitPayments.innerHTML = '';
+    const onCredit = document.getElementById('saleOnCredit');
+    if (onCredit) onCredit.checked = false;
+    updatePaymentSummary();
+}
+
 // Remove item from current sale
 function removeSaleItem(index) {
     if (index >= 0 && index < currentSaleItems.length) {
@@ -417,6 +1007,25 @@ function removeSaleItem(index) {
     }
 }
 
+// Empty the cart, customer, payments and prescription
+function clearCurrentSale() {
+    currentSaleItems = [];
+    currentHeldSaleId = null;
+    currentCartDiscount = null;
+    currentPricing = null;
+    updateSaleItemsList();
+    resetSaleForm();
+    clearSaleCustomer();
+    resetSalePayments();
+    currentPrescription = null;
+    renderPrescriptionSummary();
+    const heldLabel = document.getElementById('saleHeldLabel');
+    if (heldLabel) {
+        heldLabel.textContent = '';
+        delete heldLabel.dataset.label;
+    }
+}
+
 // Reset sale form
 function resetSaleForm() {
     const form = document.getElementById('saleForm');
@@ -424,6 +1033,7 @@ function resetSaleForm() {
         form.reset();
         document.getElementById('saleQuantity').value = '1';
         document.getElementById('saleTotal').value = '0.00';
+        populateSaleUnits(null);
     }
 }
 
@@ -472,6 +1082,34 @@ async function completeSale() {
     const customerPhone = document.getElementById('saleCustomerPhone')?.value || '';
     const notes = document.getElementById('saleNotes')?.value || '';
     
+    // Prescription-only items cannot be sold until the prescription is attached
+    if (currentSaleItems.some(requiresPrescription) && !currentPrescription) {
+        showToast('Attach the prescription details before completing this sale', 'warning');
+        openPrescriptionModal();
+        return;
+    }
+    
+    // The payments must cover the sale unless the balance goes on a registered customer's account;
+    // any excess is change due
+    if (!await refreshCartPricing()) {
+        showToast('Could not price the sale. Check the discounts and try again.', 'warning');
+        return;
+    }
+    const saleTotal = getCartTotal();
+    const payments = getSalePayments(saleTotal);
+    const amountPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const onCredit = document.getElementById('saleOnCredit')?.checked || false;
+    if (onCredit && !currentCustomer && Math.round(amountPaid * 100) < Math.round(saleTotal * 100)) {
+        showToast('Select a registered customer to sell on credit', 'warning');
+        document.getElementById('saleCustomerName')?.focus();
+        return;
+    }
+    if (!onCredit && Math.round(amountPaid * 100) < Math.round(saleTotal * 100)) {
+        showToast(`Payment is GH₵${(saleTotal - amountPaid).toFixed(2)} short of the total`, 'warning');
+        document.getElementById('saleAmountTendered')?.focus();
+        return;
+    }
+    
     // Validate phone number for mobile money
     if (paymentMethod === 'mobile_money' && !customerPhone.trim()) {
         showToast('Please enter customer phone number for mobile money payment', 'warning');
@@ -491,10 +1129,14 @@ async function completeSale() {
     }
     
     try {
-        const customerInfo = customerName || customerPhone ? { 
+        const customerInfo = currentCustomer ? {
+            id: currentCustomer.id,
+            name: currentCustomer.name,
+            phone: customerPhone.trim() || currentCustomer.phone || null
+        } : (customerName || customerPhone ? { 
             name: customerName || 'Customer',
             phone: customerPhone.trim() || null
-        } : null;
+        } : null);
         
         // Map sale items and validate productIds
         const saleItems = currentSaleItems.map(item => {
@@ -505,7 +1147,9 @@ async function completeSale() {
             return {
                 productId: item.productId,
                 quantity: item.quantity,
-                unitPrice: item.unitPrice
+                unitId: item.unitId,
+                unitPrice: item.unitPrice,
+                discount: item.discount || null
             };
         });
         
@@ -520,35 +1164,75 @@ async function completeSale() {
             }
         }
         
-        const result = await sales.create({
+        const saleRequest = {
             items: saleItems,
             paymentMethod,
+            payments,
+            onCredit,
             customerInfo,
-            notes
-        });
+            notes,
+            prescription: currentPrescription,
+            heldSaleId: currentHeldSaleId,
+            cartDiscount: currentCartDiscount
+        };
+        
+        let result = await sales.create(saleRequest);
+        
+        // Discounts over the threshold are refused until a supervisor enters their PIN
+        if (result && !result.success && result.code === 'DISCOUNT_APPROVAL_REQUIRED') {
+            const discountApproval = await requestDiscountApproval(result.error);
+            if (!discountApproval) {
+                showToast('Sale not recorded: discount not approved', 'warning');
+                return;
+            }
+            saleRequest.discountApproval = discountApproval;
+            result = await sales.create(saleRequest);
+            if (result && !result.success && result.code === 'DISCOUNT_APPROVAL_REQUIRED') {
+                showToast(result.error, 'danger');
+                return;
+            }
+        }
+        
+        // Expired lots are refused unless the cashier explicitly overrides
+        if (result && !result.success && result.code === 'EXPIRED_STOCK') {
+            if (!confirm(`${result.error}\n\nSell from expired lots anyway?`)) {
+                showToast('Sale not recorded: not enough unexpired stock', 'warning');
+                return;
+            }
+            result = await sales.create({ ...saleRequest, allowExpired: true });
+        }
+        
+        if (result && !result.success && (result.code === 'PAYMENT_INVALID' || result.code === 'CREDIT_REFUSED')) {
+            showToast(result.error, 'warning');
+            return;
+        }
+
+        if (result && !result.success && result.code === 'NO_OPEN_SHIFT') {
+            showToast(result.error, 'warning');
+            openShiftDialog();
+            return;
+        }
+        
+        if (result && !result.success && result.code === 'PRESCRIPTION_REQUIRED') {
+            showToast(result.error, 'warning');
+            openPrescriptionModal();
+            return;
+        }
         
         if (result && result.success) {
-            showToast('Sale recorded successfully!', 'success');
-            
-            // Store sale data for receipt before clearing
-            const saleDataForReceipt = {
-                invoiceNumber: result.data?.invoice_number || `INV-${Date.now()}`,
-                saleDate: new Date(),
-                items: [...currentSaleItems],
-                paymentMethod,
-                customerName,
-                customerPhone: customerPhone.trim() || null,
-                notes,
-                total: currentSaleItems.reduce((sum, item) => sum + item.total, 0)
-            };
+            showToast(result.credit_amount > 0
+                ? `Sale recorded. GH₵${result.credit_amount.toFixed(2)} put on ${customerName}'s account`
+                : result.change_due > 0
+                    ? `Sale recorded. Change due: GH₵${result.change_due.toFixed(2)}`
+                    : 'Sale recorded successfully!', 'success');
             
             // Clear current sale
-            currentSaleItems = [];
-            updateSaleItemsList();
-            resetSaleForm();
+            clearCurrentSale();
             
             // Reload today's sales
             await loadTodaysSales();
+            await loadCurrentShift();
+            await updateHeldSalesCount();
             
             // Refresh product dropdown (stock may have changed)
             await populateProductDropdown();
@@ -572,7 +1256,7 @@ async function completeSale() {
             }
             
             // Automatically print receipt after successful sale
-            await printReceiptForSale(saleDataForReceipt);
+            await printReceiptForSale({ saleId: result.saleId });
         } else {
             throw new Error(result?.error || 'Failed to record sale');
         }
@@ -588,13 +1272,14 @@ function renderSalesTable(sales) {
     if (!tbody) return;
     
     tbody.innerHTML = '';
+    displayedSales.clear();
     let totalSales = 0;
     
     // Ensure sales is an array
     const salesArray = Array.isArray(sales) ? sales : (sales?.data || []);
     
     if (salesArray.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No sales found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No sales found</td></tr>';
         const totalEl = document.getElementById('salesTotal');
         if (totalEl) totalEl.textContent = 'GH₵ 0.00';
         return;
@@ -604,7 +1289,9 @@ function renderSalesTable(sales) {
         // Handle different sale data structures
         const saleDate = sale.sale_date || sale.saleDate || sale.date || sale.created_at || new Date().toISOString();
         const totalAmount = parseFloat(sale.total_amount || sale.total || 0);
-        totalSales += totalAmount;
+        const refunded = parseFloat(sale.amount_refunded || 0);
+        totalSales += totalAmount - refunded;
+        displayedSales.set(sale.id, sale);
         
         // Get sale items if available - check for sale_items array
         let itemsCount = 0;
@@ -635,7 +1322,21 @@ function renderSalesTable(sales) {
             <td>${productNames || 'N/A'}</td>
             <td class="text-end">${itemsCount}</td>
             <td class="text-end">GH₵${unitPrice.toFixed(2)}</td>
-            <td class="text-end">GH₵${totalAmount.toFixed(2)}</td>
+            <td class="text-end">
+                GH₵${totalAmount.toFixed(2)}
+                ${refunded > 0 ? `<br><small class="text-danger">-GH₵${refunded.toFixed(2)} refunded</small>` : ''}
+            </td>
+            <td class="text-center">
+                ${getSaleStatusBadge(sale.payment_status)}
+                ${sale.payment_method === 'credit' ? '<span class="badge bg-info">On account</span>' : ''}
+                <button class="btn btn-sm btn-outline-secondary ms-1" onclick="reprintReceipt('${sale.id}')" title="Reprint receipt">
+                    <i class="bi bi-printer"></i>
+                </button>
+                ${sale.payment_status !== 'voided' && sale.payment_status !== 'refunded' ? `
+                <button class="btn btn-sm btn-outline-warning ms-1" onclick="openSaleReturn('${sale.id}')" title="Return / void">
+                    <i class="bi bi-arrow-return-left"></i>
+                </button>` : ''}
+            </td>
         `;
         tbody.appendChild(row);
     });
@@ -647,328 +1348,597 @@ function renderSalesTable(sales) {
     }
 }
 
-// View sale details
-function viewSaleDetails(saleId) {
-    // Navigate to sale details page or show a modal
-    console.log('Viewing sale:', saleId);
-    // You can implement this function based on your requirements
+// Badge for a sale's refund state (completed sales get none)
+function getSaleStatusBadge(status) {
+    const badges = {
+        partially_refunded: '<span class="badge bg-warning text-dark">Partly refunded</span>',
+        refunded: '<span class="badge bg-secondary">Refunded</span>',
+        voided: '<span class="badge bg-danger">Voided</span>'
+    };
+    return badges[status] || '';
 }
 
-// Print receipt for a completed sale
-async function printReceiptForSale(saleData) {
+// Open the return/void dialog for a past sale
+async function openSaleReturn(saleId) {
+    const sale = displayedSales.get(saleId);
+    if (!sale) return;
+    
     try {
-        // Get shop information from settings
-        const { settings } = await import('../core/api.js');
-        const shopName = (await settings.get('shop_name'))?.value || (await settings.get('company_name'))?.value || 'Wolo Pharmacy';
-        const shopPhone = (await settings.get('shop_phone'))?.value || (await settings.get('company_phone'))?.value || '';
-        const shopEmail = (await settings.get('shop_email'))?.value || (await settings.get('company_email'))?.value || '';
-        const shopAddress = (await settings.get('shop_address'))?.value || (await settings.get('company_address'))?.value || '';
-        
-        const printWindow = window.open('', '_blank');
-        
-        // Format date and time
-        const saleDate = saleData.saleDate instanceof Date ? saleData.saleDate : new Date(saleData.saleDate);
-        const dateStr = saleDate.toLocaleDateString('en-GB', { 
-            day: '2-digit', 
-            month: 'short', 
-            year: 'numeric' 
-        });
-        const timeStr = saleDate.toLocaleTimeString('en-GB', { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+        const [items, creditNotes] = await Promise.all([
+            sales.getItems(saleId),
+            sales.getCreditNotes(saleId)
+        ]);
         
-        // Generate receipt HTML with professional formatting
-        let receiptHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Receipt - ${saleData.invoiceNumber}</title>
-            <style>
-                @media print {
-                    @page {
-                        size: 80mm auto;
-                        margin: 0;
-                    }
-                    body {
-                        margin: 0;
-                        padding: 5mm;
-                    }
-                }
-                * {
-                    margin: 0;
-                    padding: 0;
-                    box-sizing: border-box;
-                }
-                body {
-                    font-family: 'Courier New', monospace;
-                    font-size: 11px;
-                    line-height: 1.4;
-                    color: #000;
-                    background: #fff;
-                    padding: 10px;
-                    max-width: 300px;
-                    margin: 0 auto;
-                }
-                .receipt {
-                    width: 100%;
-                }
-                .header {
-                    text-align: center;
-                    margin-bottom: 15px;
-                    padding-bottom: 10px;
-                    border-bottom: 2px dashed #000;
-                }
-                .header h1 {
-                    font-size: 18px;
-                    font-weight: bold;
-                    margin-bottom: 5px;
-                    text-transform: uppercase;
-                    letter-spacing: 1px;
-                }
-                .header p {
-                    font-size: 10px;
-                    margin: 2px 0;
-                }
-                .info-section {
-                    margin: 10px 0;
-                    padding: 8px 0;
-                    border-bottom: 1px dashed #ccc;
-                }
-                .info-row {
-                    display: flex;
-                    justify-content: space-between;
-                    margin: 3px 0;
-                    font-size: 10px;
-                }
-                .info-label {
-                    font-weight: bold;
-                }
-                .items-table {
-                    width: 100%;
-                    border-collapse: collapse;
-                    margin: 10px 0;
-                }
-                .items-table thead {
-                    border-top: 1px dashed #000;
-                    border-bottom: 1px dashed #000;
-                }
-                .items-table th {
-                    text-align: left;
-                    padding: 5px 0;
-                    font-size: 10px;
-                    font-weight: bold;
-                }
-                .items-table th.qty,
-                .items-table th.price,
-                .items-table th.total {
-                    text-align: right;
-                }
-                .items-table td {
-                    padding: 4px 0;
-                    font-size: 10px;
-                    border-bottom: 1px dotted #ccc;
-                }
-                .items-table td.qty,
-                .items-table td.price,
-                .items-table td.total {
-                    text-align: right;
-                }
-                .item-name {
-                    word-wrap: break-word;
-                    max-width: 120px;
-                }
-                .totals {
-                    margin-top: 10px;
-                    padding-top: 10px;
-                    border-top: 2px dashed #000;
-                }
-                .total-row {
-                    display: flex;
-                    justify-content: space-between;
-                    margin: 5px 0;
-                    font-size: 12px;
-                }
-                .grand-total {
-                    font-weight: bold;
-                    font-size: 14px;
-                    margin-top: 8px;
-                    padding-top: 8px;
-                    border-top: 2px solid #000;
-                }
-                .payment-info {
-                    margin: 10px 0;
-                    padding: 8px 0;
-                    border-top: 1px dashed #ccc;
-                    border-bottom: 1px dashed #ccc;
-                    font-size: 10px;
-                }
-                .footer {
-                    text-align: center;
-                    margin-top: 15px;
-                    padding-top: 10px;
-                    border-top: 1px dashed #000;
-                    font-size: 9px;
-                }
-                .footer p {
-                    margin: 3px 0;
-                }
-                .divider {
-                    border-top: 1px dashed #000;
-                    margin: 8px 0;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="receipt">
-                <div class="header">
-                    <h1>${shopName}</h1>
-                    ${shopAddress ? `<p>${shopAddress}</p>` : ''}
-                    ${shopPhone ? `<p>Tel: ${shopPhone}</p>` : ''}
-                    ${shopEmail ? `<p>${shopEmail}</p>` : ''}
-                </div>
-                
-                <div class="info-section">
-                    <div class="info-row">
-                        <span class="info-label">Invoice:</span>
-                        <span>${saleData.invoiceNumber}</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Date:</span>
-                        <span>${dateStr}</span>
-                    </div>
-                    <div class="info-row">
-                        <span class="info-label">Time:</span>
-                        <span>${timeStr}</span>
-                    </div>
-                    ${saleData.customerName ? `
-                    <div class="info-row">
-                        <span class="info-label">Customer:</span>
-                        <span>${saleData.customerName}</span>
-                    </div>
-                    ` : ''}
-                </div>
-                
-                <table class="items-table">
-                    <thead>
-                        <tr>
-                            <th>Item</th>
-                            <th class="qty">Qty</th>
-                            <th class="price">Price</th>
-                            <th class="total">Total</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-        `;
+        document.getElementById('returnSaleId').value = saleId;
+        document.getElementById('returnInvoiceNumber').textContent = sale.invoice_number || saleId;
+        document.getElementById('returnSaleStatus').innerHTML = getSaleStatusBadge(sale.payment_status);
+        document.getElementById('returnReason').value = '';
+        // Split-payment and credit sales are refunded in cash unless the cashier picks another method;
+        // on a credit sale the return first comes off what the customer still owes
+        document.getElementById('returnRefundMethod').value = PAYMENT_METHOD_LABELS[sale.payment_method] ? sale.payment_method : 'cash';
         
-        // Add items
-        saleData.items.forEach(item => {
-            receiptHtml += `
-                        <tr>
-                            <td class="item-name">${item.name}</td>
-                            <td class="qty">${item.quantity}</td>
-                            <td class="price">GH₵${item.unitPrice.toFixed(2)}</td>
-                            <td class="total">GH₵${item.total.toFixed(2)}</td>
-                        </tr>
+        const tbody = document.getElementById('returnItemsBody');
+        tbody.innerHTML = (items || []).map(item => {
+            const returned = parseInt(item.quantity_returned || 0);
+            const outstanding = item.quantity - returned;
+            return `
+                <tr data-sale-item-id="${item.id}">
+                    <td>${item.product_name}<br><small class="text-muted">GH₵${item.unit_price.toFixed(2)} each</small></td>
+                    <td class="text-end">${item.quantity}</td>
+                    <td class="text-end">${returned}</td>
+                    <td>
+                        <input type="number" class="form-control form-control-sm return-qty" min="0" max="${outstanding}" value="0" ${outstanding <= 0 ? 'disabled' : ''}>
+                    </td>
+                    <td>
+                        <select class="form-select form-select-sm return-disposition" ${outstanding <= 0 ? 'disabled' : ''}>
+                            <option value="stock">Back to stock</option>
+                            <option value="quarantine">Quarantine</option>
+                        </select>
+                    </td>
+                </tr>
             `;
-        });
+        }).join('');
         
-        // Calculate totals
-        const subtotal = saleData.total;
-        const grandTotal = subtotal;
-        
-        // Add totals and footer
-        receiptHtml += `
-                    </tbody>
-                </table>
-                
-                <div class="totals">
-                    <div class="total-row">
-                        <span>Subtotal:</span>
-                        <span>GH₵${subtotal.toFixed(2)}</span>
-                    </div>
-                    <div class="total-row grand-total">
-                        <span>TOTAL:</span>
-                        <span>GH₵${grandTotal.toFixed(2)}</span>
-                    </div>
-                </div>
-                
-                <div class="payment-info">
-                    <div class="info-row">
-                        <span class="info-label">Payment Method:</span>
-                        <span>${saleData.paymentMethod.toUpperCase()}</span>
-                    </div>
-                    ${saleData.paymentMethod === 'mobile_money' && saleData.customerPhone ? `
-                    <div class="info-row">
-                        <span class="info-label">Phone Number:</span>
-                        <span>${saleData.customerPhone}</span>
-                    </div>
-                    ` : ''}
-                </div>
-                
-                ${saleData.notes ? `
-                <div class="info-section">
-                    <div class="info-row">
-                        <span class="info-label">Notes:</span>
-                        <span>${saleData.notes}</span>
-                    </div>
-                </div>
-                ` : ''}
-                
-                <div class="footer">
-                    <p>━━━━━━━━━━━━━━━━━━━━</p>
-                    <p>Thank you for your purchase!</p>
-                    <p>Please come again</p>
-                    <p>━━━━━━━━━━━━━━━━━━━━</p>
-                </div>
-            </div>
-        </body>
-        </html>
+        const notes = creditNotes?.success ? creditNotes.data : [];
+        document.getElementById('returnCreditNotes').innerHTML = notes.length === 0 ? '' : `
+            <h6>Credit Notes</h6>
+            <ul class="list-unstyled small mb-0">
+                ${notes.map(note => `
+                    <li>${note.credit_note_number} &middot; ${note.type === 'void' ? 'Void' : 'Return'} &middot;
+                        GH₵${parseFloat(note.total_amount || 0).toFixed(2)} &middot; ${new Date(note.created_at).toLocaleString()}
+                        ${note.reason ? `&middot; ${note.reason}` : ''}</li>
+                `).join('')}
+            </ul>
         `;
         
-        // Write the receipt to the new window and print
-        printWindow.document.write(receiptHtml);
-        printWindow.document.close();
-        printWindow.focus();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('saleReturnModal')).show();
+    } catch (error) {
+        console.error('Error loading sale for return:', error);
+        showToast('Failed to load sale items', 'danger');
+    }
+}
+
+// Return the quantities entered in the return dialog
+async function processSaleReturn() {
+    const saleId = document.getElementById('returnSaleId')?.value;
+    if (!saleId) return;
+    
+    const items = [];
+    document.querySelectorAll('#returnItemsBody tr[data-sale-item-id]').forEach(row => {
+        const quantity = parseInt(row.querySelector('.return-qty')?.value) || 0;
+        if (quantity > 0) {
+            items.push({
+                saleItemId: row.dataset.saleItemId,
+                quantity,
+                disposition: row.querySelector('.return-disposition')?.value || 'stock'
+            });
+        }
+    });
+    
+    if (items.length === 0) {
+        showToast('Enter a quantity to return for at least one item', 'warning');
+        return;
+    }
+    
+    try {
+        const result = await sales.returnItems(saleId, items, {
+            reason: document.getElementById('returnReason')?.value.trim(),
+            refundMethod: document.getElementById('returnRefundMethod')?.value
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to process return');
+        }
         
-        // Wait for content to load before printing
-        setTimeout(() => {
-            printWindow.print();
-            // Optionally close the window after printing (uncomment if desired)
-            // setTimeout(() => printWindow.close(), 500);
-        }, 500);
+        showToast(result.data.applied_to_balance > 0
+            ? `Credit note ${result.data.credit_note_number} issued: GH₵${result.data.applied_to_balance.toFixed(2)} off the account, refund GH₵${result.data.refund_amount.toFixed(2)}`
+            : `Credit note ${result.data.credit_note_number} issued: refund GH₵${result.data.total_amount.toFixed(2)}`, 'success');
+        await afterSaleReversal();
+    } catch (error) {
+        console.error('Error processing return:', error);
+        showToast(error.message || 'Failed to process return', 'danger');
+    }
+}
+
+// Void the whole sale: everything not yet returned goes back to stock
+async function voidSale() {
+    const saleId = document.getElementById('returnSaleId')?.value;
+    if (!saleId) return;
+    
+    const reason = document.getElementById('returnReason')?.value.trim();
+    if (!reason) {
+        showToast('Enter a reason before voiding the sale', 'warning');
+        document.getElementById('returnReason')?.focus();
+        return;
+    }
+    if (!confirm('Void this sale? All items not already returned will go back into stock and be refunded.')) return;
+    
+    try {
+        const result = await sales.void(saleId, {
+            reason,
+            refundMethod: document.getElementById('returnRefundMethod')?.value
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to void sale');
+        }
         
+        showToast(`Sale voided. Credit note ${result.data.credit_note_number} issued`, 'success');
+        await afterSaleReversal();
+    } catch (error) {
+        console.error('Error voiding sale:', error);
+        showToast(error.message || 'Failed to void sale', 'danger');
+    }
+}
+
+// Close the return dialog and refresh everything that shows stock or sales
+async function afterSaleReversal() {
+    bootstrap.Modal.getInstance(document.getElementById('saleReturnModal'))?.hide();
+    
+    const startDate = document.getElementById('startDate')?.value;
+    if (startDate) {
+        await loadSalesByDateRange();
+    } else {
+        await loadTodaysSales();
+    }
+    await loadCurrentShift();
+    await populateProductDropdown();
+    
+    if (typeof window.loadProducts === 'function') {
+        await window.loadProducts();
+    }
+    if (typeof window.refreshDashboard === 'function') {
+        await window.refreshDashboard(true);
+    }
+}
+
+// View sale details
+function viewSaleDetails(saleId) {
+    // Navigate to sale details page or show a modal
+    console.log('Viewing sale:', saleId);
+    // You can implement this function based on your requirements
+}
+
+async function updateHeldSalesCount() {
+    const result = await sales.getHeld();
+    const badge = document.getElementById('heldSalesCount');
+    if (badge) badge.textContent = result?.success ? result.data.length : 0;
+}
+
+// Park the current cart under a label so another customer can be served
+async function holdCurrentSale({ silent = false } = {}) {
+    if (currentSaleItems.length === 0) {
+        showToast('There are no items to hold', 'warning');
+        return false;
+    }
+    
+    const customerName = document.getElementById('saleCustomerName')?.value.trim() || '';
+    let label = document.getElementById('saleHeldLabel')?.dataset.label || customerName;
+    if (!silent) {
+        label = prompt('Label for this held sale (e.g. customer name)', label);
+        if (label === null) return false;
+    }
+    
+    const customerPhone = document.getElementById('saleCustomerPhone')?.value.trim() || '';
+    const result = await sales.hold({
+        id: currentHeldSaleId,
+        label,
+        items: currentSaleItems.map(item => ({
+            productId: item.productId,
+            name: item.name,
+            quantity: item.quantity,
+            unitId: item.unitId,
+            conversionFactor: item.conversionFactor,
+            unitPrice: item.unitPrice,
+            discount: item.discount || null
+        })),
+        cartDiscount: currentCartDiscount,
+        customerInfo: currentCustomer
+            ? { id: currentCustomer.id, name: currentCustomer.name, phone: customerPhone || currentCustomer.phone || null }
+            : (customerName || customerPhone ? { name: customerName, phone: customerPhone || null } : null),
+        notes: document.getElementById('saleNotes')?.value || '',
+        prescription: currentPrescription
+    });
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to hold sale', 'danger');
+        return false;
+    }
+    
+    clearCurrentSale();
+    await updateHeldSalesCount();
+    showToast(`Sale held as "${result.label}"`, 'success');
+    return true;
+}
+
+async function showHeldSales() {
+    const result = await sales.getHeld();
+    const heldSales = result?.success ? result.data : [];
+    const tbody = document.getElementById('heldSalesBody');
+    tbody.innerHTML = heldSales.length === 0
+        ? '<tr><td colspan="6" class="text-center text-muted">No held sales</td></tr>'
+        : heldSales.map(held => `
+            <tr>
+                <td>${held.label}${held.id === currentHeldSaleId ? ' <span class="badge bg-info">In cart</span>' : ''}</td>
+                <td>${held.customer_name || '-'}</td>
+                <td class="text-end">${held.item_count}</td>
+                <td class="text-end">GH₵${parseFloat(held.total_amount).toFixed(2)}</td>
+                <td>${new Date(held.updated_at).toLocaleString('en-GB')}${held.user_name ? `<br><small class="text-muted">${held.user_name}</small>` : ''}</td>
+                <td class="text-end">
+                    <div class="btn-group btn-group-sm">
+                        <button class="btn btn-outline-success" onclick="resumeHeldSale('${held.id}')" title="Resume" ${held.id === currentHeldSaleId ? 'disabled' : ''}>
+                            <i class="bi bi-play-circle"></i> Resume
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="deleteHeldSale('${held.id}')" title="Discard">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('heldSalesModal')).show();
+}
+
+// Load a held cart back into the till. It stays held until it is completed, so it
+// survives the app closing mid-sale.
+async function resumeHeldSale(heldSaleId) {
+    if (currentSaleItems.length > 0) {
+        if (!confirm('Hold the current cart and resume the selected one?')) return;
+        if (!await holdCurrentSale({ silent: true })) return;
+    }
+    
+    const result = await sales.getHeldById(heldSaleId);
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to load held sale', 'danger');
+        return;
+    }
+    const held = result.data;
+    
+    const resumedItems = [];
+    const missing = [];
+    let repriced = 0;
+    for (const item of held.items) {
+        const productResponse = await products.getById(item.product_id);
+        const product = productResponse?.data || productResponse;
+        const unit = item.unit_id ? (product?.units || []).find(productUnit => productUnit.id === item.unit_id) : null;
+        if (!product || !product.id || (item.unit_id && !unit)) {
+            missing.push(item.product_name);
+            continue;
+        }
+        // Charge today's price, not the one the cart was held at
+        const unitPrice = parseFloat(unit ? unit.selling_price : product.selling_price) || 0;
+        if (unitPrice !== parseFloat(item.unit_price)) repriced++;
+        resumedItems.push({
+            productId: item.product_id,
+            name: item.product_name,
+            quantity: item.quantity,
+            unitId: item.unit_id,
+            conversionFactor: item.conversion_factor,
+            unitPrice,
+            total: unitPrice * item.quantity,
+            discount: item.discount_type ? { type: item.discount_type, value: item.discount_value } : null,
+            product
+        });
+    }
+    
+    clearCurrentSale();
+    currentSaleItems = resumedItems;
+    currentHeldSaleId = held.id;
+    currentPrescription = held.prescription;
+    currentCartDiscount = held.cart_discount_type ? { type: held.cart_discount_type, value: held.cart_discount_value } : null;
+    updateSaleItemsList();
+    
+    if (held.customer_id) {
+        const customer = await customers.getById(held.customer_id);
+        if (customer) selectSaleCustomer(customer);
+    }
+    if (!currentCustomer && held.customer_name) {
+        document.getElementById('saleCustomerName').value = held.customer_name;
+    }
+    if (held.customer_phone) {
+        document.getElementById('saleCustomerPhone').value = held.customer_phone;
+    }
+    const notesInput = document.getElementById('saleNotes');
+    if (notesInput) notesInput.value = held.notes || '';
+    const heldLabel = document.getElementById('saleHeldLabel');
+    if (heldLabel) {
+        heldLabel.dataset.label = held.label;
+        heldLabel.innerHTML = `<i class="bi bi-pause-circle"></i> Resumed held sale: ${held.label}`;
+    }
+    
+    bootstrap.Modal.getInstance(document.getElementById('heldSalesModal'))?.hide();
+    const notes = [
+        missing.length > 0 ? `No longer available: ${missing.join(', ')}` : null,
+        repriced > 0 ? `${repriced} price${repriced === 1 ? ' has' : 's have'} changed since it was held` : null
+    ].filter(Boolean);
+    showToast(notes.length > 0
+        ? `Resumed "${held.label}". ${notes.join('. ')}`
+        : `Resumed "${held.label}"`, notes.length > 0 ? 'warning' : 'success');
+}
+
+async function deleteHeldSale(heldSaleId) {
+    if (!confirm('Discard this held sale?')) return;
+    
+    const result = await sales.deleteHeld(heldSaleId);
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to discard held sale', 'danger');
+        return;
+    }
+    if (heldSaleId === currentHeldSaleId) {
+        currentHeldSaleId = null;
+        const heldLabel = document.getElementById('saleHeldLabel');
+        if (heldLabel) {
+            heldLabel.textContent = '';
+            delete heldLabel.dataset.label;
+        }
+    }
+    await updateHeldSalesCount();
+    bootstrap.Modal.getInstance(document.getElementById('heldSalesModal'))?.hide();
+    showToast('Held sale discarded', 'info');
+}
+
+function formatShiftNumber(shift) {
+    return `Z-${String(shift.shift_number).padStart(4, '0')}`;
+}
+
+// Show whether a shift is open and which buttons apply
+async function loadCurrentShift() {
+    const report = await shifts.getCurrent();
+    currentShift = report?.shift || null;
+    
+    const status = document.getElementById('shiftStatus');
+    if (status) {
+        status.innerHTML = currentShift
+            ? `<span class="badge bg-success me-2">Shift ${formatShiftNumber(currentShift)} open</span>
+               <small class="text-muted">${currentShift.cashier_name || 'Cashier'} since ${new Date(currentShift.opened_at).toLocaleString('en-GB')}
+               &middot; ${report.sale_count} sale(s), GH₵${report.sales_total.toFixed(2)}</small>`
+            : '<span class="badge bg-secondary me-2">No shift open</span><small class="text-muted">Sales will not be tied to a cashier shift</small>';
+    }
+    const openBtn = document.getElementById('openShiftBtn');
+    const closeBtn = document.getElementById('closeShiftBtn');
+    if (openBtn) openBtn.style.display = currentShift ? 'none' : '';
+    if (closeBtn) closeBtn.style.display = currentShift ? '' : 'none';
+}
+
+async function openShiftDialog() {
+    const { settings } = await import('../core/api.js');
+    document.getElementById('shiftCashierName').value = (await settings.get('user_name'))?.value || '';
+    document.getElementById('shiftOpeningFloat').value = '0';
+    document.getElementById('shiftOpenNotes').value = '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('openShiftModal')).show();
+}
+
+async function confirmOpenShift() {
+    const openingFloat = parseFloat(document.getElementById('shiftOpeningFloat').value);
+    if (isNaN(openingFloat) || openingFloat < 0) {
+        showToast('Enter the opening float in the drawer', 'warning');
+        return;
+    }
+    
+    const result = await shifts.open({
+        openingFloat,
+        cashierName: document.getElementById('shiftCashierName').value.trim(),
+        notes: document.getElementById('shiftOpenNotes').value.trim()
+    });
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to open shift', 'danger');
+        return;
+    }
+    
+    bootstrap.Modal.getInstance(document.getElementById('openShiftModal'))?.hide();
+    showToast(`Shift ${formatShiftNumber(result.data.shift)} opened`, 'success');
+    await loadCurrentShift();
+}
+
+// Show the shift's takings and the cash expected in the drawer before counting it
+async function closeShiftDialog() {
+    const report = await shifts.getCurrent();
+    if (!report) {
+        showToast('No shift is open', 'warning');
+        await loadCurrentShift();
+        return;
+    }
+    currentShift = report.shift;
+    
+    document.getElementById('closeShiftSummary').innerHTML = `
+        <table class="table table-sm mb-0">
+            <tr><td>Shift</td><td class="text-end">${formatShiftNumber(report.shift)} (${report.shift.cashier_name || 'Cashier'})</td></tr>
+            <tr><td>Sales</td><td class="text-end">${report.sale_count} &middot; GH₵${report.sales_total.toFixed(2)}</td></tr>
+            <tr><td>Opening float</td><td class="text-end">GH₵${report.opening_float.toFixed(2)}</td></tr>
+            <tr><td>Cash received</td><td class="text-end">GH₵${report.cash_received.toFixed(2)}</td></tr>
+            <tr><td>Cash refunded</td><td class="text-end">GH₵${report.cash_refunded.toFixed(2)}</td></tr>
+            <tr class="fw-bold"><td>Expected in drawer</td><td class="text-end" id="shiftExpectedCash" data-amount="${report.expected_cash}">GH₵${report.expected_cash.toFixed(2)}</td></tr>
+        </table>
+    `;
+    document.getElementById('shiftCountedCash').value = '';
+    document.getElementById('shiftCloseNotes').value = '';
+    document.getElementById('shiftOverShort').innerHTML = '';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('closeShiftModal')).show();
+}
+
+function updateShiftOverShort() {
+    const expected = parseFloat(document.getElementById('shiftExpectedCash')?.dataset.amount || 0);
+    const value = document.getElementById('shiftCountedCash').value;
+    const label = document.getElementById('shiftOverShort');
+    if (value === '') {
+        label.innerHTML = '';
+        return;
+    }
+    const difference = Math.round((parseFloat(value) - expected) * 100) / 100;
+    label.innerHTML = difference === 0
+        ? '<span class="text-success">Drawer balances</span>'
+        : `<span class="${difference > 0 ? 'text-primary' : 'text-danger'}">Drawer ${difference > 0 ? 'over' : 'short'} by GH₵${Math.abs(difference).toFixed(2)}</span>`;
+}
+
+async function confirmCloseShift() {
+    const value = document.getElementById('shiftCountedCash').value;
+    if (value === '' || parseFloat(value) < 0) {
+        showToast('Enter the cash counted in the drawer', 'warning');
+        document.getElementById('shiftCountedCash').focus();
+        return;
+    }
+    if (!currentShift || !confirm(`Close shift ${formatShiftNumber(currentShift)}? Sales made after this will not belong to it.`)) return;
+    
+    const result = await shifts.close(currentShift.id, parseFloat(value), document.getElementById('shiftCloseNotes').value.trim());
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to close shift', 'danger');
+        return;
+    }
+    
+    bootstrap.Modal.getInstance(document.getElementById('closeShiftModal'))?.hide();
+    showToast(`Shift ${formatShiftNumber(result.data.shift)} closed`, 'success');
+    await loadCurrentShift();
+    await printZReport(result.data);
+}
+
+async function showShiftHistory() {
+    const shiftList = await shifts.getAll();
+    const tbody = document.getElementById('shiftHistoryBody');
+    tbody.innerHTML = shiftList.length === 0
+        ? '<tr><td colspan="8" class="text-center text-muted">No shifts yet</td></tr>'
+        : shiftList.map(shift => `
+            <tr>
+                <td>${formatShiftNumber(shift)}</td>
+                <td>${shift.cashier_name || '-'}</td>
+                <td>${new Date(shift.opened_at).toLocaleString('en-GB')}</td>
+                <td>${shift.closed_at ? new Date(shift.closed_at).toLocaleString('en-GB') : '<span class="badge bg-success">Open</span>'}</td>
+                <td class="text-end">${shift.expected_cash !== null ? `GH₵${shift.expected_cash.toFixed(2)}` : '-'}</td>
+                <td class="text-end">${shift.counted_cash !== null ? `GH₵${shift.counted_cash.toFixed(2)}` : '-'}</td>
+                <td class="text-end ${shift.over_short < 0 ? 'text-danger' : ''}">${shift.over_short !== null ? `GH₵${shift.over_short.toFixed(2)}` : '-'}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-secondary" onclick="reprintZReport('${shift.id}')" title="Print report">
+                        <i class="bi bi-printer"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('shiftHistoryModal')).show();
+}
+
+async function reprintZReport(shiftId) {
+    const result = await shifts.getReport(shiftId);
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to load shift report', 'danger');
+        return;
+    }
+    await printZReport(result.data);
+}
+
+// Print a shift's Z-report on the receipt printer, laid out in main like a receipt: straight
+// to the receipt printer when one is set up, otherwise through the print dialog. An open
+// shift prints as an X-report (running totals, no count).
+async function printZReport(report) {
+    try {
+        const shiftId = report.shift.id;
+        const printed = await printing.printShiftReport(shiftId);
+        if (printed?.success) {
+            if (printed.data?.filePath) showToast(`Shift report saved to ${printed.data.filePath}`, 'info');
+            return;
+        }
+        if (printed?.code !== 'NO_PRINTER') {
+            showToast(`Receipt printer: ${printed?.error || 'printing failed'}. Opening the print dialog.`, 'warning');
+        }
+
+        const rendered = await printing.renderReceipt({ shiftId });
+        if (!rendered?.success) {
+            throw new Error(rendered?.error || 'Failed to lay out the shift report');
+        }
+        openPrintWindow(rendered.data.html);
+    } catch (error) {
+        console.error('Error printing shift report:', error);
+        showToast('Error generating shift report: ' + error.message, 'warning');
+    }
+}
+
+// Open a complete HTML document in a new window and print it
+function openPrintWindow(html) {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    
+    // Wait for content to load before printing
+    setTimeout(() => {
+        printWindow.print();
+        // Optionally close the window after printing (uncomment if desired)
+        // setTimeout(() => printWindow.close(), 500);
+    }, 500);
+}
+
+// Print a sale's receipt, laid out in main from what was recorded and the receipt template:
+// straight to the receipt printer when one is set up, otherwise through the print dialog.
+// copy marks a reprint.
+async function printReceiptForSale({ saleId, copy = false }) {
+    try {
+        const printed = await printing.printReceipt(saleId, { copy });
+        if (printed?.success) {
+            if (printed.data?.filePath) showToast(`Receipt saved to ${printed.data.filePath}`, 'info');
+            return;
+        }
+        if (printed?.code !== 'NO_PRINTER') {
+            showToast(`Receipt printer: ${printed?.error || 'printing failed'}. Opening the print dialog.`, 'warning');
+        }
+
+        const rendered = await printing.renderReceipt({ saleId, copy });
+        if (!rendered?.success) {
+            throw new Error(rendered?.error || 'Failed to lay out the receipt');
+        }
+        openPrintWindow(rendered.data.html);
     } catch (error) {
         console.error('Error printing receipt:', error);
         showToast('Error generating receipt: ' + error.message, 'warning');
     }
 }
 
-// Print receipt (legacy function for manual printing)
-function printReceipt() {
+// Reprint a receipt from sales history, marked as a copy
+async function reprintReceipt(saleId) {
+    await printReceiptForSale({ saleId, copy: true });
+}
+
+// Print the cart before it is rung up, as a quotation
+async function printReceipt() {
     if (currentSaleItems.length === 0) {
         showToast('No items in the current sale', 'warning');
         return;
     }
     
-    const paymentMethod = document.getElementById('salePaymentMethod')?.value || 'cash';
-    const customerName = document.getElementById('saleCustomerName')?.value || '';
-    const customerPhone = document.getElementById('saleCustomerPhone')?.value || '';
-    const notes = document.getElementById('saleNotes')?.value || '';
-    const total = currentSaleItems.reduce((sum, item) => sum + item.total, 0);
-    
-    const saleData = {
-        invoiceNumber: `INV-${Date.now()}`,
-        saleDate: new Date(),
-        items: currentSaleItems,
-        paymentMethod,
-        customerName,
-        customerPhone: customerPhone.trim() || null,
-        notes,
-        total
-    };
-    
-    printReceiptForSale(saleData);
+    const result = await printing.renderReceipt({
+        cart: {
+            items: currentSaleItems.map(item => ({
+                productId: item.productId,
+                quantity: item.quantity,
+                unitId: item.unitId,
+                unitPrice: item.unitPrice,
+                discount: item.discount || null
+            })),
+            customerId: currentCustomer?.id || null,
+            cartDiscount: currentCartDiscount,
+            customerName: document.getElementById('saleCustomerName')?.value || '',
+            notes: document.getElementById('saleNotes')?.value || ''
+        }
+    });
+    if (!result?.success) {
+        showToast(result?.error || 'Failed to lay out the receipt', 'danger');
+        return;
+    }
+    openPrintWindow(result.data.html);
 }
 
 // Export functions that need to be available globally
@@ -981,3 +1951,10 @@ window.loadSalesByDateRange = loadSalesByDateRange;
 window.viewSaleDetails = viewSaleDetails;
 window.printReceipt = printReceipt;
 window.populateProductDropdown = populateProductDropdown;
+window.openSaleReturn = openSaleReturn;
+window.printReceiptForSale = printReceiptForSale;
+window.reprintReceipt = reprintReceipt;
+window.reprintZReport = reprintZReport;
+window.resumeHeldSale = resumeHeldSale;
+window.deleteHeldSale = deleteHeldSale;
+window.setLineDiscount = setLineDiscount;
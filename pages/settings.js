@@ -1,7 +1,7 @@
 // Settings page functionality
-import { settings, system } from '../core/api.js';
+import { settings, system, tax, printing, auth, audit, licence } from '../core/api.js';
 import * as events from '../core/events.js';
-import { showToast } from '../core/utils.js';
+import { showToast, formatDate } from '../core/utils.js';
 
 // Add styles for loading overlay
 const style = document.createElement('style');
@@ -40,6 +40,21 @@ const defaultSettings = {
     auto_backup: 'false'
 };
 
+// Levies being edited in the tax card
+let taxLevies = [];
+
+// Receipt template card: the default template, the pending preview and where placeholders go
+let receiptTemplateDefaults = null;
+let receiptPreviewTimer = null;
+let lastReceiptTextarea = 'receiptHeader';
+
+// Users card: roles that can be assigned and the loaded users by id
+let userRoles = [];
+let usersById = new Map();
+
+// Audit log card: the entries on screen by id
+let auditEntriesById = new Map();
+
 // Helper function to handle IPC calls safely with timeout
 async function handleIpcCall(action, ...args) {
     try {
@@ -270,6 +285,70 @@ async function setupEventListeners() {
     if (saveUserNameBtn) {
         saveUserNameBtn.addEventListener('click', saveUserName);
     }
+
+    // Tax settings
+    document.getElementById('addTaxLevyBtn')?.addEventListener('click', () => {
+        taxLevies.push({ name: '', rate: '', compound: 0, is_active: 1 });
+        renderTaxLevies();
+    });
+    document.getElementById('saveTaxSettingsBtn')?.addEventListener('click', saveTaxSettings);
+    document.getElementById('taxLeviesTableBody')?.addEventListener('input', (e) => {
+        const row = e.target.closest('tr');
+        const levy = row ? taxLevies[row.dataset.index] : null;
+        if (!levy || !e.target.dataset.field) return;
+        levy[e.target.dataset.field] = e.target.type === 'checkbox' ? (e.target.checked ? 1 : 0) : e.target.value;
+        updateEffectiveTaxRate();
+    });
+
+    // Receipt printer settings
+    document.getElementById('receiptPrinter')?.addEventListener('change', togglePrinterFields);
+    document.getElementById('refreshPrintersBtn')?.addEventListener('click', loadPrinterSettings);
+    document.getElementById('savePrinterSettingsBtn')?.addEventListener('click', savePrinterSettings);
+    document.getElementById('testPrintBtn')?.addEventListener('click', printTestReceipt);
+
+    // Receipt template, previewed as it is edited
+    document.getElementById('browseReceiptLogoBtn')?.addEventListener('click', browseReceiptLogo);
+    document.getElementById('removeReceiptLogoBtn')?.addEventListener('click', () => {
+        updateUIElement('receiptLogoPath', '');
+        scheduleReceiptPreview();
+    });
+    ['receiptPaperWidth', 'receiptHeader', 'receiptFooter', 'receiptTemplateFields'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', scheduleReceiptPreview);
+        document.getElementById(id)?.addEventListener('change', scheduleReceiptPreview);
+    });
+    ['receiptHeader', 'receiptFooter'].forEach(id => {
+        document.getElementById(id)?.addEventListener('focus', () => { lastReceiptTextarea = id; });
+    });
+    document.getElementById('receiptPlaceholders')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-placeholder]');
+        if (button) insertReceiptPlaceholder(button.dataset.placeholder);
+    });
+    document.getElementById('resetReceiptTemplateBtn')?.addEventListener('click', () => {
+        if (receiptTemplateDefaults) fillReceiptTemplateForm(receiptTemplateDefaults);
+    });
+    document.getElementById('saveReceiptTemplateBtn')?.addEventListener('click', saveReceiptTemplate);
+
+    // Users and the signed-in user's own PIN or password
+    document.getElementById('addUserBtn')?.addEventListener('click', () => openUserModal());
+    document.getElementById('userRole')?.addEventListener('change', showUserRolePermissions);
+    document.getElementById('saveUserBtn')?.addEventListener('click', saveUser);
+    document.getElementById('changeCredentialBtn')?.addEventListener('click', changeOwnCredential);
+
+    // Audit log filters reload the list; the search box waits for typing to pause
+    ['auditStartDate', 'auditEndDate', 'auditUser', 'auditAction', 'auditEntityType'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', loadAuditLog);
+    });
+    let auditSearchTimer = null;
+    document.getElementById('auditSearch')?.addEventListener('input', () => {
+        clearTimeout(auditSearchTimer);
+        auditSearchTimer = setTimeout(loadAuditLog, 300);
+    });
+    document.getElementById('verifyAuditLogBtn')?.addEventListener('click', verifyAuditLogChain);
+    document.getElementById('exportAuditLogBtn')?.addEventListener('click', exportAuditLog);
+
+    // Licence
+    document.getElementById('loadLicenceFileBtn')?.addEventListener('click', loadLicenceFile);
+    document.getElementById('activateLicenceBtn')?.addEventListener('click', () => activateLicence());
     
     // Sound settings
     const soundEnabled = document.getElementById('soundEnabled');
@@ -341,6 +420,7 @@ async function loadSettings() {
             'shop_name',
             'company_name',
             'developer_mode',
+            'auto_lock_timeout',
             'sound_enabled',
             'sound_volume',
             'company_address',
@@ -388,6 +468,11 @@ async function loadSettings() {
                         shopNameElement.value = value;
                     }
                 }
+            } else if (key === 'auto_lock_timeout') {
+                const element = document.getElementById('autoLockTimeout');
+                if (element) {
+                    element.value = value || '0';
+                }
             } else {
                 const element = document.getElementById(key);
                 if (element) {
@@ -440,7 +525,14 @@ async function loadSettings() {
         // Load additional settings
         await Promise.all([
             loadEmailSettings(),
-            loadBackupSettings()
+            loadBackupSettings(),
+            loadTaxSettings(),
+            loadPrinterSettings(),
+            loadReceiptTemplate(),
+            loadUsers(),
+            loadMyAccount(),
+            loadAuditLog(),
+            loadLicenceStatus()
         ]);
 
         showToast('Settings loaded successfully', 'success');
@@ -501,6 +593,539 @@ async function loadEmailSettings() {
     }
 }
 
+// Load the tax mode, TIN and levies
+async function loadTaxSettings() {
+    try {
+        const taxSettings = await tax.getSettings();
+        updateUIElement('taxMode', taxSettings.mode, 'off');
+        updateUIElement('taxTin', taxSettings.tin);
+        taxLevies = taxSettings.levies.map(levy => ({ ...levy }));
+        renderTaxLevies();
+    } catch (error) {
+        console.error('Error loading tax settings:', error);
+        showToast('Failed to load tax settings', 'warning');
+    }
+}
+
+function renderTaxLevies() {
+    const tbody = document.getElementById('taxLeviesTableBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = taxLevies.length === 0
+        ? '<tr><td colspan="5" class="text-center text-muted">No levies</td></tr>'
+        : taxLevies.map((levy, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" class="form-control form-control-sm" data-field="name" value="${levy.name || ''}" placeholder="e.g., VAT"></td>
+            <td><input type="number" class="form-control form-control-sm" data-field="rate" value="${levy.rate ?? ''}" min="0" max="100" step="0.01"></td>
+            <td class="text-center"><input type="checkbox" class="form-check-input" data-field="compound" ${levy.compound ? 'checked' : ''}></td>
+            <td class="text-center"><input type="checkbox" class="form-check-input" data-field="is_active" ${levy.is_active ? 'checked' : ''}></td>
+            <td class="text-end">
+                <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeTaxLevy(${index})" title="Remove">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    updateEffectiveTaxRate();
+}
+
+// Show what the active levies add to a taxable price altogether
+function updateEffectiveTaxRate() {
+    const active = taxLevies.filter(levy => levy.is_active && parseFloat(levy.rate) > 0);
+    const simple = active.filter(levy => !levy.compound).reduce((sum, levy) => sum + parseFloat(levy.rate), 0);
+    const compound = active.filter(levy => levy.compound).reduce((sum, levy) => sum + parseFloat(levy.rate), 0);
+    const effective = ((1 + simple / 100) * (1 + compound / 100) - 1) * 100;
+    const label = document.getElementById('taxEffectiveRate');
+    if (label) label.textContent = active.length ? `Effective rate ${effective.toFixed(2)}%` : '';
+}
+
+function removeTaxLevy(index) {
+    taxLevies.splice(index, 1);
+    renderTaxLevies();
+}
+
+async function saveTaxSettings() {
+    try {
+        const result = await tax.saveSettings({
+            mode: document.getElementById('taxMode')?.value || 'off',
+            tin: document.getElementById('taxTin')?.value.trim() || '',
+            levies: taxLevies
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save tax settings');
+        }
+        showToast('Tax settings saved', 'success');
+        await loadTaxSettings();
+    } catch (error) {
+        console.error('Error saving tax settings:', error);
+        showToast(error.message || 'Failed to save tax settings', 'danger');
+    }
+}
+
+// Load the printer list and the saved receipt printer settings
+async function loadPrinterSettings() {
+    try {
+        const [printers, printerSettings] = await Promise.all([printing.getPrinters(), printing.getSettings()]);
+        const saved = printerSettings?.printer;
+        const select = document.getElementById('receiptPrinter');
+        if (select) {
+            const systemPrinters = printers.filter(printer => printer.type === 'system');
+            // Keep a saved OS printer selectable while it is unplugged
+            if (saved?.type === 'system' && !systemPrinters.some(printer => printer.name === saved.name)) {
+                systemPrinters.push({ name: saved.name, displayName: `${saved.name} (not found)` });
+            }
+            select.innerHTML = `
+                <option value="">None - use the print dialog</option>
+                ${systemPrinters.length ? `<optgroup label="Installed printers">
+                    ${systemPrinters.map(printer => `<option value="system:${printer.name}">${printer.displayName}${printer.isDefault ? ' (default)' : ''}</option>`).join('')}
+                </optgroup>` : ''}
+                <optgroup label="ESC/POS thermal printer">
+                    <option value="network">Network printer (IP address)</option>
+                    <option value="device">USB or shared printer (device path)</option>
+                </optgroup>
+                <option value="file">Save to file (test printer)</option>
+            `;
+            select.value = !saved ? '' : (saved.type === 'system' ? `system:${saved.name}` : saved.type);
+        }
+
+        updateUIElement('printerHost', saved?.host);
+        updateUIElement('printerPort', saved?.port, '9100');
+        updateUIElement('printerPath', saved?.path);
+        updateUIElement('receiptOpenDrawer', !!printerSettings?.open_drawer);
+        togglePrinterFields();
+    } catch (error) {
+        console.error('Error loading printer settings:', error);
+        showToast('Failed to load printer settings', 'warning');
+    }
+}
+
+// Show the address fields the selected kind of printer needs
+function togglePrinterFields() {
+    const value = document.getElementById('receiptPrinter')?.value || '';
+    const networkFields = document.getElementById('networkPrinterFields');
+    const deviceFields = document.getElementById('devicePrinterFields');
+    if (networkFields) networkFields.style.display = value === 'network' ? 'flex' : 'none';
+    if (deviceFields) deviceFields.style.display = value === 'device' ? 'block' : 'none';
+}
+
+async function savePrinterSettings() {
+    try {
+        const value = document.getElementById('receiptPrinter')?.value || '';
+        const type = value.startsWith('system:') ? 'system' : value;
+        const result = await printing.saveSettings({
+            printer: type ? {
+                type,
+                name: type === 'system' ? value.slice('system:'.length) : '',
+                host: document.getElementById('printerHost')?.value.trim() || '',
+                port: document.getElementById('printerPort')?.value || 9100,
+                path: document.getElementById('printerPath')?.value.trim() || ''
+            } : null,
+            open_drawer: document.getElementById('receiptOpenDrawer')?.checked ?? false
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save printer settings');
+        }
+        showToast('Printer settings saved', 'success');
+        return true;
+    } catch (error) {
+        console.error('Error saving printer settings:', error);
+        showToast(error.message || 'Failed to save printer settings', 'danger');
+        return false;
+    }
+}
+
+// Save the settings on screen, then print a test receipt with them
+async function printTestReceipt() {
+    if (!(await savePrinterSettings())) return;
+    const result = await printing.printTest();
+    if (result?.success) {
+        showToast(result.data?.filePath ? `Test receipt saved to ${result.data.filePath}` : 'Test receipt sent to the printer', 'success');
+    } else {
+        showToast(result?.code === 'NO_PRINTER' ? 'Choose a receipt printer first' : (result?.error || 'Test print failed'), 'danger');
+    }
+}
+
+// Load the receipt template with the fields and placeholders it offers, then preview it
+async function loadReceiptTemplate() {
+    try {
+        const result = await printing.getTemplate();
+        if (!result) return;
+        receiptTemplateDefaults = result.defaults;
+
+        const placeholders = document.getElementById('receiptPlaceholders');
+        if (placeholders) {
+            placeholders.innerHTML = Object.entries(result.placeholders).map(([name, label]) => `
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-placeholder="${name}" title="${label}">{{${name}}}</button>
+            `).join('');
+        }
+        const fields = document.getElementById('receiptTemplateFields');
+        if (fields) {
+            fields.innerHTML = Object.entries(result.fields).map(([name, label]) => `
+                <div class="form-check form-check-inline">
+                    <input class="form-check-input" type="checkbox" id="receiptField_${name}" data-field="${name}">
+                    <label class="form-check-label" for="receiptField_${name}">${label}</label>
+                </div>
+            `).join('');
+        }
+        fillReceiptTemplateForm(result.template);
+    } catch (error) {
+        console.error('Error loading receipt template:', error);
+        showToast('Failed to load receipt template', 'warning');
+    }
+}
+
+function fillReceiptTemplateForm(template) {
+    updateUIElement('receiptPaperWidth', String(template.paper_width || 80));
+    updateUIElement('receiptLogoPath', template.logo_path);
+    updateUIElement('receiptHeader', template.header);
+    updateUIElement('receiptFooter', template.footer);
+    document.querySelectorAll('#receiptTemplateFields [data-field]').forEach(input => {
+        input.checked = template.fields?.[input.dataset.field] !== false;
+    });
+    previewReceiptTemplate();
+}
+
+// The template as currently on screen
+function getReceiptTemplateForm() {
+    const fields = {};
+    document.querySelectorAll('#receiptTemplateFields [data-field]').forEach(input => {
+        fields[input.dataset.field] = input.checked;
+    });
+    return {
+        paper_width: parseInt(document.getElementById('receiptPaperWidth')?.value) || 80,
+        logo_path: document.getElementById('receiptLogoPath')?.value || '',
+        header: document.getElementById('receiptHeader')?.value || '',
+        footer: document.getElementById('receiptFooter')?.value || '',
+        fields
+    };
+}
+
+// Redraw the preview shortly after the last change
+function scheduleReceiptPreview() {
+    clearTimeout(receiptPreviewTimer);
+    receiptPreviewTimer = setTimeout(previewReceiptTemplate, 300);
+}
+
+async function previewReceiptTemplate() {
+    const frame = document.getElementById('receiptPreview');
+    if (!frame) return;
+    const result = await printing.renderReceipt({ template: getReceiptTemplateForm() });
+    frame.srcdoc = result?.success
+        ? result.data.html
+        : `<p style="font-family: sans-serif; color: #b02a37;">${result?.error || 'Preview unavailable'}</p>`;
+}
+
+// Put a placeholder at the cursor in the header or footer, whichever was edited last
+function insertReceiptPlaceholder(name) {
+    const textarea = document.getElementById(lastReceiptTextarea);
+    if (!textarea) return;
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? textarea.value.length;
+    textarea.value = `${textarea.value.slice(0, start)}{{${name}}}${textarea.value.slice(end)}`;
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + name.length + 4;
+    scheduleReceiptPreview();
+}
+
+async function browseReceiptLogo() {
+    const result = await system.showOpenDialog({
+        title: 'Select receipt logo',
+        properties: ['openFile'],
+        filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'bmp'] }]
+    });
+    if (result && !result.canceled && result.filePaths?.length) {
+        document.getElementById('receiptLogoPath').value = result.filePaths[0];
+        scheduleReceiptPreview();
+    }
+}
+
+async function saveReceiptTemplate() {
+    try {
+        const result = await printing.saveTemplate(getReceiptTemplateForm());
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save receipt template');
+        }
+        fillReceiptTemplateForm(result.data);
+        showToast('Receipt template saved', 'success');
+    } catch (error) {
+        console.error('Error saving receipt template:', error);
+        showToast(error.message || 'Failed to save receipt template', 'danger');
+    }
+}
+
+// Users card: every account with its role, and the roles on offer
+async function loadUsers() {
+    const tbody = document.getElementById('usersTableBody');
+    if (!tbody) return;
+
+    try {
+        const currentUser = await auth.getCurrentUser();
+        if (!currentUser?.permissions.includes('users.manage')) return;
+        const { users, roles } = await auth.getUsers();
+        userRoles = roles;
+        if (users.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No users yet</td></tr>';
+            return;
+        }
+        tbody.innerHTML = users.map(user => `
+            <tr class="${user.is_active ? '' : 'text-muted'}">
+                <td>${user.name}${user.id === currentUser.id ? ' <span class="badge bg-primary">You</span>' : ''}</td>
+                <td>${user.username}</td>
+                <td>${user.role_name}</td>
+                <td>${user.last_login_at ? formatDate(user.last_login_at) : 'Never'}</td>
+                <td>${user.is_active ? '<span class="badge bg-success">Active</span>' : '<span class="badge bg-secondary">Inactive</span>'}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-secondary" onclick="openUserModal('${user.id}')" title="Edit user">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+        usersById = new Map(users.map(user => [user.id, user]));
+    } catch (error) {
+        console.error('Error loading users:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-danger">Failed to load users</td></tr>';
+    }
+}
+
+// List what the chosen role can do under the role picker
+function showUserRolePermissions() {
+    const role = userRoles.find(r => r.id === document.getElementById('userRole')?.value);
+    const hint = document.getElementById('userRolePermissions');
+    if (hint) hint.textContent = role ? role.permissions.join('; ') : '';
+}
+
+// Open the user modal for a new user, or to edit userId
+function openUserModal(userId = null) {
+    const user = userId ? usersById.get(userId) : null;
+    document.getElementById('userModalLabel').textContent = user ? `Edit ${user.name}` : 'New User';
+    document.getElementById('userId').value = user?.id || '';
+    document.getElementById('userFullName').value = user?.name || '';
+    document.getElementById('userUsername').value = user?.username || '';
+    document.getElementById('userCredential').value = '';
+    document.getElementById('userCredentialLabel').textContent = user ? 'New PIN or password (leave blank to keep)' : 'PIN or password *';
+    document.getElementById('userActive').checked = user ? !!user.is_active : true;
+    const roleSelect = document.getElementById('userRole');
+    roleSelect.innerHTML = userRoles.map(role => `<option value="${role.id}">${role.name}</option>`).join('');
+    roleSelect.value = user?.role || 'cashier';
+    showUserRolePermissions();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('userModal')).show();
+}
+
+async function saveUser() {
+    try {
+        const result = await auth.saveUser({
+            id: document.getElementById('userId').value || null,
+            name: document.getElementById('userFullName').value,
+            username: document.getElementById('userUsername').value,
+            role: document.getElementById('userRole').value,
+            credential: document.getElementById('userCredential').value,
+            is_active: document.getElementById('userActive').checked
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save user');
+        }
+        bootstrap.Modal.getInstance(document.getElementById('userModal'))?.hide();
+        showToast('User saved', 'success');
+        await loadUsers();
+    } catch (error) {
+        console.error('Error saving user:', error);
+        showToast(error.message || 'Failed to save user', 'danger');
+    }
+}
+
+// Show who is signed in on the "My PIN or Password" card
+async function loadMyAccount() {
+    const currentUser = await auth.getCurrentUser();
+    const nameEl = document.getElementById('myAccountName');
+    const roleEl = document.getElementById('myAccountRole');
+    if (nameEl) nameEl.textContent = currentUser?.name || '-';
+    if (roleEl) roleEl.textContent = currentUser?.role_name || '-';
+}
+
+async function changeOwnCredential() {
+    const currentInput = document.getElementById('currentCredential');
+    const newInput = document.getElementById('newCredential');
+    try {
+        const result = await auth.changeCredential(currentInput.value, newInput.value);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to change PIN or password');
+        }
+        currentInput.value = '';
+        newInput.value = '';
+        showToast('Your PIN or password has been changed', 'success');
+    } catch (error) {
+        console.error('Error changing PIN or password:', error);
+        showToast(error.message || 'Failed to change PIN or password', 'danger');
+    }
+}
+
+// Audit log card: the filters as entered
+function getAuditFilters() {
+    return {
+        startDate: document.getElementById('auditStartDate')?.value || null,
+        endDate: document.getElementById('auditEndDate')?.value || null,
+        userName: document.getElementById('auditUser')?.value || null,
+        action: document.getElementById('auditAction')?.value || null,
+        entityType: document.getElementById('auditEntityType')?.value || null,
+        search: document.getElementById('auditSearch')?.value.trim() || null
+    };
+}
+
+// Refill a filter dropdown, keeping the current choice
+function fillAuditFilterOptions(id, values, allLabel) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` +
+        values.map(value => `<option value="${value}">${value}</option>`).join('');
+    select.value = values.includes(current) ? current : '';
+}
+
+async function loadAuditLog() {
+    const tbody = document.getElementById('auditLogTableBody');
+    if (!tbody) return;
+
+    try {
+        const currentUser = await auth.getCurrentUser();
+        if (!currentUser?.permissions.includes('audit.view')) return;
+        const { entries, options } = await audit.getLog(getAuditFilters());
+        fillAuditFilterOptions('auditUser', options.users, 'All users');
+        fillAuditFilterOptions('auditAction', options.actions, 'All actions');
+        fillAuditFilterOptions('auditEntityType', options.entity_types, 'All records');
+        auditEntriesById = new Map(entries.map(entry => [entry.id, entry]));
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No audit entries found</td></tr>';
+            return;
+        }
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td class="text-muted">${entry.id}</td>
+                <td>${formatDate(entry.created_at)}</td>
+                <td>${entry.user_name || '-'}</td>
+                <td><code>${entry.action}</code></td>
+                <td>${entry.entity_type || '-'}${entry.entity_id ? ` <small class="text-muted">${entry.entity_id}</small>` : ''}</td>
+                <td class="text-end">
+                    ${entry.before_json || entry.after_json ? `
+                    <button class="btn btn-sm btn-outline-secondary" onclick="toggleAuditEntryDetails(${entry.id}, this)" title="Show before and after">
+                        <i class="bi bi-chevron-down"></i>
+                    </button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-danger">Failed to load audit log</td></tr>';
+    }
+}
+
+// Show or hide an entry's before and after values in a row beneath it
+function toggleAuditEntryDetails(entryId, button) {
+    const row = button.closest('tr');
+    if (row.nextElementSibling?.classList.contains('audit-details')) {
+        row.nextElementSibling.remove();
+        return;
+    }
+    const entry = auditEntriesById.get(entryId);
+    const pretty = (json) => json ? JSON.stringify(JSON.parse(json), null, 2) : '-';
+    const detailRow = document.createElement('tr');
+    detailRow.className = 'audit-details';
+    detailRow.innerHTML = `
+        <td colspan="6">
+            <div class="row g-2">
+                <div class="col-md-6"><strong>Before</strong><pre class="small bg-light p-2 mb-0"></pre></div>
+                <div class="col-md-6"><strong>After</strong><pre class="small bg-light p-2 mb-0"></pre></div>
+            </div>
+        </td>
+    `;
+    const [beforePre, afterPre] = detailRow.querySelectorAll('pre');
+    beforePre.textContent = pretty(entry.before_json);
+    afterPre.textContent = pretty(entry.after_json);
+    row.after(detailRow);
+}
+
+async function verifyAuditLogChain() {
+    const status = document.getElementById('auditLogStatus');
+    const result = await audit.verify();
+    if (!status) return;
+    if (!result) {
+        status.innerHTML = '<div class="alert alert-warning mb-0">Could not verify the audit log</div>';
+    } else if (result.valid) {
+        status.innerHTML = `<div class="alert alert-success mb-0"><i class="bi bi-shield-check"></i> All ${result.checked} entries are intact</div>`;
+    } else {
+        status.innerHTML = `<div class="alert alert-danger mb-0"><i class="bi bi-shield-exclamation"></i> The audit log has been tampered with at entry ${result.broken_at}: ${result.reason}</div>`;
+    }
+}
+
+async function exportAuditLog() {
+    const result = await audit.exportLog(getAuditFilters());
+    if (result?.success) {
+        showToast('Audit log exported', 'success');
+    } else {
+        showToast(result?.error || 'Failed to export audit log', 'danger');
+    }
+}
+
+// Licence card: show the installed licence
+async function loadLicenceStatus() {
+    const status = await licence.getStatus();
+    if (!status) return;
+    const labels = {
+        active: '<span class="badge bg-success">Active</span>',
+        trial: '<span class="badge bg-warning text-dark">Trial</span>',
+        unlicensed: '<span class="badge bg-danger">Not activated</span>',
+        invalid: '<span class="badge bg-danger">Invalid</span>',
+        mismatch: '<span class="badge bg-danger">Wrong shop</span>',
+        expired: '<span class="badge bg-danger">Expired</span>'
+    };
+    const statusEl = document.getElementById('licenceStatus');
+    if (statusEl) {
+        statusEl.innerHTML = `${labels[status.status] || status.status} <small class="text-muted ms-2"></small>`;
+        statusEl.querySelector('small').textContent = status.message;
+    }
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    };
+    setText('licenceShopName', status.licence?.shop_name || '-');
+    setText('licenceExpiry', status.status === 'trial' ? `Trial (${status.days_remaining} days left)` : !status.licence ? '-' : (status.licence.expires_at
+        ? `${status.licence.expires_at}${status.days_remaining >= 0 ? ` (${status.days_remaining} days left)` : ''}`
+        : 'Never'));
+    setText('licenceId', status.licence?.licence_id || '-');
+}
+
+async function loadLicenceFile() {
+    const result = await system.showOpenDialog({
+        title: 'Select licence file',
+        properties: ['openFile'],
+        filters: [{ name: 'Wolo licence', extensions: ['lic', 'txt'] }]
+    });
+    if (result && !result.canceled && result.filePaths?.length) {
+        await activateLicence({ filePath: result.filePaths[0] });
+    }
+}
+
+async function activateLicence(source = null) {
+    const keyInput = document.getElementById('licenceKeyInput');
+    const key = keyInput?.value.trim();
+    if (!source && !key) {
+        showToast('Paste a licence key or load a licence file', 'warning');
+        return;
+    }
+    const result = await licence.activate(source || { key });
+    if (!result?.success) {
+        showToast(result?.error || 'The licence could not be activated', 'danger');
+        return;
+    }
+    if (keyInput) keyInput.value = '';
+    showToast(result.data.message, 'success');
+    await loadLicenceStatus();
+    if (typeof window.updateLicenceBanner === 'function') {
+        window.updateLicenceBanner();
+    }
+}
+
 // Load backup settings
 async function loadBackupSettings() {
     try {
@@ -555,8 +1180,6 @@ async function saveSettings() {
             throw new Error('Please fix the validation errors before saving.');
         }
 
-        // Get current settings to preserve password if not changed
-        const currentSettings = await settings.get();
         const smtpPassInput = document.getElementById('smtpPass');
         
         const settingsData = {
@@ -585,11 +1208,9 @@ async function saveSettings() {
             }
         };
 
-        // Only update password if it was changed (not empty)
+        // Only update password if it was changed (not empty); the stored one is never read back
         if (smtpPassInput.value) {
             settingsData.email.smtpPass = smtpPassInput.value;
-        } else if (currentSettings?.email?.smtpPass) {
-            settingsData.email.smtpPass = currentSettings.email.smtpPass;
         }
         
         // Save settings
@@ -638,7 +1259,7 @@ async function testEmailSettings() {
         if (result && result.success) {
             showToast('✓ Test email sent successfully', 'success');
         } else {
-            throw new Error(result?.message || 'Failed to send test email');
+            throw new Error(result?.error || 'Failed to send test email');
         }
     } catch (error) {
         console.error('Error testing email settings:', error);
@@ -688,9 +1309,20 @@ async function restoreBackup() {
         const confirmed = confirm('Are you sure you want to restore from a backup? This will overwrite your current data.');
         if (!confirmed) return;
         
-        showToast('Please select a backup file to restore from', 'info');
-        await settings.restore();
-        showToast('Database restored successfully. Please restart the application.', 'success');
+        const file = await system.showOpenDialog({
+            title: 'Select backup file',
+            properties: ['openFile'],
+            filters: [{ name: 'Wolo backup', extensions: ['db'] }]
+        });
+        if (!file || file.canceled || !file.filePaths?.length) return;
+
+        const result = await settings.restore(file.filePaths[0]);
+        if (!result?.success) {
+            showToast('Failed to restore backup: ' + (result?.error || 'Unknown error'), 'danger');
+            return;
+        }
+        // Everyone is signed out; the restored accounts decide who can sign in
+        window.location.replace('login.html');
     } catch (error) {
         console.error('Error restoring backup:', error);
         showToast('Failed to restore backup: ' + (error.message || 'Unknown error'), 'danger');
@@ -923,7 +1555,7 @@ async function saveSmtpSettings(event) {
         // Save each setting
         for (const [key, value] of Object.entries(smtpData)) {
             if (key === 'smtp_pass' && !value) {
-                // Don't save empty password
+                // Don't save empty password; a blank field keeps the stored one
                 continue;
             }
             await settings.save(key, value);
@@ -940,7 +1572,10 @@ async function saveSmtpSettings(event) {
 async function saveSecuritySettings() {
     try {
         const developerMode = document.getElementById('developerMode')?.checked || false;
+        const autoLockTimeout = document.getElementById('autoLockTimeout')?.value || '0';
         await settings.save('developer_mode', developerMode.toString());
+        await settings.save('auto_lock_timeout', autoLockTimeout);
+        events.emit('auto-lock-changed', autoLockTimeout);
         showToast('Security settings saved successfully', 'success');
     } catch (error) {
         console.error('Error saving security settings:', error);
@@ -1082,6 +1717,9 @@ async function resetAllData() {
 
 // Helper to get user name
 async function getUserName() {
+    if (window.currentUser) {
+        return window.currentUser.name;
+    }
     try {
         const result = await settings.get('user_name');
         return result?.value || '';
@@ -1111,6 +1749,9 @@ window.resetAllData = resetAllData;
 window.getUserName = getUserName;
 window.contactSupport = contactSupport;
 window.testEmailSettings = testEmailSettings;
+window.removeTaxLevy = removeTaxLevy;
+window.openUserModal = openUserModal;
+window.toggleAuditEntryDetails = toggleAuditEntryDetails;
 window.createBackup = createBackup;
 window.restoreBackup = restoreBackup;
 window.checkForUpdates = checkForUpdates;
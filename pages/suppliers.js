@@ -0,0 +1,495 @@
+// Suppliers page functionality
+import { suppliers, settings } from '../core/api.js';
+import { showToast, formatDate } from '../core/utils.js';
+
+let supplierList = [];
+let supplierSearchTimer = null;
+let currentStatement = null;
+
+// Prevent duplicate initialization
+let suppliersPageInitialized = false;
+
+// Initialize the suppliers page
+async function initializeSuppliersPage() {
+    if (suppliersPageInitialized) {
+        console.warn('Suppliers page already initialized, skipping...');
+        return;
+    }
+
+    try {
+        suppliersPageInitialized = true;
+        setupEventListeners();
+        await loadSuppliers();
+        console.log('Suppliers page initialized successfully');
+    } catch (error) {
+        console.error('Error initializing suppliers page:', error);
+        showToast('Failed to initialize suppliers page', 'danger');
+        suppliersPageInitialized = false;
+    }
+}
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeSuppliersPage);
+} else {
+    initializeSuppliersPage();
+}
+
+function toInputDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Set up event listeners for the suppliers page
+function setupEventListeners() {
+    document.getElementById('newSupplierBtn')?.addEventListener('click', () => openSupplierModal());
+    document.getElementById('saveSupplierBtn')?.addEventListener('click', saveSupplier);
+
+    document.getElementById('supplierSearchInput')?.addEventListener('input', () => {
+        clearTimeout(supplierSearchTimer);
+        supplierSearchTimer = setTimeout(renderSuppliers, 250);
+    });
+
+    document.getElementById('closeSupplierStatementBtn')?.addEventListener('click', () => {
+        const card = document.getElementById('supplierStatementCard');
+        if (card) card.style.display = 'none';
+    });
+    ['supplierStatementStartDate', 'supplierStatementEndDate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', loadSupplierStatement);
+    });
+    document.getElementById('printSupplierStatementBtn')?.addEventListener('click', printSupplierStatement);
+    document.getElementById('supplierStatementPayBtn')?.addEventListener('click', () => {
+        const supplierId = document.getElementById('supplierStatementSupplierId')?.value;
+        if (supplierId) openSupplierPaymentModal(supplierId);
+    });
+
+    document.getElementById('saveSupplierPaymentBtn')?.addEventListener('click', saveSupplierPayment);
+    document.getElementById('supplierPaymentInvoice')?.addEventListener('change', (e) => {
+        const balance = e.target.selectedOptions[0]?.dataset.balance;
+        if (balance) document.getElementById('supplierPaymentAmount').value = balance;
+    });
+
+    document.getElementById('saveSupplierInvoiceBtn')?.addEventListener('click', saveSupplierInvoice);
+    // A new invoice date works the due date out again from the supplier's terms
+    document.getElementById('supplierInvoiceDate')?.addEventListener('change', () => {
+        document.getElementById('supplierInvoiceDueDate').value = '';
+    });
+}
+
+// Load suppliers with what we owe each of them
+async function loadSuppliers() {
+    try {
+        supplierList = await suppliers.getAll();
+        renderSuppliers();
+    } catch (error) {
+        console.error('Error loading suppliers:', error);
+        showToast('Failed to load suppliers', 'danger');
+    }
+}
+
+// Render the suppliers matching the search box
+function renderSuppliers() {
+    const tbody = document.getElementById('suppliersTableBody');
+    if (!tbody) return;
+
+    const search = (document.getElementById('supplierSearchInput')?.value || '').trim().toLowerCase();
+    const matches = supplierList.filter(supplier => !search ||
+        [supplier.name, supplier.contact_person, supplier.phone].some(value => (value || '').toLowerCase().includes(search)));
+
+    if (matches.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No suppliers found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = matches.map(supplier => `
+        <tr>
+            <td>${supplier.name}</td>
+            <td>${supplier.contact_person || '-'}</td>
+            <td>${supplier.phone || '-'}</td>
+            <td>${supplier.payment_terms || '-'}</td>
+            <td class="text-end">${supplier.balance > 0 ? `<span class="text-danger">GH₵${supplier.balance.toFixed(2)}</span>` : '-'}</td>
+            <td class="text-center">
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-secondary" onclick="viewSupplierStatement('${supplier.id}')" title="Statement">
+                        <i class="bi bi-file-earmark-text"></i>
+                    </button>
+                    ${supplier.balance > 0 ? `
+                    <button class="btn btn-outline-success" onclick="openSupplierPaymentModal('${supplier.id}')" title="Pay supplier">
+                        <i class="bi bi-cash-coin"></i>
+                    </button>` : ''}
+                    <button class="btn btn-outline-primary" onclick="openSupplierModal('${supplier.id}')" title="Edit">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button class="btn btn-outline-danger" onclick="deleteSupplier('${supplier.id}')" title="Delete">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Open the supplier modal to add (no id) or edit a supplier
+function openSupplierModal(supplierId = null) {
+    document.getElementById('supplierForm')?.reset();
+
+    const supplier = supplierId ? supplierList.find(s => s.id === supplierId) : null;
+    if (supplierId && !supplier) {
+        showToast('Supplier not found', 'danger');
+        return;
+    }
+
+    document.getElementById('supplierModalLabel').textContent = supplier ? 'Edit Supplier' : 'New Supplier';
+    document.getElementById('supplierId').value = supplier?.id || '';
+    document.getElementById('supplierName').value = supplier?.name || '';
+    document.getElementById('supplierContact').value = supplier?.contact_person || '';
+    document.getElementById('supplierPhone').value = supplier?.phone || '';
+    document.getElementById('supplierEmail').value = supplier?.email || '';
+    document.getElementById('supplierTaxId').value = supplier?.tax_id || '';
+    document.getElementById('supplierPaymentTerms').value = supplier?.payment_terms || '';
+    document.getElementById('supplierAddress').value = supplier?.address || '';
+    document.getElementById('supplierNotes').value = supplier?.notes || '';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('supplierModal')).show();
+}
+
+// Save the supplier in the modal
+async function saveSupplier() {
+    const id = document.getElementById('supplierId').value;
+    const data = {
+        name: document.getElementById('supplierName').value.trim(),
+        contact_person: document.getElementById('supplierContact').value.trim() || null,
+        phone: document.getElementById('supplierPhone').value.trim() || null,
+        email: document.getElementById('supplierEmail').value.trim() || null,
+        tax_id: document.getElementById('supplierTaxId').value.trim() || null,
+        payment_terms: document.getElementById('supplierPaymentTerms').value.trim() || null,
+        address: document.getElementById('supplierAddress').value.trim() || null,
+        notes: document.getElementById('supplierNotes').value.trim() || null
+    };
+
+    if (!data.name) {
+        showToast('Please enter the supplier name', 'warning');
+        document.getElementById('supplierName').focus();
+        return;
+    }
+
+    try {
+        const result = id ? await suppliers.update(id, data) : await suppliers.create(data);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save supplier');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('supplierModal'))?.hide();
+        showToast(id ? 'Supplier updated' : 'Supplier added', 'success');
+        await loadSuppliers();
+    } catch (error) {
+        console.error('Error saving supplier:', error);
+        showToast(error.message || 'Failed to save supplier', 'danger');
+    }
+}
+
+async function deleteSupplier(supplierId) {
+    const supplier = supplierList.find(s => s.id === supplierId);
+    const warning = supplier?.balance > 0 ? ` GH₵${supplier.balance.toFixed(2)} is still owed to them.` : '';
+    if (!confirm(`Delete this supplier?${warning} Their purchase orders and invoices will be kept.`)) return;
+
+    try {
+        const result = await suppliers.delete(supplierId);
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to delete supplier');
+        }
+        showToast('Supplier deleted', 'success');
+        document.getElementById('supplierStatementCard').style.display = 'none';
+        await loadSuppliers();
+    } catch (error) {
+        console.error('Error deleting supplier:', error);
+        showToast(error.message || 'Failed to delete supplier', 'danger');
+    }
+}
+
+// Show the statement card for a supplier, defaulting to the current month
+async function viewSupplierStatement(supplierId) {
+    const card = document.getElementById('supplierStatementCard');
+    if (!card) return;
+
+    const today = new Date();
+    document.getElementById('supplierStatementSupplierId').value = supplierId;
+    document.getElementById('supplierStatementStartDate').value = toInputDate(new Date(today.getFullYear(), today.getMonth(), 1));
+    document.getElementById('supplierStatementEndDate').value = toInputDate(today);
+
+    await loadSupplierStatement();
+    card.style.display = 'block';
+}
+
+// Load and render the statement for the supplier and period in the statement card
+async function loadSupplierStatement() {
+    const supplierId = document.getElementById('supplierStatementSupplierId')?.value;
+    const body = document.getElementById('supplierStatementBody');
+    if (!supplierId || !body) return;
+
+    const startDate = document.getElementById('supplierStatementStartDate')?.value || '';
+    const endDate = document.getElementById('supplierStatementEndDate')?.value || '';
+    if (startDate && endDate && startDate > endDate) {
+        showToast('Start date cannot be after end date', 'warning');
+        return;
+    }
+
+    const statement = await suppliers.getStatement(supplierId, { startDate, endDate });
+    if (!statement) {
+        showToast('Failed to load statement', 'danger');
+        return;
+    }
+    currentStatement = statement;
+
+    const { supplier } = statement;
+    document.getElementById('supplierStatementTitle').textContent = `Statement: ${supplier.name}`;
+    document.getElementById('supplierStatementPayBtn').style.display = supplier.balance > 0 ? '' : 'none';
+    body.innerHTML = renderStatementHtml(statement, { actions: true });
+}
+
+// Statement tables, shared by the statement card and the printed statement
+function renderStatementHtml(statement, { actions = false } = {}) {
+    const { supplier } = statement;
+    const money = (amount) => `GH₵${(amount || 0).toFixed(2)}`;
+
+    return `
+        <p class="mb-2">
+            Balance owed: <strong>${money(supplier.balance)}</strong>
+            ${supplier.payment_terms ? ` &middot; Terms: ${supplier.payment_terms}` : ''}
+        </p>
+        <table class="table table-sm">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Reference</th>
+                    <th>Description</th>
+                    <th class="text-end">Invoiced</th>
+                    <th class="text-end">Paid</th>
+                    <th class="text-end">Balance</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr class="table-light">
+                    <td>${statement.start_date ? formatDate(statement.start_date, 'short') : '-'}</td>
+                    <td colspan="4"><em>Opening balance</em></td>
+                    <td class="text-end">${money(statement.opening_balance)}</td>
+                </tr>
+                ${statement.entries.length === 0 ? '<tr><td colspan="6" class="text-center text-muted">No transactions in this period</td></tr>' : ''}
+                ${statement.entries.map(entry => `
+                <tr>
+                    <td>${formatDate(entry.date, 'short')}</td>
+                    <td>${entry.reference || '-'}</td>
+                    <td>${entry.description}</td>
+                    <td class="text-end">${entry.invoiced ? money(entry.invoiced) : ''}</td>
+                    <td class="text-end">${entry.paid ? money(entry.paid) : ''}</td>
+                    <td class="text-end">${money(entry.balance)}</td>
+                </tr>`).join('')}
+            </tbody>
+            <tfoot>
+                <tr class="table-active">
+                    <th colspan="5" class="text-end">Closing balance</th>
+                    <th class="text-end">${money(statement.closing_balance)}</th>
+                </tr>
+            </tfoot>
+        </table>
+        ${statement.open_invoices.length === 0 ? '' : `
+        <h6>Unpaid Invoices</h6>
+        <table class="table table-sm">
+            <thead>
+                <tr>
+                    <th>Invoice</th>
+                    <th>GRN</th>
+                    <th>Date</th>
+                    <th>Due</th>
+                    <th class="text-end">Invoice Total</th>
+                    <th class="text-end">Owed</th>
+                    ${actions ? '<th></th>' : ''}
+                </tr>
+            </thead>
+            <tbody>
+                ${statement.open_invoices.map(invoice => `
+                <tr>
+                    <td>${invoice.invoice_number || '-'}</td>
+                    <td>${invoice.grn_number || '-'}</td>
+                    <td>${formatDate(invoice.invoice_date, 'short')}</td>
+                    <td>${formatDate(invoice.due_date, 'short')}
+                        ${invoice.days_overdue > 0 ? `<span class="badge bg-danger">${invoice.days_overdue} days overdue</span>` : ''}
+                    </td>
+                    <td class="text-end">${money(invoice.amount)}</td>
+                    <td class="text-end">${money(invoice.balance)}</td>
+                    ${actions ? `
+                    <td class="text-end text-nowrap">
+                        <button class="btn btn-sm btn-outline-primary" onclick="openSupplierInvoiceModal('${invoice.id}')" title="Edit invoice">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-success" onclick="openSupplierPaymentModal('${supplier.id}', '${invoice.id}')">Pay</button>
+                    </td>` : ''}
+                </tr>`).join('')}
+            </tbody>
+        </table>`}
+    `;
+}
+
+// Print the statement currently shown
+async function printSupplierStatement() {
+    if (!currentStatement) return;
+
+    const shopName = (await settings.get('shop_name'))?.value || (await settings.get('company_name'))?.value || 'Wolo Pharmacy';
+    const { supplier } = currentStatement;
+    const period = [currentStatement.start_date, currentStatement.end_date].filter(Boolean).map(date => formatDate(date, 'short')).join(' to ');
+
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Supplier Statement - ${supplier.name}</title>
+            <style>
+                body { font-family: Arial, sans-serif; font-size: 12px; margin: 20px; }
+                h2, h3 { margin: 0 0 4px; }
+                table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+                th, td { border-bottom: 1px solid #ccc; padding: 4px; text-align: left; }
+                .text-end { text-align: right; }
+                .text-center { text-align: center; }
+                .badge { font-size: 10px; }
+            </style>
+        </head>
+        <body>
+            <h2>${shopName}</h2>
+            <h3>Supplier Statement</h3>
+            <p>${supplier.name}${supplier.phone ? ` &middot; ${supplier.phone}` : ''}<br>${period || 'All transactions'}</p>
+            ${renderStatementHtml(currentStatement)}
+        </body>
+        </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    setTimeout(() => printWindow.print(), 500);
+}
+
+// Open the payment dialog for a supplier, optionally for one invoice
+async function openSupplierPaymentModal(supplierId, invoiceId = null) {
+    const statement = await suppliers.getStatement(supplierId);
+    if (!statement) {
+        showToast('Failed to load supplier account', 'danger');
+        return;
+    }
+    if (statement.open_invoices.length === 0) {
+        showToast(`Nothing is owed to ${statement.supplier.name}`, 'info');
+        return;
+    }
+
+    const { supplier } = statement;
+    document.getElementById('supplierPaymentSupplierId').value = supplierId;
+    document.getElementById('supplierPaymentModalLabel').textContent = `Pay Supplier: ${supplier.name}`;
+    document.getElementById('supplierPaymentOwing').innerHTML = `Owing <strong>GH₵${supplier.balance.toFixed(2)}</strong> on ${statement.open_invoices.length} invoice(s)`;
+    document.getElementById('supplierPaymentInvoice').innerHTML = `
+        <option value="" data-balance="${supplier.balance.toFixed(2)}">Invoices due first</option>
+        ${statement.open_invoices.map(invoice => `
+        <option value="${invoice.id}" data-balance="${invoice.balance.toFixed(2)}" ${invoice.id === invoiceId ? 'selected' : ''}>
+            ${invoice.invoice_number || invoice.grn_number} &middot; due ${formatDate(invoice.due_date, 'short')} &middot; owes GH₵${invoice.balance.toFixed(2)}
+        </option>`).join('')}
+    `;
+    const selected = statement.open_invoices.find(invoice => invoice.id === invoiceId);
+    document.getElementById('supplierPaymentAmount').value = (selected ? selected.balance : supplier.balance).toFixed(2);
+    document.getElementById('supplierPaymentMethod').value = 'cash';
+    document.getElementById('supplierPaymentDate').value = toInputDate(new Date());
+    document.getElementById('supplierPaymentReference').value = '';
+    document.getElementById('supplierPaymentNotes').value = '';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('supplierPaymentModal')).show();
+}
+
+// Record the payment in the payment dialog
+async function saveSupplierPayment() {
+    const supplierId = document.getElementById('supplierPaymentSupplierId').value;
+    const amount = parseFloat(document.getElementById('supplierPaymentAmount').value) || 0;
+    if (amount <= 0) {
+        showToast('Enter the amount paid', 'warning');
+        document.getElementById('supplierPaymentAmount').focus();
+        return;
+    }
+
+    try {
+        const result = await suppliers.recordPayment({
+            supplierId,
+            amount,
+            invoiceId: document.getElementById('supplierPaymentInvoice').value || null,
+            method: document.getElementById('supplierPaymentMethod').value,
+            paymentDate: document.getElementById('supplierPaymentDate').value || null,
+            reference: document.getElementById('supplierPaymentReference').value.trim(),
+            notes: document.getElementById('supplierPaymentNotes').value.trim()
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to record payment');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('supplierPaymentModal'))?.hide();
+        showToast(`Payment ${result.data.payment_number} recorded. Still owed GH₵${result.data.balance.toFixed(2)}`, 'success');
+        await refreshAfterChange(supplierId);
+    } catch (error) {
+        console.error('Error recording supplier payment:', error);
+        showToast(error.message || 'Failed to record payment', 'danger');
+    }
+}
+
+// Open the dialog to correct one of the supplier's open invoices
+function openSupplierInvoiceModal(invoiceId) {
+    const invoice = currentStatement?.open_invoices.find(i => i.id === invoiceId);
+    if (!invoice) return;
+
+    document.getElementById('supplierInvoiceId').value = invoice.id;
+    document.getElementById('supplierInvoiceModalLabel').textContent = `Supplier Invoice${invoice.grn_number ? ` - ${invoice.grn_number}` : ''}`;
+    document.getElementById('supplierInvoiceNumber').value = invoice.invoice_number || '';
+    document.getElementById('supplierInvoiceAmount').value = parseFloat(invoice.amount).toFixed(2);
+    document.getElementById('supplierInvoiceDate').value = invoice.invoice_date;
+    document.getElementById('supplierInvoiceDueDate').value = invoice.due_date;
+    document.getElementById('supplierInvoiceNotes').value = invoice.notes || '';
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('supplierInvoiceModal')).show();
+}
+
+async function saveSupplierInvoice() {
+    const id = document.getElementById('supplierInvoiceId').value;
+    const amount = parseFloat(document.getElementById('supplierInvoiceAmount').value) || 0;
+    const invoiceDate = document.getElementById('supplierInvoiceDate').value;
+    if (amount <= 0 || !invoiceDate) {
+        showToast('Enter the invoice amount and date', 'warning');
+        return;
+    }
+
+    try {
+        const result = await suppliers.updateInvoice(id, {
+            invoice_number: document.getElementById('supplierInvoiceNumber').value.trim(),
+            amount,
+            invoice_date: invoiceDate,
+            due_date: document.getElementById('supplierInvoiceDueDate').value || undefined,
+            notes: document.getElementById('supplierInvoiceNotes').value.trim()
+        });
+        if (!result?.success) {
+            throw new Error(result?.error || 'Failed to save invoice');
+        }
+
+        bootstrap.Modal.getInstance(document.getElementById('supplierInvoiceModal'))?.hide();
+        showToast('Supplier invoice updated', 'success');
+        await refreshAfterChange(document.getElementById('supplierStatementSupplierId').value);
+    } catch (error) {
+        console.error('Error updating supplier invoice:', error);
+        showToast(error.message || 'Failed to save invoice', 'danger');
+    }
+}
+
+// Reload balances, and the open statement when it is for this supplier
+async function refreshAfterChange(supplierId) {
+    await loadSuppliers();
+    if (document.getElementById('supplierStatementSupplierId')?.value === supplierId &&
+        document.getElementById('supplierStatementCard')?.style.display !== 'none') {
+        await loadSupplierStatement();
+    }
+}
+
+window.loadSuppliers = loadSuppliers;
+window.openSupplierModal = openSupplierModal;
+window.deleteSupplier = deleteSupplier;
+window.viewSupplierStatement = viewSupplierStatement;
+window.openSupplierPaymentModal = openSupplierPaymentModal;
+window.openSupplierInvoiceModal = openSupplierInvoiceModal;
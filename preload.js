@@ -26,8 +26,30 @@ contextBridge.exposeInMainWorld('electron', {
         const validChannels = [
           'get-products', 'get-product', 'add-product', 'update-product', 'delete-product', 'import-products',
           'get-sales-by-date-range', 'get-sales-history', 'record-sale', 'export-to-excel',
+          'get-sale-items', 'return-sale-items', 'void-sale', 'get-credit-notes',
+          'get-sale-payments', 'get-payments-by-method', 'get-cost-of-goods-sold',
+          'get-current-shift', 'open-shift', 'close-shift', 'get-shift-report', 'get-shifts',
+          'get-held-sales', 'get-held-sale', 'hold-sale', 'delete-held-sale',
+          'get-customer-groups', 'save-customer-group', 'delete-customer-group', 'get-promotions', 'save-promotion', 'delete-promotion',
+          'get-pricing-settings', 'save-pricing-settings', 'price-sale', 'get-discount-summary',
+          'get-tax-settings', 'save-tax-settings', 'get-tax-report',
+          'get-printer-settings', 'save-printer-settings', 'get-receipt-template', 'save-receipt-template', 'render-receipt',
+          'get-login-users', 'create-owner-account', 'login', 'logout', 'lock-session', 'unlock-session', 'get-current-user', 'get-users', 'save-user', 'change-own-credential',
+          'get-audit-log', 'verify-audit-log', 'export-audit-log',
+          'get-licence-status', 'activate-app',
+          'send-email', 'test-email',
+          'get-prescriptions', 'open-prescription-image',
+          'get-controlled-drug-register', 'export-controlled-drug-register',
+          'get-expense-categories', 'create-expense-category', 'get-expenses', 'create-expense', 'update-expense', 'delete-expense',
+          'open-expense-receipt', 'get-expense-summary',
           'export-sales-excel', 'get-setting', 'set-setting', 'get-all-product-names', 'check-duplicate-product',
           'get-suppliers', 'create-supplier', 'update-supplier', 'delete-supplier',
+          'get-supplier-invoices', 'update-supplier-invoice', 'record-supplier-payment', 'get-supplier-payments',
+          'get-supplier-statement', 'get-payables-aging',
+          'get-customers', 'get-customer', 'create-customer', 'update-customer', 'delete-customer', 'get-customer-sales',
+          'record-customer-payment', 'get-customer-statement', 'get-receivables-aging',
+          'get-product-batches', 'create-product-batch', 'adjust-product-batch', 'retire-product-batch', 'get-batch-sales', 'get-stock-movements',
+          'get-purchase-orders', 'get-purchase-order', 'save-purchase-order', 'set-purchase-order-status', 'receive-purchase-order',
           'get-low-stock-items', 'get-expiring-items', 'get-categories',
           'create-category', 'update-category', 'delete-category',
           'create-backup', 'restore-backup', 'check-for-updates', 'install-update', 'get-app-version',
@@ -87,7 +87,12 @@ function loadCoreModules() {
             navigateTo = window.app.navigateTo || function() { console.warn('navigateTo not available'); };
             state = window.app.state || {};
             initState = window.app.initState || function() { console.warn('initState not available'); };
-            initEvents = window.app.initEvents || function() { console.warn('initEvents not available'); };
+            // window.app has no initEvents; load the global handlers from the module so shortcuts such as Ctrl+L work
+            initEvents = window.app.initEvents || function() {
+                import('./core/events.js')
+                    .then(eventsModule => eventsModule.initEvents())
+                    .catch(error => console.error('Error loading events module:', error));
+            };
             showToast = window.app.showToast || function(message, type) { console.log(`[${type}] ${message}`); };
             products = window.app.products || {};
             sales = window.app.sales || {};
@@ -168,6 +173,15 @@ async function initApp() {
         
         // Load core modules first
         await loadCoreModules();
+
+        // Everything past here needs a signed-in user
+        const currentUser = await loadCurrentUser();
+        if (!currentUser) {
+            window.location.replace('login.html');
+            return;
+        }
+        await updateLicenceBanner();
+        await initAutoLock(currentUser);
         
         // Initialize core modules
         console.log('Initializing state...');
@@ -380,6 +394,12 @@ function initSplashScreen() {
 // Check if user name is set and show welcome modal if not
 async function checkAndShowWelcomeModal() {
     try {
+        // Signed-in users already have a name
+        if (window.currentUser) {
+            updateUIWithUserName(window.currentUser.name);
+            return;
+        }
+
         // Import settings API
         const { settings } = await import('./core/api.js');
         
@@ -548,6 +568,9 @@ async function updateUIWithUserName(userName) {
 
 // Get user name (helper function)
 async function getUserName() {
+    if (window.currentUser) {
+        return window.currentUser.name;
+    }
     if (window.userName) {
         return window.userName;
     }
@@ -566,8 +589,175 @@ async function getUserName() {
     }
 }
 
+// Load the signed-in user into window.currentUser and hide what their role cannot use.
+// Returns null when nobody is signed in.
+async function loadCurrentUser() {
+    const { auth } = await import('./core/api.js');
+    const user = await auth.getCurrentUser();
+    window.currentUser = user;
+    if (!user) {
+        return null;
+    }
+    window.userName = user.name;
+
+    // Nav items, cards and buttons marked data-permission are only shown to roles that have it.
+    // The main process enforces the same permissions, so this only tidies the UI.
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('d-none', !user.permissions.includes(el.dataset.permission));
+    });
+
+    const userLabel = document.getElementById('currentUserLabel');
+    if (userLabel) {
+        userLabel.textContent = `${user.name} (${user.role_name})`;
+    }
+    const switchUserButton = document.getElementById('switchUserButton');
+    if (switchUserButton) {
+        switchUserButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            switchUser();
+        });
+    }
+    return user;
+}
+
+// Warn when the licence is about to lapse, and explain read-only mode once it has
+async function updateLicenceBanner() {
+    const banner = document.getElementById('licenceBanner');
+    if (!banner) return;
+    const { licence } = await import('./core/api.js');
+    const status = await licence.getStatus();
+    const expiring = status && !status.read_only && status.days_remaining !== null
+        && (status.status === 'trial' || status.days_remaining <= 14);
+    if (!status || (!status.read_only && !expiring)) {
+        banner.classList.add('d-none');
+        return;
+    }
+    banner.classList.remove('d-none', 'alert-danger', 'alert-warning');
+    banner.classList.add(status.read_only ? 'alert-danger' : 'alert-warning');
+    banner.innerHTML = status.read_only
+        ? `<i class="bi bi-lock"></i> <strong>Read-only mode.</strong> ${status.message}. You can view records and make backups, but nothing can be changed until the owner activates a licence in Settings.`
+        : `<i class="bi bi-exclamation-triangle"></i> ${status.message}. Ask the developer for a ${status.status === 'trial' ? 'licence' : 'renewal'} and activate it in Settings.`;
+}
+
+// Whether the signed-in user's role includes a permission
+function hasPermission(permission) {
+    return Boolean(window.currentUser?.permissions.includes(permission));
+}
+
+// Sign out and go back to the login screen so someone else can sign in
+async function switchUser() {
+    const { auth } = await import('./core/api.js');
+    await auth.logout();
+    window.location.replace('login.html');
+}
+
+// Auto-lock: minutes without input before the lock screen shows (auto_lock_timeout setting, 0 = never)
+let autoLockMinutes = 0;
+let lastActivityAt = Date.now();
+// Set while start-up waits for a session that was already locked (see initAutoLock)
+let resolveStartupUnlock = null;
+
+// Cover the app with the lock screen. Nothing is unloaded, so an open cart is still there after unlocking.
+async function lockApp() {
+    const lockScreen = document.getElementById('lockScreen');
+    if (!lockScreen || !lockScreen.classList.contains('d-none')) return;
+    const { auth } = await import('./core/api.js');
+    await auth.lock();
+    showLockScreen();
+}
+
+function showLockScreen() {
+    document.getElementById('lockScreenUser').textContent = window.currentUser?.name || 'Locked';
+    document.getElementById('lockScreenError').classList.add('d-none');
+    const credentialInput = document.getElementById('unlockCredential');
+    credentialInput.value = '';
+    document.getElementById('lockScreen').classList.remove('d-none');
+    credentialInput.focus();
+}
+
+async function unlockApp(e) {
+    e.preventDefault();
+    const { auth } = await import('./core/api.js');
+    const btn = document.getElementById('unlockBtn');
+    const credentialInput = document.getElementById('unlockCredential');
+    btn.disabled = true;
+    const result = await auth.unlock(credentialInput.value);
+    btn.disabled = false;
+    if (result?.success) {
+        document.getElementById('lockScreen').classList.add('d-none');
+        lastActivityAt = Date.now();
+        resolveStartupUnlock?.();
+        resolveStartupUnlock = null;
+        return;
+    }
+    // The account was deactivated while locked
+    if (result?.code === 'NOT_SIGNED_IN') {
+        window.location.replace('login.html');
+        return;
+    }
+    const errorBox = document.getElementById('lockScreenError');
+    errorBox.textContent = result?.error || 'Failed to unlock';
+    errorBox.classList.remove('d-none');
+    credentialInput.value = '';
+    credentialInput.focus();
+}
+
+// While locked, keys must not reach the page underneath (shortcuts, barcode scanning into the cart)
+function blockKeysWhileLocked(e) {
+    const lockScreen = document.getElementById('lockScreen');
+    if (lockScreen && !lockScreen.classList.contains('d-none') && !lockScreen.contains(e.target)) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        document.getElementById('unlockCredential').focus();
+    }
+}
+
+function setAutoLockTimeout(minutes) {
+    autoLockMinutes = parseInt(minutes, 10) || 0;
+    lastActivityAt = Date.now();
+}
+
+// Resolves once the app is unlocked, so start-up can go on to load data
+async function initAutoLock(user) {
+    const { on, EVENTS } = await import('./core/events.js');
+    const { settings: settingsApi } = await import('./core/api.js');
+
+    on(EVENTS.USER_ACTIVITY, () => { lastActivityAt = Date.now(); });
+    on('shortcut:lock', lockApp);
+    on('auto-lock-changed', setAutoLockTimeout);
+    document.addEventListener('keydown', blockKeysWhileLocked, true);
+    document.getElementById('unlockForm')?.addEventListener('submit', unlockApp);
+    document.getElementById('lockScreenSwitchUser')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        switchUser();
+    });
+    document.getElementById('lockButton')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        lockApp();
+    });
+
+    setInterval(() => {
+        if (autoLockMinutes > 0 && Date.now() - lastActivityAt >= autoLockMinutes * 60000) {
+            lockApp();
+        }
+    }, 15000);
+
+    // Reloaded while locked: main refuses other requests until it is unlocked
+    if (user.locked) {
+        showLockScreen();
+        await new Promise(resolve => { resolveStartupUnlock = resolve; });
+    }
+
+    const timeoutSetting = await settingsApi.get('auto_lock_timeout');
+    setAutoLockTimeout(timeoutSetting?.value);
+}
+
 // Expose functions globally
 window.getUserName = getUserName;
+window.hasPermission = hasPermission;
+window.lockApp = lockApp;
+window.updateLicenceBanner = updateLicenceBanner;
+window.switchUser = switchUser;
 window.getShopName = getShopName;
 window.updatePageHeadersWithShopName = updatePageHeadersWithShopName;
 window.updateUIWithUserName = updateUIWithUserName;
@@ -2026,10 +2216,6 @@ function setupEventListeners() {
                     e.preventDefault();
                     saveSmtpSettings(e);
                     break;
-                case 'activationForm':
-                    e.preventDefault();
-                    activateApp(e);
-                    break;
                 case 'emailForm':
                     e.preventDefault();
                     sendEmailReport(e);
@@ -3658,22 +3844,12 @@ async function sendEmailReport(event) {
             return;
         }
         
-        // Get SMTP settings
-        const hostResult = await ipcRenderer.invoke('get-setting', { key: 'smtp_host' });
-        const portResult = await ipcRenderer.invoke('get-setting', { key: 'smtp_port' });
-        const secureResult = await ipcRenderer.invoke('get-setting', { key: 'smtp_secure' });
-        const userResult = await ipcRenderer.invoke('get-setting', { key: 'smtp_user' });
-        const passResult = await ipcRenderer.invoke('get-setting', { key: 'smtp_pass' });
-        
-        const smtpConfig = {
-            host: (hostResult && hostResult.success && hostResult.value) || 'smtp.gmail.com',
-            port: parseInt((portResult && portResult.success && portResult.value) || '587'),
-            secure: (secureResult && secureResult.success && secureResult.value) === 'true',
-            user: (userResult && userResult.success && userResult.value) || '',
-            pass: (passResult && passResult.success && passResult.value) || ''
-        };
+        // The main process sends with the stored SMTP settings; only check they exist
+        const { settings } = await import('./core/api.js');
+        const userResult = await settings.get('smtp_user');
+        const passResult = await settings.get('smtp_pass');
         
-        if (!smtpConfig.user || !smtpConfig.pass) {
+        if (!userResult?.value || !passResult?.exists) {
             showToast('Please configure SMTP settings first', 'warning');
             navigateTo('settings');
             return;
@@ -3681,13 +3857,15 @@ async function sendEmailReport(event) {
         
         showToast('Sending email...', 'info');
         
-        await ipcRenderer.invoke('send-email', {
+        const sendResult = await settings.sendEmail({
             to,
             subject,
             body,
-            attachmentPath: exportResult.filePath,
-            smtpConfig
+            attachmentPath: exportResult.filePath
         });
+        if (!sendResult?.success) {
+            throw new Error(sendResult?.error || 'Failed to send email');
+        }
         
         showToast('Email sent successfully', 'success');
         document.getElementById('emailForm').reset();
@@ -3718,7 +3896,8 @@ window.loadSettings = async function() {
             setValue('smtpHost', settingsData.smtp_host);
             setValue('smtpPort', settingsData.smtp_port || '587');
             setValue('smtpUser', settingsData.smtp_user);
-            setValue('smtpPass', settingsData.smtp_pass);
+            // The SMTP password is never sent to the renderer
+            setValue('smtpPass', '');
             setChecked('smtpSecure', settingsData.smtp_secure);
             setValue('smtpFrom', settingsData.smtp_from);
         }
@@ -3750,37 +3929,6 @@ async function saveSmtpSettings(event) {
 }
 
 
-// Activation function
-async function activateApp(event) {
-    event.preventDefault();
-    
-    const password = document.getElementById('activationPassword').value;
-    const errorDiv = document.getElementById('activationError');
-    
-    try {
-        const result = await ipcRenderer.invoke('activate-app', password);
-        
-        if (result.success) {
-            showToast('App activated successfully!', 'success');
-            // Close modal and reload app
-            const modal = bootstrap.Modal.getInstance(document.getElementById('activationModal'));
-            modal.hide();
-            
-            // Load data
-            await loadProducts();
-            await loadSettings();
-            updateDashboard();
-        } else {
-            errorDiv.textContent = result.message;
-            errorDiv.classList.remove('d-none');
-        }
-    } catch (error) {
-        console.error('Error activating app:', error);
-        errorDiv.textContent = 'An error occurred. Please try again.';
-        errorDiv.classList.remove('d-none');
-        }
-}
-
 // ============================================
 // Installation Wizard Functions
 // ============================================
@@ -3796,7 +3944,7 @@ async function checkAndShowInstallationWizard() {
         // Check if setup is already complete
         const setupComplete = await settings.get('setup_complete');
         
-        if (!setupComplete || setupComplete.value !== 'true') {
+        if ((!setupComplete || setupComplete.value !== 'true') && hasPermission('settings.manage')) {
             // Show installation wizard
             showInstallationWizard();
         }
@@ -3812,6 +3960,12 @@ function showInstallationWizard() {
         keyboard: false
     });
     wizardModal.show();
+
+    // The owner account created at sign-in already has a name
+    const wizardUserName = document.getElementById('wizardUserName');
+    if (wizardUserName && window.currentUser && !wizardUserName.value) {
+        wizardUserName.value = window.currentUser.name;
+    }
     
     // Initialize wizard
     currentWizardStep = 1;
@@ -3998,28 +4152,7 @@ async function handleWizardSkip() {
 async function validateCurrentStep() {
     switch (currentWizardStep) {
         case 1: // Activation
-            const activationPassword = document.getElementById('wizardActivationPassword').value;
-            if (!activationPassword || activationPassword.trim() === '') {
-                showToast('Please enter the activation password', 'warning');
-                return false;
-            }
-            // Validate activation password
-            try {
-                // For now, we'll use a simple check. You can replace this with actual IPC call
-                if (activationPassword === 'Ashinting@1st') {
-                    return true;
-                } else {
-                    const errorDiv = document.getElementById('wizardActivationError');
-                    if (errorDiv) {
-                        errorDiv.textContent = 'Invalid activation password. Please try again.';
-                        errorDiv.classList.remove('d-none');
-                    }
-                    return false;
-                }
-            } catch (error) {
-                console.error('Error validating activation:', error);
-                return false;
-            }
+            return await activateWizardLicence();
             
         case 2: // Shop Information
             const shopName = document.getElementById('wizardShopName').value;
@@ -4054,8 +4187,7 @@ async function saveCurrentStepData() {
         const { settings } = await import('./core/api.js');
         
         switch (currentWizardStep) {
-            case 1: // Activation - just mark as activated
-                await settings.save('app_activated', 'true');
+            case 1: // Activation - saved by activate-app when the step was validated
                 break;
                 
             case 2: // Shop Information
@@ -4147,8 +4279,71 @@ async function handleWizardFinish() {
     }
 }
 
+// Licence file chosen on the activation step, used instead of the pasted key
+let wizardLicenceFilePath = null;
+
+async function chooseWizardLicenceFile() {
+    const { system } = await import('./core/api.js');
+    const result = await system.showOpenDialog({
+        title: 'Select licence file',
+        properties: ['openFile'],
+        filters: [{ name: 'Wolo licence', extensions: ['lic', 'txt'] }]
+    });
+    if (result && !result.canceled && result.filePaths?.length) {
+        wizardLicenceFilePath = result.filePaths[0];
+        document.getElementById('wizardLicenceFileName').textContent = wizardLicenceFilePath;
+    }
+}
+
+// Activate the licence entered on wizard step 1; the shop name step then shows the licensed name
+async function activateWizardLicence() {
+    const { licence } = await import('./core/api.js');
+    const errorDiv = document.getElementById('wizardActivationError');
+    const key = document.getElementById('wizardLicenceKey')?.value.trim();
+
+    // A licence may already be installed, e.g. when the wizard is re-run
+    const current = await licence.getStatus();
+    if (!key && !wizardLicenceFilePath && current?.status === 'active') {
+        // Shops activated before licence keys have no licensed name to fill in
+        if (current.licence) prefillLicensedShopName(current.licence.shop_name);
+        return true;
+    }
+    // Carry on without a licence while the trial lasts
+    if (!key && !wizardLicenceFilePath && current?.status === 'trial') {
+        return true;
+    }
+    if (!key && !wizardLicenceFilePath) {
+        showToast('Please paste your licence key or load the licence file', 'warning');
+        return false;
+    }
+
+    const result = await licence.activate(wizardLicenceFilePath ? { filePath: wizardLicenceFilePath } : { key });
+    if (!result?.success) {
+        if (errorDiv) {
+            errorDiv.textContent = result?.error || 'The licence could not be activated';
+            errorDiv.classList.remove('d-none');
+        }
+        return false;
+    }
+    errorDiv?.classList.add('d-none');
+    prefillLicensedShopName(result.data.licence.shop_name);
+    updateLicenceBanner();
+    return true;
+}
+
+// The shop name must match the licence, so fill it in and lock it
+function prefillLicensedShopName(shopName) {
+    const input = document.getElementById('wizardShopName');
+    if (input) {
+        input.value = shopName;
+        input.readOnly = true;
+    }
+}
+
 // Setup wizard event listeners
 function setupWizardEventListeners() {
+    document.getElementById('wizardLicenceFileBtn')?.addEventListener('click', chooseWizardLicenceFile);
+
     // Next button
     const nextBtn = document.getElementById('wizardNextBtn');
     if (nextBtn) {